@@ -0,0 +1,179 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import cors from 'cors';
+import rateLimit from 'express-rate-limit';
+
+/**
+ * Each web app served by this server lives in routes/<app>/ and describes
+ * itself in routes/<app>/app.js. The directory name is the app's name in
+ * ENABLED_APPS, DISABLED_APPS and the <APP>_* env overrides.
+ *
+ * export default {
+ *   mountPath: '/api/create',        // defaults to /api/<name>
+ *   router,                          // express router for the app
+ *   corsOrigins: ['https://...'],    // defaults to the server-wide origins
+ *   rateLimit: { windowMs, max },    // express-rate-limit options for the whole app
+ *   start: async () => {},           // e.g. connect to Mongo/Redis
+ *   stop: async () => {}             // release connections on shutdown
+ * };
+ */
+export const APP_DESCRIPTOR_FILE = 'app.js';
+
+const CORS_DEFAULTS = {
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization']
+};
+
+/**
+ * Split a comma-separated env value into trimmed entries
+ * @param {string} value - e.g. 'create, biocbot'
+ * @returns {Array<string>} - Entries, empty when the value is unset
+ */
+export const parseList = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+// 'create' -> 'CREATE', 'my-app' -> 'MY_APP'
+const envPrefix = (name) => name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+
+/**
+ * Origins allowed when an app does not declare its own
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} - Allowed origins
+ */
+export const defaultCorsOrigins = (env = process.env) => (env.NODE_ENV === 'production'
+  ? parseList(env.FRONTEND_URL)
+  : ['http://localhost:3000', 'http://localhost:8080']);
+
+/**
+ * Find the apps under the routes directory
+ * @param {string} routesDir - Absolute path to routes/
+ * @returns {Promise<Array<string>>} - Names of directories with an app descriptor, sorted
+ */
+export const discoverApps = async (routesDir) => {
+  const entries = await fs.readdir(routesDir, { withFileTypes: true });
+  const names = [];
+
+  for (const entry of entries.filter(dirent => dirent.isDirectory())) {
+    try {
+      await fs.access(path.join(routesDir, entry.name, APP_DESCRIPTOR_FILE));
+      names.push(entry.name);
+    } catch {
+      // Not an app, e.g. a shared helpers directory
+    }
+  }
+
+  return names.sort();
+};
+
+/**
+ * Apply ENABLED_APPS / DISABLED_APPS to the discovered app names
+ * @param {Array<string>} names - Discovered app names
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} - Names of the apps to load
+ */
+export const selectApps = (names, env = process.env) => {
+  const enabled = parseList(env.ENABLED_APPS);
+  const disabled = parseList(env.DISABLED_APPS);
+
+  [...enabled, ...disabled]
+    .filter(name => !names.includes(name))
+    .forEach(name => console.warn(`⚠️ Unknown app "${name}" in ENABLED_APPS/DISABLED_APPS`));
+
+  return names.filter(name => (enabled.length === 0 || enabled.includes(name)) && !disabled.includes(name));
+};
+
+/**
+ * Resolve an app descriptor's mount path and CORS origins, applying the
+ * <APP>_MOUNT_PATH and <APP>_CORS_ORIGINS env overrides
+ * @param {Object} descriptor - Default export of routes/<app>/app.js
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Descriptor with mountPath and corsOrigins set
+ */
+export const resolveApp = (descriptor, env = process.env) => {
+  const prefix = envPrefix(descriptor.name);
+  const corsOrigins = parseList(env[`${prefix}_CORS_ORIGINS`]);
+
+  return {
+    ...descriptor,
+    mountPath: env[`${prefix}_MOUNT_PATH`] || descriptor.mountPath || `/api/${descriptor.name}`,
+    corsOrigins: corsOrigins.length > 0 ? corsOrigins : descriptor.corsOrigins || defaultCorsOrigins(env)
+  };
+};
+
+/**
+ * Import the enabled apps. Disabled apps are never imported, so their
+ * dependencies and configuration are not needed.
+ * @param {string} routesDir - Absolute path to routes/
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array<Object>>} - Resolved app descriptors
+ */
+export const loadApps = async (routesDir, env = process.env) => {
+  const apps = [];
+
+  for (const name of selectApps(await discoverApps(routesDir), env)) {
+    const descriptorPath = path.join(routesDir, name, APP_DESCRIPTOR_FILE);
+    const { default: descriptor } = await import(pathToFileURL(descriptorPath).href);
+
+    if (!descriptor?.router) {
+      throw new Error(`routes/${name}/${APP_DESCRIPTOR_FILE} must export a router`);
+    }
+    apps.push(resolveApp({ ...descriptor, name }, env));
+  }
+
+  return apps;
+};
+
+/**
+ * Mount each app's router behind its own CORS policy and rate limiter
+ * @param {Object} server - Express application
+ * @param {Array<Object>} apps - Apps returned by loadApps()
+ */
+export const mountApps = (server, apps) => {
+  for (const app of apps) {
+    const middleware = [cors({ ...CORS_DEFAULTS, origin: app.corsOrigins })];
+
+    if (app.rateLimit) {
+      middleware.push(rateLimit({ standardHeaders: true, legacyHeaders: false, ...app.rateLimit }));
+    }
+
+    server.use(app.mountPath, ...middleware, app.router);
+  }
+};
+
+/**
+ * Run each app's startup hook in order. If one fails, the apps already
+ * started are stopped again before the error is rethrown.
+ * @param {Array<Object>} apps - Apps to start
+ */
+export const startApps = async (apps) => {
+  const started = [];
+
+  for (const app of apps) {
+    try {
+      await app.start?.();
+      started.push(app);
+    } catch (error) {
+      await stopApps(started);
+      throw new Error(`Failed to start app "${app.name}": ${error.message}`, { cause: error });
+    }
+  }
+};
+
+/**
+ * Run each app's shutdown hook in reverse start order; a failing hook is
+ * logged so the remaining apps still shut down
+ * @param {Array<Object>} apps - Apps to stop
+ */
+export const stopApps = async (apps) => {
+  for (const app of [...apps].reverse()) {
+    try {
+      await app.stop?.();
+    } catch (error) {
+      console.error(`❌ Error stopping app "${app.name}":`, error);
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,234 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import ChatService from '../../services/chatService.js';
+import ChatSession from '../../models/ChatSession.js';
+import Course from '../../models/Course.js';
+import Flag from '../../models/Flag.js';
+import VectorIndexService from '../../../create/services/vectorIndexService.js';
+import LLMService from '../../../create/services/llmService.js';
+import { MockProvider } from '../../../create/services/llmProviders.js';
+import { MemoryVectorStore } from '../../../create/services/vectorStores.js';
+import { HashEmbedder } from '../../../create/services/embeddingProviders.js';
+import {
+  CHAT_ROLES,
+  CHAT_STREAM_EVENTS,
+  ANSWER_TONES,
+  MESSAGE_CATEGORIES,
+  GUARDRAIL_ACTIONS,
+  FLAG_REASONS
+} from '../../config/constants.js';
+
+const collect = async (stream) => {
+  const events = [];
+  for await (const item of stream) {
+    events.push(item);
+  }
+  return events;
+};
+
+describe('ChatService', () => {
+  let folder;
+  let notes;
+  let course;
+  let session;
+  let flags;
+
+  beforeEach(async () => {
+    flags = [];
+    jest.spyOn(Flag.prototype, 'save').mockImplementation(function() {
+      flags.push(this);
+      return Promise.resolve(this);
+    });
+
+    VectorIndexService.setStore(new MemoryVectorStore());
+    VectorIndexService.setEmbedder(new HashEmbedder());
+    LLMService.setProvider(new MockProvider());
+
+    folder = new mongoose.Types.ObjectId();
+    notes = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Lecture 3 notes',
+      folder,
+      content: '[Page 2]\nMitochondria produce ATP through cellular respiration'
+    };
+    const answerKey = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Midterm answer key',
+      folder,
+      content: 'Mitochondria produce ATP: answer (b)'
+    };
+    await VectorIndexService.indexMaterial(notes);
+    await VectorIndexService.indexMaterial(answerKey);
+
+    course = new Course({
+      name: 'Cell Biology',
+      code: 'BIOL 200',
+      instructor: new mongoose.Types.ObjectId(),
+      folder,
+      documents: [
+        { material: notes._id },
+        { material: answerKey._id, citable: false }
+      ],
+      settings: { allowedTopics: ['cell respiration'], answerTone: ANSWER_TONES.SOCRATIC }
+    });
+
+    session = new ChatSession({ course: course._id, folder, student: new mongoose.Types.ObjectId() });
+    session.save = async () => session;
+  });
+
+  afterEach(() => {
+    LLMService.setProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  test('should stream a grounded answer and save both messages', async () => {
+    const events = await collect(ChatService.streamAnswer(session, 'How do mitochondria produce ATP?', course));
+    const names = events.map(({ event }) => event);
+
+    expect(names[0]).toBe(CHAT_STREAM_EVENTS.MESSAGE);
+    expect(names[1]).toBe(CHAT_STREAM_EVENTS.SOURCES);
+    expect(names.filter(name => name === CHAT_STREAM_EVENTS.TOKEN).length).toBeGreaterThan(1);
+    expect(names.at(-1)).toBe(CHAT_STREAM_EVENTS.DONE);
+
+    expect(events[1].data).toHaveLength(1);
+    expect(events[1].data[0]).toMatchObject({ index: 1, materialName: 'Lecture 3 notes', pageStart: 2 });
+
+    const streamed = events.filter(({ event }) => event === CHAT_STREAM_EVENTS.TOKEN).map(({ data }) => data.text).join('');
+    expect(session.messages.map(message => message.role)).toEqual([CHAT_ROLES.USER, CHAT_ROLES.ASSISTANT]);
+    expect(session.messages[1].content).toBe(streamed.trim());
+    expect(session.messages[1].citations).toHaveLength(1);
+    expect(session.messages[1].citations[0].material.toString()).toBe(notes._id.toString());
+    expect(session.title).toBe('How do mitochondria produce ATP?');
+    expect(session.messages[0].category).toBe(MESSAGE_CATEGORIES.ON_TOPIC);
+    expect(flags).toHaveLength(0);
+  });
+
+  test('should reply per course policy and flag assessment cheating', async () => {
+    const provider = new MockProvider();
+    provider.setResponder('message-classification', () => ({
+      category: MESSAGE_CATEGORIES.ASSESSMENT_CHEATING,
+      reason: 'Asks for midterm answers.'
+    }));
+    LLMService.setProvider(provider);
+    course.settings.guardrails.assessmentCheating = GUARDRAIL_ACTIONS.REFUSE;
+
+    const events = await collect(ChatService.streamAnswer(session, 'Give me the midterm answers', course));
+
+    expect(events.map(({ event }) => event)).toEqual([
+      CHAT_STREAM_EVENTS.MESSAGE,
+      CHAT_STREAM_EVENTS.GUARDRAIL,
+      CHAT_STREAM_EVENTS.DONE
+    ]);
+    expect(events[1].data).toMatchObject({
+      reason: FLAG_REASONS.ASSESSMENT_CHEATING,
+      action: GUARDRAIL_ACTIONS.REFUSE
+    });
+    expect(session.messages.every(message => message.flagged)).toBe(true);
+    expect(session.getHistory()).toEqual([]);
+
+    expect(flags).toHaveLength(1);
+    expect(flags[0]).toMatchObject({
+      reason: FLAG_REASONS.ASSESSMENT_CHEATING,
+      action: GUARDRAIL_ACTIONS.REFUSE,
+      message: 'Give me the midterm answers',
+      detail: 'Asks for midterm answers.'
+    });
+    expect(flags[0].reply).toBe(events[2].data.content);
+    expect(flags[0].course.toString()).toBe(course._id.toString());
+  });
+
+  test('should withhold and flag answers that cite no passage', async () => {
+    const provider = new MockProvider();
+    provider.setResponder('tutor-answer', () => 'Mitochondria are the powerhouse of the cell.');
+    LLMService.setProvider(provider);
+
+    const events = await collect(ChatService.streamAnswer(session, 'What do mitochondria do?', course));
+
+    expect(events.at(-2).data).toMatchObject({
+      reason: FLAG_REASONS.UNCITED_ANSWER,
+      action: GUARDRAIL_ACTIONS.WITHHOLD
+    });
+    expect(session.messages[1].content).not.toContain('powerhouse');
+    expect(flags[0].withheldAnswer).toBe('Mitochondria are the powerhouse of the cell.');
+  });
+
+  test('should not stream any text of a withheld answer', async () => {
+    const provider = new MockProvider();
+    provider.setResponder('tutor-answer', () => 'Mitochondria are the powerhouse of the cell, see passage [7].');
+    LLMService.setProvider(provider);
+
+    const events = await collect(ChatService.streamAnswer(session, 'What do mitochondria do?', course));
+    const tokens = events.filter(({ event }) => event === CHAT_STREAM_EVENTS.TOKEN);
+
+    expect(tokens).toEqual([]);
+    expect(events.at(-2).data.action).toBe(GUARDRAIL_ACTIONS.WITHHOLD);
+    expect(flags[0].withheldAnswer).toContain('powerhouse');
+  });
+
+  test('should stream the text held back before the first citation once it appears', async () => {
+    const provider = new MockProvider();
+    provider.setResponder('tutor-answer', () => 'Mitochondria make ATP [1] during cellular respiration.');
+    LLMService.setProvider(provider);
+
+    const events = await collect(ChatService.streamAnswer(session, 'What do mitochondria do?', course));
+    const tokens = events.filter(({ event }) => event === CHAT_STREAM_EVENTS.TOKEN).map(({ data }) => data.text);
+
+    expect(tokens[0]).toBe('Mitochondria make ATP [1] ');
+    expect(tokens.join('')).toBe('Mitochondria make ATP [1] during cellular respiration.');
+  });
+
+  test('should answer but flag the exchange when the classifier is unavailable', async () => {
+    const provider = new MockProvider();
+    provider.setResponder('message-classification', () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+    LLMService.setProvider(provider);
+
+    const events = await collect(ChatService.streamAnswer(session, 'How do mitochondria produce ATP?', course));
+
+    expect(events.map(({ event }) => event)).not.toContain(CHAT_STREAM_EVENTS.GUARDRAIL);
+    expect(session.messages[1].citations).toHaveLength(1);
+    expect(flags).toHaveLength(1);
+    expect(flags[0]).toMatchObject({
+      reason: FLAG_REASONS.UNCLASSIFIED,
+      action: GUARDRAIL_ACTIONS.ANSWER,
+      reply: session.messages[1].content
+    });
+  });
+
+  test('should send earlier turns to the model as history', async () => {
+    const requests = [];
+    const provider = new MockProvider();
+    provider.setResponder('tutor-answer', (context, request) => {
+      requests.push(request);
+      return 'See the notes [1].';
+    });
+    LLMService.setProvider(provider);
+
+    await collect(ChatService.streamAnswer(session, 'What is ATP?', course));
+    await collect(ChatService.streamAnswer(session, 'Where is it made?', course));
+
+    expect(requests[1].history).toEqual([
+      { role: CHAT_ROLES.USER, content: 'What is ATP?' },
+      { role: CHAT_ROLES.ASSISTANT, content: 'See the notes [1].' }
+    ]);
+    expect(requests[1].prompt).toContain('[1] (Lecture 3 notes, p. 2) Mitochondria produce ATP');
+    expect(requests[1].system).toContain('BIOL 200 Cell Biology');
+    expect(requests[1].system).toContain('Only discuss these topics: cell respiration.');
+  });
+
+  test('should not retrieve anything when no document may be cited', async () => {
+    course.documents.forEach(document => {
+      document.citable = false;
+    });
+
+    expect(await ChatService.retrieveSources(course, 'How do mitochondria produce ATP?')).toEqual([]);
+  });
+
+  test('should only cite passages the answer refers to', () => {
+    const sources = [{ materialId: notes._id.toString(), chunkIndex: 0, text: 'Mitochondria produce ATP', score: 0.9 }];
+
+    expect(ChatService.buildCitations(sources, 'Mitochondria make ATP [1].')).toHaveLength(1);
+    expect(ChatService.buildCitations(sources, 'I am not sure [4].')).toEqual([]);
+  });
+});
\ No newline at end of file
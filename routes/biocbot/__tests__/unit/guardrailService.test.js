@@ -0,0 +1,82 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import GuardrailService from '../../services/guardrailService.js';
+import Course from '../../models/Course.js';
+import LLMService from '../../../create/services/llmService.js';
+import { MockProvider } from '../../../create/services/llmProviders.js';
+import { MESSAGE_CATEGORIES, GUARDRAIL_ACTIONS, FLAG_REASONS } from '../../config/constants.js';
+
+const buildCourse = (settings = {}) => new Course({
+  name: 'Cell Biology',
+  instructor: new mongoose.Types.ObjectId(),
+  folder: new mongoose.Types.ObjectId(),
+  settings
+});
+
+describe('GuardrailService', () => {
+  afterEach(() => {
+    LLMService.setProvider(null);
+  });
+
+  test('should classify messages with the model', async () => {
+    const provider = new MockProvider();
+    provider.setResponder('message-classification', ({ message }) => ({
+      category: message.includes('weather') ? MESSAGE_CATEGORIES.OFF_TOPIC : MESSAGE_CATEGORIES.ON_TOPIC,
+      reason: 'Checked against the course'
+    }));
+    LLMService.setProvider(provider);
+
+    const course = buildCourse();
+
+    expect(await GuardrailService.classifyMessage('What is the weather tomorrow?', course))
+      .toEqual({ category: MESSAGE_CATEGORIES.OFF_TOPIC, reason: 'Checked against the course' });
+    expect((await GuardrailService.classifyMessage('What is osmosis?', course)).category)
+      .toBe(MESSAGE_CATEGORIES.ON_TOPIC);
+  });
+
+  test('should treat unusable classifications as on-topic', async () => {
+    const provider = new MockProvider();
+    provider.setResponder('message-classification', () => ({ category: 'spam' }));
+    LLMService.setProvider(provider);
+
+    const result = await GuardrailService.classifyMessage('Hello', buildCourse());
+
+    expect(result.category).toBe(MESSAGE_CATEGORIES.ON_TOPIC);
+    expect(result.unclassified).toBe(true);
+  });
+
+  test('should screen for harmful messages when the classifier is unavailable', async () => {
+    const provider = new MockProvider();
+    provider.setResponder('message-classification', () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+    LLMService.setProvider(provider);
+
+    expect((await GuardrailService.classifyMessage('I want to kill myself', buildCourse())).category)
+      .toBe(MESSAGE_CATEGORIES.HARMFUL);
+    expect((await GuardrailService.classifyMessage('How does apoptosis trigger cell death?', buildCourse())).category)
+      .toBe(MESSAGE_CATEGORIES.ON_TOPIC);
+  });
+
+  test('should follow the course policy and always refuse harmful messages', () => {
+    const lenient = buildCourse();
+    const strict = buildCourse({
+      guardrails: { offTopic: GUARDRAIL_ACTIONS.REFUSE, assessmentCheating: GUARDRAIL_ACTIONS.REFUSE }
+    });
+
+    expect(GuardrailService.decideAction(MESSAGE_CATEGORIES.ON_TOPIC, strict)).toBe(GUARDRAIL_ACTIONS.ANSWER);
+    expect(GuardrailService.decideAction(MESSAGE_CATEGORIES.OFF_TOPIC, lenient)).toBe(GUARDRAIL_ACTIONS.REDIRECT);
+    expect(GuardrailService.decideAction(MESSAGE_CATEGORIES.OFF_TOPIC, strict)).toBe(GUARDRAIL_ACTIONS.REFUSE);
+    expect(GuardrailService.decideAction(MESSAGE_CATEGORIES.ASSESSMENT_CHEATING, lenient)).toBe(GUARDRAIL_ACTIONS.REDIRECT);
+    expect(GuardrailService.decideAction(MESSAGE_CATEGORIES.HARMFUL, lenient)).toBe(GUARDRAIL_ACTIONS.REFUSE);
+  });
+
+  test('should point redirected students to the allowed topics', () => {
+    const course = buildCourse({ allowedTopics: ['osmosis', 'cell membranes'] });
+
+    expect(GuardrailService.buildReply(FLAG_REASONS.OFF_TOPIC, GUARDRAIL_ACTIONS.REDIRECT, course))
+      .toContain('osmosis, cell membranes');
+    expect(GuardrailService.buildReply(FLAG_REASONS.UNCITED_ANSWER, GUARDRAIL_ACTIONS.WITHHOLD, course))
+      .toBe(GuardrailService.NO_SOURCES_REPLY);
+  });
+});
\ No newline at end of file
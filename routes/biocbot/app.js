@@ -0,0 +1,31 @@
+import biocbotRoutes from './biocbotRoutes.js';
+import connectDB, { disconnectDB } from '../create/config/database.js';
+import { ERROR_CODES } from '../create/config/constants.js';
+import { RATE_LIMITS } from './config/constants.js';
+
+// App descriptor picked up by the server's app loader (see appLoader.js).
+// BIOCBOT shares CREATE's users, folders and materials, so it uses the same database.
+export default {
+  mountPath: '/api/biocbot',
+  router: biocbotRoutes,
+
+  rateLimit: {
+    windowMs: RATE_LIMITS.API.windowMs,
+    max: RATE_LIMITS.API.max,
+    message: {
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'Too many requests, please try again later',
+        timestamp: new Date().toISOString()
+      }
+    }
+  },
+
+  start: async () => {
+    await connectDB();
+  },
+
+  stop: async () => {
+    await disconnectDB();
+  }
+};
\ No newline at end of file
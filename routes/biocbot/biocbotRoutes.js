@@ -1,13 +1,67 @@
 import express from 'express';
+import helmet from 'helmet';
+import courseController from './controllers/courseController.js';
+import sessionController from './controllers/sessionController.js';
+import flagController from './controllers/flagController.js';
+import { errorResponse } from '../create/utils/responseFormatter.js';
+import { HTTP_STATUS, ERROR_CODES } from '../create/config/constants.js';
 
 const router = express.Router();
 
-// Example route for BIOCBOT app
+// Security middleware
+router.use(helmet({
+  crossOriginResourcePolicy: { policy: "cross-origin" }
+}));
+
+// Health check endpoint
 router.get('/', (req, res) => {
-  res.json({ message: 'Hello from the BIOCBOT app API!' });
+  res.status(HTTP_STATUS.OK).json({
+    status: 'healthy',
+    service: 'BIOCBOT API',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Mount route controllers
+router.use('/courses', courseController);
+router.use('/sessions', sessionController);
+router.use('/flags', flagController);
+
+// 404 handler for unknown API routes
+router.use((req, res) => {
+  return errorResponse(
+    res,
+    `Route ${req.originalUrl} not found`,
+    ERROR_CODES.NOT_FOUND,
+    HTTP_STATUS.NOT_FOUND
+  );
 });
 
-// Add more BIOCBOT specific routes here
-// router.get('/data', (req, res) => { ... });
+// Global error handler
+router.use((error, req, res, next) => {
+  console.error('BIOCBOT API Error:', error);
+
+  // Headers are already sent once an answer has started streaming
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  // Mongoose cast error (invalid ObjectId)
+  if (error.name === 'CastError') {
+    return errorResponse(
+      res,
+      'Invalid ID format',
+      ERROR_CODES.VALIDATION_ERROR,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  return errorResponse(
+    res,
+    process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message,
+    ERROR_CODES.DATABASE_ERROR,
+    HTTP_STATUS.INTERNAL_SERVER_ERROR
+  );
+});
 
 export default router;
\ No newline at end of file
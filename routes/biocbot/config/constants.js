@@ -0,0 +1,85 @@
+// Application constants for BIOCBOT
+export const CHAT_ROLES = {
+  USER: 'user',
+  ASSISTANT: 'assistant'
+};
+
+export const DOCUMENT_KINDS = {
+  LECTURE_NOTES: 'lecture-notes',
+  SYLLABUS: 'syllabus',
+  READING: 'reading',
+  OTHER: 'other'
+};
+
+export const ANSWER_TONES = {
+  ENCOURAGING: 'encouraging',
+  CONCISE: 'concise',
+  SOCRATIC: 'socratic' // guide with questions instead of giving the answer away
+};
+
+// How the guardrail classifies each student message
+export const MESSAGE_CATEGORIES = {
+  ON_TOPIC: 'on-topic',
+  OFF_TOPIC: 'off-topic',
+  ASSESSMENT_CHEATING: 'assessment-cheating', // asking for answers to graded work
+  HARMFUL: 'harmful'
+};
+
+export const GUARDRAIL_ACTIONS = {
+  ANSWER: 'answer',
+  REDIRECT: 'redirect', // steer the student back to what the bot can help with
+  REFUSE: 'refuse',
+  WITHHOLD: 'withhold' // drop an answer that cites no course material
+};
+
+// Actions a course can choose for off-topic and assessment-cheating messages
+export const POLICY_ACTIONS = [GUARDRAIL_ACTIONS.REDIRECT, GUARDRAIL_ACTIONS.REFUSE];
+
+export const FLAG_REASONS = {
+  OFF_TOPIC: MESSAGE_CATEGORIES.OFF_TOPIC,
+  ASSESSMENT_CHEATING: MESSAGE_CATEGORIES.ASSESSMENT_CHEATING,
+  HARMFUL: MESSAGE_CATEGORIES.HARMFUL,
+  UNCITED_ANSWER: 'uncited-answer',
+  UNCLASSIFIED: 'unclassified' // answered without a working classifier
+};
+
+export const FLAG_STATUS = {
+  OPEN: 'open',
+  REVIEWED: 'reviewed',
+  DISMISSED: 'dismissed'
+};
+
+export const COURSE_CONFIG = {
+  MAX_ALLOWED_TOPICS: 50,
+  MAX_UPLOAD_FILES: 10
+};
+
+export const CHAT_CONFIG = {
+  MAX_MESSAGE_LENGTH: 2000, // characters in a student message
+  HISTORY_TURNS: 6, // earlier messages sent to the model with each question
+  TOP_K: 5, // course passages retrieved per question
+  TITLE_LENGTH: 80 // characters of the first question used as the session title
+};
+
+export const FLAG_CONFIG = {
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100,
+  MAX_NOTE_LENGTH: 1000
+};
+
+// Events written to the answer stream, in the order they are sent
+export const CHAT_STREAM_EVENTS = {
+  MESSAGE: 'message', // the saved student message
+  SOURCES: 'sources', // passages retrieved for the answer
+  TOKEN: 'token', // a piece of the answer text, sent once the answer cites a passage
+  GUARDRAIL: 'guardrail', // the exchange was flagged; done carries the reply to show instead
+  DONE: 'done', // the saved assistant message with its citations
+  ERROR: 'error'
+};
+
+export const RATE_LIMITS = {
+  API: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100 // limit each IP to 100 requests per windowMs
+  }
+};
\ No newline at end of file
@@ -0,0 +1,189 @@
+import express from 'express';
+import Course from '../models/Course.js';
+import CourseService from '../services/courseService.js';
+import FileService from '../../create/services/fileService.js';
+import { authenticateToken } from '../../create/middleware/auth.js';
+import {
+  validateCreateCourse,
+  validateUpdateCourse,
+  validateCourseId,
+  validateUploadDocuments,
+  validateUpdateDocument,
+  validateDocumentId
+} from '../middleware/validator.js';
+import { successResponse, errorResponse, notFoundResponse } from '../../create/utils/responseFormatter.js';
+import { asyncHandler } from '../../create/utils/asyncHandler.js';
+import { HTTP_STATUS } from '../../create/config/constants.js';
+import { COURSE_CONFIG } from '../config/constants.js';
+
+const router = express.Router();
+
+// Configure multer for file uploads
+const upload = FileService.configureUpload();
+
+/**
+ * POST /api/biocbot/courses
+ * Register a course
+ */
+router.post('/', authenticateToken, validateCreateCourse, asyncHandler(async (req, res) => {
+  const { name, code, settings } = req.body;
+  const userId = req.user.id;
+
+  const course = await CourseService.createCourse({ name, code, settings }, userId);
+
+  return successResponse(res, { course }, 'Course created successfully', HTTP_STATUS.CREATED);
+}));
+
+/**
+ * GET /api/biocbot/courses
+ * List courses students can chat about
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const courses = await Course.find()
+    .select('-documents')
+    .populate('instructor', 'cwlId')
+    .sort({ name: 1 });
+
+  return successResponse(res, { courses }, 'Courses retrieved successfully');
+}));
+
+/**
+ * GET /api/biocbot/courses/:id
+ * Get a course; students only see the documents the bot may cite
+ */
+router.get('/:id', authenticateToken, validateCourseId, asyncHandler(async (req, res) => {
+  const courseId = req.params.id;
+  const userId = req.user.id;
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return notFoundResponse(res, 'Course');
+  }
+
+  // Checked before populating, which leaves instructor null if the user was deleted
+  if (!course.isInstructor(userId)) {
+    course.documents = course.documents.filter(document => document.citable);
+  }
+
+  await course.populate([
+    { path: 'instructor', select: 'cwlId' },
+    { path: 'documents.material', select: 'name type processingStatus' }
+  ]);
+
+  return successResponse(res, { course }, 'Course retrieved successfully');
+}));
+
+/**
+ * PUT /api/biocbot/courses/:id
+ * Update a course's details or answer settings
+ */
+router.put('/:id', authenticateToken, validateUpdateCourse, asyncHandler(async (req, res) => {
+  const courseId = req.params.id;
+  const userId = req.user.id;
+  const { name, code, settings } = req.body;
+
+  const course = await Course.findOne({ _id: courseId, instructor: userId });
+  if (!course) {
+    return notFoundResponse(res, 'Course');
+  }
+
+  if (name !== undefined) course.name = name;
+  if (code !== undefined) course.code = code;
+  if (settings?.allowedTopics !== undefined) course.settings.allowedTopics = settings.allowedTopics;
+  if (settings?.answerTone !== undefined) course.settings.answerTone = settings.answerTone;
+  if (settings?.guardrails?.offTopic !== undefined) course.settings.guardrails.offTopic = settings.guardrails.offTopic;
+  if (settings?.guardrails?.assessmentCheating !== undefined) {
+    course.settings.guardrails.assessmentCheating = settings.guardrails.assessmentCheating;
+  }
+
+  await course.save();
+
+  return successResponse(res, { course }, 'Course updated successfully');
+}));
+
+/**
+ * POST /api/biocbot/courses/:id/documents
+ * Upload lecture notes, syllabi or readings (PDF, DOCX) to a course
+ */
+router.post('/:id/documents', authenticateToken, upload.array('files', COURSE_CONFIG.MAX_UPLOAD_FILES), validateUploadDocuments, asyncHandler(async (req, res) => {
+  const courseId = req.params.id;
+  const userId = req.user.id;
+  const { kind, citable } = req.body;
+  const files = req.files;
+
+  if (!files || files.length === 0) {
+    return errorResponse(res, 'No files uploaded', 'NO_FILES', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const course = await Course.findOne({ _id: courseId, instructor: userId });
+  if (!course) {
+    await Promise.all(files.map(file => FileService.deleteFile(file.path)));
+    return notFoundResponse(res, 'Course');
+  }
+
+  const { materials, jobs, errors } = await CourseService.addDocuments(course, files, { kind, citable, userId });
+
+  const response = {
+    materials,
+    jobs,
+    summary: {
+      total: files.length,
+      successful: materials.length,
+      failed: errors.length
+    }
+  };
+
+  if (errors.length > 0) {
+    response.errors = errors;
+  }
+
+  const statusCode = materials.length > 0 ? HTTP_STATUS.CREATED : HTTP_STATUS.BAD_REQUEST;
+  const message = materials.length > 0 ?
+    `${materials.length} documents uploaded successfully` :
+    'No documents were uploaded';
+
+  return successResponse(res, response, message, statusCode);
+}));
+
+/**
+ * PUT /api/biocbot/courses/:id/documents/:materialId
+ * Change a document's kind or whether the bot may cite it
+ */
+router.put('/:id/documents/:materialId', authenticateToken, validateUpdateDocument, asyncHandler(async (req, res) => {
+  const { id: courseId, materialId } = req.params;
+  const userId = req.user.id;
+  const { kind, citable } = req.body;
+
+  const course = await Course.findOne({ _id: courseId, instructor: userId });
+  const document = course?.findDocument(materialId);
+  if (!document) {
+    return notFoundResponse(res, 'Document');
+  }
+
+  if (kind !== undefined) document.kind = kind;
+  if (citable !== undefined) document.citable = citable;
+
+  await course.save();
+
+  return successResponse(res, { document }, 'Document updated successfully');
+}));
+
+/**
+ * DELETE /api/biocbot/courses/:id/documents/:materialId
+ * Remove a document from a course
+ */
+router.delete('/:id/documents/:materialId', authenticateToken, validateDocumentId, asyncHandler(async (req, res) => {
+  const { id: courseId, materialId } = req.params;
+  const userId = req.user.id;
+
+  const course = await Course.findOne({ _id: courseId, instructor: userId });
+  if (!course?.findDocument(materialId)) {
+    return notFoundResponse(res, 'Document');
+  }
+
+  await CourseService.removeDocument(course, materialId);
+
+  return successResponse(res, null, 'Document removed successfully');
+}));
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,99 @@
+import express from 'express';
+import Flag from '../models/Flag.js';
+import Course from '../models/Course.js';
+import { authenticateToken } from '../../create/middleware/auth.js';
+import { validateListFlags, validateFlagId, validateReviewFlag } from '../middleware/validator.js';
+import { successResponse, notFoundResponse } from '../../create/utils/responseFormatter.js';
+import { asyncHandler } from '../../create/utils/asyncHandler.js';
+import { FLAG_CONFIG } from '../config/constants.js';
+
+const router = express.Router();
+
+// Flags are visible to the instructor of the course they were raised in
+const findInstructorFlag = async (flagId, userId) => {
+  const flag = await Flag.findById(flagId);
+  if (!flag) {
+    return null;
+  }
+
+  const course = await Course.exists({ _id: flag.course, instructor: userId });
+  return course ? flag : null;
+};
+
+/**
+ * GET /api/biocbot/flags
+ * List flagged exchanges in the user's courses, newest first
+ */
+router.get('/', authenticateToken, validateListFlags, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { courseId, status, reason, page = 1, limit = FLAG_CONFIG.DEFAULT_PAGE_SIZE } = req.query;
+
+  const courseFilter = { instructor: userId };
+  if (courseId) {
+    courseFilter._id = courseId;
+  }
+  const courses = await Course.find(courseFilter).select('_id');
+
+  const filter = { course: { $in: courses.map(course => course._id) } };
+  if (status) filter.status = status;
+  if (reason) filter.reason = reason;
+
+  const [flags, total] = await Promise.all([
+    Flag.find(filter)
+      .populate('course', 'name code')
+      .populate('student', 'cwlId')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Flag.countDocuments(filter)
+  ]);
+
+  return successResponse(res, {
+    flags,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  }, 'Flags retrieved successfully');
+}));
+
+/**
+ * GET /api/biocbot/flags/:id
+ * Get a flagged exchange
+ */
+router.get('/:id', authenticateToken, validateFlagId, asyncHandler(async (req, res) => {
+  const flag = await findInstructorFlag(req.params.id, req.user.id);
+  if (!flag) {
+    return notFoundResponse(res, 'Flag');
+  }
+
+  await flag.populate([
+    { path: 'course', select: 'name code' },
+    { path: 'student', select: 'cwlId' },
+    { path: 'review.reviewedBy', select: 'cwlId' }
+  ]);
+
+  return successResponse(res, { flag }, 'Flag retrieved successfully');
+}));
+
+/**
+ * PUT /api/biocbot/flags/:id
+ * Review a flagged exchange, or reopen it
+ */
+router.put('/:id', authenticateToken, validateReviewFlag, asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+  const userId = req.user.id;
+
+  const flag = await findInstructorFlag(req.params.id, userId);
+  if (!flag) {
+    return notFoundResponse(res, 'Flag');
+  }
+
+  await flag.markReviewed(userId, status, note);
+
+  return successResponse(res, { flag }, 'Flag updated successfully');
+}));
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,136 @@
+import express from 'express';
+import ChatSession from '../models/ChatSession.js';
+import Course from '../models/Course.js';
+import ChatService from '../services/chatService.js';
+import { authenticateToken } from '../../create/middleware/auth.js';
+import { validateCreateSession, validateSendMessage, validateSessionId } from '../middleware/validator.js';
+import { successResponse, notFoundResponse } from '../../create/utils/responseFormatter.js';
+import { asyncHandler } from '../../create/utils/asyncHandler.js';
+import { openEventStream } from '../../create/utils/eventStream.js';
+import { HTTP_STATUS, ERROR_CODES } from '../../create/config/constants.js';
+import { CHAT_STREAM_EVENTS } from '../config/constants.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/biocbot/sessions
+ * Start a chat session about a course's materials
+ */
+router.post('/', authenticateToken, validateCreateSession, asyncHandler(async (req, res) => {
+  const { courseId, title } = req.body;
+  const userId = req.user.id;
+
+  const course = await Course.findById(courseId).select('folder');
+  if (!course) {
+    return notFoundResponse(res, 'Course');
+  }
+
+  const session = new ChatSession({
+    title,
+    course: course._id,
+    folder: course.folder,
+    student: userId
+  });
+
+  await session.save();
+
+  return successResponse(res, { session }, 'Chat session created successfully', HTTP_STATUS.CREATED);
+}));
+
+/**
+ * GET /api/biocbot/sessions
+ * List the user's chat sessions, most recent first
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const sessions = await ChatSession.find({ student: userId })
+    .select('-messages')
+    .populate('course', 'name code')
+    .sort({ updatedAt: -1 });
+
+  return successResponse(res, { sessions }, 'Chat sessions retrieved successfully');
+}));
+
+/**
+ * GET /api/biocbot/sessions/:id
+ * Get a session with its message history
+ */
+router.get('/:id', authenticateToken, validateSessionId, asyncHandler(async (req, res) => {
+  const sessionId = req.params.id;
+  const userId = req.user.id;
+
+  const session = await ChatSession.findOne({ _id: sessionId, student: userId })
+    .populate('course', 'name code')
+    .populate('messages.citations.material', 'name type');
+
+  if (!session) {
+    return notFoundResponse(res, 'Chat session');
+  }
+
+  return successResponse(res, { session }, 'Chat session retrieved successfully');
+}));
+
+/**
+ * POST /api/biocbot/sessions/:id/messages
+ * Send a student message and stream the grounded answer as server-sent
+ * events: message, sources, token (repeated), then done or error. Tokens
+ * start once the answer cites a passage. Flagged exchanges send a guardrail
+ * event before done, whose reply is the only answer text the client gets.
+ */
+router.post('/:id/messages', authenticateToken, validateSendMessage, asyncHandler(async (req, res) => {
+  const sessionId = req.params.id;
+  const userId = req.user.id;
+
+  const session = await ChatSession.findOne({ _id: sessionId, student: userId });
+  if (!session) {
+    return notFoundResponse(res, 'Chat session');
+  }
+
+  const course = await Course.findById(session.course);
+  if (!course) {
+    return notFoundResponse(res, 'Course');
+  }
+
+  const send = openEventStream(res);
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  try {
+    for await (const { event, data } of ChatService.streamAnswer(session, req.body.content, course)) {
+      // Stop generating once the student navigates away
+      if (clientGone) {
+        break;
+      }
+      send(event, data);
+    }
+  } catch (error) {
+    console.error('BIOCBOT answer error:', error);
+    send(CHAT_STREAM_EVENTS.ERROR, {
+      code: ERROR_CODES.AI_SERVICE_ERROR,
+      message: 'Failed to generate an answer'
+    });
+  }
+
+  res.end();
+}));
+
+/**
+ * DELETE /api/biocbot/sessions/:id
+ * Delete a chat session
+ */
+router.delete('/:id', authenticateToken, validateSessionId, asyncHandler(async (req, res) => {
+  const sessionId = req.params.id;
+  const userId = req.user.id;
+
+  const session = await ChatSession.findOneAndDelete({ _id: sessionId, student: userId });
+  if (!session) {
+    return notFoundResponse(res, 'Chat session');
+  }
+
+  return successResponse(res, null, 'Chat session deleted successfully');
+}));
+
+export default router;
\ No newline at end of file
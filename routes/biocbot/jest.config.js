@@ -0,0 +1,10 @@
+export default {
+  testEnvironment: 'node',
+  testMatch: ['**/__tests__/**/*.test.js'],
+  collectCoverageFrom: [
+    '**/*.js',
+    '!**/*.test.js',
+    '!**/node_modules/**'
+  ],
+  verbose: true
+};
\ No newline at end of file
@@ -0,0 +1,240 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../../create/middleware/validator.js';
+import {
+  CHAT_CONFIG,
+  COURSE_CONFIG,
+  DOCUMENT_KINDS,
+  ANSWER_TONES,
+  POLICY_ACTIONS,
+  FLAG_REASONS,
+  FLAG_STATUS,
+  FLAG_CONFIG
+} from '../config/constants.js';
+
+// Course Validators
+const courseSettingsChains = [
+  body('settings.allowedTopics')
+    .optional()
+    .isArray({ max: COURSE_CONFIG.MAX_ALLOWED_TOPICS })
+    .withMessage(`Allowed topics must be an array of at most ${COURSE_CONFIG.MAX_ALLOWED_TOPICS} topics`),
+
+  body('settings.allowedTopics.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each allowed topic must be between 1 and 100 characters'),
+
+  body('settings.answerTone')
+    .optional()
+    .isIn(Object.values(ANSWER_TONES))
+    .withMessage(`Answer tone must be one of: ${Object.values(ANSWER_TONES).join(', ')}`),
+
+  body('settings.guardrails.offTopic')
+    .optional()
+    .isIn(POLICY_ACTIONS)
+    .withMessage(`Off-topic policy must be one of: ${POLICY_ACTIONS.join(', ')}`),
+
+  body('settings.guardrails.assessmentCheating')
+    .optional()
+    .isIn(POLICY_ACTIONS)
+    .withMessage(`Assessment cheating policy must be one of: ${POLICY_ACTIONS.join(', ')}`)
+];
+
+export const validateCreateCourse = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Course name is required')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Course name must be between 1 and 200 characters'),
+
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Course code must be at most 50 characters'),
+
+  ...courseSettingsChains,
+
+  handleValidationErrors
+];
+
+export const validateUpdateCourse = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Course name must be between 1 and 200 characters'),
+
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Course code must be at most 50 characters'),
+
+  ...courseSettingsChains,
+
+  handleValidationErrors
+];
+
+export const validateCourseId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+
+  handleValidationErrors
+];
+
+// Runs after multer, so body fields arrive as strings
+export const validateUploadDocuments = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+
+  body('kind')
+    .optional()
+    .isIn(Object.values(DOCUMENT_KINDS))
+    .withMessage(`Document kind must be one of: ${Object.values(DOCUMENT_KINDS).join(', ')}`),
+
+  body('citable')
+    .optional()
+    .isBoolean()
+    .withMessage('Citable must be true or false')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+export const validateUpdateDocument = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+
+  param('materialId')
+    .isMongoId()
+    .withMessage('Invalid document ID'),
+
+  body('kind')
+    .optional()
+    .isIn(Object.values(DOCUMENT_KINDS))
+    .withMessage(`Document kind must be one of: ${Object.values(DOCUMENT_KINDS).join(', ')}`),
+
+  body('citable')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Citable must be true or false'),
+
+  handleValidationErrors
+];
+
+export const validateDocumentId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+
+  param('materialId')
+    .isMongoId()
+    .withMessage('Invalid document ID'),
+
+  handleValidationErrors
+];
+
+// Chat Session Validators
+export const validateCreateSession = [
+  body('courseId')
+    .isMongoId()
+    .withMessage('Valid course ID is required'),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+
+  handleValidationErrors
+];
+
+export const validateSendMessage = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Message content is required')
+    .isLength({ max: CHAT_CONFIG.MAX_MESSAGE_LENGTH })
+    .withMessage(`Message must be at most ${CHAT_CONFIG.MAX_MESSAGE_LENGTH} characters`),
+
+  handleValidationErrors
+];
+
+export const validateSessionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+
+  handleValidationErrors
+];
+
+// Flag Validators
+export const validateListFlags = [
+  query('courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+
+  query('status')
+    .optional()
+    .isIn(Object.values(FLAG_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(FLAG_STATUS).join(', ')}`),
+
+  query('reason')
+    .optional()
+    .isIn(Object.values(FLAG_REASONS))
+    .withMessage(`Reason must be one of: ${Object.values(FLAG_REASONS).join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: FLAG_CONFIG.MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${FLAG_CONFIG.MAX_PAGE_SIZE}`)
+    .toInt(),
+
+  handleValidationErrors
+];
+
+export const validateFlagId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid flag ID'),
+
+  handleValidationErrors
+];
+
+export const validateReviewFlag = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid flag ID'),
+
+  body('status')
+    .isIn(Object.values(FLAG_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(FLAG_STATUS).join(', ')}`),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: FLAG_CONFIG.MAX_NOTE_LENGTH })
+    .withMessage(`Note must be at most ${FLAG_CONFIG.MAX_NOTE_LENGTH} characters`),
+
+  handleValidationErrors
+];
\ No newline at end of file
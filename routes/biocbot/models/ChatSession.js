@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import { CHAT_ROLES, CHAT_CONFIG, MESSAGE_CATEGORIES } from '../config/constants.js';
+
+// Course passage an answer is grounded in
+const citationSchema = new mongoose.Schema({
+  material: { type: mongoose.Schema.Types.ObjectId, ref: 'Material' },
+  chunkIndex: { type: Number },
+  pageStart: { type: Number },
+  pageEnd: { type: Number },
+  section: { type: String },
+  excerpt: { type: String },
+  score: { type: Number }
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: Object.values(CHAT_ROLES),
+    required: true
+  },
+
+  content: {
+    type: String,
+    required: true
+  },
+
+  citations: [citationSchema],
+
+  // Guardrail classification (student messages only)
+  category: {
+    type: String,
+    enum: Object.values(MESSAGE_CATEGORIES)
+  },
+
+  // Part of an exchange the guardrail refused, redirected or withheld
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+
+  // AI Generation Details (assistant messages only)
+  generationMetadata: {
+    llmModel: { type: String },
+    processingTime: { type: Number } // milliseconds
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const chatSessionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+    index: true
+  },
+
+  // Course folder whose materials answers are grounded in
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    required: true,
+    index: true
+  },
+
+  // Student who owns the conversation
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  messages: [messageSchema],
+
+  lastMessageAt: { type: Date }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'biocbot_chat_sessions'
+});
+
+// Database Indexes for Performance
+chatSessionSchema.index({ student: 1, updatedAt: -1 });
+
+// Virtual Properties (computed fields)
+chatSessionSchema.virtual('messageCount').get(function() {
+  return this.messages ? this.messages.length : 0;
+});
+
+// Instance Methods
+chatSessionSchema.methods.addMessage = function(role, content, extra = {}) {
+  this.messages.push({ role, content, ...extra });
+  this.lastMessageAt = new Date();
+
+  // Name the session after the student's first question
+  if (!this.title && role === CHAT_ROLES.USER) {
+    this.title = content.length > CHAT_CONFIG.TITLE_LENGTH
+      ? `${content.substring(0, CHAT_CONFIG.TITLE_LENGTH - 1)}…`
+      : content;
+  }
+
+  return this.messages[this.messages.length - 1];
+};
+
+// Earlier turns to send to the model, oldest first; flagged exchanges are left out
+chatSessionSchema.methods.getHistory = function(limit = CHAT_CONFIG.HISTORY_TURNS) {
+  return this.messages
+    .filter(message => !message.flagged)
+    .slice(-limit)
+    .map(({ role, content }) => ({ role, content }));
+};
+
+// Ensure virtual fields are serialized
+chatSessionSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('ChatSession', chatSessionSchema);
\ No newline at end of file
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { DOCUMENT_KINDS, ANSWER_TONES, GUARDRAIL_ACTIONS, POLICY_ACTIONS } from '../config/constants.js';
+
+// Course document the bot can draw on; the file itself is a CREATE material
+const documentSchema = new mongoose.Schema({
+  material: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    required: true
+  },
+
+  kind: {
+    type: String,
+    enum: Object.values(DOCUMENT_KINDS),
+    default: DOCUMENT_KINDS.OTHER
+  },
+
+  // Whether answers may be grounded in and cite this document
+  citable: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  _id: false,
+  timestamps: { createdAt: 'addedAt', updatedAt: false }
+});
+
+const courseSchema = new mongoose.Schema({
+  // Basic Course Information
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  }, // e.g., "Cell Biology"
+
+  code: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  }, // e.g., "BIOL 200"
+
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // CREATE folder holding the course's uploaded materials
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    required: true
+  },
+
+  documents: [documentSchema],
+
+  // How the bot answers students in this course
+  settings: {
+    allowedTopics: [{ type: String, trim: true, maxlength: 100 }], // empty allows any topic in the materials
+    answerTone: {
+      type: String,
+      enum: Object.values(ANSWER_TONES),
+      default: ANSWER_TONES.ENCOURAGING
+    },
+
+    // Response to messages the guardrail flags; harmful messages are always refused
+    guardrails: {
+      offTopic: {
+        type: String,
+        enum: POLICY_ACTIONS,
+        default: GUARDRAIL_ACTIONS.REDIRECT
+      },
+      assessmentCheating: {
+        type: String,
+        enum: POLICY_ACTIONS,
+        default: GUARDRAIL_ACTIONS.REDIRECT
+      }
+    }
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'biocbot_courses'
+});
+
+// Database Indexes for Performance
+courseSchema.index({ instructor: 1, createdAt: -1 });
+
+// Instance Methods
+courseSchema.methods.isInstructor = function(userId) {
+  return this.instructor.toString() === userId.toString();
+};
+
+courseSchema.methods.findDocument = function(materialId) {
+  return this.documents.find(document => document.material.toString() === materialId.toString());
+};
+
+// Materials answers may be grounded in
+courseSchema.methods.getCitableMaterialIds = function() {
+  return this.documents
+    .filter(document => document.citable)
+    .map(document => document.material);
+};
+
+export default mongoose.model('Course', courseSchema);
\ No newline at end of file
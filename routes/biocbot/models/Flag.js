@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { FLAG_REASONS, FLAG_STATUS, GUARDRAIL_ACTIONS, FLAG_CONFIG } from '../config/constants.js';
+
+// Chat exchange the guardrail refused, redirected or withheld, or answered
+// without a working classifier, kept for instructor review
+const flagSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+    index: true
+  },
+
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatSession',
+    required: true
+  },
+
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    enum: Object.values(FLAG_REASONS),
+    required: true
+  },
+
+  action: {
+    type: String,
+    enum: Object.values(GUARDRAIL_ACTIONS),
+    required: true
+  },
+
+  // The exchange as the student saw it
+  message: { type: String, required: true },
+  reply: { type: String, required: true },
+
+  detail: { type: String }, // classifier's explanation
+  withheldAnswer: { type: String }, // model answer that was not shown
+
+  // Instructor Review
+  status: {
+    type: String,
+    enum: Object.values(FLAG_STATUS),
+    default: FLAG_STATUS.OPEN
+  },
+
+  review: {
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    note: { type: String, trim: true, maxlength: FLAG_CONFIG.MAX_NOTE_LENGTH }
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'biocbot_flags'
+});
+
+// Database Indexes for Performance
+flagSchema.index({ course: 1, status: 1, createdAt: -1 });
+
+// Instance Methods
+flagSchema.methods.markReviewed = function(userId, status = FLAG_STATUS.REVIEWED, note) {
+  this.status = status;
+  this.review = {
+    reviewedBy: userId,
+    reviewedAt: new Date(),
+    note
+  };
+  return this.save();
+};
+
+export default mongoose.model('Flag', flagSchema);
\ No newline at end of file
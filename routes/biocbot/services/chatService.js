@@ -0,0 +1,239 @@
+import LLMService from '../../create/services/llmService.js';
+import VectorIndexService from '../../create/services/vectorIndexService.js';
+import QuestionGenerationService from '../../create/services/questionGenerationService.js';
+import GuardrailService from './guardrailService.js';
+import {
+  CHAT_ROLES,
+  CHAT_CONFIG,
+  CHAT_STREAM_EVENTS,
+  ANSWER_TONES,
+  GUARDRAIL_ACTIONS,
+  FLAG_REASONS
+} from '../config/constants.js';
+
+const SYSTEM_PROMPT = 'You are BIOCBOT, a patient biology tutor for university students. '
+  + 'Answer only from the numbered course material passages you are given and cite them inline as [1], [2]. '
+  + 'If the passages do not cover the question, say so instead of guessing.';
+
+const TONE_INSTRUCTIONS = {
+  [ANSWER_TONES.ENCOURAGING]: 'Be warm and encouraging, and explain ideas step by step.',
+  [ANSWER_TONES.CONCISE]: 'Keep answers short and to the point.',
+  [ANSWER_TONES.SOCRATIC]: 'Guide the student with questions that lead them to the answer rather than stating it outright.'
+};
+
+class ChatService {
+  /**
+   * Retrieve the passages most relevant to a student question from the
+   * course documents the bot may cite
+   * @param {Object} course - Course document
+   * @param {string} question - Student message
+   * @returns {Promise<Array<Object>>} - Retrieved chunks, best first
+   */
+  static async retrieveSources(course, question) {
+    const materialIds = course.getCitableMaterialIds();
+    if (materialIds.length === 0) {
+      return [];
+    }
+
+    return VectorIndexService.search(question, {
+      limit: CHAT_CONFIG.TOP_K,
+      folderId: course.folder,
+      materialIds
+    });
+  }
+
+  /**
+   * System prompt carrying the course's answer settings
+   */
+  static buildSystemPrompt(course) {
+    const lines = [
+      SYSTEM_PROMPT,
+      `You are helping students in ${course.code ? `${course.code} ${course.name}` : course.name}.`,
+      TONE_INSTRUCTIONS[course.settings?.answerTone] || TONE_INSTRUCTIONS[ANSWER_TONES.ENCOURAGING]
+    ];
+
+    const allowedTopics = course.settings?.allowedTopics || [];
+    if (allowedTopics.length > 0) {
+      lines.push(`Only discuss these topics: ${allowedTopics.join(', ')}.`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build the prompt for a student question and its retrieved passages
+   */
+  static buildPrompt(question, sources) {
+    return [
+      'Course material passages:',
+      ...sources.map((source, index) => `[${index + 1}] (${QuestionGenerationService.describeSource(source)}) ${source.text}`),
+      '',
+      `Student question: ${question}`
+    ].join('\n');
+  }
+
+  /**
+   * 1-based indexes of the passages an answer refers to as [n]
+   * @param {Array<Object>} sources - Passages included in the prompt
+   * @param {string} answer - Model answer, or the part streamed so far
+   * @returns {Array<number>} - Valid passage indexes in the order cited
+   */
+  static findCitedIndexes(sources, answer) {
+    return [...answer.matchAll(/\[(\d+)\]/g)]
+      .map(([, index]) => Number(index))
+      .filter(index => index >= 1 && index <= sources.length);
+  }
+
+  /**
+   * Citations for the passages an answer refers to as [n]
+   * @param {Array<Object>} sources - Passages included in the prompt
+   * @param {string} answer - Model answer
+   * @returns {Array<Object>} - Citation entries, empty when nothing valid was cited
+   */
+  static buildCitations(sources, answer) {
+    const cited = this.findCitedIndexes(sources, answer);
+
+    return cited.length > 0 ? QuestionGenerationService.buildCitations(sources, cited) : [];
+  }
+
+  /**
+   * Answer a student message, saving both sides of the exchange. Messages the
+   * guardrail flags get the course policy's reply instead of a model answer,
+   * and answers that cite no course passage are withheld. Answer text is held
+   * back until it cites a passage, so a withheld answer is never streamed.
+   * @param {Object} session - ChatSession document
+   * @param {string} content - Student message
+   * @param {Object} course - Course the session belongs to
+   * @returns {AsyncGenerator<Object>} - { event, data } items named by CHAT_STREAM_EVENTS
+   */
+  static async *streamAnswer(session, content, course) {
+    const history = session.getHistory();
+    const userMessage = session.addMessage(CHAT_ROLES.USER, content);
+    await session.save();
+    yield { event: CHAT_STREAM_EVENTS.MESSAGE, data: userMessage };
+
+    const { category, reason, unclassified } = await GuardrailService.classifyMessage(content, course, history);
+    userMessage.category = category;
+
+    const action = GuardrailService.decideAction(category, course);
+    if (action !== GUARDRAIL_ACTIONS.ANSWER) {
+      yield* this.flagExchange(session, course, userMessage, { reason: category, action, detail: reason });
+      return;
+    }
+
+    const sources = await this.retrieveSources(course, content);
+    yield {
+      event: CHAT_STREAM_EVENTS.SOURCES,
+      data: sources.map((source, index) => ({
+        index: index + 1,
+        materialId: source.materialId,
+        materialName: source.materialName,
+        chunkIndex: source.chunkIndex,
+        pageStart: source.pageStart,
+        pageEnd: source.pageEnd,
+        section: source.section
+      }))
+    };
+
+    // Nothing to ground an answer in
+    if (sources.length === 0) {
+      const assistantMessage = session.addMessage(CHAT_ROLES.ASSISTANT, GuardrailService.NO_SOURCES_REPLY);
+      await session.save();
+      if (unclassified) {
+        await this.recordUnclassified(session, course, userMessage, assistantMessage, reason);
+      }
+      yield { event: CHAT_STREAM_EVENTS.DONE, data: assistantMessage };
+      return;
+    }
+
+    const startTime = Date.now();
+    let answer = '';
+    let sent = 0;
+
+    for await (const text of LLMService.stream({
+      system: this.buildSystemPrompt(course),
+      prompt: this.buildPrompt(content, sources),
+      history,
+      task: 'tutor-answer',
+      context: { question: content, sourceCount: sources.length }
+    })) {
+      answer += text;
+      if (sent > 0 || this.findCitedIndexes(sources, answer).length > 0) {
+        yield { event: CHAT_STREAM_EVENTS.TOKEN, data: { text: answer.slice(sent) } };
+        sent = answer.length;
+      }
+    }
+
+    if (!answer.trim()) {
+      throw new Error('The model returned an empty answer');
+    }
+
+    const citations = this.buildCitations(sources, answer);
+    if (citations.length === 0) {
+      yield* this.flagExchange(session, course, userMessage, {
+        reason: FLAG_REASONS.UNCITED_ANSWER,
+        action: GUARDRAIL_ACTIONS.WITHHOLD,
+        withheldAnswer: answer.trim()
+      });
+      return;
+    }
+
+    const assistantMessage = session.addMessage(CHAT_ROLES.ASSISTANT, answer.trim(), {
+      citations,
+      generationMetadata: {
+        llmModel: LLMService.getProvider().model,
+        processingTime: Date.now() - startTime
+      }
+    });
+    await session.save();
+    if (unclassified) {
+      await this.recordUnclassified(session, course, userMessage, assistantMessage, reason);
+    }
+    yield { event: CHAT_STREAM_EVENTS.DONE, data: assistantMessage };
+  }
+
+  /**
+   * Record an exchange answered while the classifier was unavailable, so an
+   * instructor can check nothing that should have been stopped got through
+   */
+  static recordUnclassified(session, course, userMessage, assistantMessage, detail) {
+    return GuardrailService.recordFlag({
+      session,
+      course,
+      reason: FLAG_REASONS.UNCLASSIFIED,
+      action: GUARDRAIL_ACTIONS.ANSWER,
+      message: userMessage.content,
+      reply: assistantMessage.content,
+      detail
+    });
+  }
+
+  /**
+   * Reply in place of a model answer and record the exchange for review
+   * @param {Object} flag - { reason, action, detail, withheldAnswer }
+   * @returns {AsyncGenerator<Object>} - guardrail and done events
+   */
+  static async *flagExchange(session, course, userMessage, flag) {
+    const reply = GuardrailService.buildReply(flag.reason, flag.action, course);
+
+    userMessage.flagged = true;
+    const assistantMessage = session.addMessage(CHAT_ROLES.ASSISTANT, reply, { flagged: true });
+    await session.save();
+
+    const saved = await GuardrailService.recordFlag({
+      session,
+      course,
+      message: userMessage.content,
+      reply,
+      ...flag
+    });
+
+    yield {
+      event: CHAT_STREAM_EVENTS.GUARDRAIL,
+      data: { flagId: saved._id, reason: flag.reason, action: flag.action }
+    };
+    yield { event: CHAT_STREAM_EVENTS.DONE, data: assistantMessage };
+  }
+}
+
+export default ChatService;
\ No newline at end of file
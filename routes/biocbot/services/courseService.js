@@ -0,0 +1,120 @@
+import Course from '../models/Course.js';
+import Folder from '../../create/models/Folder.js';
+import Material from '../../create/models/Material.js';
+import FileService from '../../create/services/fileService.js';
+import VectorIndexService from '../../create/services/vectorIndexService.js';
+import jobQueue, { formatJob } from '../../create/services/jobService.js';
+import { JOB_TYPES } from '../../create/config/constants.js';
+import { DOCUMENT_KINDS } from '../config/constants.js';
+
+class CourseService {
+  /**
+   * Register a course, with a CREATE folder to hold its materials so they can
+   * also be used for quizzes
+   * @param {Object} data - { name, code, settings }
+   * @param {string} userId - Instructor's user ID
+   * @returns {Promise<Object>} - Saved course
+   */
+  static async createCourse({ name, code, settings }, userId) {
+    const folder = new Folder({ name, instructor: userId });
+    await folder.save();
+
+    try {
+      const course = new Course({ name, code, settings, instructor: userId, folder: folder._id });
+      await course.save();
+      return course;
+    } catch (error) {
+      await Folder.findByIdAndDelete(folder._id);
+      throw error;
+    }
+  }
+
+  /**
+   * Add uploaded files to a course as documents. Each file becomes a CREATE
+   * material that is extracted and indexed for retrieval in the background.
+   * @param {Object} course - Course document
+   * @param {Array<Object>} files - Multer files
+   * @param {Object} options - { kind, citable, userId }
+   * @returns {Promise<Object>} - { materials, jobs, errors }
+   */
+  static async addDocuments(course, files, { kind = DOCUMENT_KINDS.OTHER, citable = true, userId }) {
+    const folder = await Folder.findById(course.folder);
+    if (!folder) {
+      throw new Error('Course folder not found');
+    }
+
+    const materials = [];
+    const jobs = [];
+    const errors = [];
+
+    for (const file of files) {
+      try {
+        const fileData = await FileService.processUploadedFile(file, {
+          folder: folder._id,
+          uploadedBy: userId
+        });
+
+        const existingMaterial = await Material.findOne({ checksum: fileData.checksum, folder: folder._id });
+        if (existingMaterial) {
+          await FileService.deleteFile(file.path);
+          errors.push({ filename: file.originalname, error: 'File already exists in this course' });
+          continue;
+        }
+
+        const material = new Material(fileData);
+        await material.save();
+        await folder.addMaterial(material._id);
+        course.documents.push({ material: material._id, kind, citable });
+
+        // Extract and index the content in the background
+        const job = await jobQueue.enqueue(
+          JOB_TYPES.MATERIAL_PROCESSING,
+          { materialId: material._id.toString() },
+          { userId }
+        );
+
+        materials.push(material);
+        jobs.push({ materialId: material._id, ...formatJob(job) });
+      } catch (error) {
+        errors.push({ filename: file.originalname, error: error.message });
+      }
+    }
+
+    await course.save();
+    return { materials, jobs, errors };
+  }
+
+  /**
+   * Remove a document from a course, deleting its material, file and indexed chunks
+   * @param {Object} course - Course document
+   * @param {string} materialId - Material ID of the document
+   */
+  static async removeDocument(course, materialId) {
+    const material = await Material.findById(materialId);
+
+    if (material) {
+      if (material.filePath) {
+        await FileService.deleteFile(material.filePath);
+      }
+
+      const folder = await Folder.findById(material.folder);
+      if (folder) {
+        await folder.removeMaterial(material._id);
+      }
+
+      await Material.findByIdAndDelete(material._id);
+
+      // Best effort: an unavailable vector store shouldn't stop the document being removed
+      try {
+        await VectorIndexService.removeMaterial(material._id);
+      } catch (error) {
+        console.error('Vector index cleanup error:', error);
+      }
+    }
+
+    course.documents = course.documents.filter(document => document.material.toString() !== materialId.toString());
+    await course.save();
+  }
+}
+
+export default CourseService;
\ No newline at end of file
@@ -0,0 +1,137 @@
+import LLMService from '../../create/services/llmService.js';
+import Flag from '../models/Flag.js';
+import { MESSAGE_CATEGORIES, GUARDRAIL_ACTIONS, FLAG_REASONS } from '../config/constants.js';
+
+const CLASSIFIER_PROMPT = 'You screen messages that students send to a course tutor. '
+  + 'Classify the latest student message as exactly one of: '
+  + '"on-topic" (about the course subject or how to study it), '
+  + '"off-topic" (unrelated to the course), '
+  + '"assessment-cheating" (asking for answers to graded assignments, quizzes or exams), '
+  + '"harmful" (violence, self-harm, harassment, or instructions that could cause real harm). '
+  + 'Respond with JSON: {"category": "...", "reason": "one short sentence"}.';
+
+// Screen used only when the classifier is unavailable. It errs towards
+// phrases that are rarely about biology, e.g. "kill myself" but not "cell death"
+const HARMFUL_PATTERNS = [
+  /\b(?:kill|hurt|harm|cut|poison)\s+(?:myself|yourself|himself|herself|themselves|someone|somebody|him|her|them|people)\b/i,
+  /\bsuicidal\b|\b(?:commit|committing|attempt|attempting)\s+suicide\b/i,
+  /\bend(?:ing)?\s+my\s+life\b/i,
+  /\bself[-\s]?harm/i,
+  /\b(?:make|build|making|building)\s+(?:a\s+)?(?:bomb|explosive|weapon)s?\b/i
+];
+
+class GuardrailService {
+  // Reply when no course material supports an answer
+  static NO_SOURCES_REPLY = "I couldn't find this in your course materials, so please check with your instructor.";
+
+  /**
+   * Classify a student message. When the model can't, a keyword screen
+   * catches clearly harmful messages and everything else is treated as
+   * on-topic, marked `unclassified` so the exchange can be flagged for review.
+   * @param {string} content - Student message
+   * @param {Object} course - Course document
+   * @param {Array<Object>} history - Earlier turns, so follow-up questions keep their context
+   * @returns {Promise<Object>} - { category, reason, unclassified }
+   */
+  static async classifyMessage(content, course, history = []) {
+    const allowedTopics = course.settings?.allowedTopics || [];
+    const prompt = [
+      `Course: ${course.code ? `${course.code} ${course.name}` : course.name}`,
+      allowedTopics.length > 0 ? `Topics the instructor allows: ${allowedTopics.join(', ')}` : null,
+      '',
+      `Student message: ${content}`
+    ].filter(line => line !== null).join('\n');
+
+    try {
+      const { data } = await LLMService.generateJSON({
+        system: CLASSIFIER_PROMPT,
+        prompt,
+        history,
+        task: 'message-classification',
+        context: { message: content, allowedTopics }
+      });
+
+      if (!Object.values(MESSAGE_CATEGORIES).includes(data.category)) {
+        throw new Error(`Unknown category "${data.category}"`);
+      }
+
+      return { category: data.category, reason: data.reason };
+    } catch (error) {
+      console.warn('Message classification failed, using the keyword screen:', error.message);
+
+      if (HARMFUL_PATTERNS.some(pattern => pattern.test(content))) {
+        return { category: MESSAGE_CATEGORIES.HARMFUL, reason: 'Matched the harmful keyword screen', unclassified: true };
+      }
+      // Answers must still cite course material, which keeps them on topic
+      return { category: MESSAGE_CATEGORIES.ON_TOPIC, reason: `Classification unavailable: ${error.message}`, unclassified: true };
+    }
+  }
+
+  /**
+   * Action the course's policy prescribes for a message category
+   */
+  static decideAction(category, course) {
+    const policy = course.settings?.guardrails || {};
+
+    switch (category) {
+      case MESSAGE_CATEGORIES.ON_TOPIC:
+        return GUARDRAIL_ACTIONS.ANSWER;
+      case MESSAGE_CATEGORIES.OFF_TOPIC:
+        return policy.offTopic || GUARDRAIL_ACTIONS.REDIRECT;
+      case MESSAGE_CATEGORIES.ASSESSMENT_CHEATING:
+        return policy.assessmentCheating || GUARDRAIL_ACTIONS.REDIRECT;
+      default:
+        return GUARDRAIL_ACTIONS.REFUSE;
+    }
+  }
+
+  /**
+   * Reply shown to the student in place of a model answer
+   * @param {string} reason - FLAG_REASONS value
+   * @param {string} action - GUARDRAIL_ACTIONS value
+   * @param {Object} course - Course document
+   * @returns {string}
+   */
+  static buildReply(reason, action, course) {
+    const refuse = action === GUARDRAIL_ACTIONS.REFUSE;
+
+    switch (reason) {
+      case FLAG_REASONS.OFF_TOPIC: {
+        if (refuse) {
+          return `I can only answer questions about ${course.name}.`;
+        }
+        const topics = (course.settings?.allowedTopics || []).slice(0, 5);
+        return topics.length > 0
+          ? `That's outside what I can help with in ${course.name}. I can help with topics such as ${topics.join(', ')}.`
+          : `That's outside what I can help with in ${course.name}. Try asking about something from your course materials.`;
+      }
+      case FLAG_REASONS.ASSESSMENT_CHEATING:
+        return refuse
+          ? "I can't help with graded assessments. Please review your course's academic integrity policy or ask your instructor."
+          : "I can't give answers to graded work, but I can help you understand the concepts behind it. Which idea would you like to go through?";
+      case FLAG_REASONS.HARMFUL:
+        return "I can't help with that. If you're going through something difficult, please reach out to your instructor or student support services.";
+      default:
+        return this.NO_SOURCES_REPLY;
+    }
+  }
+
+  /**
+   * Record a flagged exchange for instructor review
+   * @param {Object} data - { session, course, reason, action, message, reply, detail, withheldAnswer }
+   * @returns {Promise<Object>} - Saved flag
+   */
+  static async recordFlag({ session, course, ...exchange }) {
+    const flag = new Flag({
+      course: course._id,
+      session: session._id,
+      student: session.student,
+      ...exchange
+    });
+
+    await flag.save();
+    return flag;
+  }
+}
+
+export default GuardrailService;
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { describe, test, expect, beforeEach } from '@jest/globals';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import request from 'supertest';
 import express from 'express';
 import path from 'path';
@@ -8,6 +8,7 @@ import User from '../../models/User.js';
 import Folder from '../../models/Folder.js';
 import Material from '../../models/Material.js';
 import materialController from '../../controllers/materialController.js';
+import VectorIndexService from '../../services/vectorIndexService.js';
 import authController from '../../controllers/authController.js';
 
 const app = express();
@@ -346,6 +347,10 @@ describe('Material Management API Integration Tests', () => {
   describe('DELETE /api/materials/:id', () => {
     let materialId;
 
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
     beforeEach(async () => {
       const material = await Material.create({
         name: 'To Delete',
@@ -372,6 +377,32 @@ describe('Material Management API Integration Tests', () => {
       expect(materialInDb).toBeNull();
     });
 
+    test('should remove indexed chunks for deleted material', async () => {
+      const material = await Material.findById(materialId);
+      await VectorIndexService.indexMaterial(material);
+      expect(await VectorIndexService.getStore().count({ materialIds: [materialId] })).toBeGreaterThan(0);
+
+      await request(app)
+        .delete(`/api/materials/${materialId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(await VectorIndexService.getStore().count({ materialIds: [materialId] })).toBe(0);
+    });
+
+    test('should delete material when the vector store is unavailable', async () => {
+      jest.spyOn(VectorIndexService, 'removeMaterial').mockRejectedValue(new Error('connect ECONNREFUSED'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await request(app)
+        .delete(`/api/materials/${materialId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(await Material.findById(materialId)).toBeNull();
+      expect(console.error).toHaveBeenCalledWith('Vector index cleanup error:', expect.any(Error));
+    });
+
     test('should reject deletion of other user material', async () => {
       const otherUserMaterial = await Material.create({
         name: 'Other User Material',
@@ -460,15 +491,13 @@ describe('Material Management API Integration Tests', () => {
       const response = await request(app)
         .post(`/api/materials/${materialId}/reprocess`)
         .set('Authorization', `Bearer ${authToken}`)
-        .expect(200);
+        .expect(202);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toContain('reprocessing triggered');
-      expect(response.body.data.material.processingStatus).toBe('PENDING');
-
-      // Verify status update in database
-      const materialInDb = await Material.findById(materialId);
-      expect(materialInDb.processingStatus).toBe('PENDING');
+      expect(response.body.message).toContain('reprocessing queued');
+      expect(response.body.data.job.id).toBeDefined();
+      expect(response.body.data.job.type).toBe('material-processing');
+      expect(response.body.data.job.statusUrl).toBe(`/api/jobs/${response.body.data.job.id}`);
     });
 
     test('should reject reprocessing for other user material', async () => {
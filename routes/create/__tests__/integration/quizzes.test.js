@@ -6,6 +6,9 @@ import User from '../../models/User.js';
 import Folder from '../../models/Folder.js';
 import Quiz from '../../models/Quiz.js';
 import Material from '../../models/Material.js';
+import LearningObjective from '../../models/LearningObjective.js';
+import Question from '../../models/Question.js';
+import { QUIZ_TRANSFER } from '../../config/constants.js';
 import quizController from '../../controllers/quizController.js';
 import authController from '../../controllers/authController.js';
 
@@ -381,6 +384,54 @@ describe('Quiz Management API Integration Tests', () => {
     });
   });
 
+  describe('POST /api/quizzes/import', () => {
+    const exportData = {
+      format: QUIZ_TRANSFER.FORMAT,
+      version: QUIZ_TRANSFER.VERSION,
+      quiz: { name: 'Imported Quiz', settings: { questionsPerObjective: 2 } },
+      learningObjectives: [{ id: 'lo-1', text: 'Explain how cells produce energy', order: 0 }],
+      generationPlans: [],
+      activePlan: null,
+      questions: [{
+        id: 'q-1',
+        learningObjective: 'lo-1',
+        type: 'multiple-choice',
+        difficulty: 'moderate',
+        questionText: 'Which organelle produces ATP?',
+        content: { options: [{ text: 'Mitochondria', isCorrect: true }, { text: 'Ribosome', isCorrect: false }] },
+        correctAnswer: 'Mitochondria'
+      }]
+    };
+
+    test('should recreate the quiz with new ids in the target folder', async () => {
+      const response = await request(app)
+        .post('/api/quizzes/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ folderId, data: exportData })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.quiz.name).toBe('Imported Quiz');
+      expect(response.body.data.imported).toEqual({ objectives: 1, plans: 0, questions: 1 });
+
+      const question = await Question.findOne({ quiz: response.body.data.quiz._id });
+      const objective = await LearningObjective.findById(question.learningObjective);
+      expect(objective.text).toBe('Explain how cells produce energy');
+    });
+
+    test('should reject import when the quiz name is taken in the folder', async () => {
+      await Quiz.create({ name: 'Imported Quiz', folder: folderId, createdBy: userId });
+
+      const response = await request(app)
+        .post('/api/quizzes/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ folderId, data: exportData })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe('DELETE /api/quizzes/:id', () => {
     let quizId;
 
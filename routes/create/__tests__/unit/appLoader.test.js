@@ -0,0 +1,67 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { discoverApps, selectApps, resolveApp, startApps, stopApps } from '../../../../appLoader.js';
+
+const ROUTES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../..');
+
+describe('App loader', () => {
+  test('should discover every app with a descriptor under routes/', async () => {
+    await expect(discoverApps(ROUTES_DIR)).resolves.toEqual(['biocbot', 'create']);
+  });
+
+  test('should enable or disable apps from the environment', () => {
+    const names = ['biocbot', 'create'];
+
+    expect(selectApps(names, {})).toEqual(names);
+    expect(selectApps(names, { ENABLED_APPS: 'create' })).toEqual(['create']);
+    expect(selectApps(names, { DISABLED_APPS: ' create , biocbot ' })).toEqual([]);
+  });
+
+  test('should apply mount path and CORS overrides', () => {
+    const descriptor = { name: 'my-app', router: () => {}, corsOrigins: ['https://app.example.com'] };
+
+    expect(resolveApp(descriptor, { NODE_ENV: 'production' })).toMatchObject({
+      mountPath: '/api/my-app',
+      corsOrigins: ['https://app.example.com']
+    });
+    expect(resolveApp(descriptor, {
+      MY_APP_MOUNT_PATH: '/api/mine',
+      MY_APP_CORS_ORIGINS: 'http://localhost:5173,http://localhost:3000'
+    })).toMatchObject({
+      mountPath: '/api/mine',
+      corsOrigins: ['http://localhost:5173', 'http://localhost:3000']
+    });
+    expect(resolveApp({ name: 'other', router: () => {} }, { NODE_ENV: 'production', FRONTEND_URL: 'https://tlef.example.com' }))
+      .toMatchObject({ corsOrigins: ['https://tlef.example.com'] });
+  });
+
+  test('should stop already started apps when a startup hook fails', async () => {
+    const calls = [];
+    const apps = [
+      { name: 'first', start: async () => calls.push('start first'), stop: async () => calls.push('stop first') },
+      { name: 'second', start: async () => { throw new Error('Mongo unavailable'); }, stop: jest.fn() },
+      { name: 'third', start: jest.fn() }
+    ];
+
+    await expect(startApps(apps)).rejects.toThrow('Failed to start app "second": Mongo unavailable');
+    expect(calls).toEqual(['start first', 'stop first']);
+    expect(apps[1].stop).not.toHaveBeenCalled();
+    expect(apps[2].start).not.toHaveBeenCalled();
+  });
+
+  test('should stop apps in reverse order and carry on past failing hooks', async () => {
+    const calls = [];
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await stopApps([
+      { name: 'first', stop: async () => calls.push('first') },
+      { name: 'second', stop: async () => { throw new Error('already closed'); } },
+      { name: 'third', stop: async () => calls.push('third') }
+    ]);
+
+    expect(calls).toEqual(['third', 'first']);
+    expect(error).toHaveBeenCalledTimes(1);
+    error.mockRestore();
+  });
+});
\ No newline at end of file
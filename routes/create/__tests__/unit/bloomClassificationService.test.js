@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import BloomClassificationService from '../../services/bloomClassificationService.js';
+import LLMService from '../../services/llmService.js';
+import { MockProvider } from '../../services/llmProviders.js';
+import { BLOOM_LEVELS, KNOWLEDGE_DIMENSIONS, BLOOM_SOURCES, QUESTION_TYPES } from '../../config/constants.js';
+
+describe('BloomClassificationService', () => {
+  const objectives = [
+    { text: 'Calculate molar mass using the steps shown in class' },
+    { text: 'Design an experiment that tests osmosis' }
+  ];
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+    LLMService.setProvider(provider);
+  });
+
+  afterEach(() => {
+    LLMService.setProvider(null);
+  });
+
+  test('should classify from the first recognised action verb', () => {
+    expect(BloomClassificationService.classifyWithLexicon('Students will be able to calculate molar mass using the steps shown')).toMatchObject({
+      level: BLOOM_LEVELS.APPLY,
+      knowledgeDimension: KNOWLEDGE_DIMENSIONS.PROCEDURAL,
+      source: BLOOM_SOURCES.LEXICON
+    });
+    expect(BloomClassificationService.classifyWithLexicon('Defining the key terms of cell biology')).toMatchObject({
+      level: BLOOM_LEVELS.REMEMBER,
+      knowledgeDimension: KNOWLEDGE_DIMENSIONS.FACTUAL
+    });
+    expect(BloomClassificationService.classifyWithLexicon('Photosynthesis basics')).toMatchObject({
+      level: BLOOM_LEVELS.UNDERSTAND,
+      confidence: 0.2
+    });
+  });
+
+  test('should use the model and fall back to the lexicon for invalid entries', async () => {
+    provider.setResponder('bloom-classification', () => ({
+      objectives: [
+        { objective: 1, level: 'analyze', knowledgeDimension: 'procedural', confidence: 0.9, reasoning: 'Compares methods' },
+        { objective: 2, level: 'synthesis' }
+      ]
+    }));
+
+    const [first, second] = await BloomClassificationService.classifyObjectives(objectives);
+
+    expect(first).toEqual({
+      level: BLOOM_LEVELS.ANALYZE,
+      knowledgeDimension: KNOWLEDGE_DIMENSIONS.PROCEDURAL,
+      source: BLOOM_SOURCES.MODEL,
+      confidence: 0.9,
+      reasoning: 'Compares methods'
+    });
+    expect(second).toMatchObject({ level: BLOOM_LEVELS.CREATE, source: BLOOM_SOURCES.LEXICON });
+  });
+
+  test('should classify every objective with the lexicon when the model is unavailable', async () => {
+    provider.setResponder('bloom-classification', () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    const classifications = await BloomClassificationService.classifyObjectives(objectives);
+
+    expect(classifications.map(({ level, source }) => [level, source])).toEqual([
+      [BLOOM_LEVELS.APPLY, BLOOM_SOURCES.LEXICON],
+      [BLOOM_LEVELS.CREATE, BLOOM_SOURCES.LEXICON]
+    ]);
+  });
+
+  test('should keep instructor classifications when saving', async () => {
+    const saved = [];
+    const build = (text, bloom) => ({
+      text,
+      bloom,
+      setBloom(classification) {
+        this.bloom = classification;
+        saved.push(text);
+        return Promise.resolve(this);
+      }
+    });
+    const chosen = build(objectives[0].text, { level: BLOOM_LEVELS.EVALUATE, source: BLOOM_SOURCES.INSTRUCTOR });
+    const unclassified = build(objectives[1].text);
+
+    await BloomClassificationService.classifyAndSave([chosen, unclassified]);
+
+    expect(saved).toEqual([objectives[1].text]);
+    expect(chosen.bloom.level).toBe(BLOOM_LEVELS.EVALUATE);
+    expect(BloomClassificationService.getSuitableQuestionTypes(unclassified)).toEqual([QUESTION_TYPES.DISCUSSION, QUESTION_TYPES.SUMMARY]);
+  });
+});
\ No newline at end of file
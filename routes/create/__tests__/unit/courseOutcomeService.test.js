@@ -0,0 +1,59 @@
+import { describe, test, expect } from '@jest/globals';
+import CourseOutcomeService from '../../services/courseOutcomeService.js';
+
+describe('CourseOutcomeService', () => {
+  const outcomes = [
+    { _id: 'outcome-1', code: 'CLO 1', text: 'Explain periodic trends' },
+    { _id: 'outcome-2', code: 'CLO 2', text: 'Design a titration experiment' }
+  ];
+  const quizzes = [
+    { _id: 'quiz-1', name: 'Midterm review' },
+    { _id: 'quiz-2', name: 'Final review' }
+  ];
+  const objectives = [
+    { _id: 'objective-1', quiz: 'quiz-1', text: 'Explain atomic radius trends', courseOutcomes: ['outcome-1'] },
+    { _id: 'objective-2', quiz: 'quiz-2', text: 'Explain ionization energy trends', courseOutcomes: ['outcome-1'] },
+    { _id: 'objective-3', quiz: 'quiz-2', text: 'Calculate molar mass', courseOutcomes: [] },
+    { _id: 'objective-4', quiz: 'quiz-2', text: 'Compare electronegativity', courseOutcomes: ['deleted-outcome'] }
+  ];
+  const questionCounts = [
+    { _id: 'objective-1', count: 3 },
+    { _id: 'objective-2', count: 2 },
+    { _id: 'objective-3', count: 4 }
+  ];
+
+  test('should count the objectives and questions assessing each outcome across quizzes', () => {
+    const report = CourseOutcomeService.summarizeMapping({ outcomes, quizzes, objectives, questionCounts });
+
+    expect(report.outcomes).toEqual([
+      {
+        outcome: { id: 'outcome-1', code: 'CLO 1', text: 'Explain periodic trends' },
+        objectiveCount: 2,
+        questionCount: 5,
+        quizzes: [
+          { quizId: 'quiz-1', name: 'Midterm review', objectiveCount: 1, questionCount: 3 },
+          { quizId: 'quiz-2', name: 'Final review', objectiveCount: 1, questionCount: 2 }
+        ]
+      },
+      {
+        outcome: { id: 'outcome-2', code: 'CLO 2', text: 'Design a titration experiment' },
+        objectiveCount: 0,
+        questionCount: 0,
+        quizzes: []
+      }
+    ]);
+  });
+
+  test('should report objectives and questions not mapped to any outcome', () => {
+    const report = CourseOutcomeService.summarizeMapping({ outcomes, quizzes, objectives, questionCounts });
+
+    expect(report.unmappedObjectives.map(objective => objective.id)).toEqual(['objective-3', 'objective-4']);
+    expect(report.summary).toEqual({
+      outcomeCount: 2,
+      assessedOutcomes: 1,
+      unassessedOutcomes: 1,
+      totalQuestions: 9,
+      unmappedQuestions: 4
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import ExtractionService, { PAGE_MARKER_PATTERN, SECTION_MARKER_PATTERN } from '../../services/extractionService.js';
+
+describe('ExtractionService', () => {
+  describe('normalizeText', () => {
+    test('should collapse whitespace and unify line endings', () => {
+      const text = 'First   line\r\nSecond\tline\r\n\r\n\r\n\r\nThird line  ';
+
+      expect(ExtractionService.normalizeText(text)).toBe('First line\nSecond line\n\nThird line');
+    });
+
+    test('should rejoin words hyphenated across line breaks', () => {
+      expect(ExtractionService.normalizeText('photo-\nsynthesis')).toBe('photosynthesis');
+    });
+
+    test('should return empty string for missing text', () => {
+      expect(ExtractionService.normalizeText(undefined)).toBe('');
+    });
+  });
+
+  describe('htmlToText', () => {
+    test('should convert headings into section markers', () => {
+      const html = '<h1>Cell Biology</h1><p>Cells are the unit of life.</p><h2>Organelles</h2><ul><li>Nucleus</li><li>Mitochondria</li></ul>';
+
+      const { text, sectionCount } = ExtractionService.htmlToText(html);
+
+      expect(sectionCount).toBe(2);
+      expect(text).toBe('[Section: Cell Biology]\nCells are the unit of life.\n\n[Section: Organelles]\n- Nucleus\n- Mitochondria');
+    });
+
+    test('should decode HTML entities', () => {
+      const { text } = ExtractionService.htmlToText('<p>A &amp; B &lt; C</p>');
+
+      expect(text).toBe('A & B < C');
+    });
+  });
+
+  describe('markers', () => {
+    test('should produce markers matching the exported patterns', () => {
+      expect(ExtractionService.pageMarker(3)).toMatch(PAGE_MARKER_PATTERN);
+      expect(ExtractionService.sectionMarker('Introduction')).toMatch(SECTION_MARKER_PATTERN);
+    });
+
+    test('should not count marker lines as words', () => {
+      const text = '[Page 1]\nOne two three\n\n[Section: Intro]\nFour';
+
+      expect(ExtractionService.countWords(text)).toBe(4);
+    });
+  });
+
+  describe('extractFile', () => {
+    let tempFile;
+
+    afterEach(async () => {
+      if (tempFile) {
+        await fs.rm(tempFile, { force: true });
+        tempFile = null;
+      }
+    });
+
+    test('should extract plain text files', async () => {
+      tempFile = path.join(os.tmpdir(), `extraction-${Date.now()}.txt`);
+      await fs.writeFile(tempFile, 'Lecture notes\r\n\r\nDNA   replication');
+
+      const result = await ExtractionService.extractFile(tempFile, 'text');
+
+      expect(result).toEqual({
+        text: 'Lecture notes\n\nDNA replication',
+        pageCount: 0,
+        sectionCount: 0,
+        wordCount: 4
+      });
+    });
+
+    test('should reject unsupported types', async () => {
+      tempFile = path.join(os.tmpdir(), `extraction-${Date.now()}.bin`);
+      await fs.writeFile(tempFile, 'data');
+
+      await expect(ExtractionService.extractFile(tempFile, 'url'))
+        .rejects.toThrow('Text extraction is not supported for url files');
+    });
+  });
+});
\ No newline at end of file
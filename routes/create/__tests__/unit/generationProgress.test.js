@@ -0,0 +1,75 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { GenerationProgress } from '../../services/generationProgress.js';
+import { GENERATION_EVENTS, GENERATION_RUN_STATUS } from '../../config/constants.js';
+
+describe('GenerationProgress', () => {
+  const quizId = '507f1f77bcf86cd799439011';
+  let progress;
+
+  beforeEach(() => {
+    progress = new GenerationProgress({ finishedTtl: 20 });
+  });
+
+  afterEach(() => {
+    progress.clear();
+  });
+
+  test('should count questions against the plan total', () => {
+    const events = [];
+    progress.queue(quizId, { runId: 'run-1', planId: 'plan-1', total: 3 });
+    progress.subscribe(quizId, (event, data) => events.push({ event, data }));
+
+    progress.report(quizId, GENERATION_EVENTS.STARTED, { total: 3 });
+    progress.report(quizId, GENERATION_EVENTS.GENERATED, { question: { questionText: 'Q1' } });
+    progress.report(quizId, GENERATION_EVENTS.FAILED, { type: 'cloze', error: 'Invalid JSON' });
+    progress.report(quizId, GENERATION_EVENTS.GENERATED, { question: { questionText: 'Q3' } });
+
+    expect(events.map(({ event }) => event)).toEqual([
+      GENERATION_EVENTS.STARTED,
+      GENERATION_EVENTS.GENERATED,
+      GENERATION_EVENTS.FAILED,
+      GENERATION_EVENTS.GENERATED
+    ]);
+    expect(events[1].data.question.questionText).toBe('Q1');
+    expect(events[3].data.progress).toMatchObject({
+      runId: 'run-1',
+      status: GENERATION_RUN_STATUS.RUNNING,
+      total: 3,
+      completed: 3,
+      generated: 2,
+      failed: 1
+    });
+  });
+
+  test('should count a resumed run from the questions it already has', () => {
+    progress.queue(quizId, { runId: 'run-1', total: 4, generated: 3 });
+    progress.report(quizId, GENERATION_EVENTS.STARTED, { total: 4, generated: 3 });
+    progress.report(quizId, GENERATION_EVENTS.GENERATED, {});
+    progress.report(quizId, GENERATION_EVENTS.DONE, { status: GENERATION_RUN_STATUS.COMPLETED });
+
+    expect(progress.get(quizId)).toMatchObject({ runId: 'run-1', total: 4, completed: 4, generated: 4 });
+  });
+
+  test('should only notify subscribers of the same quiz', () => {
+    const events = [];
+    progress.subscribe('507f1f77bcf86cd799439012', event => events.push(event));
+    const unsubscribe = progress.subscribe(quizId, event => events.push(event));
+
+    progress.report(quizId, GENERATION_EVENTS.STARTED, { total: 1 });
+    unsubscribe();
+    progress.report(quizId, GENERATION_EVENTS.GENERATED, {});
+
+    expect(events).toEqual([GENERATION_EVENTS.STARTED]);
+  });
+
+  test('should keep a finished run for late subscribers, then forget it', async () => {
+    progress.queue(quizId, { runId: 'run-1', total: 2 });
+    progress.report(quizId, GENERATION_EVENTS.DONE, { error: 'Quiz not found' });
+
+    expect(progress.isFinished(quizId)).toBe(true);
+    expect(progress.get(quizId).status).toBe(GENERATION_RUN_STATUS.FAILED);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    expect(progress.get(quizId)).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { describe, test, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import GenerationRun from '../../models/GenerationRun.js';
+import { QUESTION_TYPES, DIFFICULTY_LEVELS, GENERATION_RUN_STATUS, GENERATION_SLOT_STATUS } from '../../config/constants.js';
+
+describe('GenerationRun', () => {
+  const objectives = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  const plan = {
+    _id: new mongoose.Types.ObjectId(),
+    quiz: new mongoose.Types.ObjectId(),
+    breakdown: [
+      {
+        learningObjective: { _id: objectives[0], text: 'Explain osmosis' },
+        questionTypes: [
+          { type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 2 },
+          { type: QUESTION_TYPES.TRUE_FALSE, count: 0 }
+        ]
+      },
+      {
+        learningObjective: objectives[1],
+        questionTypes: [{ type: QUESTION_TYPES.CLOZE, count: 1 }]
+      }
+    ]
+  };
+
+  test('should create one slot per planned question', () => {
+    const run = GenerationRun.fromPlan(plan, new mongoose.Types.ObjectId());
+
+    expect(run.slots.map(slot => [slot.learningObjective.toString(), slot.type, slot.index])).toEqual([
+      [objectives[0].toString(), QUESTION_TYPES.MULTIPLE_CHOICE, 0],
+      [objectives[0].toString(), QUESTION_TYPES.MULTIPLE_CHOICE, 1],
+      [objectives[1].toString(), QUESTION_TYPES.CLOZE, 0]
+    ]);
+    expect(run.status).toBe(GENERATION_RUN_STATUS.QUEUED);
+    expect(run.counts).toEqual({ total: 3, pending: 3, generated: 0, failed: 0 });
+  });
+
+  test('should only be resumable when stopped with questions missing', () => {
+    const run = GenerationRun.fromPlan(plan, new mongoose.Types.ObjectId());
+    run.slots[0].status = GENERATION_SLOT_STATUS.GENERATED;
+    run.slots[1].status = GENERATION_SLOT_STATUS.FAILED;
+
+    run.status = GENERATION_RUN_STATUS.RUNNING;
+    expect(run.isActive).toBe(true);
+    expect(run.isResumable).toBe(false);
+
+    run.status = GENERATION_RUN_STATUS.FAILED;
+    expect(run.isResumable).toBe(true);
+
+    run.slots.forEach(slot => {
+      slot.status = GENERATION_SLOT_STATUS.GENERATED;
+    });
+    expect(run.isResumable).toBe(false);
+  });
+
+  test('should interleave each objective\'s difficulty targets across its slots', () => {
+    const targeted = {
+      ...plan,
+      breakdown: [
+        {
+          ...plan.breakdown[0],
+          questionTypes: [
+            { type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 2 },
+            { type: QUESTION_TYPES.TRUE_FALSE, count: 2 }
+          ],
+          difficultyTargets: { easy: 2, moderate: 0, hard: 2 }
+        },
+        plan.breakdown[1]
+      ]
+    };
+
+    const run = GenerationRun.fromPlan(targeted, new mongoose.Types.ObjectId(), DIFFICULTY_LEVELS.HARD);
+
+    expect(run.slots.map(slot => slot.difficulty)).toEqual([
+      DIFFICULTY_LEVELS.EASY,
+      DIFFICULTY_LEVELS.HARD,
+      DIFFICULTY_LEVELS.EASY,
+      DIFFICULTY_LEVELS.HARD,
+      DIFFICULTY_LEVELS.HARD
+    ]);
+  });
+});
\ No newline at end of file
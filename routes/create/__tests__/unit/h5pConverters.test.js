@@ -0,0 +1,151 @@
+import { describe, test, expect } from '@jest/globals';
+import { convertQuestion, escapeHtml, H5P_LIBRARIES, H5P_CONVERTERS } from '../../services/h5pConverters.js';
+import { QUESTION_TYPES } from '../../config/constants.js';
+
+describe('H5P converters', () => {
+  test('should provide a converter for every question type', () => {
+    expect(Object.keys(H5P_CONVERTERS).sort()).toEqual(Object.values(QUESTION_TYPES).sort());
+  });
+
+  test('should convert multiple-choice questions to H5P.MultiChoice', () => {
+    const converted = convertQuestion({
+      type: QUESTION_TYPES.MULTIPLE_CHOICE,
+      questionText: 'Which organelle produces ATP?',
+      content: {
+        options: [
+          { text: 'Mitochondria', isCorrect: true },
+          { text: 'Nucleus', isCorrect: false }
+        ]
+      }
+    });
+
+    expect(converted.library).toBe(H5P_LIBRARIES.MULTI_CHOICE);
+    expect(converted.params.question).toBe('<p>Which organelle produces ATP?</p>');
+    expect(converted.params.answers.map(answer => answer.correct)).toEqual([true, false]);
+  });
+
+  test('should convert true-false questions to H5P.TrueFalse', () => {
+    const converted = convertQuestion({
+      type: QUESTION_TYPES.TRUE_FALSE,
+      questionText: 'The sun is a planet.',
+      correctAnswer: 'False'
+    });
+
+    expect(converted.library).toBe(H5P_LIBRARIES.TRUE_FALSE);
+    expect(converted.params.correct).toBe('false');
+  });
+
+  test('should convert cloze questions without choices to H5P.Blanks', () => {
+    const converted = convertQuestion({
+      type: QUESTION_TYPES.CLOZE,
+      questionText: 'Fill in the blanks.',
+      content: {
+        textWithBlanks: 'Water boils at $ degrees and freezes at $ degrees.',
+        correctAnswers: ['100', '0']
+      }
+    });
+
+    expect(converted.library).toBe(H5P_LIBRARIES.BLANKS);
+    expect(converted.params.questions).toEqual(['<p>Water boils at *100* degrees and freezes at *0* degrees.</p>']);
+  });
+
+  test('should convert cloze questions with choices to H5P.DragText with distractors', () => {
+    const converted = convertQuestion({
+      type: QUESTION_TYPES.CLOZE,
+      questionText: 'Complete the sentence.',
+      content: {
+        textWithBlanks: 'Plants make food by $.',
+        correctAnswers: ['photosynthesis'],
+        blankOptions: [['photosynthesis', 'respiration', 'digestion']]
+      }
+    });
+
+    expect(converted.library).toBe(H5P_LIBRARIES.DRAG_TEXT);
+    expect(converted.params.textField).toBe('Plants make food by *photosynthesis*.');
+    expect(converted.params.distractors).toBe('*respiration* *digestion*');
+  });
+
+  test('should reject cloze questions whose answers do not match the blanks', () => {
+    expect(() => convertQuestion({
+      type: QUESTION_TYPES.CLOZE,
+      questionText: 'Broken',
+      content: { textWithBlanks: 'Only $ blank', correctAnswers: ['a', 'b'] }
+    })).toThrow('Cloze question has 1 blanks but 2 correct answers');
+  });
+
+  test('should convert matching questions to H5P.DragQuestion', () => {
+    const converted = convertQuestion({
+      type: QUESTION_TYPES.MATCHING,
+      questionText: 'Match each organelle to its function.',
+      content: {
+        leftItems: ['Mitochondria', 'Ribosome'],
+        rightItems: ['Protein synthesis', 'Energy production'],
+        matchingPairs: [['Mitochondria', 'Energy production'], ['Ribosome', 'Protein synthesis']]
+      }
+    });
+
+    const { elements, dropZones } = converted.params.question.task;
+    expect(converted.library).toBe(H5P_LIBRARIES.DRAG_QUESTION);
+    expect(converted.dependencies).toContain(H5P_LIBRARIES.ADVANCED_TEXT);
+    expect(elements).toHaveLength(2);
+    expect(dropZones.map(zone => zone.label)).toEqual(['<div>Mitochondria</div>', '<div>Ribosome</div>']);
+    expect(dropZones.map(zone => zone.correctElements)).toEqual([['1'], ['0']]);
+  });
+
+  test('should convert ordering questions to H5P.SortParagraphs in the correct order', () => {
+    const converted = convertQuestion({
+      type: QUESTION_TYPES.ORDERING,
+      questionText: 'Order the stages of mitosis.',
+      content: {
+        items: ['Metaphase', 'Prophase', 'Telophase', 'Anaphase'],
+        correctOrder: ['Prophase', 'Metaphase', 'Anaphase', 'Telophase']
+      }
+    });
+
+    expect(converted.library).toBe(H5P_LIBRARIES.SORT_PARAGRAPHS);
+    expect(converted.params.paragraphs).toEqual([
+      '<p>Prophase</p>', '<p>Metaphase</p>', '<p>Anaphase</p>', '<p>Telophase</p>'
+    ]);
+  });
+
+  test('should convert flashcards to H5P.Dialogcards', () => {
+    const converted = convertQuestion({
+      type: QUESTION_TYPES.FLASHCARD,
+      questionText: 'Review this concept',
+      content: { front: 'What is ATP?', back: 'The energy currency of the cell' }
+    });
+
+    expect(converted.library).toBe(H5P_LIBRARIES.DIALOGCARDS);
+    expect(converted.params.dialogs).toEqual([
+      { text: '<p>What is ATP?</p>', answer: '<p>The energy currency of the cell</p>', tips: {} }
+    ]);
+  });
+
+  test('should convert summary questions to H5P.Essay with the model answer', () => {
+    const converted = convertQuestion({
+      type: QUESTION_TYPES.SUMMARY,
+      questionText: 'Summarize cellular respiration.',
+      correctAnswer: 'Glucose is broken down to release energy as ATP.'
+    });
+
+    expect(converted.library).toBe(H5P_LIBRARIES.ESSAY);
+    expect(converted.params.solution.sample).toBe('Glucose is broken down to release energy as ATP.');
+    expect(converted.params.solution.introduction).toBe('<p>A complete summary would cover:</p>');
+  });
+
+  test('should convert discussion questions to unscored H5P.Essay', () => {
+    const converted = convertQuestion({
+      type: QUESTION_TYPES.DISCUSSION,
+      questionText: 'Discuss the ethics of gene editing.',
+      explanation: 'Consider consent and equity.'
+    });
+
+    expect(converted.library).toBe(H5P_LIBRARIES.ESSAY);
+    expect(converted.params.behaviour.ignoreScoring).toBe(true);
+    expect(converted.params.solution.sample).toBe('Consider consent and equity.');
+  });
+
+  test('should escape HTML in question text', () => {
+    expect(escapeHtml('a < b & "c"')).toBe('a &lt; b &amp; &quot;c&quot;');
+  });
+});
\ No newline at end of file
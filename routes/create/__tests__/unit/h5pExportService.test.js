@@ -0,0 +1,103 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import H5PExportService from '../../services/h5pExportService.js';
+import { H5P_LIBRARIES, libraryString } from '../../services/h5pConverters.js';
+import { QUESTION_TYPES } from '../../config/constants.js';
+
+const quiz = {
+  name: 'Cell Biology <Week 1>',
+  questions: [
+    {
+      type: QUESTION_TYPES.MULTIPLE_CHOICE,
+      questionText: 'Which organelle produces ATP?',
+      content: {
+        options: [
+          { text: 'Mitochondria', isCorrect: true },
+          { text: 'Ribosome', isCorrect: false }
+        ]
+      },
+      correctAnswer: 'Mitochondria',
+      explanation: 'Mitochondria run cellular respiration.'
+    },
+    {
+      type: QUESTION_TYPES.TRUE_FALSE,
+      questionText: 'Plant cells have a cell wall.',
+      correctAnswer: 'True'
+    }
+  ]
+};
+
+describe('H5PExportService', () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'h5p-export-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should write a ZIP archive with h5p.json and content/content.json', async () => {
+    const filePath = path.join(tempDir, 'quiz.h5p');
+    const size = await H5PExportService.writePackage(quiz, filePath);
+
+    const buffer = await fs.readFile(filePath);
+    expect(buffer.length).toBe(size);
+    expect(buffer.subarray(0, 2).toString()).toBe('PK');
+
+    const zip = await JSZip.loadAsync(buffer);
+    expect(zip.file('h5p.json')).toBeTruthy();
+    expect(zip.file('content/content.json')).toBeTruthy();
+  });
+
+  test('should declare QuestionSet and every question library as dependencies', async () => {
+    const zip = H5PExportService.buildPackage(quiz);
+    const manifest = JSON.parse(await zip.file('h5p.json').async('string'));
+
+    expect(manifest.mainLibrary).toBe('H5P.QuestionSet');
+    expect(manifest.title).toBe(quiz.name);
+    expect(manifest.preloadedDependencies.map(dep => dep.machineName)).toEqual([
+      'H5P.QuestionSet', 'H5P.MultiChoice', 'H5P.TrueFalse'
+    ]);
+    expect(manifest.preloadedDependencies[0]).toEqual({ machineName: 'H5P.QuestionSet', majorVersion: '1', minorVersion: '20' });
+  });
+
+  test('should build QuestionSet content with one sub-content entry per question', async () => {
+    const zip = H5PExportService.buildPackage(quiz);
+    const content = JSON.parse(await zip.file('content/content.json').async('string'));
+
+    expect(content.questions).toHaveLength(2);
+    expect(content.questions[0].library).toBe(libraryString(H5P_LIBRARIES.MULTI_CHOICE));
+    expect(content.questions[0].params.answers[0]).toMatchObject({ text: '<div>Mitochondria</div>', correct: true });
+    expect(content.questions[1].params.correct).toBe('true');
+    expect(content.questions[0].subContentId).not.toBe(content.questions[1].subContentId);
+    expect(content.introPage.introduction).toBe('<p>Cell Biology &lt;Week 1&gt;</p>');
+  });
+
+  test('should use H5P.Column when a question type does not fit in a QuestionSet', async () => {
+    const mixedQuiz = {
+      name: 'Mixed',
+      questions: [
+        ...quiz.questions,
+        {
+          type: QUESTION_TYPES.FLASHCARD,
+          questionText: 'Review this concept',
+          content: { front: 'ATP', back: 'Adenosine triphosphate' }
+        }
+      ]
+    };
+
+    const zip = H5PExportService.buildPackage(mixedQuiz);
+    const manifest = JSON.parse(await zip.file('h5p.json').async('string'));
+    const content = JSON.parse(await zip.file('content/content.json').async('string'));
+
+    expect(manifest.mainLibrary).toBe('H5P.Column');
+    expect(manifest.preloadedDependencies.map(dep => dep.machineName)).toContain('H5P.Dialogcards');
+    expect(content.content).toHaveLength(3);
+    expect(content.content[2].content.library).toBe(libraryString(H5P_LIBRARIES.DIALOGCARDS));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { once } from 'events';
+import { JobQueue, MemoryJobStore } from '../../services/jobQueue.js';
+
+describe('JobQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new JobQueue(new MemoryJobStore(), { concurrency: 2, maxAttempts: 3, retryDelay: 5 });
+  });
+
+  afterEach(async () => {
+    await queue.stop(0);
+  });
+
+  test('should run a job and store its result', async () => {
+    queue.register('echo', async (data) => ({ doubled: data.value * 2 }));
+
+    const done = once(queue, 'completed');
+    const job = await queue.enqueue('echo', { value: 21 }, { userId: 'user1' });
+    expect(job.status).toBe('queued');
+
+    const [completed] = await done;
+    expect(completed.id).toBe(job.id);
+
+    const stored = await queue.getJob(job.id);
+    expect(stored.status).toBe('completed');
+    expect(stored.result).toEqual({ doubled: 42 });
+    expect(stored.attempts).toBe(1);
+    expect(stored.userId).toBe('user1');
+  });
+
+  test('should retry failed jobs until they succeed', async () => {
+    let calls = 0;
+    queue.register('flaky', async () => {
+      calls++;
+      if (calls < 3) throw new Error('Temporary failure');
+      return 'ok';
+    });
+
+    const done = once(queue, 'completed');
+    const job = await queue.enqueue('flaky');
+    await done;
+
+    const stored = await queue.getJob(job.id);
+    expect(calls).toBe(3);
+    expect(stored.attempts).toBe(3);
+    expect(stored.status).toBe('completed');
+    expect(stored.error).toBeNull();
+  });
+
+  test('should mark job as failed after max attempts', async () => {
+    queue.register('broken', async () => {
+      throw new Error('Always fails');
+    }, { maxAttempts: 2 });
+
+    const done = once(queue, 'failed');
+    const job = await queue.enqueue('broken');
+    await done;
+
+    const stored = await queue.getJob(job.id);
+    expect(stored.status).toBe('failed');
+    expect(stored.attempts).toBe(2);
+    expect(stored.error.message).toBe('Always fails');
+  });
+
+  test('should respect per-type concurrency limits', async () => {
+    let active = 0;
+    let maxActive = 0;
+
+    queue.register('slow', async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+    }, { concurrency: 1 });
+
+    const done = new Promise(resolve => {
+      let completed = 0;
+      queue.on('completed', () => {
+        if (++completed === 3) resolve();
+      });
+    });
+
+    await Promise.all([queue.enqueue('slow'), queue.enqueue('slow'), queue.enqueue('slow')]);
+    await done;
+
+    expect(maxActive).toBe(1);
+  });
+
+  test('should reject unknown job types', async () => {
+    await expect(queue.enqueue('unknown')).rejects.toThrow('No handler registered for job type: unknown');
+  });
+
+  test('should recover unfinished jobs from the store', async () => {
+    const store = new MemoryJobStore();
+    await store.save({ id: 'abc', type: 'echo', status: 'running', data: {}, attempts: 1, maxAttempts: 3 });
+
+    const recovering = new JobQueue(store, { retryDelay: 5 });
+    recovering.register('echo', async () => 'done');
+
+    const done = once(recovering, 'completed');
+    const recovered = await recovering.recover();
+    expect(recovered).toBe(1);
+
+    await done;
+    expect((await store.get('abc')).status).toBe('completed');
+  });
+
+  test('should wait for running jobs when stopped', async () => {
+    let finish;
+    queue.register('slow', () => new Promise(resolve => {
+      finish = resolve;
+    }));
+
+    const started = once(queue, 'started');
+    const job = await queue.enqueue('slow');
+    await started;
+
+    let stopped = false;
+    const stopping = queue.stop().then(drained => {
+      stopped = true;
+      return drained;
+    });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(stopped).toBe(false);
+
+    finish('done');
+    expect(await stopping).toBe(true);
+    expect((await queue.getJob(job.id)).status).toBe('completed');
+  });
+
+  test('should give up waiting for running jobs after the timeout', async () => {
+    queue.register('stuck', () => new Promise(() => {}));
+
+    const started = once(queue, 'started');
+    await queue.enqueue('stuck');
+    await started;
+
+    expect(await queue.stop(10)).toBe(false);
+  });
+});
\ No newline at end of file
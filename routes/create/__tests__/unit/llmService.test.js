@@ -0,0 +1,78 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import LLMService from '../../services/llmService.js';
+import { MockProvider, OllamaProvider, OpenAICompatibleProvider } from '../../services/llmProviders.js';
+import QuestionGenerationService from '../../services/questionGenerationService.js';
+import { QUESTION_TYPES } from '../../config/constants.js';
+
+describe('LLMService', () => {
+  beforeEach(() => {
+    LLMService.setProvider(new MockProvider());
+  });
+
+  afterEach(() => {
+    LLMService.setProvider(null);
+  });
+
+  test('should create providers by name', () => {
+    expect(LLMService.createProvider('ollama')).toBeInstanceOf(OllamaProvider);
+    expect(LLMService.createProvider('openai')).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(LLMService.createProvider('mock')).toBeInstanceOf(MockProvider);
+    expect(() => LLMService.createProvider('unknown')).toThrow('Unknown LLM provider: unknown');
+  });
+
+  test('should return deterministic responses from the mock provider', async () => {
+    const request = { prompt: 'Say hello', task: 'learning-objectives' };
+    const first = await LLMService.generateJSON(request);
+    const second = await LLMService.generateJSON(request);
+
+    expect(first.text).toBe(second.text);
+    expect(first.model).toBe('mock-llm');
+    expect(first.data.objectives.length).toBeGreaterThan(0);
+    expect(first.usage.totalTokens).toBe(first.usage.promptTokens + first.usage.completionTokens);
+  });
+
+  test('should parse JSON wrapped in code fences or prose', () => {
+    expect(LLMService.parseJSON('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(LLMService.parseJSON('Here you go: {"b": [2]} Thanks!')).toEqual({ b: [2] });
+    expect(() => LLMService.parseJSON('not json')).toThrow('LLM response was not valid JSON');
+  });
+
+  test('should build generation metadata from a result', async () => {
+    const result = await LLMService.generate({ prompt: 'Prompt text' });
+    const metadata = LLMService.buildMetadata(result, 'Prompt text');
+
+    expect(metadata.llmModel).toBe('mock-llm');
+    expect(metadata.generationPrompt).toBe('Prompt text');
+    expect(metadata.tokenUsage.totalTokens).toBeGreaterThan(0);
+    expect(typeof metadata.processingTime).toBe('number');
+  });
+
+  test('should generate structured content for every question type', async () => {
+    for (const type of Object.values(QUESTION_TYPES)) {
+      const generated = await QuestionGenerationService.generateQuestionContent(type, 'Describe photosynthesis', 'moderate');
+
+      expect(generated.questionText).toBeTruthy();
+      expect(generated.metadata.llmModel).toBe('mock-llm');
+      expect(generated.metadata.generationPrompt).toContain('Describe photosynthesis');
+    }
+  });
+
+  test('should map multiple choice and cloze responses onto the question schema', async () => {
+    const mc = await QuestionGenerationService.generateQuestionContent(QUESTION_TYPES.MULTIPLE_CHOICE, 'Objective', 'easy');
+    expect(mc.content.options).toHaveLength(4);
+    expect(mc.content.options.filter(option => option.isCorrect)).toHaveLength(1);
+    expect(mc.correctAnswer).toBe(mc.content.options.find(option => option.isCorrect).text);
+
+    const cloze = await QuestionGenerationService.generateQuestionContent(QUESTION_TYPES.CLOZE, 'Objective', 'easy');
+    const blanks = cloze.content.textWithBlanks.split('$').length - 1;
+    expect(cloze.content.correctAnswers).toHaveLength(blanks);
+  });
+
+  test('should reject responses without question text', async () => {
+    LLMService.getProvider().setResponder('question', () => ({ options: [] }));
+
+    await expect(
+      QuestionGenerationService.generateQuestionContent(QUESTION_TYPES.TRUE_FALSE, 'Objective', 'easy')
+    ).rejects.toThrow('missing questionText');
+  });
+});
\ No newline at end of file
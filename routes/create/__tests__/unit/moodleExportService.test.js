@@ -0,0 +1,122 @@
+import { describe, test, expect } from '@jest/globals';
+import MoodleExportService from '../../services/moodleExportService.js';
+import { escapeGift } from '../../services/giftBuilder.js';
+import { QUESTION_TYPES, MOODLE_FORMATS } from '../../config/constants.js';
+
+const questions = [
+  {
+    _id: 'q1',
+    type: QUESTION_TYPES.MULTIPLE_CHOICE,
+    questionText: 'Which organelle produces ATP?',
+    content: {
+      options: [
+        { text: 'Mitochondria', isCorrect: true },
+        { text: 'Ribosome', isCorrect: false }
+      ]
+    },
+    explanation: 'Mitochondria run cellular respiration.'
+  },
+  {
+    _id: 'q2',
+    type: QUESTION_TYPES.TRUE_FALSE,
+    questionText: 'Plant cells have a cell wall.',
+    correctAnswer: 'True'
+  },
+  {
+    _id: 'q3',
+    type: QUESTION_TYPES.MATCHING,
+    questionText: 'Match each organelle to its function.',
+    content: {
+      leftItems: ['Mitochondria', 'Ribosome', 'Nucleus'],
+      rightItems: ['Protein synthesis', 'Energy production', 'Genetic storage', 'Photosynthesis'],
+      matchingPairs: [
+        ['Mitochondria', 'Energy production'],
+        ['Ribosome', 'Protein synthesis'],
+        ['Nucleus', 'Genetic storage']
+      ]
+    }
+  },
+  {
+    _id: 'q4',
+    type: QUESTION_TYPES.CLOZE,
+    questionText: 'Fill in the blanks.',
+    content: {
+      textWithBlanks: 'Water boils at $ degrees and freezes at $ degrees.',
+      correctAnswers: ['100', '0'],
+      blankOptions: [[], ['0', '32']]
+    }
+  },
+  {
+    _id: 'q5',
+    type: QUESTION_TYPES.DISCUSSION,
+    questionText: 'Discuss the ethics of gene editing.',
+    correctAnswer: 'Consider consent and equity.'
+  }
+];
+
+const quiz = { _id: 'quiz1', name: 'Cell Biology', questions };
+
+describe('MoodleExportService', () => {
+  describe('Moodle XML', () => {
+    const { content } = MoodleExportService.build(quiz, MOODLE_FORMATS.MOODLE_XML);
+
+    test('should put the questions in a category named after the quiz', () => {
+      expect(content).toContain('<category><text>$course$/top/Cell Biology</text></category>');
+      expect(content.match(/<question type="/g)).toHaveLength(questions.length + 1);
+    });
+
+    test('should map question types with correct answers and general feedback', () => {
+      expect(content).toContain('<question type="multichoice">');
+      expect(content).toContain('<answer fraction="100" format="html"><text><![CDATA[<p>Mitochondria</p>]]></text></answer>');
+      expect(content).toContain('<generalfeedback format="html"><text><![CDATA[<p>Mitochondria run cellular respiration.</p>]]></text></generalfeedback>');
+      expect(content).toContain('<answer fraction="100" format="moodle_auto_format"><text>true</text></answer>');
+      expect(content).toContain('<answer><text>Energy production</text></answer>');
+      expect(content).toContain('<subquestion format="html"><text></text><answer><text>Photosynthesis</text></answer></subquestion>');
+      expect(content).toContain('<question type="essay">');
+      expect(content).toContain('<graderinfo format="html"><text><![CDATA[<p>Consider consent and equity.</p>]]></text></graderinfo>');
+    });
+
+    test('should export cloze questions as embedded answers', () => {
+      expect(content).toContain('<question type="cloze">');
+      expect(content).toContain('Water boils at {1:SHORTANSWER:=100} degrees and freezes at {1:MULTICHOICE:=0~32} degrees.');
+    });
+  });
+
+  describe('GIFT', () => {
+    test('should write each question type in GIFT syntax', () => {
+      const { content, skipped } = MoodleExportService.build({ ...quiz, questions: questions.slice(0, 3) }, MOODLE_FORMATS.GIFT);
+
+      expect(skipped).toEqual([]);
+      expect(content).toContain('$CATEGORY: $course$/top/Cell Biology');
+      expect(content).toContain('::Question 1:: Which organelle produces ATP? {\n  =Mitochondria\n  ~Ribosome ####Mitochondria run cellular respiration.\n}');
+      expect(content).toContain('::Question 2:: Plant cells have a cell wall. {TRUE}');
+      expect(content).toContain('=Ribosome -> Protein synthesis');
+    });
+
+    test('should skip cloze questions with several blanks and report them', () => {
+      const { content, skipped } = MoodleExportService.build(quiz, MOODLE_FORMATS.GIFT);
+
+      expect(skipped).toEqual([{ questionId: 'q4', reason: 'Question q4 has 2 blanks; GIFT supports one' }]);
+      expect(content).toContain('// Question 4 skipped');
+      expect(content).toContain('::Question 5:: Discuss the ethics of gene editing. {####Model answer\\: Consider consent and equity.}');
+    });
+
+    test('should write single-blank cloze questions as missing-word questions', () => {
+      const { content } = MoodleExportService.build({
+        ...quiz,
+        questions: [{
+          _id: 'q6',
+          type: QUESTION_TYPES.CLOZE,
+          questionText: 'Complete the sentence.',
+          content: { textWithBlanks: 'Plants make food by $.', correctAnswers: ['photosynthesis'], blankOptions: [['photosynthesis', 'respiration']] }
+        }]
+      }, MOODLE_FORMATS.GIFT);
+
+      expect(content).toContain('Complete the sentence.\\nPlants make food by {=photosynthesis ~respiration}.');
+    });
+
+    test('should escape GIFT control characters', () => {
+      expect(escapeGift('a=b {c} ~d #e: f\\g')).toBe('a\\=b \\{c\\} \\~d \\#e\\: f\\\\g');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import ObjectiveExtractionService from '../../services/objectiveExtractionService.js';
+import LLMService from '../../services/llmService.js';
+import { MockProvider } from '../../services/llmProviders.js';
+
+describe('ObjectiveExtractionService', () => {
+  const syllabus = [
+    'CHEM 121 - Course Syllabus',
+    'Office hours: Monday 2-4pm',
+    '',
+    'By the end of this course, students will be able to:',
+    '1. Explain how electron configuration',
+    '   determines periodic trends;',
+    '2. Calculate molar mass and reaction yields',
+    '   using stoichiometry; and',
+    '3) Design a simple titration experiment.',
+    '',
+    'Assessment',
+    '- Midterm exam 30%',
+    '- Final exam 40%',
+    '',
+    'Students will be able to evaluate the safety of common lab procedures. Attendance is mandatory.',
+    '',
+    'Learning Objectives:',
+    '• identify common laboratory glassware',
+    '• Calculate the molar mass and reaction yields using stoichiometry'
+  ].join('\n');
+
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+    LLMService.setProvider(provider);
+  });
+
+  afterEach(() => {
+    LLMService.setProvider(null);
+  });
+
+  test('should extract outcomes from lists, preambles and wrapped lines', () => {
+    expect(ObjectiveExtractionService.parseObjectives(syllabus)).toEqual([
+      'Explain how electron configuration determines periodic trends',
+      'Calculate molar mass and reaction yields using stoichiometry',
+      'Design a simple titration experiment',
+      'Evaluate the safety of common lab procedures',
+      'Identify common laboratory glassware'
+    ]);
+  });
+
+  test('should keep list items outside an outcomes section only when they start with an action verb', () => {
+    const text = 'Week 1\n- Read chapter 2\n- Compare ionic and covalent bonding';
+
+    expect(ObjectiveExtractionService.parseObjectives(text)).toEqual(['Compare ionic and covalent bonding']);
+  });
+
+  test('should mark candidates the quiz already has', async () => {
+    const existing = [{ _id: 'objective-1', text: 'Design a simple titration experiment.' }];
+
+    const { candidates, metadata } = await ObjectiveExtractionService.preview(syllabus, existing);
+
+    expect(candidates.find(candidate => candidate.text.startsWith('Design')).duplicateOf).toEqual({
+      id: 'objective-1',
+      text: 'Design a simple titration experiment.'
+    });
+    expect(metadata).toMatchObject({ source: 'model', candidateCount: 5, duplicateCount: 1, existingCount: 1 });
+  });
+
+  test('should fall back to the parser when the model is unavailable', async () => {
+    provider.setResponder('objective-extraction', () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    const { objectives, source } = await ObjectiveExtractionService.extractObjectives(syllabus);
+
+    expect(source).toBe('parser');
+    expect(objectives).toHaveLength(5);
+  });
+});
\ No newline at end of file
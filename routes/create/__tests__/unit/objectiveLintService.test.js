@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import ObjectiveLintService from '../../services/objectiveLintService.js';
+import LLMService from '../../services/llmService.js';
+import { MockProvider } from '../../services/llmProviders.js';
+import { OBJECTIVE_LINT_RULES, LINT_SEVERITIES } from '../../config/constants.js';
+
+const rulesOf = issues => issues.map(issue => issue.rule);
+
+describe('ObjectiveLintService', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+    LLMService.setProvider(provider);
+  });
+
+  afterEach(() => {
+    LLMService.setProvider(null);
+  });
+
+  test('should flag vague verbs and suggest measurable rewrites', () => {
+    const issues = ObjectiveLintService.lintText('Students will understand the fundamental concepts');
+
+    expect(issues[0]).toMatchObject({
+      rule: OBJECTIVE_LINT_RULES.VAGUE_VERB,
+      severity: LINT_SEVERITIES.WARNING,
+      rewrites: ['Explain the fundamental concepts', 'Describe the fundamental concepts', 'Summarize the fundamental concepts']
+    });
+    expect(rulesOf(issues)).toEqual([
+      OBJECTIVE_LINT_RULES.VAGUE_VERB,
+      OBJECTIVE_LINT_RULES.MISSING_CONDITION,
+      OBJECTIVE_LINT_RULES.MISSING_CRITERIA
+    ]);
+  });
+
+  test('should split compound objectives but not lists of topics', () => {
+    expect(ObjectiveLintService.lintText('Identify and describe the stages of mitosis')[0]).toMatchObject({
+      rule: OBJECTIVE_LINT_RULES.COMPOUND,
+      rewrites: ['Identify the stages of mitosis', 'Describe the stages of mitosis']
+    });
+    expect(rulesOf(ObjectiveLintService.lintText('Compare ionic and covalent bonding'))).not.toContain(OBJECTIVE_LINT_RULES.COMPOUND);
+  });
+
+  test('should accept objectives that state a condition and criteria', () => {
+    expect(ObjectiveLintService.lintText('Given a titration curve, calculate the concentration of an unknown acid with 95% accuracy')).toEqual([]);
+  });
+
+  test('should flag near-duplicates within the same quiz', async () => {
+    const objectives = [
+      { _id: 'objective-1', quiz: 'quiz-1', text: 'Using a periodic table, explain periodic trends in atomic radius correctly' },
+      { _id: 'objective-2', quiz: 'quiz-1', text: 'Using the periodic table, explain the periodic trends in atomic radius' },
+      { _id: 'objective-3', quiz: 'quiz-2', text: 'Using a periodic table, explain periodic trends in atomic radius correctly' }
+    ];
+
+    const [first, , third] = await ObjectiveLintService.lintObjectives(objectives);
+
+    expect(first.issues).toEqual([expect.objectContaining({
+      rule: OBJECTIVE_LINT_RULES.NEAR_DUPLICATE,
+      relatedObjective: 'objective-2'
+    })]);
+    expect(third.issues).toEqual([]);
+  });
+
+  test('should use model rewrites and keep rule rewrites when the model is unavailable', async () => {
+    provider.setResponder('objective-lint', () => ({
+      objectives: [{ objective: 1, issues: [{ rule: 'vague-verb', rewrites: ['Explain how the main concepts of the unit relate'] }] }]
+    }));
+
+    const [modelResult] = await ObjectiveLintService.lintObjectives([{ text: 'Understand the main concepts' }]);
+    expect(modelResult.source).toBe('model');
+    expect(modelResult.issues[0].rewrites).toEqual(['Explain how the main concepts of the unit relate']);
+
+    provider.setResponder('objective-lint', () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    const [ruleResult] = await ObjectiveLintService.lintObjectives([{ text: 'Understand the main concepts' }]);
+    expect(ruleResult.source).toBe('rules');
+    expect(ruleResult.issues[0].rewrites[0]).toBe('Explain the main concepts');
+  });
+
+  test('should not call the model when asked for rule results only', async () => {
+    const responder = jest.fn(() => ({ objectives: [] }));
+    provider.setResponder('objective-lint', responder);
+
+    const [result] = await ObjectiveLintService.lintObjectives([{ text: 'Understand the main concepts' }], undefined, { useModel: false });
+
+    expect(responder).not.toHaveBeenCalled();
+    expect(result.source).toBe('rules');
+    expect(result.issues[0].rewrites[0]).toBe('Explain the main concepts');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,60 @@
+import { describe, test, expect } from '@jest/globals';
+import { buildOpenApiSpec, toOpenApiPath, ROUTE_DOCS } from '../../openApiSpec.js';
+import { describeRoutes } from '../../routeRegistry.js';
+import { API_VERSION } from '../../config/constants.js';
+
+describe('OpenAPI spec', () => {
+  const spec = buildOpenApiSpec('/api/create');
+  const routes = describeRoutes();
+
+  test('should document every mounted route', () => {
+    const undocumented = routes
+      .filter(route => !ROUTE_DOCS[`${route.method} ${route.path}`]
+        || !spec.paths[toOpenApiPath(route.path)]?.[route.method.toLowerCase()]?.summary)
+      .map(route => `${route.method} ${route.path}`);
+
+    expect(undocumented).toEqual([]);
+  });
+
+  test('should not keep documentation for routes that no longer exist', () => {
+    const mounted = new Set(routes.map(route => `${route.method} ${route.path}`));
+
+    expect(Object.keys(ROUTE_DOCS).filter(key => !mounted.has(key))).toEqual([]);
+  });
+
+  test('should build request schemas from the validator chains', () => {
+    expect(spec.servers).toEqual([{ url: `/api/create/${API_VERSION}` }]);
+
+    const createQuiz = spec.paths['/quizzes'].post;
+    expect(createQuiz.security).toEqual([{ bearerAuth: [] }]);
+    expect(createQuiz.requestBody.content['application/json'].schema).toMatchObject({
+      type: 'object',
+      required: ['name', 'folderId'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        folderId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
+      }
+    });
+    expect(Object.keys(createQuiz.responses)).toEqual(expect.arrayContaining(['201', '400', '401', '500']));
+
+    const plan = spec.paths['/plans/generate'].post.requestBody.content['application/json'].schema;
+    expect(plan.required).toEqual(['quizId', 'approach']);
+    expect(plan.properties.questionsPerLO).toMatchObject({ type: 'integer', minimum: 1, maximum: 10 });
+
+    const assign = spec.paths['/quizzes/{id}/materials'].put;
+    expect(assign.parameters).toEqual([expect.objectContaining({ name: 'id', in: 'path', required: true })]);
+    expect(assign.requestBody.content['application/json'].schema.properties.materialIds).toMatchObject({
+      type: 'array',
+      items: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
+    });
+  });
+
+  test('should describe the response envelopes from the response formatter', () => {
+    const { SuccessResponse, ErrorResponse } = spec.components.schemas;
+
+    expect(SuccessResponse.required).toEqual(['success', 'message', 'timestamp']);
+    expect(ErrorResponse.properties.error.required).toEqual(['code', 'message', 'timestamp']);
+    expect(spec.paths['/auth/login'].post.security).toEqual([]);
+    expect(spec.paths['/export/{exportId}/download'].get.responses['200'].content).toHaveProperty('application/octet-stream');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,182 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import PlanGenerationService from '../../services/planGenerationService.js';
+import Quiz from '../../models/Quiz.js';
+import LLMService from '../../services/llmService.js';
+import { MockProvider } from '../../services/llmProviders.js';
+import { PEDAGOGICAL_APPROACHES, QUESTION_TYPES, DIFFICULTY_LEVELS, BLOOM_LEVELS, BLOOM_QUESTION_TYPES } from '../../config/constants.js';
+
+const countQuestions = questionTypes => questionTypes.reduce((sum, questionType) => sum + questionType.count, 0);
+
+describe('PlanGenerationService', () => {
+  const buildQuiz = (settings = {}) => new Quiz({
+    name: 'Cell biology',
+    folder: new mongoose.Types.ObjectId(),
+    createdBy: new mongoose.Types.ObjectId(),
+    settings
+  });
+  const quiz = buildQuiz();
+  const objectives = [
+    { _id: new mongoose.Types.ObjectId(), text: 'Explain osmosis' },
+    { _id: new mongoose.Types.ObjectId(), text: 'Order the stages of mitosis' }
+  ];
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+    LLMService.setProvider(provider);
+  });
+
+  afterEach(() => {
+    LLMService.setProvider(null);
+  });
+
+  test('should scale counts to the target, giving remainders to the largest shares', () => {
+    const reconciled = PlanGenerationService.reconcileCounts([
+      { type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 2, reasoning: 'Recognition' },
+      { type: QUESTION_TYPES.FLASHCARD, count: 1.5 },
+      { type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 1 },
+      { type: 'essay', count: 4 }
+    ], 5);
+
+    expect(reconciled).toEqual([
+      { type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 3, reasoning: 'Recognition' },
+      { type: QUESTION_TYPES.FLASHCARD, count: 2, reasoning: expect.stringContaining('Flashcards') }
+    ]);
+    expect(PlanGenerationService.reconcileCounts([{ type: 'essay', count: 3 }], 3)).toBeNull();
+  });
+
+  test('should match questionsPerLO exactly with the distribution table', () => {
+    for (const approach of Object.values(PEDAGOGICAL_APPROACHES)) {
+      for (let questionsPerLO = 1; questionsPerLO <= 10; questionsPerLO++) {
+        expect(countQuestions(PlanGenerationService.buildTableQuestionTypes(approach, questionsPerLO))).toBe(questionsPerLO);
+      }
+    }
+  });
+
+  test('should use the model plan and fall back to the table for objectives it omits', async () => {
+    provider.setResponder('generation-plan', () => ({
+      reasoning: 'Mitosis suits ordering',
+      objectives: [{
+        objective: 2,
+        questionTypes: [
+          { type: QUESTION_TYPES.ORDERING, count: 3, reasoning: 'Mitosis has a fixed sequence' },
+          { type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 3, reasoning: 'Checks each stage' }
+        ]
+      }]
+    }));
+
+    const plan = await PlanGenerationService.generatePlan({
+      quiz,
+      objectives,
+      approach: PEDAGOGICAL_APPROACHES.SUPPORT,
+      questionsPerLO: 3
+    });
+
+    expect(plan.totalQuestions).toBe(6);
+    expect(plan.breakdown[1].questionTypes).toEqual([
+      { type: QUESTION_TYPES.ORDERING, count: 2, reasoning: 'Mitosis has a fixed sequence' },
+      { type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 1, reasoning: 'Checks each stage' }
+    ]);
+    expect(plan.breakdown[0].questionTypes).toEqual(
+      PlanGenerationService.buildTableQuestionTypes(PEDAGOGICAL_APPROACHES.SUPPORT, 3)
+    );
+    expect(plan.generationMetadata).toMatchObject({ llmModel: 'mock-llm', reasoning: 'Mitosis suits ordering' });
+  });
+
+  test('should build the plan from the table when the model is unavailable', async () => {
+    provider.setResponder('generation-plan', () => {
+      throw new Error('connect ECONNREFUSED');
+    });
+
+    const plan = await PlanGenerationService.generatePlan({
+      quiz,
+      objectives,
+      approach: PEDAGOGICAL_APPROACHES.ASSESS,
+      questionsPerLO: 4
+    });
+
+    expect(plan.breakdown.map(item => countQuestions(item.questionTypes))).toEqual([4, 4]);
+    expect(plan.generationMetadata.llmModel).toBeUndefined();
+    expect(plan.generationMetadata.reasoning).toContain('distribution table');
+  });
+
+  test('should follow the quiz quotas and spread its difficulty mix over the objectives', async () => {
+    const configured = buildQuiz({
+      questionsPerObjective: 3,
+      questionTypes: [
+        { type: QUESTION_TYPES.CLOZE, count: 2 },
+        { type: QUESTION_TYPES.TRUE_FALSE, count: 1 }
+      ],
+      difficultyMix: { easy: 50, moderate: 0, hard: 50 }
+    });
+
+    const plan = await PlanGenerationService.generatePlan({
+      quiz: configured,
+      objectives,
+      approach: PEDAGOGICAL_APPROACHES.ASSESS,
+      questionsPerLO: 3
+    });
+
+    for (const item of plan.breakdown) {
+      expect(item.questionTypes.map(({ type, count }) => [type, count])).toEqual([
+        [QUESTION_TYPES.CLOZE, 2],
+        [QUESTION_TYPES.TRUE_FALSE, 1]
+      ]);
+    }
+    expect(plan.breakdown.map(item => item.difficultyTargets)).toEqual([
+      { [DIFFICULTY_LEVELS.EASY]: 2, [DIFFICULTY_LEVELS.MODERATE]: 0, [DIFFICULTY_LEVELS.HARD]: 1 },
+      { [DIFFICULTY_LEVELS.EASY]: 1, [DIFFICULTY_LEVELS.MODERATE]: 0, [DIFFICULTY_LEVELS.HARD]: 2 }
+    ]);
+    expect(PlanGenerationService.findSettingsConflicts(plan.breakdown, configured)).toEqual([]);
+
+    plan.breakdown[1].questionTypes[0].count = 3;
+    expect(PlanGenerationService.findSettingsConflicts(plan.breakdown, configured)).toEqual([
+      'Objective 2 plans 3 cloze questions but the quiz settings require 2',
+      'Objective 2 has difficulty targets for 3 questions but plans 4'
+    ]);
+  });
+
+  test('should reject quotas and difficulty mixes that do not add up', async () => {
+    const configured = buildQuiz({
+      questionsPerObjective: 3,
+      questionTypes: [{ type: QUESTION_TYPES.CLOZE, count: 2 }],
+      difficultyMix: { easy: 50, hard: 40 }
+    });
+
+    const error = await configured.validate().catch(validationError => validationError);
+    expect(Object.keys(error.errors)).toEqual(['settings.questionTypes', 'settings.difficultyMix']);
+  });
+
+  test('should only plan question types that can assess each objective\'s Bloom level', async () => {
+    const classified = [
+      { ...objectives[0], bloom: { level: BLOOM_LEVELS.EVALUATE } },
+      { ...objectives[1], bloom: { level: BLOOM_LEVELS.CREATE } }
+    ];
+    provider.setResponder('generation-plan', () => ({
+      objectives: [{
+        objective: 1,
+        questionTypes: [
+          { type: QUESTION_TYPES.TRUE_FALSE, count: 2, reasoning: 'Quick check' },
+          { type: QUESTION_TYPES.DISCUSSION, count: 1, reasoning: 'Weighs the evidence' }
+        ]
+      }]
+    }));
+
+    const plan = await PlanGenerationService.generatePlan({
+      quiz,
+      objectives: classified,
+      approach: PEDAGOGICAL_APPROACHES.SUPPORT,
+      questionsPerLO: 3
+    });
+
+    expect(plan.breakdown[0].questionTypes).toEqual([
+      { type: QUESTION_TYPES.DISCUSSION, count: 3, reasoning: 'Weighs the evidence' }
+    ]);
+    expect(plan.breakdown[1].questionTypes.map(({ type, count }) => [type, count])).toEqual([[QUESTION_TYPES.SUMMARY, 3]]);
+    for (const [index, item] of plan.breakdown.entries()) {
+      const suitable = BLOOM_QUESTION_TYPES[classified[index].bloom.level];
+      expect(item.questionTypes.every(({ type }) => suitable.includes(type))).toBe(true);
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,157 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import QTIExportService from '../../services/qtiExportService.js';
+import { QUESTION_TYPES, QTI_VERSIONS } from '../../config/constants.js';
+
+const objective = { text: 'Explain how cells produce energy' };
+
+const questions = [
+  {
+    _id: 'q1',
+    type: QUESTION_TYPES.MULTIPLE_CHOICE,
+    questionText: 'Which organelle produces ATP?',
+    learningObjective: objective,
+    content: {
+      options: [
+        { text: 'Ribosome', isCorrect: false },
+        { text: 'Mitochondria', isCorrect: true }
+      ]
+    },
+    explanation: 'Mitochondria run cellular respiration.'
+  },
+  {
+    _id: 'q2',
+    type: QUESTION_TYPES.TRUE_FALSE,
+    questionText: 'Plant cells have a cell wall.',
+    learningObjective: objective,
+    correctAnswer: 'False'
+  },
+  {
+    _id: 'q3',
+    type: QUESTION_TYPES.MATCHING,
+    questionText: 'Match each organelle to its function.',
+    learningObjective: objective,
+    content: {
+      leftItems: ['Mitochondria', 'Ribosome'],
+      rightItems: ['Protein synthesis', 'Energy production'],
+      matchingPairs: [['Mitochondria', 'Energy production'], ['Ribosome', 'Protein synthesis']]
+    }
+  },
+  {
+    _id: 'q4',
+    type: QUESTION_TYPES.ORDERING,
+    questionText: 'Order the stages of mitosis.',
+    learningObjective: objective,
+    content: {
+      items: ['Metaphase', 'Prophase', 'Anaphase'],
+      correctOrder: ['Prophase', 'Metaphase', 'Anaphase']
+    }
+  },
+  {
+    _id: 'q5',
+    type: QUESTION_TYPES.CLOZE,
+    questionText: 'Fill in the blanks.',
+    learningObjective: objective,
+    content: {
+      textWithBlanks: 'Water boils at $ degrees & freezes at $ degrees.',
+      correctAnswers: ['100', '0']
+    }
+  },
+  {
+    _id: 'q6',
+    type: QUESTION_TYPES.SUMMARY,
+    questionText: 'Summarize cellular respiration.',
+    learningObjective: objective,
+    correctAnswer: 'Glucose is broken down to release ATP.'
+  }
+];
+
+const quiz = { _id: 'quiz1', name: 'Cell Biology <Week 1>', questions };
+
+const readFile = (zip, name) => zip.file(name).async('string');
+
+describe('QTIExportService', () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qti-export-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('should write a QTI 2.1 package with a manifest, test and one item per question', async () => {
+    const filePath = path.join(tempDir, 'quiz.zip');
+    const size = await QTIExportService.writePackage(quiz, filePath);
+
+    const buffer = await fs.readFile(filePath);
+    expect(buffer.length).toBe(size);
+
+    const zip = await JSZip.loadAsync(buffer);
+    const itemFiles = zip.file(/^items\/.+\.xml$/);
+    expect(zip.file('imsmanifest.xml')).toBeTruthy();
+    expect(itemFiles).toHaveLength(questions.length);
+
+    const test = await readFile(zip, 'assessmentTest.xml');
+    expect(test).toContain('title="Cell Biology &lt;Week 1&gt;"');
+    expect(test).toContain('<assessmentItemRef identifier="ITEM_q1" href="items/ITEM_q1.xml"/>');
+  });
+
+  test('should record the learning objective and interaction type in the 2.1 manifest', async () => {
+    const zip = QTIExportService.buildPackage(quiz, QTI_VERSIONS.QTI_21);
+    const manifest = await readFile(zip, 'imsmanifest.xml');
+
+    expect(manifest).toContain('<resource identifier="ITEM_q3" type="imsqti_item_xmlv2p1" href="items/ITEM_q3.xml">');
+    expect(manifest.match(/Explain how cells produce energy/g)).toHaveLength(questions.length);
+    expect(manifest).toContain('<imsqti:interactionType>matchInteraction</imsqti:interactionType>');
+  });
+
+  test('should declare correct responses for every scored 2.1 item', async () => {
+    const zip = QTIExportService.buildPackage(quiz, QTI_VERSIONS.QTI_21);
+
+    const choice = await readFile(zip, 'items/ITEM_q1.xml');
+    expect(choice).toContain('<correctResponse><value>CHOICE_1</value></correctResponse>');
+
+    const trueFalse = await readFile(zip, 'items/ITEM_q2.xml');
+    expect(trueFalse).toContain('<correctResponse><value>CHOICE_1</value></correctResponse>');
+
+    const matching = await readFile(zip, 'items/ITEM_q3.xml');
+    expect(matching).toContain('<value>SOURCE_0 TARGET_1</value>');
+    expect(matching).toContain('<value>SOURCE_1 TARGET_0</value>');
+
+    const ordering = await readFile(zip, 'items/ITEM_q4.xml');
+    expect(ordering).toContain('<orderInteraction');
+
+    const cloze = await readFile(zip, 'items/ITEM_q5.xml');
+    expect(cloze).toContain('degrees &amp; freezes');
+    expect(cloze.match(/<textEntryInteraction/g)).toHaveLength(2);
+
+    const summary = await readFile(zip, 'items/ITEM_q6.xml');
+    expect(summary).toContain('<extendedTextInteraction');
+    expect(summary).toContain('Glucose is broken down to release ATP.');
+  });
+
+  test('should build a Canvas QTI 1.2 package with scoring for each item', async () => {
+    const zip = QTIExportService.buildPackage(quiz, QTI_VERSIONS.CANVAS_12);
+    const manifest = await readFile(zip, 'imsmanifest.xml');
+    expect(manifest).toContain('<file href="QUIZ_quiz1/QUIZ_quiz1.xml"/>');
+
+    const assessment = await readFile(zip, 'QUIZ_quiz1/QUIZ_quiz1.xml');
+    expect(assessment.match(/<item ident=/g)).toHaveLength(questions.length);
+    expect(assessment).toContain('<fieldentry>multiple_choice_question</fieldentry>');
+    expect(assessment).toContain('<varequal respident="response1">CHOICE_1</varequal>');
+    expect(assessment).toContain('<varequal respident="response_L0">R1</varequal>');
+    expect(assessment).toContain('<fieldentry>fill_in_multiple_blanks_question</fieldentry>');
+    expect(assessment).toContain('[blank1]');
+    expect(assessment).toContain('<fieldentry>essay_question</fieldentry>');
+    expect(assessment).toContain('<fieldentry>Explain how cells produce energy</fieldentry>');
+  });
+
+  test('should reject unknown QTI versions', () => {
+    expect(() => QTIExportService.buildPackage(quiz, '3.0')).toThrow('Unsupported QTI version: 3.0');
+  });
+});
\ No newline at end of file
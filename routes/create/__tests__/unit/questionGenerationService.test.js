@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import QuestionGenerationService from '../../services/questionGenerationService.js';
+import VectorIndexService from '../../services/vectorIndexService.js';
+import LLMService from '../../services/llmService.js';
+import { MockProvider } from '../../services/llmProviders.js';
+import { MemoryVectorStore } from '../../services/vectorStores.js';
+import { HashEmbedder } from '../../services/embeddingProviders.js';
+import { QUESTION_TYPES, PEDAGOGICAL_APPROACHES } from '../../config/constants.js';
+
+const buildMaterial = (name, content, folder) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  folder,
+  content
+});
+
+describe('QuestionGenerationService retrieval', () => {
+  let folder;
+  let photosynthesis;
+  let revolution;
+
+  beforeEach(async () => {
+    VectorIndexService.setStore(new MemoryVectorStore());
+    VectorIndexService.setEmbedder(new HashEmbedder());
+    LLMService.setProvider(new MockProvider());
+
+    folder = new mongoose.Types.ObjectId();
+    photosynthesis = buildMaterial('Biology notes', '[Page 4]\nPhotosynthesis converts light energy into chemical energy', folder);
+    revolution = buildMaterial('History notes', 'The French Revolution began in 1789', folder);
+
+    await VectorIndexService.indexMaterial(photosynthesis);
+    await VectorIndexService.indexMaterial(revolution);
+  });
+
+  afterEach(() => {
+    LLMService.setProvider(null);
+  });
+
+  test('should retrieve passages from the quiz materials only', async () => {
+    const quiz = { folder, materials: [photosynthesis._id] };
+    const sources = await QuestionGenerationService.retrieveSources(quiz, 'Explain photosynthesis and light energy');
+
+    expect(sources).toHaveLength(1);
+    expect(sources[0].materialId).toBe(photosynthesis._id.toString());
+  });
+
+  test('should not retrieve passages for a quiz without materials', async () => {
+    const sources = await QuestionGenerationService.retrieveSources({ folder, materials: [] }, 'Photosynthesis');
+    expect(sources).toEqual([]);
+  });
+
+  test('should include retrieved passages in the prompt', async () => {
+    const quiz = { folder, materials: [photosynthesis._id, revolution._id] };
+    const sources = await QuestionGenerationService.retrieveSources(quiz, 'Explain photosynthesis');
+    const prompt = QuestionGenerationService.buildPrompt(QUESTION_TYPES.MULTIPLE_CHOICE, 'Explain photosynthesis', 'easy', sources, PEDAGOGICAL_APPROACHES.ASSESS);
+
+    expect(prompt).toContain('[1] (Biology notes, p. 4) Photosynthesis converts light energy');
+    expect(prompt).toContain('sourceIndexes');
+    expect(prompt).toContain('Difficulty: easy');
+    expect(prompt).toContain('Purpose: the quiz should assess understanding rigorously');
+  });
+
+  test('should record the cited passages as generatedFrom entries', async () => {
+    const quiz = { folder, materials: [photosynthesis._id, revolution._id] };
+    const sources = await QuestionGenerationService.retrieveSources(quiz, 'Explain photosynthesis');
+    const generated = await QuestionGenerationService.generateQuestionContent(
+      QUESTION_TYPES.TRUE_FALSE, 'Explain photosynthesis', 'easy', sources
+    );
+
+    expect(generated.citations).toHaveLength(1);
+    expect(generated.citations[0].material).toBe(photosynthesis._id.toString());
+    expect(generated.citations[0].pageStart).toBe(4);
+    expect(generated.citations[0].excerpt).toContain('Photosynthesis');
+  });
+
+  test('should fall back to every retrieved passage when none are cited', () => {
+    const sources = [
+      { materialId: 'a', chunkIndex: 0, text: 'First passage', score: 0.9 },
+      { materialId: 'b', chunkIndex: 2, text: 'Second passage', score: 0.5 }
+    ];
+
+    expect(QuestionGenerationService.buildCitations(sources, [7])).toHaveLength(2);
+    expect(QuestionGenerationService.buildCitations(sources, [2, 2])).toEqual([
+      expect.objectContaining({ material: 'b', chunkIndex: 2 })
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+import { describe, test, expect } from '@jest/globals';
+import QuestionQualityService from '../../services/questionQualityService.js';
+import { QUESTION_TYPES, REVIEW_STATUS, QUESTION_CHECK_RULES } from '../../config/constants.js';
+
+const multipleChoice = (options, questionText = 'Which factor most affects reaction rate?') => ({
+  type: QUESTION_TYPES.MULTIPLE_CHOICE,
+  questionText,
+  content: { options }
+});
+
+const rulesFor = question => QuestionQualityService.check(question).map(finding => finding.rule);
+
+describe('QuestionQualityService', () => {
+  test('should pass a well-formed multiple-choice question', () => {
+    const question = multipleChoice([
+      { text: 'Temperature', isCorrect: true },
+      { text: 'Container colour', isCorrect: false },
+      { text: 'Beaker brand', isCorrect: false }
+    ]);
+
+    expect(QuestionQualityService.check(question)).toEqual([]);
+  });
+
+  test('should flag broken structure for each question type', () => {
+    expect(rulesFor(multipleChoice([
+      { text: 'Temperature', isCorrect: true },
+      { text: 'Pressure', isCorrect: true }
+    ]))).toEqual([QUESTION_CHECK_RULES.STRUCTURE]);
+
+    expect(rulesFor({
+      type: QUESTION_TYPES.MATCHING,
+      content: { leftItems: ['Na', 'Cl'], rightItems: ['Sodium', 'Chlorine'], matchingPairs: [['Na', 'Sodium']] }
+    })).toEqual([QUESTION_CHECK_RULES.STRUCTURE, QUESTION_CHECK_RULES.STRUCTURE]);
+
+    expect(rulesFor({
+      type: QUESTION_TYPES.ORDERING,
+      content: { items: ['Melt', 'Boil', 'Condense'], correctOrder: ['Melt', 'Boil'] }
+    })).toEqual([QUESTION_CHECK_RULES.STRUCTURE]);
+
+    const cloze = QuestionQualityService.check({
+      type: QUESTION_TYPES.CLOZE,
+      questionText: 'Complete the sentence',
+      content: { textWithBlanks: 'Water boils at $ degrees.', correctAnswers: ['100', 'Celsius'] }
+    });
+    expect(cloze.map(finding => finding.field)).toEqual(['content.correctAnswers']);
+  });
+
+  test('should flag answers that appear in the question text', () => {
+    const findings = QuestionQualityService.check(multipleChoice([
+      { text: 'Photosynthesis', isCorrect: true },
+      { text: 'Respiration', isCorrect: false },
+      { text: 'Fermentation', isCorrect: false }
+    ], 'Photosynthesis converts light into chemical energy. Which process is described?'));
+
+    expect(findings).toEqual([expect.objectContaining({
+      rule: QUESTION_CHECK_RULES.ANSWER_LEAKAGE,
+      field: 'questionText'
+    })]);
+  });
+
+  test('should flag catch-all options and a correct option that stands out by length', () => {
+    expect(rulesFor(multipleChoice([
+      { text: 'Heat', isCorrect: false },
+      { text: 'Light', isCorrect: false },
+      { text: 'All of the above', isCorrect: true }
+    ]))).toContain(QUESTION_CHECK_RULES.ALL_OF_THE_ABOVE);
+
+    expect(rulesFor(multipleChoice([
+      { text: 'Raising the temperature of the reacting mixture', isCorrect: true },
+      { text: 'Colour', isCorrect: false },
+      { text: 'Shape', isCorrect: false }
+    ]))).toEqual([QUESTION_CHECK_RULES.LENGTH_CUE]);
+  });
+
+  test('should flag questions with findings for review unless already rejected', () => {
+    const broken = () => multipleChoice([{ text: 'Temperature', isCorrect: true }]);
+
+    const approved = { ...broken(), reviewStatus: REVIEW_STATUS.APPROVED };
+    QuestionQualityService.applyChecks(approved);
+    expect(approved.reviewStatus).toBe(REVIEW_STATUS.NEEDS_REVIEW);
+    expect(approved.qualityChecks.findings.length).toBeGreaterThan(0);
+
+    const rejected = { ...broken(), reviewStatus: REVIEW_STATUS.REJECTED };
+    QuestionQualityService.applyChecks(rejected);
+    expect(rejected.reviewStatus).toBe(REVIEW_STATUS.REJECTED);
+  });
+});
\ No newline at end of file
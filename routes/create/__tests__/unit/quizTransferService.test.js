@@ -0,0 +1,108 @@
+import { describe, test, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import QuizTransferService from '../../services/quizTransferService.js';
+import Quiz from '../../models/Quiz.js';
+import LearningObjective from '../../models/LearningObjective.js';
+import GenerationPlan from '../../models/GenerationPlan.js';
+import Question from '../../models/Question.js';
+import { QUIZ_TRANSFER, QUESTION_TYPES, DIFFICULTY_LEVELS, PEDAGOGICAL_APPROACHES } from '../../config/constants.js';
+
+const userId = new mongoose.Types.ObjectId();
+const folderId = new mongoose.Types.ObjectId();
+
+const buildSource = () => {
+  const quiz = new Quiz({
+    name: 'Cell Biology',
+    folder: new mongoose.Types.ObjectId(),
+    settings: { pedagogicalApproach: PEDAGOGICAL_APPROACHES.ASSESS, questionsPerObjective: 2 },
+    createdBy: userId
+  });
+  const objective = new LearningObjective({ text: 'Explain how cells produce energy', order: 0, quiz: quiz._id, createdBy: userId });
+  const plan = new GenerationPlan({
+    quiz: quiz._id,
+    approach: PEDAGOGICAL_APPROACHES.ASSESS,
+    questionsPerLO: 1,
+    totalQuestions: 1,
+    breakdown: [{ learningObjective: objective._id, questionTypes: [{ type: QUESTION_TYPES.MULTIPLE_CHOICE, count: 1 }] }],
+    createdBy: userId
+  });
+  const question = new Question({
+    quiz: quiz._id,
+    learningObjective: objective._id,
+    generationPlan: plan._id,
+    type: QUESTION_TYPES.MULTIPLE_CHOICE,
+    difficulty: DIFFICULTY_LEVELS.MODERATE,
+    questionText: 'Which organelle produces ATP?',
+    content: { options: [{ text: 'Mitochondria', isCorrect: true }, { text: 'Ribosome', isCorrect: false }] },
+    correctAnswer: 'Mitochondria',
+    generationMetadata: {
+      generatedFrom: [{ material: new mongoose.Types.ObjectId(), chunkIndex: 2, excerpt: 'Mitochondria are...' }]
+    },
+    createdBy: userId
+  });
+
+  quiz.activePlan = plan._id;
+  return { quiz, objectives: [objective], plans: [plan], questions: [question] };
+};
+
+describe('QuizTransferService', () => {
+  test('should serialize a versioned export without instance-specific references', () => {
+    const { quiz, ...related } = buildSource();
+    const data = QuizTransferService.serialize(quiz, related);
+
+    expect(data.format).toBe(QUIZ_TRANSFER.FORMAT);
+    expect(data.version).toBe(QUIZ_TRANSFER.VERSION);
+    expect(data.quiz).toEqual(expect.objectContaining({ name: 'Cell Biology' }));
+    expect(data.activePlan).toBe(String(related.plans[0]._id));
+    expect(data.questions[0].learningObjective).toBe(data.learningObjectives[0].id);
+    expect(data.questions[0].generationMetadata.generatedFrom[0]).toEqual({ chunkIndex: 2, excerpt: 'Mitochondria are...' });
+    expect(data.questions[0].content.options[0]).not.toHaveProperty('_id');
+  });
+
+  test('should rebuild documents with new ids and remapped references', () => {
+    const { quiz: source, ...related } = buildSource();
+    const data = JSON.parse(JSON.stringify(QuizTransferService.serialize(source, related)));
+
+    const { quiz, objectives, plans, questions } = QuizTransferService.buildDocuments(data, { folderId, userId });
+
+    expect(quiz._id.equals(source._id)).toBe(false);
+    expect(quiz.folder.equals(folderId)).toBe(true);
+    expect(quiz.name).toBe('Cell Biology');
+    expect(quiz.settings.pedagogicalApproach).toBe(PEDAGOGICAL_APPROACHES.ASSESS);
+    expect(quiz.activePlan.equals(plans[0]._id)).toBe(true);
+    expect(objectives[0]._id.equals(related.objectives[0]._id)).toBe(false);
+    expect(plans[0].breakdown[0].learningObjective.equals(objectives[0]._id)).toBe(true);
+    expect(questions[0].learningObjective.equals(objectives[0]._id)).toBe(true);
+    expect(questions[0].generationPlan.equals(plans[0]._id)).toBe(true);
+    expect(questions[0].quiz.equals(quiz._id)).toBe(true);
+    expect(quiz.questions.map(String)).toEqual([String(questions[0]._id)]);
+  });
+
+  test('should reject files in another format or a newer version', () => {
+    expect(() => QuizTransferService.buildDocuments({ format: 'other' }, { folderId, userId }))
+      .toThrow(mongoose.Error.ValidationError);
+
+    expect(() => QuizTransferService.buildDocuments(
+      { format: QUIZ_TRANSFER.FORMAT, version: QUIZ_TRANSFER.VERSION + 1 },
+      { folderId, userId }
+    )).toThrow(`Unsupported export version: ${QUIZ_TRANSFER.VERSION + 1}`);
+  });
+
+  test('should report unknown references and schema errors by path', () => {
+    const { quiz: source, ...related } = buildSource();
+    const data = JSON.parse(JSON.stringify(QuizTransferService.serialize(source, related)));
+    data.questions[0].learningObjective = 'missing';
+    data.questions[0].type = 'essay';
+
+    let error;
+    try {
+      QuizTransferService.buildDocuments(data, { folderId, userId });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(error.errors['questions.0.learningObjective'].message).toBe('Unknown reference missing');
+    expect(error.errors).toHaveProperty(['questions.0.type']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,40 @@
+import { describe, test, expect } from '@jest/globals';
+import { CONTROLLERS, describeRoutes, versionedPaths } from '../../routeRegistry.js';
+import { API_VERSION } from '../../config/constants.js';
+
+describe('Route registry', () => {
+  const routes = describeRoutes('/api/create');
+  const findRoute = (method, path) => routes.find(route => route.method === method && route.path === path);
+
+  test('should register every controller', () => {
+    expect(CONTROLLERS.map(controller => controller.path)).toEqual([
+      '/auth', '/folders', '/materials', '/quizzes', '/objectives', '/outcomes', '/plans', '/questions',
+      '/generation-runs', '/export', '/jobs'
+    ]);
+    expect(new Set(routes.map(route => route.controller)).size).toBe(CONTROLLERS.length);
+  });
+
+  test('should mount paths both unversioned and under the current version', () => {
+    expect(versionedPaths('/quizzes')).toEqual(['/quizzes', `/${API_VERSION}/quizzes`]);
+  });
+
+  test('should describe method, auth requirement and validator for each route', () => {
+    expect(findRoute('POST', '/api/create/quizzes')).toEqual({
+      method: 'POST',
+      path: '/api/create/quizzes',
+      versionedPath: `/api/create/${API_VERSION}/quizzes`,
+      controller: 'quizzes',
+      auth: 'required',
+      validator: 'validateCreateQuiz'
+    });
+    expect(findRoute('POST', '/api/create/auth/login')).toMatchObject({ auth: 'none', validator: null });
+    expect(findRoute('GET', '/api/create/quizzes/folder/:folderId')).toMatchObject({ validator: 'validateFolderId' });
+  });
+
+  test('should declare static routes before parameterised ones they would otherwise match', () => {
+    const indexOf = (method, path) => routes.findIndex(route => route.method === method && route.path === path);
+
+    expect(indexOf('PUT', '/api/create/questions/reorder')).toBeLessThan(indexOf('PUT', '/api/create/questions/:id'));
+    expect(indexOf('PUT', '/api/create/objectives/reorder')).toBeLessThan(indexOf('PUT', '/api/create/objectives/:id'));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,99 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import VectorIndexService from '../../services/vectorIndexService.js';
+import { MemoryVectorStore } from '../../services/vectorStores.js';
+import { HashEmbedder } from '../../services/embeddingProviders.js';
+
+const words = (count, prefix = 'word') => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+
+const buildMaterial = (content, folder = new mongoose.Types.ObjectId()) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Lecture notes',
+  folder,
+  content
+});
+
+describe('VectorIndexService', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryVectorStore();
+    VectorIndexService.setStore(store);
+    VectorIndexService.setEmbedder(new HashEmbedder());
+  });
+
+  test('should split text into overlapping chunks', () => {
+    const chunks = VectorIndexService.chunkText(words(25), { chunkSize: 10, overlap: 2 });
+
+    expect(chunks).toHaveLength(3);
+    expect(chunks[0].text.split(' ')).toHaveLength(10);
+    expect(chunks[1].text.startsWith('word8 word9')).toBe(true);
+    expect(chunks[2].text.endsWith('word24')).toBe(true);
+    expect(chunks.map(chunk => chunk.index)).toEqual([0, 1, 2]);
+  });
+
+  test('should track pages and sections without indexing markers', () => {
+    const text = `[Page 1]\n${words(6, 'a')}\n[Page 2]\n[Section: Results]\n${words(6, 'b')}`;
+    const chunks = VectorIndexService.chunkText(text, { chunkSize: 8, overlap: 2 });
+
+    expect(chunks[0].text).not.toContain('[Page');
+    expect(chunks[0].pageStart).toBe(1);
+    expect(chunks[0].pageEnd).toBe(2);
+    expect(chunks[1].section).toBe('Results');
+    expect(chunks[1].pageStart).toBe(2);
+  });
+
+  test('should reject an overlap larger than the chunk size', () => {
+    expect(() => VectorIndexService.chunkText('text', { chunkSize: 5, overlap: 5 })).toThrow('Chunk overlap');
+  });
+
+  test('should index material chunks with folder and material payload', async () => {
+    const material = buildMaterial(words(1200));
+    const result = await VectorIndexService.indexMaterial(material);
+
+    expect(result.documentId).toBe(material._id.toString());
+    expect(result.chunkCount).toBe(3);
+    expect(await store.count({ folderId: material.folder })).toBe(3);
+
+    const [point] = store.points.values();
+    expect(point.vector).toHaveLength(384);
+    expect(point.payload.materialId).toBe(material._id.toString());
+    expect(point.payload.folderId).toBe(material.folder.toString());
+  });
+
+  test('should replace previous vectors when a material is re-indexed', async () => {
+    const material = buildMaterial(words(1200));
+    await VectorIndexService.indexMaterial(material);
+
+    material.content = words(100);
+    await VectorIndexService.indexMaterial(material);
+
+    expect(await store.count({ materialIds: [material._id] })).toBe(1);
+  });
+
+  test('should remove vectors for a material', async () => {
+    const folder = new mongoose.Types.ObjectId();
+    const kept = buildMaterial('photosynthesis converts light energy', folder);
+    const removed = buildMaterial('mitochondria produce cellular energy', folder);
+    await VectorIndexService.indexMaterial(kept);
+    await VectorIndexService.indexMaterial(removed);
+
+    await VectorIndexService.removeMaterial(removed._id);
+
+    expect(await store.count({ folderId: folder })).toBe(1);
+    expect(await store.count({ materialIds: [removed._id] })).toBe(0);
+  });
+
+  test('should return the most similar chunks within a folder', async () => {
+    const folder = new mongoose.Types.ObjectId();
+    await VectorIndexService.indexMaterial(buildMaterial('photosynthesis converts light energy into sugar', folder));
+    await VectorIndexService.indexMaterial(buildMaterial('the french revolution began in 1789', folder));
+    await VectorIndexService.indexMaterial(buildMaterial('photosynthesis in another course folder'));
+
+    const results = await VectorIndexService.search('how does photosynthesis use light', { folderId: folder, limit: 2 });
+
+    expect(results).toHaveLength(2);
+    expect(results[0].text).toContain('photosynthesis');
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+import createRoutes from './createRoutes.js';
+import connectDB, { disconnectDB } from './config/database.js';
+import redis from './config/redis.js';
+import jobQueue from './services/jobService.js';
+import { RATE_LIMITS, ERROR_CODES, JOB_CONFIG } from './config/constants.js';
+
+// App descriptor picked up by the server's app loader (see appLoader.js)
+export default {
+  mountPath: '/api/create',
+  router: createRoutes,
+
+  rateLimit: {
+    windowMs: RATE_LIMITS.API.windowMs,
+    max: RATE_LIMITS.API.max,
+    message: {
+      error: {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        message: 'Too many requests, please try again later',
+        timestamp: new Date().toISOString()
+      }
+    }
+  },
+
+  start: async () => {
+    await connectDB();
+
+    // Pick up jobs left queued or running by a previous server process
+    if (JOB_CONFIG.STORE === 'redis') {
+      jobQueue.recover().catch(error => {
+        console.error('Error recovering background jobs:', error);
+      });
+    }
+  },
+
+  stop: async () => {
+    // Running jobs still write to the database, so let them finish first
+    const drained = await jobQueue.stop();
+    if (!drained) {
+      console.warn('⚠️ Background jobs were still running at shutdown and were left unfinished');
+    }
+    await disconnectDB();
+    redis.disconnect();
+  }
+};
\ No newline at end of file
@@ -2,6 +2,7 @@
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
@@ -21,6 +22,9 @@ export const ERROR_CODES = {
   DATABASE_ERROR: 'DATABASE_ERROR'
 };
 
+// Current API version; routes are served at /api/create and /api/create/v1
+export const API_VERSION = 'v1';
+
 export const MATERIAL_TYPES = {
   PDF: 'pdf',
   DOCX: 'docx',
@@ -46,6 +50,9 @@ export const QUESTION_TYPES = {
   CLOZE: 'cloze'
 };
 
+// Placeholder marking each blank in a cloze question's textWithBlanks
+export const CLOZE_BLANK_MARKER = '$';
+
 export const DIFFICULTY_LEVELS = {
   EASY: 'easy',
   MODERATE: 'moderate',
@@ -59,6 +66,71 @@ export const PEDAGOGICAL_APPROACHES = {
   CUSTOM: 'custom'
 };
 
+// What each approach's questions are for, given to the model when planning and writing questions
+export const PEDAGOGICAL_APPROACH_GOALS = {
+  [PEDAGOGICAL_APPROACHES.SUPPORT]: 'support learning with practice and recall',
+  [PEDAGOGICAL_APPROACHES.ASSESS]: 'assess understanding rigorously',
+  [PEDAGOGICAL_APPROACHES.GAMIFY]: 'make practice engaging and game-like',
+  [PEDAGOGICAL_APPROACHES.CUSTOM]: 'balance practice and assessment'
+};
+
+// Cognitive levels of the revised Bloom's taxonomy, lowest first
+export const BLOOM_LEVELS = {
+  REMEMBER: 'remember',
+  UNDERSTAND: 'understand',
+  APPLY: 'apply',
+  ANALYZE: 'analyze',
+  EVALUATE: 'evaluate',
+  CREATE: 'create'
+};
+
+export const KNOWLEDGE_DIMENSIONS = {
+  FACTUAL: 'factual',
+  CONCEPTUAL: 'conceptual',
+  PROCEDURAL: 'procedural',
+  METACOGNITIVE: 'metacognitive'
+};
+
+// Where an objective's Bloom classification came from
+export const BLOOM_SOURCES = {
+  MODEL: 'model',
+  LEXICON: 'lexicon', // action-verb lookup, used when no model is available
+  INSTRUCTOR: 'instructor'
+};
+
+// Question types able to assess each cognitive level
+export const BLOOM_QUESTION_TYPES = {
+  [BLOOM_LEVELS.REMEMBER]: [QUESTION_TYPES.FLASHCARD, QUESTION_TYPES.TRUE_FALSE, QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.CLOZE, QUESTION_TYPES.MATCHING],
+  [BLOOM_LEVELS.UNDERSTAND]: [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.TRUE_FALSE, QUESTION_TYPES.MATCHING, QUESTION_TYPES.SUMMARY, QUESTION_TYPES.CLOZE],
+  [BLOOM_LEVELS.APPLY]: [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.ORDERING, QUESTION_TYPES.CLOZE, QUESTION_TYPES.DISCUSSION],
+  [BLOOM_LEVELS.ANALYZE]: [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.MATCHING, QUESTION_TYPES.ORDERING, QUESTION_TYPES.DISCUSSION],
+  [BLOOM_LEVELS.EVALUATE]: [QUESTION_TYPES.DISCUSSION, QUESTION_TYPES.MULTIPLE_CHOICE],
+  [BLOOM_LEVELS.CREATE]: [QUESTION_TYPES.DISCUSSION, QUESTION_TYPES.SUMMARY]
+};
+
+// Problems the objective linter looks for
+export const OBJECTIVE_LINT_RULES = {
+  VAGUE_VERB: 'vague-verb',
+  COMPOUND: 'compound',
+  MISSING_CONDITION: 'missing-condition',
+  MISSING_CRITERIA: 'missing-criteria',
+  NEAR_DUPLICATE: 'near-duplicate'
+};
+
+export const LINT_SEVERITIES = {
+  ERROR: 'error', // a question cannot be answered or scored as written
+  WARNING: 'warning', // an objective cannot be measured, or a question gives its answer away
+  INFO: 'info'
+};
+
+// Problems the automated question checks look for before review
+export const QUESTION_CHECK_RULES = {
+  STRUCTURE: 'structure', // the content breaks its type's invariants
+  ANSWER_LEAKAGE: 'answer-leakage',
+  ALL_OF_THE_ABOVE: 'all-of-the-above',
+  LENGTH_CUE: 'length-cue'
+};
+
 export const QUIZ_STATUS = {
   DRAFT: 'draft',
   MATERIALS_ASSIGNED: 'materials-assigned',
@@ -85,6 +157,71 @@ export const PLAN_STATUS = {
   USED: 'used'
 };
 
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const JOB_TYPES = {
+  MATERIAL_PROCESSING: 'material-processing',
+  OBJECTIVE_GENERATION: 'objective-generation',
+  OBJECTIVE_REFINEMENT: 'objective-refinement',
+  QUESTION_GENERATION: 'question-generation'
+};
+
+export const JOB_CONFIG = {
+  STORE: process.env.JOB_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis'),
+  CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY, 10) || 2, // jobs running at once across all types
+  MAX_ATTEMPTS: 3,
+  RETRY_DELAY: 2000, // base backoff in ms, doubled on each retry
+  STOP_TIMEOUT: 20000, // how long shutdown waits for running jobs (ms)
+  RECORD_TTL: 7 * 24 * 60 * 60 // keep job records for 7 days (seconds)
+};
+
+export const GENERATION_RUN_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed', // every slot has a question
+  FAILED: 'failed', // finished with slots missing; can be resumed
+  CANCELLED: 'cancelled' // stopped by the user; can be resumed
+};
+
+export const GENERATION_SLOT_STATUS = {
+  PENDING: 'pending',
+  GENERATED: 'generated',
+  FAILED: 'failed'
+};
+
+// Events on the question generation progress stream
+export const GENERATION_EVENTS = {
+  STARTED: 'started', // counts so far; also sent first to every new subscriber
+  GENERATED: 'generated', // a question was saved
+  FAILED: 'failed', // a question could not be generated; the run continues
+  DONE: 'done' // the run finished or aborted
+};
+
+export const GENERATION_PROGRESS_CONFIG = {
+  FINISHED_TTL: 10 * 60 * 1000 // keep a finished run's counts for late subscribers (ms)
+};
+
+export const QTI_VERSIONS = {
+  QTI_21: '2.1',
+  CANVAS_12: '1.2' // Canvas classic quizzes import QTI 1.2
+};
+
+export const MOODLE_FORMATS = {
+  MOODLE_XML: 'moodle-xml',
+  GIFT: 'gift'
+};
+
+// Versioned JSON format used to move quizzes between instances
+export const QUIZ_TRANSFER = {
+  FORMAT: 'tlef-create-quiz',
+  VERSION: 1
+};
+
 export const JWT_CONFIG = {
   ACCESS_TOKEN_EXPIRY: '15m',
   REFRESH_TOKEN_EXPIRY: '7d',
@@ -97,7 +234,7 @@ export const FILE_CONFIG = {
     'application/pdf': 'pdf',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
     'application/msword': 'doc',
-    'text/plain': 'txt'
+    'text/plain': 'text'
   },
   UPLOAD_PATH: './routes/create/uploads/'
 };
@@ -122,15 +259,26 @@ export const QDRANT_CONFIG = {
   API_KEY: process.env.QDRANT_API_KEY || 'tlef-qdrant-2024',
   COLLECTION_NAME: 'course-materials',
   VECTOR_SIZE: 384, // sentence-transformers/all-MiniLM-L6-v2 dimension
-  DISTANCE: 'Cosine'
+  DISTANCE: 'Cosine',
+  // Vector store backend: 'qdrant' or 'memory' (in-process, for tests)
+  STORE: process.env.VECTOR_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'qdrant')
 };
 
 export const AI_CONFIG = {
+  // LLM provider: 'ollama', 'openai' (any OpenAI-compatible API) or 'mock'
+  LLM_PROVIDER: process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : 'ollama'),
   LLM_MODEL: process.env.LLM_MODEL || 'llama3.1:8b',
   OLLAMA_ENDPOINT: process.env.OLLAMA_ENDPOINT || 'http://localhost:11434',
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+  REQUEST_TIMEOUT: parseInt(process.env.LLM_REQUEST_TIMEOUT, 10) || 120000, // ms
   TEMPERATURE: 0.7,
   MAX_TOKENS: 2000,
-  CHUNK_SIZE: 512,
-  CHUNK_OVERLAP: 50,
+  // Embedding provider: 'ollama', 'openai' or 'hash' (deterministic, for tests)
+  EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || (process.env.NODE_ENV === 'test' ? 'hash' : 'ollama'),
+  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || 'all-minilm',
+  EMBEDDING_BATCH_SIZE: 32,
+  CHUNK_SIZE: 512, // words per chunk
+  CHUNK_OVERLAP: 50, // words shared with the previous chunk
   TOP_K: 5
 };
\ No newline at end of file
@@ -38,12 +38,6 @@ redis.on('reconnecting', () => {
   console.log('🔄 Redis Client Reconnecting...');
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  await redis.disconnect();
-  console.log('🔴 Redis connection closed through app termination');
-});
-
 // Redis utility functions
 export const redisUtils = {
   // Session management
@@ -0,0 +1,126 @@
+import express from 'express';
+import CourseOutcome from '../models/CourseOutcome.js';
+import LearningObjective from '../models/LearningObjective.js';
+import Folder from '../models/Folder.js';
+import CourseOutcomeService from '../services/courseOutcomeService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateCreateOutcome, validateUpdateOutcome, validateMongoId, validateFolderId } from '../middleware/validator.js';
+import { successResponse, notFoundResponse } from '../utils/responseFormatter.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { HTTP_STATUS } from '../config/constants.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/outcomes/folder/:folderId
+ * Get a folder's course outcomes
+ */
+router.get('/folder/:folderId', authenticateToken, validateFolderId, asyncHandler(async (req, res) => {
+  const folderId = req.params.folderId;
+  const userId = req.user.id;
+
+  // Verify folder exists and user owns it
+  const folder = await Folder.findOne({ _id: folderId, instructor: userId });
+  if (!folder) {
+    return notFoundResponse(res, 'Folder');
+  }
+
+  const outcomes = await CourseOutcome.getOrderedByFolder(folderId);
+
+  return successResponse(res, { outcomes }, 'Course outcomes retrieved successfully');
+}));
+
+/**
+ * GET /api/outcomes/folder/:folderId/report
+ * Count the objectives and questions across the folder's quizzes that assess each outcome
+ */
+router.get('/folder/:folderId/report', authenticateToken, validateFolderId, asyncHandler(async (req, res) => {
+  const folderId = req.params.folderId;
+  const userId = req.user.id;
+
+  // Verify folder exists and user owns it
+  const folder = await Folder.findOne({ _id: folderId, instructor: userId });
+  if (!folder) {
+    return notFoundResponse(res, 'Folder');
+  }
+
+  const report = await CourseOutcomeService.buildMappingReport(folder);
+
+  return successResponse(res, { report }, 'Course outcome mapping report generated successfully');
+}));
+
+/**
+ * POST /api/outcomes
+ * Add a course outcome to a folder
+ */
+router.post('/', authenticateToken, validateCreateOutcome, asyncHandler(async (req, res) => {
+  const { folderId, text, code, order } = req.body;
+  const userId = req.user.id;
+
+  // Verify folder exists and user owns it
+  const folder = await Folder.findOne({ _id: folderId, instructor: userId });
+  if (!folder) {
+    return notFoundResponse(res, 'Folder');
+  }
+
+  const outcome = new CourseOutcome({
+    text,
+    code,
+    folder: folderId,
+    order: order ?? await CourseOutcome.countDocuments({ folder: folderId }),
+    createdBy: userId
+  });
+
+  await outcome.save();
+
+  return successResponse(res, { outcome }, 'Course outcome created successfully', HTTP_STATUS.CREATED);
+}));
+
+/**
+ * PUT /api/outcomes/:id
+ * Update a course outcome
+ */
+router.put('/:id', authenticateToken, validateUpdateOutcome, asyncHandler(async (req, res) => {
+  const outcomeId = req.params.id;
+  const userId = req.user.id;
+  const updates = req.body;
+
+  const outcome = await CourseOutcome.findOne({ _id: outcomeId, createdBy: userId });
+  if (!outcome) {
+    return notFoundResponse(res, 'Course outcome');
+  }
+
+  // Update allowed fields
+  const allowedUpdates = ['text', 'code', 'order'];
+  allowedUpdates.forEach(field => {
+    if (updates[field] !== undefined) {
+      outcome[field] = updates[field];
+    }
+  });
+
+  await outcome.save();
+
+  return successResponse(res, { outcome }, 'Course outcome updated successfully');
+}));
+
+/**
+ * DELETE /api/outcomes/:id
+ * Delete a course outcome and unlink it from quiz objectives
+ */
+router.delete('/:id', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+  const outcomeId = req.params.id;
+  const userId = req.user.id;
+
+  const outcome = await CourseOutcome.findOne({ _id: outcomeId, createdBy: userId });
+  if (!outcome) {
+    return notFoundResponse(res, 'Course outcome');
+  }
+
+  // Objectives stay on their quizzes; only the link is removed
+  await LearningObjective.updateMany({ courseOutcomes: outcomeId }, { $pull: { courseOutcomes: outcomeId } });
+  await CourseOutcome.findByIdAndDelete(outcomeId);
+
+  return successResponse(res, null, 'Course outcome deleted successfully');
+}));
+
+export default router;
\ No newline at end of file
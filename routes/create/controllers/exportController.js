@@ -3,21 +3,39 @@ import Quiz from '../models/Quiz.js';
 import Question from '../models/Question.js';
 import LearningObjective from '../models/LearningObjective.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateMongoId } from '../middleware/validator.js';
+import { validateQuizId, validateQtiExport } from '../middleware/validator.js';
 import { successResponse, errorResponse, notFoundResponse } from '../utils/responseFormatter.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { HTTP_STATUS } from '../config/constants.js';
+import H5PExportService from '../services/h5pExportService.js';
+import QTIExportService from '../services/qtiExportService.js';
+import QuizTransferService from '../services/quizTransferService.js';
+import MoodleExportService from '../services/moodleExportService.js';
+import { HTTP_STATUS, FILE_CONFIG, QTI_VERSIONS, MOODLE_FORMATS } from '../config/constants.js';
 import path from 'path';
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream/promises';
 import crypto from 'crypto';
 
 const router = express.Router();
 
+// Content types for exports that are not ZIP packages
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/json',
+  [MOODLE_FORMATS.MOODLE_XML]: 'application/xml',
+  [MOODLE_FORMATS.GIFT]: 'text/plain; charset=utf-8'
+};
+
+const MOODLE_EXPORTS = [
+  { format: MOODLE_FORMATS.MOODLE_XML, label: 'Moodle XML', extension: '.xml' },
+  { format: MOODLE_FORMATS.GIFT, label: 'GIFT', extension: '.txt' }
+];
+
 /**
  * POST /api/export/h5p/:quizId
  * Generate H5P export
  */
-router.post('/h5p/:quizId', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+router.post('/h5p/:quizId', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
   const quizId = req.params.quizId;
   const userId = req.user.id;
 
@@ -42,16 +60,13 @@ router.post('/h5p/:quizId', authenticateToken, validateMongoId, asyncHandler(asy
   }
 
   try {
-    // Generate H5P content
-    const h5pContent = await generateH5PContent(quiz);
-    
     // Create export file
     const exportId = crypto.randomBytes(16).toString('hex');
     const filename = `${quiz.name.replace(/[^a-zA-Z0-9]/g, '_')}_${exportId}.h5p`;
-    const filePath = path.join('./routes/create/uploads/', filename);
+    const filePath = path.join(FILE_CONFIG.UPLOAD_PATH, filename);
 
-    // Write H5P file (for now, just JSON - in real implementation would be ZIP)
-    await fs.writeFile(filePath, JSON.stringify(h5pContent, null, 2));
+    await fs.mkdir(FILE_CONFIG.UPLOAD_PATH, { recursive: true });
+    const fileSize = await H5PExportService.writePackage(quiz, filePath);
 
     // Save export record
     await quiz.addExport(filePath);
@@ -65,7 +80,7 @@ router.post('/h5p/:quizId', authenticateToken, validateMongoId, asyncHandler(asy
         questionCount: quiz.questions.length,
         objectiveCount: quiz.learningObjectives.length,
         exportFormat: 'h5p',
-        fileSize: h5pContent.toString().length
+        fileSize
       }
     }, 'H5P export generated successfully', HTTP_STATUS.CREATED);
 
@@ -75,6 +90,172 @@ router.post('/h5p/:quizId', authenticateToken, validateMongoId, asyncHandler(asy
   }
 }));
 
+/**
+ * POST /api/export/qti/:quizId
+ * Generate QTI export (2.1 by default, or Canvas-flavoured 1.2)
+ */
+router.post('/qti/:quizId', authenticateToken, validateQtiExport, asyncHandler(async (req, res) => {
+  const quizId = req.params.quizId;
+  const userId = req.user.id;
+  const version = req.body?.version || QTI_VERSIONS.QTI_21;
+
+  // Verify quiz exists and user owns it
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId })
+    .populate({
+      path: 'questions',
+      populate: {
+        path: 'learningObjective',
+        select: 'text order'
+      },
+      options: { sort: { order: 1 } }
+    })
+    .populate('learningObjectives', 'text order');
+
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  if (!quiz.questions || quiz.questions.length === 0) {
+    return errorResponse(res, 'Quiz must have questions before exporting', 'NO_QUESTIONS', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  try {
+    // Create export file
+    const exportId = crypto.randomBytes(16).toString('hex');
+    const filename = `${quiz.name.replace(/[^a-zA-Z0-9]/g, '_')}_${exportId}_qti${version.replace('.', '')}.zip`;
+    const filePath = path.join(FILE_CONFIG.UPLOAD_PATH, filename);
+
+    await fs.mkdir(FILE_CONFIG.UPLOAD_PATH, { recursive: true });
+    const fileSize = await QTIExportService.writePackage(quiz, filePath, version);
+
+    // Save export record
+    await quiz.addExport(filePath, 'qti');
+
+    return successResponse(res, {
+      exportId,
+      filename,
+      downloadUrl: `/api/export/${exportId}/download`,
+      previewUrl: `/api/export/${quizId}/preview`,
+      metadata: {
+        questionCount: quiz.questions.length,
+        objectiveCount: quiz.learningObjectives.length,
+        exportFormat: 'qti',
+        version,
+        fileSize
+      }
+    }, 'QTI export generated successfully', HTTP_STATUS.CREATED);
+
+  } catch (error) {
+    console.error('QTI export error:', error);
+    return errorResponse(res, 'Failed to generate QTI export', 'EXPORT_ERROR', HTTP_STATUS.SERVICE_UNAVAILABLE);
+  }
+}));
+
+/**
+ * POST /api/export/json/:quizId
+ * Generate versioned JSON export that can be imported with POST /api/quizzes/import
+ */
+router.post('/json/:quizId', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
+  const quizId = req.params.quizId;
+  const userId = req.user.id;
+
+  // Verify quiz exists and user owns it
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  try {
+    const exportData = await QuizTransferService.exportQuiz(quiz);
+
+    // Create export file
+    const exportId = crypto.randomBytes(16).toString('hex');
+    const filename = `${quiz.name.replace(/[^a-zA-Z0-9]/g, '_')}_${exportId}.json`;
+    const filePath = path.join(FILE_CONFIG.UPLOAD_PATH, filename);
+    const json = JSON.stringify(exportData, null, 2);
+
+    await fs.mkdir(FILE_CONFIG.UPLOAD_PATH, { recursive: true });
+    await fs.writeFile(filePath, json);
+
+    // Save export record
+    await quiz.addExport(filePath, 'json');
+
+    return successResponse(res, {
+      exportId,
+      filename,
+      downloadUrl: `/api/export/${exportId}/download`,
+      metadata: {
+        questionCount: exportData.questions.length,
+        objectiveCount: exportData.learningObjectives.length,
+        planCount: exportData.generationPlans.length,
+        exportFormat: 'json',
+        version: exportData.version,
+        fileSize: Buffer.byteLength(json)
+      }
+    }, 'JSON export generated successfully', HTTP_STATUS.CREATED);
+
+  } catch (error) {
+    console.error('JSON export error:', error);
+    return errorResponse(res, 'Failed to generate JSON export', 'EXPORT_ERROR', HTTP_STATUS.SERVICE_UNAVAILABLE);
+  }
+}));
+
+/**
+ * POST /api/export/moodle-xml/:quizId
+ * POST /api/export/gift/:quizId
+ * Generate Moodle question bank import files
+ */
+for (const { format, label, extension } of MOODLE_EXPORTS) {
+  router.post(`/${format}/:quizId`, authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
+    const quizId = req.params.quizId;
+    const userId = req.user.id;
+
+    // Verify quiz exists and user owns it
+    const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId })
+      .populate({
+        path: 'questions',
+        options: { sort: { order: 1 } }
+      });
+
+    if (!quiz) {
+      return notFoundResponse(res, 'Quiz');
+    }
+
+    if (!quiz.questions || quiz.questions.length === 0) {
+      return errorResponse(res, 'Quiz must have questions before exporting', 'NO_QUESTIONS', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    try {
+      // Create export file
+      const exportId = crypto.randomBytes(16).toString('hex');
+      const filename = `${quiz.name.replace(/[^a-zA-Z0-9]/g, '_')}_${exportId}_${format}${extension}`;
+      const filePath = path.join(FILE_CONFIG.UPLOAD_PATH, filename);
+
+      await fs.mkdir(FILE_CONFIG.UPLOAD_PATH, { recursive: true });
+      const { fileSize, skipped } = await MoodleExportService.writeExport(quiz, filePath, format);
+
+      // Save export record
+      await quiz.addExport(filePath, format);
+
+      return successResponse(res, {
+        exportId,
+        filename,
+        downloadUrl: `/api/export/${exportId}/download`,
+        metadata: {
+          questionCount: quiz.questions.length - skipped.length,
+          skippedQuestions: skipped,
+          exportFormat: format,
+          fileSize
+        }
+      }, `${label} export generated successfully`, HTTP_STATUS.CREATED);
+
+    } catch (error) {
+      console.error(`${label} export error:`, error);
+      return errorResponse(res, `Failed to generate ${label} export`, 'EXPORT_ERROR', HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+  }));
+}
+
 /**
  * GET /api/export/:exportId/download
  * Download exported file
@@ -98,34 +279,33 @@ router.get('/:exportId/download', authenticateToken, asyncHandler(async (req, re
     return notFoundResponse(res, 'Export');
   }
 
+  // Check if file exists
+  let stats;
   try {
-    // Check if file exists
-    await fs.access(exportRecord.filePath);
-
-    // Increment download count
-    exportRecord.downloadCount += 1;
-    await quiz.save();
-
-    // Send file
-    const filename = path.basename(exportRecord.filePath);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'application/zip');
-    
-    // In a real implementation, you would stream the file
-    const fileContent = await fs.readFile(exportRecord.filePath);
-    res.send(fileContent);
-
+    stats = await fs.stat(exportRecord.filePath);
   } catch (error) {
     console.error('Download error:', error);
     return notFoundResponse(res, 'Export file');
   }
+
+  // Increment download count
+  exportRecord.downloadCount += 1;
+  await quiz.save();
+
+  // Stream file
+  const filename = path.basename(exportRecord.filePath);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[exportRecord.format] || 'application/zip');
+  res.setHeader('Content-Length', stats.size);
+
+  await pipeline(createReadStream(exportRecord.filePath), res);
 }));
 
 /**
  * GET /api/export/:quizId/preview
  * Preview quiz structure
  */
-router.get('/:quizId/preview', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+router.get('/:quizId/preview', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
   const quizId = req.params.quizId;
   const userId = req.user.id;
 
@@ -194,7 +374,7 @@ router.get('/:quizId/preview', authenticateToken, validateMongoId, asyncHandler(
  * GET /api/export/:quizId/formats
  * Get available export formats
  */
-router.get('/:quizId/formats', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+router.get('/:quizId/formats', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
   const quizId = req.params.quizId;
   const userId = req.user.id;
 
@@ -216,18 +396,35 @@ router.get('/:quizId/formats', authenticateToken, validateMongoId, asyncHandler(
     {
       name: 'QTI',
       id: 'qti',
-      description: 'Question and Test Interoperability format',
-      supported: false,
+      description: 'Question and Test Interoperability package (QTI 2.1, or QTI 1.2 for Canvas)',
+      supported: true,
       fileExtension: '.zip',
-      features: ['LMS compatibility', 'Question bank import', 'Standards compliant']
+      versions: Object.values(QTI_VERSIONS),
+      features: ['LMS compatibility', 'Question bank import', 'Standards compliant', 'Learning objective metadata']
+    },
+    {
+      name: 'Moodle XML',
+      id: MOODLE_FORMATS.MOODLE_XML,
+      description: 'Moodle question bank import (multichoice, truefalse, matching, cloze, essay)',
+      supported: true,
+      fileExtension: '.xml',
+      features: ['Moodle question bank import', 'Embedded-answer cloze', 'General feedback']
+    },
+    {
+      name: 'GIFT',
+      id: MOODLE_FORMATS.GIFT,
+      description: 'Moodle GIFT text format; cloze questions with several blanks are not supported',
+      supported: true,
+      fileExtension: '.txt',
+      features: ['Plain text', 'Easy to edit', 'Moodle question bank import']
     },
     {
       name: 'JSON',
       id: 'json',
-      description: 'Raw quiz data in JSON format',
+      description: 'Versioned quiz data that can be imported into another instance',
       supported: true,
       fileExtension: '.json',
-      features: ['Developer friendly', 'Easy parsing', 'Custom integration']
+      features: ['Developer friendly', 'Easy parsing', 'Custom integration', 'Round-trip import']
     }
   ];
 
@@ -275,75 +472,6 @@ router.delete('/:exportId', authenticateToken, asyncHandler(async (req, res) =>
 }));
 
 // Helper functions
-async function generateH5PContent(quiz) {
-  const h5pStructure = {
-    title: quiz.name,
-    language: 'en',
-    introduction: `Quiz: ${quiz.name}`,
-    questions: [],
-    settings: {
-      enableRetry: true,
-      enableSolutionsButton: true,
-      enableCheckButton: true,
-      showScorePoints: true,
-      progressType: 'dots',
-      passPercentage: 70
-    },
-    metadata: {
-      generatedBy: 'TLEF-CREATE',
-      createdAt: new Date().toISOString(),
-      questionCount: quiz.questions.length,
-      objectiveCount: quiz.learningObjectives.length
-    }
-  };
-
-  for (const question of quiz.questions) {
-    const h5pQuestion = convertQuestionToH5P(question);
-    h5pStructure.questions.push(h5pQuestion);
-  }
-
-  return h5pStructure;
-}
-
-function convertQuestionToH5P(question) {
-  const baseQuestion = {
-    type: question.type,
-    text: question.questionText,
-    feedback: question.explanation || 'Good job!'
-  };
-
-  switch (question.type) {
-    case 'multiple-choice':
-      return {
-        ...baseQuestion,
-        library: 'H5P.MultiChoice 1.16',
-        answers: question.content.options?.map(option => ({
-          text: option.text,
-          correct: option.isCorrect,
-          tipsAndFeedback: {
-            tip: '',
-            chosenFeedback: option.isCorrect ? 'Correct!' : 'Try again.',
-            notChosenFeedback: ''
-          }
-        })) || []
-      };
-
-    case 'true-false':
-      return {
-        ...baseQuestion,
-        library: 'H5P.TrueFalse 1.8',
-        correct: question.correctAnswer === 'True' ? 'true' : 'false'
-      };
-
-    default:
-      return {
-        ...baseQuestion,
-        library: 'H5P.Essay 1.5',
-        placeholder: 'Enter your answer here...'
-      };
-  }
-}
-
 function getQuestionTypeBreakdown(questions) {
   const breakdown = {};
   questions.forEach(q => {
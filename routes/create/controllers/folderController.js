@@ -1,5 +1,6 @@
 import express from 'express';
 import Folder from '../models/Folder.js';
+import CourseOutcome from '../models/CourseOutcome.js';
 import { authenticateToken, attachUser } from '../middleware/auth.js';
 import { validateCreateFolder, validateUpdateFolder, validateMongoId } from '../middleware/validator.js';
 import { successResponse, errorResponse, notFoundResponse, forbiddenResponse } from '../utils/responseFormatter.js';
@@ -152,6 +153,7 @@ router.delete('/:id', authenticateToken, validateMongoId, asyncHandler(async (re
     );
   }
 
+  await CourseOutcome.deleteMany({ folder: folderId });
   await Folder.findByIdAndDelete(folderId);
 
   return successResponse(res, null, 'Folder deleted successfully');
@@ -0,0 +1,123 @@
+import express from 'express';
+import GenerationRun from '../models/GenerationRun.js';
+import Quiz from '../models/Quiz.js';
+import { formatJob, enqueueGenerationRun, hasActiveJob } from '../services/jobService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateMongoId, validateQuizId } from '../middleware/validator.js';
+import { successResponse, errorResponse, notFoundResponse } from '../utils/responseFormatter.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { HTTP_STATUS, GENERATION_RUN_STATUS } from '../config/constants.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/generation-runs/quiz/:quizId
+ * Get a quiz's generation runs, newest first
+ */
+router.get('/quiz/:quizId', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
+  const quizId = req.params.quizId;
+  const userId = req.user.id;
+
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId }).select('_id');
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  const runs = await GenerationRun.find({ quiz: quizId })
+    .populate('plan', 'approach totalQuestions status')
+    .sort({ createdAt: -1 });
+
+  return successResponse(res, { runs }, 'Generation runs retrieved successfully');
+}));
+
+/**
+ * GET /api/generation-runs/:id
+ * Get a generation run with the state of each planned question
+ */
+router.get('/:id', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+  const runId = req.params.id;
+  const userId = req.user.id;
+
+  const run = await GenerationRun.findOne({ _id: runId, createdBy: userId })
+    .populate('plan', 'approach totalQuestions status')
+    .populate('slots.learningObjective', 'text order')
+    .populate('slots.question', 'type questionText reviewStatus');
+
+  if (!run) {
+    return notFoundResponse(res, 'Generation run');
+  }
+
+  return successResponse(res, { run }, 'Generation run retrieved successfully');
+}));
+
+/**
+ * POST /api/generation-runs/:id/cancel
+ * Stop a queued or running generation before its next question
+ */
+router.post('/:id/cancel', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+  const runId = req.params.id;
+  const userId = req.user.id;
+
+  const run = await GenerationRun.findOneAndUpdate(
+    {
+      _id: runId,
+      createdBy: userId,
+      status: { $in: [GENERATION_RUN_STATUS.QUEUED, GENERATION_RUN_STATUS.RUNNING] }
+    },
+    { status: GENERATION_RUN_STATUS.CANCELLED, cancelledAt: new Date() },
+    { new: true }
+  );
+
+  if (!run) {
+    const exists = await GenerationRun.exists({ _id: runId, createdBy: userId });
+    return exists
+      ? errorResponse(res, 'Only queued or running generations can be cancelled', 'RUN_NOT_ACTIVE', HTTP_STATUS.CONFLICT)
+      : notFoundResponse(res, 'Generation run');
+  }
+
+  return successResponse(res, { run }, 'Generation run cancelled');
+}));
+
+/**
+ * POST /api/generation-runs/:id/resume
+ * Generate only the questions a failed or cancelled run is missing
+ */
+router.post('/:id/resume', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+  const runId = req.params.id;
+  const userId = req.user.id;
+
+  const run = await GenerationRun.findOne({ _id: runId, createdBy: userId });
+  if (!run) {
+    return notFoundResponse(res, 'Generation run');
+  }
+
+  if (!run.isResumable) {
+    return errorResponse(res, 'Only failed or cancelled runs with missing questions can be resumed', 'RUN_NOT_RESUMABLE', HTTP_STATUS.CONFLICT);
+  }
+
+  const activeRun = await GenerationRun.exists({
+    quiz: run.quiz,
+    status: { $in: [GENERATION_RUN_STATUS.QUEUED, GENERATION_RUN_STATUS.RUNNING] }
+  });
+  if (activeRun) {
+    return errorResponse(res, 'Questions are already being generated for this quiz', 'GENERATION_IN_PROGRESS', HTTP_STATUS.CONFLICT);
+  }
+
+  // A cancelled job only notices between questions; requeueing the run before
+  // it stops would let it carry on as if the cancel never happened
+  if (await hasActiveJob(run.jobIds)) {
+    return errorResponse(res, 'The cancelled generation is still stopping; try again shortly', 'RUN_STILL_STOPPING', HTTP_STATUS.CONFLICT);
+  }
+
+  run.status = GENERATION_RUN_STATUS.QUEUED;
+  run.cancelledAt = undefined;
+  const job = await enqueueGenerationRun(run, userId);
+
+  return successResponse(res, {
+    run,
+    job: formatJob(job),
+    streamUrl: `/api/quizzes/${run.quiz}/generation/stream`
+  }, 'Generation run resumed', HTTP_STATUS.ACCEPTED);
+}));
+
+export default router;
\ No newline at end of file
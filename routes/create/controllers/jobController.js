@@ -0,0 +1,25 @@
+import express from 'express';
+import jobQueue, { formatJob } from '../services/jobService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { successResponse, notFoundResponse } from '../utils/responseFormatter.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/:id
+ * Get background job status
+ */
+router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const jobId = req.params.id;
+  const userId = req.user.id;
+
+  const job = await jobQueue.getJob(jobId);
+  if (!job || job.userId !== userId.toString()) {
+    return notFoundResponse(res, 'Job');
+  }
+
+  return successResponse(res, { job: formatJob(job) }, 'Job status retrieved');
+}));
+
+export default router;
\ No newline at end of file
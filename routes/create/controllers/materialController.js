@@ -2,11 +2,13 @@ import express from 'express';
 import Material from '../models/Material.js';
 import Folder from '../models/Folder.js';
 import FileService from '../services/fileService.js';
+import jobQueue, { formatJob } from '../services/jobService.js';
+import VectorIndexService from '../services/vectorIndexService.js';
 import { authenticateToken, attachUser } from '../middleware/auth.js';
-import { validateCreateMaterial } from '../middleware/validator.js';
+import { validateCreateMaterial, validateMongoId } from '../middleware/validator.js';
 import { successResponse, errorResponse, notFoundResponse } from '../utils/responseFormatter.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { HTTP_STATUS, MATERIAL_TYPES, PROCESSING_STATUS } from '../config/constants.js';
+import { HTTP_STATUS, MATERIAL_TYPES, PROCESSING_STATUS, JOB_TYPES } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -37,6 +39,7 @@ router.post('/upload', authenticateToken, upload.array('files', 10), asyncHandle
   }
 
   const materials = [];
+  const jobs = [];
   const errors = [];
 
   // Process each uploaded file
@@ -74,7 +77,15 @@ router.post('/upload', authenticateToken, upload.array('files', 10), asyncHandle
       // Add to folder
       await folder.addMaterial(material._id);
 
+      // Extract text content in the background
+      const job = await jobQueue.enqueue(
+        JOB_TYPES.MATERIAL_PROCESSING,
+        { materialId: material._id.toString() },
+        { userId }
+      );
+
       materials.push(material);
+      jobs.push({ materialId: material._id, ...formatJob(job) });
     } catch (error) {
       errors.push({
         filename: file.originalname,
@@ -85,6 +96,7 @@ router.post('/upload', authenticateToken, upload.array('files', 10), asyncHandle
 
   const response = {
     materials,
+    jobs,
     summary: {
       total: files.length,
       successful: materials.length,
@@ -252,6 +264,14 @@ router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
   // Delete material
   await Material.findByIdAndDelete(materialId);
 
+  // Remove indexed chunks so they are no longer retrieved for generation. The
+  // material is already gone, so an unavailable vector store doesn't block deletion
+  try {
+    await VectorIndexService.removeMaterial(material._id);
+  } catch (error) {
+    console.error('Vector index cleanup error:', error);
+  }
+
   return successResponse(res, null, 'Material deleted successfully');
 }));
 
@@ -264,7 +284,7 @@ router.get('/:id/status', authenticateToken, validateMongoId, asyncHandler(async
   const userId = req.user.id;
 
   const material = await Material.findOne({ _id: materialId, uploadedBy: userId })
-    .select('name processingStatus processingError createdAt updatedAt');
+    .select('name processingStatus processingError contentMetadata createdAt updatedAt');
 
   if (!material) {
     return notFoundResponse(res, 'Material');
@@ -276,6 +296,7 @@ router.get('/:id/status', authenticateToken, validateMongoId, asyncHandler(async
       name: material.name,
       processingStatus: material.processingStatus,
       processingError: material.processingError,
+      contentMetadata: material.contentMetadata,
       createdAt: material.createdAt,
       updatedAt: material.updatedAt
     }
@@ -322,10 +343,14 @@ router.post('/:id/reprocess', authenticateToken, validateMongoId, asyncHandler(a
   // Reset processing status
   await material.updateProcessingStatus(PROCESSING_STATUS.PENDING);
 
-  // Here you would trigger the actual processing job
-  // This could be a queue job, webhook, etc.
+  // Re-run extraction from the stored file or content in the background
+  const job = await jobQueue.enqueue(
+    JOB_TYPES.MATERIAL_PROCESSING,
+    { materialId: material._id.toString() },
+    { userId }
+  );
 
-  return successResponse(res, { material }, 'Material reprocessing triggered');
+  return successResponse(res, { material, job: formatJob(job) }, 'Material reprocessing queued', HTTP_STATUS.ACCEPTED);
 }));
 
 export default router;
\ No newline at end of file
@@ -2,11 +2,17 @@ import express from 'express';
 import LearningObjective from '../models/LearningObjective.js';
 import Quiz from '../models/Quiz.js';
 import Material from '../models/Material.js';
+import CourseOutcome from '../models/CourseOutcome.js';
+import BloomClassificationService from '../services/bloomClassificationService.js';
+import ObjectiveExtractionService from '../services/objectiveExtractionService.js';
+import ObjectiveLintService from '../services/objectiveLintService.js';
+import CourseOutcomeService from '../services/courseOutcomeService.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateCreateObjective, validateGenerateObjectives, validateClassifyObjectives, validateMongoId } from '../middleware/validator.js';
+import { validateCreateObjective, validateGenerateObjectives, validateClassifyObjectives, validateConfirmObjectives, validateImportOutcomes, validateUpdateObjective, validateMongoId, validateQuizId } from '../middleware/validator.js';
 import { successResponse, errorResponse, notFoundResponse } from '../utils/responseFormatter.js';
+import jobQueue, { formatJob, checkObjectives } from '../services/jobService.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { HTTP_STATUS } from '../config/constants.js';
+import { HTTP_STATUS, JOB_TYPES, BLOOM_SOURCES } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -14,7 +20,7 @@ const router = express.Router();
  * GET /api/objectives/quiz/:quizId
  * Get quiz objectives
  */
-router.get('/quiz/:quizId', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+router.get('/quiz/:quizId', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
   const quizId = req.params.quizId;
   const userId = req.user.id;
 
@@ -26,6 +32,7 @@ router.get('/quiz/:quizId', authenticateToken, validateMongoId, asyncHandler(asy
 
   const objectives = await LearningObjective.find({ quiz: quizId })
     .populate('generatedFrom', 'name type')
+    .populate('courseOutcomes', 'code text')
     .populate('createdBy', 'cwlId')
     .sort({ order: 1 });
 
@@ -72,68 +79,56 @@ router.post('/generate', authenticateToken, validateGenerateObjectives, asyncHan
     );
   }
 
-  try {
-    // TODO: Implement AI generation service
-    // This would call the UBC GenAI Toolkit to generate learning objectives
-    // For now, we'll return a placeholder response
-    
-    // Simulate AI generation
-    const generatedObjectives = [
-      "Students will understand the fundamental concepts presented in the materials",
-      "Students will be able to analyze key relationships between different topics",
-      "Students will demonstrate critical thinking skills in problem-solving scenarios"
-    ];
+  const job = await jobQueue.enqueue(
+    JOB_TYPES.OBJECTIVE_GENERATION,
+    { quizId, materialIds, userId },
+    { userId }
+  );
 
-    const objectives = [];
-    for (let i = 0; i < generatedObjectives.length; i++) {
-      const objective = new LearningObjective({
-        text: generatedObjectives[i],
-        quiz: quizId,
-        order: i,
-        generatedFrom: materialIds,
-        generationMetadata: {
-          isAIGenerated: true,
-          llmModel: 'llama3.1:8b',
-          generationPrompt: 'Generate learning objectives from provided materials',
-          confidence: 0.85,
-          processingTime: 2500
-        },
-        createdBy: userId
-      });
-
-      await objective.save();
-      objectives.push(objective);
-
-      // Add to quiz
-      await quiz.addLearningObjective(objective._id);
-    }
+  return successResponse(res, { job: formatJob(job) }, 'Learning objective generation queued', HTTP_STATUS.ACCEPTED);
+}));
 
-    return successResponse(res, { 
-      objectives,
-      metadata: {
-        generatedCount: objectives.length,
-        materialsUsed: materials.length,
-        generationModel: 'llama3.1:8b'
-      }
-    }, 'Learning objectives generated successfully', HTTP_STATUS.CREATED);
+/**
+ * POST /api/objectives/classify
+ * Preview learning objectives extracted from pasted text
+ */
+router.post('/classify', authenticateToken, validateClassifyObjectives, asyncHandler(async (req, res) => {
+  const { quizId, text } = req.body;
+  const userId = req.user.id;
 
-  } catch (error) {
-    console.error('AI generation error:', error);
+  // Verify quiz exists and user owns it
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  const existingObjectives = await LearningObjective.find({ quiz: quizId }).select('text');
+  const preview = await ObjectiveExtractionService.preview(text, existingObjectives);
+
+  if (preview.candidates.length === 0) {
     return errorResponse(
       res, 
-      'Failed to generate learning objectives', 
-      'AI_GENERATION_ERROR', 
-      HTTP_STATUS.SERVICE_UNAVAILABLE
+      'No learning objectives could be identified in the provided text', 
+      'NO_OBJECTIVES_FOUND', 
+      HTTP_STATUS.BAD_REQUEST
     );
   }
+
+  return successResponse(res, {
+    ...preview,
+    metadata: {
+      ...preview.metadata,
+      originalText: text.substring(0, 200) + (text.length > 200 ? '...' : '')
+    }
+  }, 'Learning objectives extracted for review');
 }));
 
 /**
- * POST /api/objectives/classify
- * AI classify user text into LOs
+ * POST /api/objectives/classify/confirm
+ * Save the objectives an instructor kept from a classify preview
  */
-router.post('/classify', authenticateToken, validateClassifyObjectives, asyncHandler(async (req, res) => {
-  const { quizId, text } = req.body;
+router.post('/classify/confirm', authenticateToken, validateConfirmObjectives, asyncHandler(async (req, res) => {
+  const { quizId, objectives: texts } = req.body;
   const userId = req.user.id;
 
   // Verify quiz exists and user owns it
@@ -142,73 +137,134 @@ router.post('/classify', authenticateToken, validateClassifyObjectives, asyncHan
     return notFoundResponse(res, 'Quiz');
   }
 
-  try {
-    // TODO: Implement AI classification service
-    // This would call the UBC GenAI Toolkit to classify text into learning objectives
-    // For now, we'll simulate the classification
-    
-    // Simple classification based on sentence splitting and filtering
-    const sentences = text.split(/[.!?]+/).map(s => s.trim()).filter(s => s.length > 10);
-    const classifiedObjectives = sentences
-      .filter(sentence => 
-        sentence.toLowerCase().includes('student') || 
-        sentence.toLowerCase().includes('learn') ||
-        sentence.toLowerCase().includes('understand') ||
-        sentence.toLowerCase().includes('demonstrate')
-      )
-      .slice(0, 10) // Limit to 10 objectives
-      .map(sentence => sentence.replace(/^(students?|learners?)\s+(will\s+)?(be\s+able\s+to\s+)?/i, '').trim());
-
-    if (classifiedObjectives.length === 0) {
-      return errorResponse(
-        res, 
-        'No learning objectives could be identified in the provided text', 
-        'NO_OBJECTIVES_FOUND', 
-        HTTP_STATUS.BAD_REQUEST
-      );
+  const existingObjectives = await LearningObjective.find({ quiz: quizId }).select('text order');
+  let order = existingObjectives.reduce((max, objective) => Math.max(max, objective.order + 1), 0);
+
+  const objectives = [];
+  const skipped = [];
+  for (const text of texts) {
+    const duplicateOf = ObjectiveExtractionService.findDuplicate(text, [...existingObjectives, ...objectives]);
+    if (duplicateOf) {
+      skipped.push({ text, duplicateOf });
+      continue;
     }
 
-    const objectives = [];
-    for (let i = 0; i < classifiedObjectives.length; i++) {
-      const objective = new LearningObjective({
-        text: classifiedObjectives[i],
-        quiz: quizId,
-        order: i,
-        generationMetadata: {
-          isAIGenerated: true,
-          llmModel: 'text-classification',
-          generationPrompt: 'Classify text into learning objectives',
-          confidence: 0.75,
-          processingTime: 1200
-        },
-        createdBy: userId
-      });
-
-      await objective.save();
-      objectives.push(objective);
-
-      // Add to quiz
-      await quiz.addLearningObjective(objective._id);
+    const objective = new LearningObjective({
+      text,
+      quiz: quizId,
+      order: order++,
+      generationMetadata: {
+        isAIGenerated: true,
+        llmModel: 'objective-extraction',
+        generationPrompt: 'Extract learning objectives from pasted text'
+      },
+      createdBy: userId
+    });
+
+    await objective.save();
+    await quiz.addLearningObjective(objective._id);
+    objectives.push(objective);
+  }
+
+  await checkObjectives(objectives, userId);
+
+  const statusCode = objectives.length > 0 ? HTTP_STATUS.CREATED : HTTP_STATUS.OK;
+  const message = objectives.length > 0 ?
+    `${objectives.length} learning objectives created successfully` :
+    'All objectives already exist on this quiz';
+
+  return successResponse(res, {
+    objectives,
+    skipped,
+    summary: {
+      total: texts.length,
+      created: objectives.length,
+      skipped: skipped.length
     }
+  }, message, statusCode);
+}));
 
-    return successResponse(res, { 
-      objectives,
-      metadata: {
-        originalText: text.substring(0, 200) + (text.length > 200 ? '...' : ''),
-        classifiedCount: objectives.length,
-        totalSentences: sentences.length
-      }
-    }, 'Text classified into learning objectives successfully', HTTP_STATUS.CREATED);
+/**
+ * POST /api/objectives/from-outcomes
+ * Add course outcomes from the quiz's folder as objectives
+ */
+router.post('/from-outcomes', authenticateToken, validateImportOutcomes, asyncHandler(async (req, res) => {
+  const { quizId, outcomeIds } = req.body;
+  const userId = req.user.id;
+
+  // Verify quiz exists and user owns it
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
 
-  } catch (error) {
-    console.error('Classification error:', error);
+  const outcomes = await CourseOutcome.find({ _id: { $in: outcomeIds }, folder: quiz.folder }).sort({ order: 1 });
+  if (outcomes.length !== new Set(outcomeIds).size) {
     return errorResponse(
-      res, 
-      'Failed to classify text into learning objectives', 
-      'AI_CLASSIFICATION_ERROR', 
-      HTTP_STATUS.SERVICE_UNAVAILABLE
+      res,
+      "Some course outcomes not found or not in the quiz's folder",
+      'INVALID_OUTCOMES',
+      HTTP_STATUS.BAD_REQUEST
     );
   }
+
+  const { created, linked } = await CourseOutcomeService.importIntoQuiz(quiz, outcomes, userId);
+
+  return successResponse(res, {
+    objectives: created,
+    linked,
+    summary: {
+      total: outcomes.length,
+      created: created.length,
+      linked: linked.length
+    }
+  }, `${created.length} learning objectives created from course outcomes`, created.length > 0 ? HTTP_STATUS.CREATED : HTTP_STATUS.OK);
+}));
+
+/**
+ * POST /api/objectives/quiz/:quizId/bloom
+ * Reclassify quiz objectives into Bloom's levels, keeping instructor choices
+ */
+router.post('/quiz/:quizId/bloom', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
+  const quizId = req.params.quizId;
+  const userId = req.user.id;
+
+  // Verify quiz exists and user owns it
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  const objectives = await LearningObjective.find({ quiz: quizId }).sort({ order: 1 });
+  await BloomClassificationService.classifyAndSave(objectives);
+
+  return successResponse(res, { objectives }, 'Learning objectives classified successfully');
+}));
+
+/**
+ * POST /api/objectives/quiz/:quizId/lint
+ * Recheck the quality of every objective in a quiz
+ */
+router.post('/quiz/:quizId/lint', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
+  const quizId = req.params.quizId;
+  const userId = req.user.id;
+
+  // Verify quiz exists and user owns it
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  const objectives = await LearningObjective.find({ quiz: quizId }).sort({ order: 1 });
+  await ObjectiveLintService.lintAndSave(objectives);
+
+  return successResponse(res, {
+    objectives,
+    summary: {
+      checked: objectives.length,
+      withIssues: objectives.filter(objective => objective.hasQualityIssues).length
+    }
+  }, 'Learning objectives checked successfully');
 }));
 
 /**
@@ -254,6 +310,8 @@ router.post('/', authenticateToken, asyncHandler(async (req, res) => {
       }
     }
 
+    await checkObjectives(objectives, userId);
+
     const response = {
       objectives,
       summary: {
@@ -297,26 +355,106 @@ router.post('/', authenticateToken, asyncHandler(async (req, res) => {
 
   await objective.save();
   await quiz.addLearningObjective(objective._id);
+  await checkObjectives([objective], userId);
 
   return successResponse(res, { objective }, 'Learning objective created successfully', HTTP_STATUS.CREATED);
 }));
 
+/**
+ * PUT /api/objectives/reorder
+ * Reorder objectives
+ */
+router.put('/reorder', authenticateToken, asyncHandler(async (req, res) => {
+  const { quizId, objectiveIds } = req.body;
+  const userId = req.user.id;
+
+  if (!quizId || !Array.isArray(objectiveIds)) {
+    return errorResponse(res, 'QuizId and objectiveIds array are required', 'VALIDATION_ERROR', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Verify quiz exists and user owns it
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  // Verify all objectives belong to this quiz and user
+  const objectives = await LearningObjective.find({ 
+    _id: { $in: objectiveIds },
+    quiz: quizId,
+    createdBy: userId 
+  });
+
+  if (objectives.length !== objectiveIds.length) {
+    return errorResponse(
+      res, 
+      'Some objectives not found or not owned by user', 
+      'INVALID_OBJECTIVES', 
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  // Update order
+  await LearningObjective.reorderObjectives(quizId, objectiveIds);
+
+  const reorderedObjectives = await LearningObjective.find({ quiz: quizId })
+    .sort({ order: 1 });
+
+  return successResponse(res, { objectives: reorderedObjectives }, 'Learning objectives reordered successfully');
+}));
+
 /**
  * PUT /api/objectives/:id
  * Update objective
  */
-router.put('/:id', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+router.put('/:id', authenticateToken, validateUpdateObjective, asyncHandler(async (req, res) => {
   const objectiveId = req.params.id;
   const userId = req.user.id;
-  const { text, order } = req.body;
+  const { text, order, bloom, courseOutcomeIds } = req.body;
 
   const objective = await LearningObjective.findOne({ _id: objectiveId, createdBy: userId });
   if (!objective) {
     return notFoundResponse(res, 'Learning objective');
   }
 
+  // Validate outcome links before changing anything, so a bad ID leaves the objective as it was
+  let outcomes;
+  if (courseOutcomeIds) {
+    // Objectives can only contribute to outcomes of their own course
+    const quiz = await Quiz.findById(objective.quiz).select('folder');
+    outcomes = await CourseOutcome.find({ _id: { $in: courseOutcomeIds }, folder: quiz?.folder }).select('_id');
+    if (outcomes.length !== new Set(courseOutcomeIds).size) {
+      return errorResponse(
+        res,
+        "Some course outcomes not found or not in the quiz's folder",
+        'INVALID_OUTCOMES',
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  }
+
   if (text && text.trim() !== objective.text) {
     await objective.updateText(text.trim(), userId);
+
+    // Reclassify the new wording unless the instructor chose the level
+    await checkObjectives([objective], userId);
+  }
+
+  // An instructor's classification is kept until they change it
+  if (bloom?.level || bloom?.knowledgeDimension) {
+    const previous = objective.bloom?.level;
+    await objective.setBloom({
+      level: bloom.level || objective.bloom?.level,
+      knowledgeDimension: bloom.knowledgeDimension || objective.bloom?.knowledgeDimension,
+      source: BLOOM_SOURCES.INSTRUCTOR,
+      confidence: 1
+    });
+    await objective.addEdit(userId, `Bloom's level changed from ${previous || 'unclassified'} to ${objective.bloom.level}`);
+  }
+
+  if (outcomes) {
+    objective.courseOutcomes = outcomes.map(outcome => outcome._id);
+    await objective.save();
   }
 
   if (order !== undefined && order !== objective.order) {
@@ -355,47 +493,4 @@ router.delete('/:id', authenticateToken, validateMongoId, asyncHandler(async (re
   return successResponse(res, null, 'Learning objective deleted successfully');
 }));
 
-/**
- * PUT /api/objectives/reorder
- * Reorder objectives
- */
-router.put('/reorder', authenticateToken, asyncHandler(async (req, res) => {
-  const { quizId, objectiveIds } = req.body;
-  const userId = req.user.id;
-
-  if (!quizId || !Array.isArray(objectiveIds)) {
-    return errorResponse(res, 'QuizId and objectiveIds array are required', 'VALIDATION_ERROR', HTTP_STATUS.BAD_REQUEST);
-  }
-
-  // Verify quiz exists and user owns it
-  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
-  if (!quiz) {
-    return notFoundResponse(res, 'Quiz');
-  }
-
-  // Verify all objectives belong to this quiz and user
-  const objectives = await LearningObjective.find({ 
-    _id: { $in: objectiveIds },
-    quiz: quizId,
-    createdBy: userId 
-  });
-
-  if (objectives.length !== objectiveIds.length) {
-    return errorResponse(
-      res, 
-      'Some objectives not found or not owned by user', 
-      'INVALID_OBJECTIVES', 
-      HTTP_STATUS.BAD_REQUEST
-    );
-  }
-
-  // Update order
-  await LearningObjective.reorderObjectives(quizId, objectiveIds);
-
-  const reorderedObjectives = await LearningObjective.find({ quiz: quizId })
-    .sort({ order: 1 });
-
-  return successResponse(res, { objectives: reorderedObjectives }, 'Learning objectives reordered successfully');
-}));
-
 export default router;
\ No newline at end of file
@@ -2,11 +2,13 @@ import express from 'express';
 import GenerationPlan from '../models/GenerationPlan.js';
 import Quiz from '../models/Quiz.js';
 import LearningObjective from '../models/LearningObjective.js';
+import PlanGenerationService from '../services/planGenerationService.js';
+import BloomClassificationService from '../services/bloomClassificationService.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateGeneratePlan, validateMongoId } from '../middleware/validator.js';
+import { validateGeneratePlan, validateMongoId, validateQuizId } from '../middleware/validator.js';
 import { successResponse, errorResponse, notFoundResponse } from '../utils/responseFormatter.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { HTTP_STATUS, PEDAGOGICAL_APPROACHES, QUESTION_TYPES } from '../config/constants.js';
+import { HTTP_STATUS } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -15,7 +17,7 @@ const router = express.Router();
  * Generate AI plan for quiz
  */
 router.post('/generate', authenticateToken, validateGeneratePlan, asyncHandler(async (req, res) => {
-  const { quizId, approach, questionsPerLO = 3 } = req.body;
+  const { quizId, approach } = req.body;
   const userId = req.user.id;
 
   // Verify quiz exists and user owns it
@@ -24,6 +26,17 @@ router.post('/generate', authenticateToken, validateGeneratePlan, asyncHandler(a
     return notFoundResponse(res, 'Quiz');
   }
 
+  const questionsPerLO = Number(req.body.questionsPerLO ?? quiz.settings.questionsPerObjective);
+  const quotaTotal = quiz.getQuestionTypeQuotas().reduce((sum, quota) => sum + quota.count, 0);
+  if (quotaTotal > 0 && quotaTotal !== questionsPerLO) {
+    return errorResponse(
+      res,
+      `The quiz's question type quotas add up to ${quotaTotal} questions per objective, not ${questionsPerLO}`,
+      'PLAN_SETTINGS_MISMATCH',
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
   // Get learning objectives
   const objectives = await LearningObjective.find({ quiz: quizId }).sort({ order: 1 });
   if (objectives.length === 0) {
@@ -31,50 +44,14 @@ router.post('/generate', authenticateToken, validateGeneratePlan, asyncHandler(a
   }
 
   try {
-    // Generate plan based on pedagogical approach
-    const breakdown = [];
-    const questionTypeDistribution = getQuestionTypeDistribution(approach);
-
-    for (const objective of objectives) {
-      const questionTypes = [];
-      let totalForObjective = questionsPerLO;
-      
-      // Distribute question types for this objective
-      for (const [type, percentage] of Object.entries(questionTypeDistribution)) {
-        const count = Math.round((percentage / 100) * totalForObjective);
-        if (count > 0) {
-          questionTypes.push({
-            type,
-            count,
-            reasoning: getReasoningForQuestionType(type, approach)
-          });
-        }
-      }
-
-      breakdown.push({
-        learningObjective: objective._id,
-        questionTypes
-      });
-    }
+    // Objectives created before classification existed get a Bloom's level first
+    await BloomClassificationService.classifyAndSave(objectives.filter(objective => !objective.isClassified));
 
-    const totalQuestions = objectives.length * questionsPerLO;
-
-    // Calculate overall distribution
-    const distribution = [];
-    const typeCounts = {};
-
-    breakdown.forEach(lo => {
-      lo.questionTypes.forEach(qt => {
-        typeCounts[qt.type] = (typeCounts[qt.type] || 0) + qt.count;
-      });
-    });
-
-    Object.entries(typeCounts).forEach(([type, count]) => {
-      distribution.push({
-        type,
-        totalCount: count,
-        percentage: Math.round((count / totalQuestions) * 100)
-      });
+    const { breakdown, totalQuestions, generationMetadata } = await PlanGenerationService.generatePlan({
+      quiz,
+      objectives,
+      approach,
+      questionsPerLO
     });
 
     const plan = new GenerationPlan({
@@ -83,14 +60,7 @@ router.post('/generate', authenticateToken, validateGeneratePlan, asyncHandler(a
       questionsPerLO,
       totalQuestions,
       breakdown,
-      distribution,
-      generationMetadata: {
-        llmModel: 'llama3.1:8b',
-        generationPrompt: `Generate ${approach} pedagogy plan`,
-        processingTime: 1500,
-        confidence: 0.9,
-        reasoning: `Generated plan using ${approach} pedagogical approach with ${questionsPerLO} questions per learning objective`
-      },
+      generationMetadata,
       createdBy: userId
     });
 
@@ -109,7 +79,7 @@ router.post('/generate', authenticateToken, validateGeneratePlan, asyncHandler(a
  * GET /api/plans/quiz/:quizId
  * Get plans for quiz
  */
-router.get('/quiz/:quizId', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+router.get('/quiz/:quizId', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
   const quizId = req.params.quizId;
   const userId = req.user.id;
 
@@ -169,6 +139,16 @@ router.put('/:id', authenticateToken, validateMongoId, asyncHandler(async (req,
   }
 
   if (breakdown) {
+    const quiz = await Quiz.findById(plan.quiz);
+    if (quiz) {
+      PlanGenerationService.assignDifficultyTargets(breakdown, quiz);
+
+      const conflicts = PlanGenerationService.findSettingsConflicts(breakdown, quiz);
+      if (conflicts.length > 0) {
+        return errorResponse(res, 'Breakdown does not match the quiz settings', 'PLAN_SETTINGS_MISMATCH', HTTP_STATUS.BAD_REQUEST, conflicts);
+      }
+    }
+
     await plan.updateBreakdown(breakdown, userId);
   }
 
@@ -194,10 +174,15 @@ router.post('/:id/approve', authenticateToken, validateMongoId, asyncHandler(asy
     return notFoundResponse(res, 'Generation plan');
   }
 
+  const quiz = await Quiz.findById(plan.quiz);
+  const conflicts = quiz ? PlanGenerationService.findSettingsConflicts(plan.breakdown, quiz) : [];
+  if (conflicts.length > 0) {
+    return errorResponse(res, 'Plan does not match the quiz settings', 'PLAN_SETTINGS_MISMATCH', HTTP_STATUS.CONFLICT, conflicts);
+  }
+
   await plan.approve();
 
   // Set as active plan in quiz
-  const quiz = await Quiz.findById(plan.quiz);
   if (quiz) {
     await quiz.setActivePlan(planId);
   }
@@ -229,53 +214,4 @@ router.delete('/:id', authenticateToken, validateMongoId, asyncHandler(async (re
   return successResponse(res, null, 'Generation plan deleted successfully');
 }));
 
-// Helper functions
-function getQuestionTypeDistribution(approach) {
-  const distributions = {
-    [PEDAGOGICAL_APPROACHES.SUPPORT]: {
-      [QUESTION_TYPES.MULTIPLE_CHOICE]: 40,
-      [QUESTION_TYPES.TRUE_FALSE]: 20,
-      [QUESTION_TYPES.FLASHCARD]: 30,
-      [QUESTION_TYPES.SUMMARY]: 10
-    },
-    [PEDAGOGICAL_APPROACHES.ASSESS]: {
-      [QUESTION_TYPES.MULTIPLE_CHOICE]: 50,
-      [QUESTION_TYPES.TRUE_FALSE]: 20,
-      [QUESTION_TYPES.DISCUSSION]: 20,
-      [QUESTION_TYPES.SUMMARY]: 10
-    },
-    [PEDAGOGICAL_APPROACHES.GAMIFY]: {
-      [QUESTION_TYPES.MATCHING]: 30,
-      [QUESTION_TYPES.ORDERING]: 25,
-      [QUESTION_TYPES.MULTIPLE_CHOICE]: 25,
-      [QUESTION_TYPES.FLASHCARD]: 20
-    },
-    [PEDAGOGICAL_APPROACHES.CUSTOM]: {
-      [QUESTION_TYPES.MULTIPLE_CHOICE]: 35,
-      [QUESTION_TYPES.TRUE_FALSE]: 15,
-      [QUESTION_TYPES.FLASHCARD]: 15,
-      [QUESTION_TYPES.DISCUSSION]: 15,
-      [QUESTION_TYPES.SUMMARY]: 10,
-      [QUESTION_TYPES.MATCHING]: 10
-    }
-  };
-
-  return distributions[approach] || distributions[PEDAGOGICAL_APPROACHES.SUPPORT];
-}
-
-function getReasoningForQuestionType(type, approach) {
-  const reasonings = {
-    [QUESTION_TYPES.MULTIPLE_CHOICE]: `Multiple choice questions provide clear assessment with immediate feedback, suitable for ${approach} approach`,
-    [QUESTION_TYPES.TRUE_FALSE]: `True/false questions test basic understanding and work well for quick comprehension checks`,
-    [QUESTION_TYPES.FLASHCARD]: `Flashcards support active recall and spaced repetition learning`,
-    [QUESTION_TYPES.SUMMARY]: `Summary questions encourage synthesis and deeper understanding`,
-    [QUESTION_TYPES.DISCUSSION]: `Discussion prompts foster critical thinking and analysis`,
-    [QUESTION_TYPES.MATCHING]: `Matching exercises help connect related concepts in an engaging way`,
-    [QUESTION_TYPES.ORDERING]: `Ordering questions test understanding of sequences and relationships`,
-    [QUESTION_TYPES.CLOZE]: `Fill-in-the-blank questions test specific knowledge retention`
-  };
-
-  return reasonings[type] || 'Selected to support learning objectives';
-}
-
 export default router;
\ No newline at end of file
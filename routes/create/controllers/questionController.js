@@ -3,11 +3,16 @@ import Question from '../models/Question.js';
 import Quiz from '../models/Quiz.js';
 import LearningObjective from '../models/LearningObjective.js';
 import GenerationPlan from '../models/GenerationPlan.js';
+import GenerationRun from '../models/GenerationRun.js';
+import QuestionGenerationService from '../services/questionGenerationService.js';
+import PlanGenerationService from '../services/planGenerationService.js';
+import QuestionQualityService from '../services/questionQualityService.js';
+import { formatJob, enqueueGenerationRun } from '../services/jobService.js';
 import { authenticateToken, attachUser } from '../middleware/auth.js';
-import { validateCreateQuestion, validateGenerateQuestions, validateReorderQuestions, validateMongoId } from '../middleware/validator.js';
+import { validateCreateQuestion, validateGenerateQuestions, validateReorderQuestions, validateMongoId, validateQuizId } from '../middleware/validator.js';
 import { successResponse, errorResponse, notFoundResponse } from '../utils/responseFormatter.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { HTTP_STATUS, QUESTION_TYPES, DIFFICULTY_LEVELS, REVIEW_STATUS } from '../config/constants.js';
+import { HTTP_STATUS, REVIEW_STATUS, GENERATION_RUN_STATUS } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -15,7 +20,7 @@ const router = express.Router();
  * GET /api/questions/quiz/:quizId
  * Get quiz questions
  */
-router.get('/quiz/:quizId', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+router.get('/quiz/:quizId', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
   const quizId = req.params.quizId;
   const userId = req.user.id;
 
@@ -28,6 +33,7 @@ router.get('/quiz/:quizId', authenticateToken, validateMongoId, asyncHandler(asy
   const questions = await Question.find({ quiz: quizId })
     .populate('learningObjective', 'text order')
     .populate('generationPlan', 'approach')
+    .populate('generationMetadata.generatedFrom.material', 'name type')
     .populate('createdBy', 'cwlId')
     .sort({ order: 1 });
 
@@ -60,72 +66,28 @@ router.post('/generate-from-plan', authenticateToken, attachUser, validateGenera
     return notFoundResponse(res, 'Approved generation plan');
   }
 
-  try {
-    const questions = [];
-    let questionOrder = 0;
-
-    // Generate questions according to plan
-    for (const breakdownItem of plan.breakdown) {
-      const learningObjective = breakdownItem.learningObjective;
-
-      for (const questionTypeConfig of breakdownItem.questionTypes) {
-        for (let i = 0; i < questionTypeConfig.count; i++) {
-          const question = await generateQuestion(
-            quizId,
-            learningObjective._id,
-            questionTypeConfig.type,
-            planId,
-            questionOrder++,
-            userId
-          );
-          
-          questions.push(question);
-          await quiz.addQuestion(question._id);
-        }
-      }
-    }
-
-    // Mark plan as used
-    await plan.markAsUsed();
+  const activeRun = await GenerationRun.exists({
+    quiz: quizId,
+    status: { $in: [GENERATION_RUN_STATUS.QUEUED, GENERATION_RUN_STATUS.RUNNING] }
+  });
+  if (activeRun) {
+    return errorResponse(res, 'Questions are already being generated for this quiz', 'GENERATION_IN_PROGRESS', HTTP_STATUS.CONFLICT);
+  }
 
-    // Update user stats
-    if (req.user.fullUser) {
-      await req.user.fullUser.incrementStats('questionsCreated');
-    }
+  // Settings may have changed since the plan was approved
+  const conflicts = PlanGenerationService.findSettingsConflicts(plan.breakdown, quiz);
+  if (conflicts.length > 0) {
+    return errorResponse(res, 'Plan no longer matches the quiz settings', 'PLAN_SETTINGS_MISMATCH', HTTP_STATUS.CONFLICT, conflicts);
+  }
 
-    // Add generation record to quiz
-    await quiz.addGenerationRecord({
-      approach: plan.approach,
-      questionsGenerated: questions.length,
-      processingTime: 5000,
-      llmModel: 'llama3.1:8b',
-      success: true
-    });
-
-    return successResponse(res, { 
-      questions,
-      metadata: {
-        generatedCount: questions.length,
-        planUsed: plan.approach,
-        totalObjectives: plan.breakdown.length
-      }
-    }, 'Questions generated successfully', HTTP_STATUS.CREATED);
+  const run = GenerationRun.fromPlan(plan, userId, quiz.settings.difficulty);
+  const job = await enqueueGenerationRun(run, userId);
 
-  } catch (error) {
-    console.error('Question generation error:', error);
-    
-    // Add failed generation record
-    await quiz.addGenerationRecord({
-      approach: plan.approach,
-      questionsGenerated: 0,
-      processingTime: 2000,
-      llmModel: 'llama3.1:8b',
-      success: false,
-      errorMessage: error.message
-    });
-
-    return errorResponse(res, 'Failed to generate questions', 'QUESTION_GENERATION_ERROR', HTTP_STATUS.SERVICE_UNAVAILABLE);
-  }
+  return successResponse(res, {
+    run,
+    job: formatJob(job),
+    streamUrl: `/api/quizzes/${quizId}/generation/stream`
+  }, 'Question generation queued', HTTP_STATUS.ACCEPTED);
 }));
 
 /**
@@ -168,12 +130,82 @@ router.post('/', authenticateToken, validateCreateQuestion, asyncHandler(async (
     createdBy: userId
   });
 
+  QuestionQualityService.applyChecks(question);
   await question.save();
   await quiz.addQuestion(question._id);
 
   return successResponse(res, { question }, 'Question created successfully', HTTP_STATUS.CREATED);
 }));
 
+/**
+ * POST /api/questions/quiz/:quizId/check
+ * Rerun the automated quality checks on every question in a quiz
+ */
+router.post('/quiz/:quizId/check', authenticateToken, validateQuizId, asyncHandler(async (req, res) => {
+  const quizId = req.params.quizId;
+  const userId = req.user.id;
+
+  // Verify quiz exists and user owns it
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  const questions = await Question.getByQuizOrdered(quizId);
+  for (const question of questions) {
+    QuestionQualityService.applyChecks(question);
+    await question.save();
+  }
+
+  return successResponse(res, {
+    questions,
+    summary: {
+      checked: questions.length,
+      withFindings: questions.filter(question => question.hasQualityFindings).length
+    }
+  }, 'Question quality checks completed');
+}));
+
+/**
+ * PUT /api/questions/reorder
+ * Reorder questions
+ */
+router.put('/reorder', authenticateToken, validateReorderQuestions, asyncHandler(async (req, res) => {
+  const { quizId, questionIds } = req.body;
+  const userId = req.user.id;
+
+  // Verify quiz exists and user owns it
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  // Verify all questions belong to this quiz and user
+  const questions = await Question.find({ 
+    _id: { $in: questionIds },
+    quiz: quizId,
+    createdBy: userId 
+  });
+
+  if (questions.length !== questionIds.length) {
+    return errorResponse(
+      res, 
+      'Some questions not found or not owned by user', 
+      'INVALID_QUESTIONS', 
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  // Update order
+  await Question.reorderQuestions(quizId, questionIds);
+
+  const reorderedQuestions = await Question.find({ quiz: quizId })
+    .populate('learningObjective', 'text')
+    .sort({ order: 1 });
+
+  return successResponse(res, { questions: reorderedQuestions }, 'Questions reordered successfully');
+}));
+
 /**
  * PUT /api/questions/:id
  * Update question
@@ -203,6 +235,11 @@ router.put('/:id', authenticateToken, validateMongoId, asyncHandler(async (req,
     }
   });
 
+  // Recheck edited content; a question that now has problems goes back for review
+  if (['questionText', 'content', 'correctAnswer'].some(field => updates[field] !== undefined)) {
+    QuestionQualityService.applyChecks(question);
+  }
+
   // Add to edit history
   await question.addEdit(userId, 'Manual update', previousData);
 
@@ -249,11 +286,18 @@ router.post('/:id/regenerate', authenticateToken, validateMongoId, asyncHandler(
   }
 
   try {
-    // Generate new question content
-    const newQuestionData = await generateQuestionContent(
+    // Generate new question content from freshly retrieved passages
+    const quiz = await Quiz.findById(question.quiz);
+    const sources = quiz
+      ? await QuestionGenerationService.retrieveSources(quiz, question.learningObjective.text)
+      : [];
+
+    const newQuestionData = await QuestionGenerationService.generateQuestionContent(
       question.type,
       question.learningObjective.text,
-      question.difficulty
+      question.difficulty,
+      sources,
+      quiz?.settings.pedagogicalApproach
     );
 
     // Store previous version
@@ -268,6 +312,11 @@ router.post('/:id/regenerate', authenticateToken, validateMongoId, asyncHandler(
     question.content = newQuestionData.content;
     question.correctAnswer = newQuestionData.correctAnswer;
     question.explanation = newQuestionData.explanation;
+    for (const [field, value] of Object.entries(newQuestionData.metadata)) {
+      question.set(`generationMetadata.${field}`, value);
+    }
+    question.set('generationMetadata.generatedFrom', newQuestionData.citations);
+    QuestionQualityService.applyChecks(question);
 
     // Add to edit history
     await question.addEdit(userId, 'AI regeneration', previousData);
@@ -280,46 +329,6 @@ router.post('/:id/regenerate', authenticateToken, validateMongoId, asyncHandler(
   }
 }));
 
-/**
- * PUT /api/questions/reorder
- * Reorder questions
- */
-router.put('/reorder', authenticateToken, validateReorderQuestions, asyncHandler(async (req, res) => {
-  const { quizId, questionIds } = req.body;
-  const userId = req.user.id;
-
-  // Verify quiz exists and user owns it
-  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
-  if (!quiz) {
-    return notFoundResponse(res, 'Quiz');
-  }
-
-  // Verify all questions belong to this quiz and user
-  const questions = await Question.find({ 
-    _id: { $in: questionIds },
-    quiz: quizId,
-    createdBy: userId 
-  });
-
-  if (questions.length !== questionIds.length) {
-    return errorResponse(
-      res, 
-      'Some questions not found or not owned by user', 
-      'INVALID_QUESTIONS', 
-      HTTP_STATUS.BAD_REQUEST
-    );
-  }
-
-  // Update order
-  await Question.reorderQuestions(quizId, questionIds);
-
-  const reorderedQuestions = await Question.find({ quiz: quizId })
-    .populate('learningObjective', 'text')
-    .sort({ order: 1 });
-
-  return successResponse(res, { questions: reorderedQuestions }, 'Questions reordered successfully');
-}));
-
 /**
  * PUT /api/questions/:id/review
  * Update question review status
@@ -343,77 +352,4 @@ router.put('/:id/review', authenticateToken, validateMongoId, asyncHandler(async
   return successResponse(res, { question }, 'Question review status updated');
 }));
 
-// Helper functions
-async function generateQuestion(quizId, learningObjectiveId, type, planId, order, userId) {
-  const objective = await LearningObjective.findById(learningObjectiveId);
-  const questionData = await generateQuestionContent(type, objective.text, 'moderate');
-
-  const question = new Question({
-    quiz: quizId,
-    learningObjective: learningObjectiveId,
-    generationPlan: planId,
-    type,
-    difficulty: 'moderate',
-    questionText: questionData.questionText,
-    content: questionData.content,
-    correctAnswer: questionData.correctAnswer,
-    explanation: questionData.explanation,
-    order,
-    generationMetadata: {
-      llmModel: 'llama3.1:8b',
-      generationPrompt: `Generate ${type} question for: ${objective.text}`,
-      confidence: 0.8,
-      processingTime: 1500
-    },
-    createdBy: userId
-  });
-
-  await question.save();
-  return question;
-}
-
-async function generateQuestionContent(type, objectiveText, difficulty) {
-  // TODO: Implement AI question generation
-  // This would call the UBC GenAI Toolkit
-  // For now, return placeholder content
-
-  const templates = {
-    [QUESTION_TYPES.MULTIPLE_CHOICE]: {
-      questionText: `Which of the following best demonstrates understanding of: ${objectiveText}?`,
-      content: {
-        options: [
-          { text: "Option A - Correct understanding", isCorrect: true, order: 0 },
-          { text: "Option B - Common misconception", isCorrect: false, order: 1 },
-          { text: "Option C - Partial understanding", isCorrect: false, order: 2 },
-          { text: "Option D - Incorrect approach", isCorrect: false, order: 3 }
-        ]
-      },
-      correctAnswer: "Option A",
-      explanation: "This option correctly demonstrates the key concept."
-    },
-    [QUESTION_TYPES.TRUE_FALSE]: {
-      questionText: `True or False: ${objectiveText} is essential for understanding this topic.`,
-      content: {
-        options: [
-          { text: "True", isCorrect: true, order: 0 },
-          { text: "False", isCorrect: false, order: 1 }
-        ]
-      },
-      correctAnswer: "True",
-      explanation: "This statement is true because it aligns with the learning objective."
-    },
-    [QUESTION_TYPES.FLASHCARD]: {
-      questionText: "Review this concept",
-      content: {
-        front: `What does this learning objective focus on?`,
-        back: objectiveText
-      },
-      correctAnswer: objectiveText,
-      explanation: "This flashcard helps reinforce the key learning objective."
-    }
-  };
-
-  return templates[type] || templates[QUESTION_TYPES.MULTIPLE_CHOICE];
-}
-
 export default router;
\ No newline at end of file
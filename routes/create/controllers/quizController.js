@@ -3,10 +3,13 @@ import Quiz from '../models/Quiz.js';
 import Folder from '../models/Folder.js';
 import Material from '../models/Material.js';
 import { authenticateToken, attachUser } from '../middleware/auth.js';
-import { validateCreateQuiz, validateUpdateQuiz, validateAssignMaterials, validateMongoId } from '../middleware/validator.js';
+import { validateCreateQuiz, validateImportQuiz, validateUpdateQuiz, validateAssignMaterials, validateMongoId, validateFolderId } from '../middleware/validator.js';
 import { successResponse, errorResponse, notFoundResponse } from '../utils/responseFormatter.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { HTTP_STATUS, QUIZ_STATUS } from '../config/constants.js';
+import QuizTransferService from '../services/quizTransferService.js';
+import generationProgress from '../services/generationProgress.js';
+import { openEventStream } from '../utils/eventStream.js';
+import { HTTP_STATUS, QUIZ_STATUS, GENERATION_EVENTS } from '../config/constants.js';
 
 const router = express.Router();
 
@@ -14,7 +17,7 @@ const router = express.Router();
  * GET /api/quizzes/folder/:folderId
  * Get folder's quizzes
  */
-router.get('/folder/:folderId', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+router.get('/folder/:folderId', authenticateToken, validateFolderId, asyncHandler(async (req, res) => {
   const folderId = req.params.folderId;
   const userId = req.user.id;
 
@@ -81,6 +84,49 @@ router.post('/', authenticateToken, attachUser, validateCreateQuiz, asyncHandler
   return successResponse(res, { quiz }, 'Quiz created successfully', HTTP_STATUS.CREATED);
 }));
 
+/**
+ * POST /api/quizzes/import
+ * Recreate a quiz from a JSON export in one of the user's folders
+ */
+router.post('/import', authenticateToken, validateImportQuiz, asyncHandler(async (req, res) => {
+  const { folderId, data } = req.body;
+  const userId = req.user.id;
+  const name = (req.body.name || data.quiz?.name || '').trim();
+
+  // Verify folder exists and user owns it
+  const folder = await Folder.findOne({ _id: folderId, instructor: userId });
+  if (!folder) {
+    return notFoundResponse(res, 'Folder');
+  }
+
+  if (name) {
+    const existingQuiz = await Quiz.findOne({ folder: folderId, name });
+    if (existingQuiz) {
+      return errorResponse(
+        res, 
+        'A quiz with this name already exists in the folder', 
+        'DUPLICATE_QUIZ', 
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  // Schema and reference problems surface as a ValidationError (400)
+  const quiz = await QuizTransferService.importQuiz(data, { folderId, userId, name });
+
+  // Add quiz to folder
+  await folder.addQuiz(quiz._id);
+
+  return successResponse(res, {
+    quiz,
+    imported: {
+      objectives: quiz.learningObjectives.length,
+      plans: quiz.generationPlans.length,
+      questions: quiz.questions.length
+    }
+  }, 'Quiz imported successfully', HTTP_STATUS.CREATED);
+}));
+
 /**
  * GET /api/quizzes/:id
  * Get quiz details
@@ -157,7 +203,8 @@ router.put('/:id', authenticateToken, validateUpdateQuiz, asyncHandler(async (re
       if (field === 'name') {
         quiz[field] = updates[field].trim();
       } else if (field === 'settings') {
-        quiz.settings = { ...quiz.settings, ...updates.settings };
+        // Merge into the nested settings so omitted fields keep their values
+        quiz.set('settings', updates.settings, { merge: true });
       }
     }
   });
@@ -187,16 +234,18 @@ router.delete('/:id', authenticateToken, validateMongoId, asyncHandler(async (re
   }
 
   // Delete associated data
-  const [LearningObjective, Question, GenerationPlan] = await Promise.all([
+  const [LearningObjective, Question, GenerationPlan, GenerationRun] = await Promise.all([
     import('../models/LearningObjective.js').then(m => m.default),
     import('../models/Question.js').then(m => m.default),
-    import('../models/GenerationPlan.js').then(m => m.default)
+    import('../models/GenerationPlan.js').then(m => m.default),
+    import('../models/GenerationRun.js').then(m => m.default)
   ]);
 
   await Promise.all([
     LearningObjective.deleteMany({ quiz: quizId }),
     Question.deleteMany({ quiz: quizId }),
-    GenerationPlan.deleteMany({ quiz: quizId })
+    GenerationPlan.deleteMany({ quiz: quizId }),
+    GenerationRun.deleteMany({ quiz: quizId })
   ]);
 
   // Delete quiz
@@ -291,6 +340,46 @@ router.get('/:id/progress', authenticateToken, validateMongoId, asyncHandler(asy
   return successResponse(res, { progress }, 'Quiz progress retrieved');
 }));
 
+/**
+ * GET /api/quizzes/:id/generation/stream
+ * Stream question generation progress as server-sent events: started with
+ * the counts so far, then generated and failed per question, then done.
+ * Every event carries { progress: { total, completed, generated, failed } }.
+ */
+router.get('/:id/generation/stream', authenticateToken, validateMongoId, asyncHandler(async (req, res) => {
+  const quizId = req.params.id;
+  const userId = req.user.id;
+
+  const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId }).select('_id');
+  if (!quiz) {
+    return notFoundResponse(res, 'Quiz');
+  }
+
+  const progress = generationProgress.get(quizId);
+  if (!progress) {
+    return notFoundResponse(res, 'Question generation');
+  }
+
+  const send = openEventStream(res);
+
+  // Connected after the run finished
+  if (generationProgress.isFinished(quizId)) {
+    send(GENERATION_EVENTS.DONE, { progress });
+    return res.end();
+  }
+
+  send(GENERATION_EVENTS.STARTED, { progress });
+
+  const unsubscribe = generationProgress.subscribe(quizId, (event, data) => {
+    send(event, data);
+    if (event === GENERATION_EVENTS.DONE) {
+      unsubscribe();
+      res.end();
+    }
+  });
+  res.on('close', unsubscribe);
+}));
+
 /**
  * POST /api/quizzes/:id/duplicate
  * Duplicate quiz
@@ -1,18 +1,11 @@
 import express from 'express';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import { RATE_LIMITS, HTTP_STATUS, ERROR_CODES } from './config/constants.js';
-import { errorResponse } from './utils/responseFormatter.js';
-
-// Import controllers
-import authController from './controllers/authController.js';
-// import folderController from './controllers/folderController.js';
-// import materialController from './controllers/materialController.js';
-// import quizController from './controllers/quizController.js';
-// import objectiveController from './controllers/objectiveController.js';
-// import planController from './controllers/planController.js';
-// import questionController from './controllers/questionController.js';
-// import exportController from './controllers/exportController.js';
+import swaggerUi from 'swagger-ui-express';
+import { RATE_LIMITS, HTTP_STATUS, ERROR_CODES, API_VERSION } from './config/constants.js';
+import { errorResponse, successResponse } from './utils/responseFormatter.js';
+import { mountControllers, describeRoutes, versionedPaths } from './routeRegistry.js';
+import { buildOpenApiSpec } from './openApiSpec.js';
 
 const router = express.Router();
 
@@ -36,20 +29,6 @@ const authLimiter = rateLimit({
   legacyHeaders: false
 });
 
-const apiLimiter = rateLimit({
-  windowMs: RATE_LIMITS.API.windowMs,
-  max: RATE_LIMITS.API.max,
-  message: {
-    error: {
-      code: ERROR_CODES.VALIDATION_ERROR,
-      message: 'Too many requests, please try again later',
-      timestamp: new Date().toISOString()
-    }
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
 const uploadLimiter = rateLimit({
   windowMs: RATE_LIMITS.UPLOAD.windowMs,
   max: RATE_LIMITS.UPLOAD.max,
@@ -64,13 +43,12 @@ const uploadLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// Apply rate limiting
-router.use('/auth', authLimiter);
-router.use('/materials/upload', uploadLimiter);
-router.use('/', apiLimiter);
+// Apply rate limiting (the app-wide API limit is declared in app.js)
+router.use(versionedPaths('/auth'), authLimiter);
+router.use(versionedPaths('/materials/upload'), uploadLimiter);
 
 // Health check endpoint
-router.get('/health', (req, res) => {
+router.get(versionedPaths('/health'), (req, res) => {
   res.status(HTTP_STATUS.OK).json({
     status: 'healthy',
     service: 'TLEF-CREATE API',
@@ -79,18 +57,29 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Route listing for API discovery
+router.get(versionedPaths('/routes'), (req, res) => {
+  return successResponse(res, {
+    version: API_VERSION,
+    routes: describeRoutes(req.baseUrl)
+  }, 'Routes retrieved successfully');
+});
+
+// OpenAPI document and Swagger UI; the UI loads the document relative to /docs/
+router.get(versionedPaths('/openapi.json'), (req, res) => {
+  res.status(HTTP_STATUS.OK).json(buildOpenApiSpec(req.baseUrl));
+});
+
+router.use(versionedPaths('/docs'), swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: 'TLEF-CREATE API',
+  swaggerOptions: { url: '../openapi.json' }
+}));
+
 // Mount route controllers
-router.use('/auth', authController);
-// router.use('/folders', folderController);
-// router.use('/materials', materialController);
-// router.use('/quizzes', quizController);
-// router.use('/objectives', objectiveController);
-// router.use('/plans', planController);
-// router.use('/questions', questionController);
-// router.use('/export', exportController);
+mountControllers(router);
 
 // 404 handler for unknown API routes
-router.use('*', (req, res) => {
+router.use((req, res) => {
   return errorResponse(
     res,
     `Route ${req.originalUrl} not found`,
@@ -1,5 +1,5 @@
 import { body, param, query, validationResult } from 'express-validator';
-import { HTTP_STATUS, ERROR_CODES, MATERIAL_TYPES, QUESTION_TYPES, DIFFICULTY_LEVELS, PEDAGOGICAL_APPROACHES } from '../config/constants.js';
+import { HTTP_STATUS, ERROR_CODES, MATERIAL_TYPES, QUESTION_TYPES, DIFFICULTY_LEVELS, PEDAGOGICAL_APPROACHES, BLOOM_LEVELS, KNOWLEDGE_DIMENSIONS, QTI_VERSIONS } from '../config/constants.js';
 
 /**
  * Middleware to handle validation results
@@ -136,6 +136,24 @@ export const validateCreateQuiz = [
   handleValidationErrors
 ];
 
+export const validateImportQuiz = [
+  body('folderId')
+    .isMongoId()
+    .withMessage('Valid folder ID is required'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Quiz name must be between 1 and 200 characters'),
+  
+  body('data')
+    .isObject()
+    .withMessage('Quiz export data is required'),
+  
+  handleValidationErrors
+];
+
 export const validateUpdateQuiz = [
   param('id')
     .isMongoId()
@@ -156,7 +174,30 @@ export const validateUpdateQuiz = [
     .optional()
     .isInt({ min: 1, max: 10 })
     .withMessage('Questions per objective must be between 1 and 10'),
-  
+
+  body('settings.questionTypes')
+    .optional()
+    .isArray()
+    .withMessage('Question types must be an array'),
+
+  body('settings.questionTypes.*.type')
+    .isIn(Object.values(QUESTION_TYPES))
+    .withMessage(`Question type must be one of: ${Object.values(QUESTION_TYPES).join(', ')}`),
+
+  body('settings.questionTypes.*.count')
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Question type count must be between 0 and 10'),
+
+  body('settings.difficulty')
+    .optional()
+    .isIn(Object.values(DIFFICULTY_LEVELS))
+    .withMessage(`Difficulty must be one of: ${Object.values(DIFFICULTY_LEVELS).join(', ')}`),
+
+  ...Object.values(DIFFICULTY_LEVELS).map(level => body(`settings.difficultyMix.${level}`)
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage(`Percentage of ${level} questions must be between 0 and 100`)),
+
   handleValidationErrors
 ];
 
@@ -213,6 +254,60 @@ export const validateGenerateObjectives = [
   handleValidationErrors
 ];
 
+export const validateUpdateObjective = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Learning objective text must be between 1 and 500 characters'),
+
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a non-negative integer'),
+
+  body('bloom.level')
+    .optional()
+    .isIn(Object.values(BLOOM_LEVELS))
+    .withMessage(`Bloom's level must be one of: ${Object.values(BLOOM_LEVELS).join(', ')}`),
+
+  body('bloom.knowledgeDimension')
+    .optional()
+    .isIn(Object.values(KNOWLEDGE_DIMENSIONS))
+    .withMessage(`Knowledge dimension must be one of: ${Object.values(KNOWLEDGE_DIMENSIONS).join(', ')}`),
+
+  body('courseOutcomeIds')
+    .optional()
+    .isArray()
+    .withMessage('Course outcome IDs must be an array'),
+
+  body('courseOutcomeIds.*')
+    .isMongoId()
+    .withMessage('All course outcome IDs must be valid'),
+
+  handleValidationErrors
+];
+
+export const validateImportOutcomes = [
+  body('quizId')
+    .isMongoId()
+    .withMessage('Valid quiz ID is required'),
+
+  body('outcomeIds')
+    .isArray({ min: 1 })
+    .withMessage('At least one course outcome ID is required'),
+
+  body('outcomeIds.*')
+    .isMongoId()
+    .withMessage('All course outcome IDs must be valid'),
+
+  handleValidationErrors
+];
+
 export const validateClassifyObjectives = [
   body('quizId')
     .isMongoId()
@@ -222,12 +317,82 @@ export const validateClassifyObjectives = [
     .trim()
     .notEmpty()
     .withMessage('Text to classify is required')
-    .isLength({ min: 10, max: 10000 })
-    .withMessage('Text must be between 10 and 10000 characters'),
+    .isLength({ min: 10, max: 50000 })
+    .withMessage('Text must be between 10 and 50000 characters'),
   
   handleValidationErrors
 ];
 
+export const validateConfirmObjectives = [
+  body('quizId')
+    .isMongoId()
+    .withMessage('Valid quiz ID is required'),
+
+  body('objectives')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Between 1 and 20 objectives are required'),
+
+  body('objectives.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Learning objective text must be between 1 and 500 characters'),
+
+  handleValidationErrors
+];
+
+// Course Outcome Validators
+export const validateCreateOutcome = [
+  body('folderId')
+    .isMongoId()
+    .withMessage('Valid folder ID is required'),
+
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('Course outcome text is required')
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Course outcome text must be between 1 and 500 characters'),
+
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Course outcome code must be at most 20 characters'),
+
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a non-negative integer'),
+
+  handleValidationErrors
+];
+
+export const validateUpdateOutcome = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Course outcome text must be between 1 and 500 characters'),
+
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Course outcome code must be at most 20 characters'),
+
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a non-negative integer'),
+
+  handleValidationErrors
+];
+
 // Question Validators
 export const validateCreateQuestion = [
   body('quizId')
@@ -302,6 +467,20 @@ export const validateGeneratePlan = [
   handleValidationErrors
 ];
 
+// Export Validators
+export const validateQtiExport = [
+  param('quizId')
+    .isMongoId()
+    .withMessage('Invalid quiz ID format'),
+  
+  body('version')
+    .optional()
+    .isIn(Object.values(QTI_VERSIONS))
+    .withMessage(`QTI version must be one of: ${Object.values(QTI_VERSIONS).join(', ')}`),
+  
+  handleValidationErrors
+];
+
 // Common Validators
 export const validateMongoId = [
   param('id')
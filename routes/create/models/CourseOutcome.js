@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const courseOutcomeSchema = new mongoose.Schema({
+  // The course learning outcome text
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Short label used in course documents, e.g. "CLO 2"
+  code: {
+    type: String,
+    trim: true,
+    maxlength: 20
+  },
+
+  // Course the outcome belongs to; its quizzes' objectives can link to it
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    required: true,
+    index: true
+  },
+
+  // Order within the folder
+  order: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+
+  // Access Control
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  collection: 'courseOutcomes'
+});
+
+// Database Indexes for Performance
+courseOutcomeSchema.index({ folder: 1, order: 1 });
+
+// Virtual Properties
+courseOutcomeSchema.virtual('label').get(function() {
+  return this.code ? `${this.code}: ${this.text}` : this.text;
+});
+
+// Static method to get ordered outcomes for a folder
+courseOutcomeSchema.statics.getOrderedByFolder = function(folderId) {
+  return this.find({ folder: folderId }).sort({ order: 1 });
+};
+
+// Ensure virtual fields are serialized
+courseOutcomeSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('CourseOutcome', courseOutcomeSchema);
\ No newline at end of file
@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import { PEDAGOGICAL_APPROACHES, PLAN_STATUS, QUESTION_TYPES } from '../config/constants.js';
+import { PEDAGOGICAL_APPROACHES, PLAN_STATUS, QUESTION_TYPES, DIFFICULTY_LEVELS } from '../config/constants.js';
 
 const generationPlanSchema = new mongoose.Schema({
   // Relationships
@@ -51,7 +51,14 @@ const generationPlanSchema = new mongoose.Schema({
       reasoning: {
         type: String // AI's reasoning for why this question type
       }
-    }]
+    }],
+
+    // How many of this objective's questions to write at each level
+    difficultyTargets: {
+      [DIFFICULTY_LEVELS.EASY]: { type: Number, min: 0, default: 0 },
+      [DIFFICULTY_LEVELS.MODERATE]: { type: Number, min: 0, default: 0 },
+      [DIFFICULTY_LEVELS.HARD]: { type: Number, min: 0, default: 0 }
+    }
   }],
   
   // Overall Distribution Summary
@@ -76,6 +83,11 @@ const generationPlanSchema = new mongoose.Schema({
   generationMetadata: {
     llmModel: { type: String }, // e.g., "llama3.1:8b"
     generationPrompt: { type: String },
+    tokenUsage: {
+      promptTokens: { type: Number },
+      completionTokens: { type: Number },
+      totalTokens: { type: Number }
+    },
     processingTime: { type: Number }, // milliseconds
     confidence: { 
       type: Number, 
@@ -123,7 +135,7 @@ generationPlanSchema.virtual('questionTypeCount').get(function() {
   return this.distribution ? this.distribution.length : 0;
 });
 
-generationPlanSchema.virtual('isModified').get(function() {
+generationPlanSchema.virtual('hasModifications').get(function() {
   return this.modifications && this.modifications.length > 0;
 });
 
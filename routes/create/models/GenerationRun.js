@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import { QUESTION_TYPES, DIFFICULTY_LEVELS, GENERATION_RUN_STATUS, GENERATION_SLOT_STATUS } from '../config/constants.js';
+import { interleaveLevels } from '../utils/difficultyMix.js';
+
+// One planned question: an objective, a question type and its index within that pair
+const slotSchema = new mongoose.Schema({
+  learningObjective: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LearningObjective',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: Object.values(QUESTION_TYPES),
+    required: true
+  },
+
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  difficulty: {
+    type: String,
+    enum: Object.values(DIFFICULTY_LEVELS),
+    default: DIFFICULTY_LEVELS.MODERATE
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(GENERATION_SLOT_STATUS),
+    default: GENERATION_SLOT_STATUS.PENDING
+  },
+
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  },
+
+  attempts: { type: Number, default: 0 },
+  error: { type: String }
+});
+
+const generationRunSchema = new mongoose.Schema({
+  // Relationships
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+    index: true
+  },
+
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GenerationPlan',
+    required: true
+  },
+
+  // Snapshot of the plan's breakdown, so a resumed run fills the same slots
+  slots: [slotSchema],
+
+  status: {
+    type: String,
+    enum: Object.values(GENERATION_RUN_STATUS),
+    default: GENERATION_RUN_STATUS.QUEUED
+  },
+
+  // Background jobs that have executed this run, latest last
+  jobIds: [{ type: String }],
+
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  cancelledAt: { type: Date },
+
+  // Access Control
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  collection: 'generationRuns'
+});
+
+// Database Indexes
+generationRunSchema.index({ quiz: 1, createdAt: -1 });
+
+// Virtual Properties
+generationRunSchema.virtual('counts').get(function() {
+  const counts = { total: this.slots.length };
+  for (const status of Object.values(GENERATION_SLOT_STATUS)) {
+    counts[status] = this.slots.filter(slot => slot.status === status).length;
+  }
+  return counts;
+});
+
+generationRunSchema.virtual('isActive').get(function() {
+  return [GENERATION_RUN_STATUS.QUEUED, GENERATION_RUN_STATUS.RUNNING].includes(this.status);
+});
+
+// Cancelled and failed runs can pick up where they stopped
+generationRunSchema.virtual('isResumable').get(function() {
+  return [GENERATION_RUN_STATUS.FAILED, GENERATION_RUN_STATUS.CANCELLED].includes(this.status)
+    && this.slots.some(slot => slot.status !== GENERATION_SLOT_STATUS.GENERATED);
+});
+
+// Instance Methods
+
+// Read the stored status, which a cancel request may have changed while the run executes
+generationRunSchema.methods.isCancelled = async function() {
+  const stored = await this.constructor.findById(this._id).select('status').lean();
+  return !stored || stored.status === GENERATION_RUN_STATUS.CANCELLED;
+};
+
+// Static Methods
+
+/**
+ * Build a queued run with one slot per question in a plan's breakdown. Each
+ * objective's difficulty targets are interleaved across its slots, so every
+ * question type gets a share of each level; objectives without targets use
+ * the quiz's default difficulty.
+ */
+generationRunSchema.statics.fromPlan = function(plan, userId, defaultDifficulty = DIFFICULTY_LEVELS.MODERATE) {
+  const slots = [];
+  for (const item of plan.breakdown) {
+    const count = item.questionTypes.reduce((sum, questionType) => sum + questionType.count, 0);
+    const targets = item.difficultyTargets || {};
+    const levels = Object.values(DIFFICULTY_LEVELS).some(level => targets[level] > 0)
+      ? interleaveLevels(targets, count)
+      : new Array(count).fill(defaultDifficulty);
+
+    let position = 0;
+    for (const questionType of item.questionTypes) {
+      for (let index = 0; index < questionType.count; index++) {
+        slots.push({
+          learningObjective: item.learningObjective._id || item.learningObjective,
+          type: questionType.type,
+          index,
+          difficulty: levels[position++]
+        });
+      }
+    }
+  }
+
+  return new this({ quiz: plan.quiz, plan: plan._id, slots, createdBy: userId });
+};
+
+// Ensure virtual fields are serialized
+generationRunSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('GenerationRun', generationRunSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { BLOOM_LEVELS, KNOWLEDGE_DIMENSIONS, BLOOM_SOURCES, OBJECTIVE_LINT_RULES, LINT_SEVERITIES } from '../config/constants.js';
 
 const learningObjectiveSchema = new mongoose.Schema({
   // The actual learning objective text
@@ -24,6 +25,12 @@ const learningObjectiveSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Folder-level course outcomes this objective contributes to
+  courseOutcomes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseOutcome'
+  }],
+
   // Which materials were used to generate this objective (for AI-generated objectives)
   generatedFrom: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -35,6 +42,11 @@ const learningObjectiveSchema = new mongoose.Schema({
     isAIGenerated: { type: Boolean, default: false },
     llmModel: { type: String }, // e.g., "llama3.1:8b"
     generationPrompt: { type: String }, // The prompt used to generate this objective
+    tokenUsage: {
+      promptTokens: { type: Number },
+      completionTokens: { type: Number },
+      totalTokens: { type: Number }
+    },
     confidence: { 
       type: Number, 
       min: 0, 
@@ -43,6 +55,55 @@ const learningObjectiveSchema = new mongoose.Schema({
     processingTime: { type: Number } // milliseconds to generate
   },
   
+  // Bloom's taxonomy classification
+  bloom: {
+    level: {
+      type: String,
+      enum: Object.values(BLOOM_LEVELS)
+    },
+    knowledgeDimension: {
+      type: String,
+      enum: Object.values(KNOWLEDGE_DIMENSIONS)
+    },
+    source: {
+      type: String,
+      enum: Object.values(BLOOM_SOURCES)
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    reasoning: { type: String },
+    classifiedAt: { type: Date }
+  },
+
+  // Quality lint results, rechecked whenever the text changes
+  quality: {
+    issues: [{
+      _id: false,
+      rule: {
+        type: String,
+        enum: Object.values(OBJECTIVE_LINT_RULES),
+        required: true
+      },
+      severity: {
+        type: String,
+        enum: Object.values(LINT_SEVERITIES),
+        required: true
+      },
+      message: { type: String },
+      suggestion: { type: String },
+      rewrites: [{ type: String }], // Rewritten alternatives that fix the issue
+      relatedObjective: { type: mongoose.Schema.Types.ObjectId, ref: 'LearningObjective' }
+    }],
+    source: {
+      type: String,
+      enum: ['model', 'rules']
+    },
+    checkedAt: { type: Date }
+  },
+
   // Edit History (track manual edits from frontend)
   editHistory: [{
     editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -66,6 +127,7 @@ const learningObjectiveSchema = new mongoose.Schema({
 // Database Indexes for Performance
 learningObjectiveSchema.index({ quiz: 1, order: 1 });
 learningObjectiveSchema.index({ 'generationMetadata.isAIGenerated': 1 });
+learningObjectiveSchema.index({ courseOutcomes: 1 });
 
 // Virtual Properties
 learningObjectiveSchema.virtual('isGenerated').get(function() {
@@ -76,6 +138,14 @@ learningObjectiveSchema.virtual('wordCount').get(function() {
   return this.text ? this.text.split(' ').length : 0;
 });
 
+learningObjectiveSchema.virtual('isClassified').get(function() {
+  return Boolean(this.bloom?.level);
+});
+
+learningObjectiveSchema.virtual('hasQualityIssues').get(function() {
+  return (this.quality?.issues || []).some(issue => issue.severity === LINT_SEVERITIES.WARNING);
+});
+
 learningObjectiveSchema.virtual('hasEdits').get(function() {
   return this.editHistory && this.editHistory.length > 0;
 });
@@ -109,12 +179,29 @@ learningObjectiveSchema.methods.markAsAIGenerated = function(metadata) {
     isAIGenerated: true,
     llmModel: metadata.llmModel,
     generationPrompt: metadata.generationPrompt,
+    tokenUsage: metadata.tokenUsage,
     confidence: metadata.confidence,
     processingTime: metadata.processingTime
   };
   return this.save();
 };
 
+learningObjectiveSchema.methods.setBloom = function(classification) {
+  this.bloom = {
+    ...classification,
+    classifiedAt: new Date()
+  };
+  return this.save();
+};
+
+learningObjectiveSchema.methods.setQuality = function(quality) {
+  this.quality = {
+    ...quality,
+    checkedAt: new Date()
+  };
+  return this.save();
+};
+
 learningObjectiveSchema.methods.addEdit = function(userId, changes, previousText) {
   this.editHistory.push({
     editedBy: userId,
@@ -37,7 +37,16 @@ const materialSchema = new mongoose.Schema({
   content: {
     type: String
   },
-  
+
+  // Structure of the extracted content (filled by the processing pipeline)
+  contentMetadata: {
+    pageCount: { type: Number },
+    sectionCount: { type: Number },
+    wordCount: { type: Number },
+    chunkCount: { type: Number }, // chunks indexed in the vector store
+    extractedAt: { type: Date }
+  },
+
   // File Metadata
   fileSize: { type: Number }, // in bytes
   mimeType: { type: String },
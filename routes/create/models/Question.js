@@ -1,5 +1,5 @@
 import mongoose from 'mongoose';
-import { QUESTION_TYPES, DIFFICULTY_LEVELS, REVIEW_STATUS } from '../config/constants.js';
+import { QUESTION_TYPES, DIFFICULTY_LEVELS, REVIEW_STATUS, QUESTION_CHECK_RULES, LINT_SEVERITIES } from '../config/constants.js';
 
 const questionSchema = new mongoose.Schema({
   // Relationships
@@ -95,12 +95,22 @@ const questionSchema = new mongoose.Schema({
   
   // AI Generation Metadata
   generationMetadata: {
-    generatedFrom: [{ 
-      type: mongoose.Schema.Types.ObjectId, 
-      ref: 'Material' 
-    }], // Which materials were used to generate this question
+    generatedFrom: [{
+      material: { type: mongoose.Schema.Types.ObjectId, ref: 'Material' },
+      chunkIndex: { type: Number }, // Position of the chunk within the material
+      pageStart: { type: Number },
+      pageEnd: { type: Number },
+      section: { type: String },
+      excerpt: { type: String }, // Start of the cited passage, for reviewers
+      score: { type: Number } // Retrieval similarity
+    }], // Material passages the question was generated from
     llmModel: { type: String }, // e.g., "llama3.1:8b"
     generationPrompt: { type: String }, // The prompt used
+    tokenUsage: {
+      promptTokens: { type: Number },
+      completionTokens: { type: Number },
+      totalTokens: { type: Number }
+    },
     confidence: { 
       type: Number, 
       min: 0, 
@@ -117,6 +127,26 @@ const questionSchema = new mongoose.Schema({
     index: true
   },
   
+  // Automated quality check findings, rechecked whenever the content changes
+  qualityChecks: {
+    findings: [{
+      _id: false,
+      rule: {
+        type: String,
+        enum: Object.values(QUESTION_CHECK_RULES),
+        required: true
+      },
+      severity: {
+        type: String,
+        enum: Object.values(LINT_SEVERITIES),
+        required: true
+      },
+      field: { type: String }, // Content path the finding is about, e.g. "content.options"
+      message: { type: String }
+    }],
+    checkedAt: { type: Date }
+  },
+
   // Edit History (track manual edits)
   editHistory: [{
     editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -168,6 +198,10 @@ questionSchema.virtual('needsReview').get(function() {
   return this.reviewStatus === REVIEW_STATUS.NEEDS_REVIEW;
 });
 
+questionSchema.virtual('hasQualityFindings').get(function() {
+  return Boolean(this.qualityChecks?.findings?.length);
+});
+
 questionSchema.virtual('hasEdits').get(function() {
   return this.editHistory && this.editHistory.length > 0;
 });
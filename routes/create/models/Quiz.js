@@ -61,6 +61,8 @@ const quizSchema = new mongoose.Schema({
       max: 10
     },
     
+    // Per-objective quota for each question type; when set, the counts add
+    // up to questionsPerObjective and every plan must follow them
     questionTypes: [{
       type: {
         type: String,
@@ -78,16 +80,25 @@ const quizSchema = new mongoose.Schema({
       type: String,
       enum: Object.values(DIFFICULTY_LEVELS),
       default: DIFFICULTY_LEVELS.MODERATE
+    },
+
+    // Percentage of questions at each level; when unset every question uses `difficulty`
+    difficultyMix: {
+      [DIFFICULTY_LEVELS.EASY]: { type: Number, min: 0, max: 100 },
+      [DIFFICULTY_LEVELS.MODERATE]: { type: Number, min: 0, max: 100 },
+      [DIFFICULTY_LEVELS.HARD]: { type: Number, min: 0, max: 100 }
     }
   },
   
   // Generation History (track AI generation attempts)
   generationHistory: [{
+    run: { type: mongoose.Schema.Types.ObjectId, ref: 'GenerationRun' },
     timestamp: { type: Date, default: Date.now },
     approach: { type: String },
     questionsGenerated: { type: Number },
     processingTime: { type: Number }, // milliseconds
     llmModel: { type: String }, // e.g., "llama3.1:8b"
+    tokensUsed: { type: Number },
     success: { type: Boolean, default: true },
     errorMessage: { type: String }
   }],
@@ -208,9 +219,9 @@ quizSchema.methods.setActivePlan = function(planId) {
   return this.updateProgress();
 };
 
-quizSchema.methods.addExport = function(filePath) {
+quizSchema.methods.addExport = function(filePath, format = 'h5p') {
   this.exports.push({
-    format: 'h5p',
+    format,
     filePath,
     exportedAt: new Date()
   });
@@ -261,6 +272,24 @@ quizSchema.methods.setStatus = function(status) {
   return this.save();
 };
 
+// Question type quotas per objective, skipping types with no questions
+quizSchema.methods.getQuestionTypeQuotas = function() {
+  return (this.settings?.questionTypes || [])
+    .filter(quota => quota.count > 0)
+    .map(quota => ({ type: quota.type, count: quota.count }));
+};
+
+// Difficulty percentages, falling back to the single configured level
+quizSchema.methods.getDifficultyMix = function() {
+  const levels = Object.values(DIFFICULTY_LEVELS);
+  const mix = Object.fromEntries(levels.map(level => [level, this.settings?.difficultyMix?.[level] || 0]));
+
+  if (levels.every(level => mix[level] === 0)) {
+    mix[this.settings?.difficulty || DIFFICULTY_LEVELS.MODERATE] = 100;
+  }
+  return mix;
+};
+
 // Static methods
 quizSchema.statics.getByFolder = function(folderId) {
   return this.find({ folder: folderId }).sort({ createdAt: -1 });
@@ -274,6 +303,26 @@ quizSchema.statics.getByUser = function(userId) {
   return this.find({ createdBy: userId }).sort({ createdAt: -1 });
 };
 
+// Quotas must fill each objective and a difficulty mix must cover every question
+quizSchema.pre('validate', function(next) {
+  if (!this.isModified('settings')) {
+    return next();
+  }
+
+  const quotas = this.getQuestionTypeQuotas();
+  const quotaTotal = quotas.reduce((sum, quota) => sum + quota.count, 0);
+  if (quotas.length > 0 && quotaTotal !== this.settings.questionsPerObjective) {
+    this.invalidate('settings.questionTypes', `Question type counts add up to ${quotaTotal} but questionsPerObjective is ${this.settings.questionsPerObjective}`);
+  }
+
+  const mix = Object.values(DIFFICULTY_LEVELS).map(level => this.settings.difficultyMix?.[level] || 0);
+  const mixTotal = mix.reduce((sum, percentage) => sum + percentage, 0);
+  if (mixTotal > 0 && mixTotal !== 100) {
+    this.invalidate('settings.difficultyMix', `Difficulty percentages add up to ${mixTotal}, not 100`);
+  }
+  next();
+});
+
 // Pre-save middleware to update progress before saving
 quizSchema.pre('save', function(next) {
   if (this.isModified('materials') || this.isModified('learningObjectives') || 
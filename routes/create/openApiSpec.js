@@ -0,0 +1,405 @@
+import * as validators from './middleware/validator.js';
+import { CONTROLLERS, describeRoutes } from './routeRegistry.js';
+import { API_VERSION, HTTP_STATUS, ERROR_CODES, REVIEW_STATUS } from './config/constants.js';
+
+const MONGO_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+const objectSchema = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 && { required })
+});
+
+const OBJECTIVE_INPUT = objectSchema({
+  text: { type: 'string', maxLength: 500 },
+  quizId: MONGO_ID,
+  order: { type: 'integer', minimum: 0 }
+}, ['text', 'quizId']);
+
+/**
+ * Documentation for every mounted route, keyed by "METHOD /path" relative to
+ * the API root. `body` describes request fields the route's validator does not
+ * cover; `status` is the success status when it is not 200; `file` marks
+ * routes that stream a download instead of the JSON envelope, and `stream`
+ * routes that respond with server-sent events.
+ */
+export const ROUTE_DOCS = {
+  'POST /auth/login': {
+    summary: 'Authenticate user with CWL credentials',
+    body: objectSchema({ cwlId: { type: 'string' }, password: { type: 'string', format: 'password' } }, ['cwlId', 'password'])
+  },
+  'POST /auth/register': {
+    summary: 'Register a new user with CWL credentials',
+    status: HTTP_STATUS.CREATED,
+    body: objectSchema({ cwlId: { type: 'string' }, password: { type: 'string', format: 'password' } }, ['cwlId', 'password'])
+  },
+  'POST /auth/refresh': {
+    summary: 'Refresh access token using the refresh token cookie or body field',
+    body: objectSchema({ refreshToken: { type: 'string' } })
+  },
+  'POST /auth/logout': { summary: 'Logout user and invalidate tokens' },
+  'GET /auth/me': { summary: 'Get current user profile' },
+  'POST /auth/validate': { summary: 'Validate current session/token' },
+
+  'GET /folders': { summary: "Get user's folders" },
+  'POST /folders': { summary: 'Create new folder', status: HTTP_STATUS.CREATED },
+  'GET /folders/:id': { summary: 'Get specific folder with details' },
+  'PUT /folders/:id': { summary: 'Update folder name' },
+  'DELETE /folders/:id': { summary: 'Delete folder and all its contents' },
+  'GET /folders/:id/stats': { summary: 'Get folder statistics' },
+
+  'POST /materials/upload': {
+    summary: 'Upload files (PDF, DOCX)',
+    status: HTTP_STATUS.CREATED,
+    contentType: 'multipart/form-data',
+    body: objectSchema({
+      files: { type: 'array', maxItems: 10, items: { type: 'string', format: 'binary' } },
+      folderId: MONGO_ID,
+      names: { type: 'string', description: 'JSON array of display names, one per file' }
+    }, ['files', 'folderId'])
+  },
+  'POST /materials/url': {
+    summary: 'Add URL material',
+    status: HTTP_STATUS.CREATED,
+    body: objectSchema({ name: { type: 'string' }, url: { type: 'string', format: 'uri' }, folderId: MONGO_ID }, ['name', 'url', 'folderId'])
+  },
+  'POST /materials/text': {
+    summary: 'Add text material',
+    status: HTTP_STATUS.CREATED,
+    body: objectSchema({ name: { type: 'string' }, content: { type: 'string' }, folderId: MONGO_ID }, ['name', 'content', 'folderId'])
+  },
+  'GET /materials/folder/:folderId': { summary: "Get folder's materials" },
+  'DELETE /materials/:id': { summary: 'Delete material' },
+  'GET /materials/:id/status': { summary: 'Get processing status' },
+  'PUT /materials/:id': {
+    summary: 'Update material (name only)',
+    body: objectSchema({ name: { type: 'string' } }, ['name'])
+  },
+  'POST /materials/:id/reprocess': { summary: 'Trigger reprocessing of material', status: HTTP_STATUS.ACCEPTED },
+
+  'GET /quizzes/folder/:folderId': { summary: "Get folder's quizzes" },
+  'POST /quizzes': { summary: 'Create quiz', status: HTTP_STATUS.CREATED },
+  'POST /quizzes/import': {
+    summary: "Recreate a quiz from a JSON export in one of the user's folders",
+    status: HTTP_STATUS.CREATED
+  },
+  'GET /quizzes/:id': { summary: 'Get quiz details' },
+  'PUT /quizzes/:id': { summary: 'Update quiz basic info' },
+  'DELETE /quizzes/:id': { summary: 'Delete quiz' },
+  'PUT /quizzes/:id/materials': { summary: 'Assign materials to quiz' },
+  'GET /quizzes/:id/progress': { summary: 'Get quiz progress' },
+  'GET /quizzes/:id/generation/stream': {
+    summary: 'Stream question generation progress as server-sent events (started, generated, failed, done)',
+    stream: true
+  },
+  'POST /quizzes/:id/duplicate': {
+    summary: 'Duplicate quiz',
+    status: HTTP_STATUS.CREATED,
+    body: objectSchema({ name: { type: 'string' } })
+  },
+
+  'GET /objectives/quiz/:quizId': { summary: 'Get quiz objectives' },
+  'POST /objectives/generate': { summary: 'Queue AI generation of objectives from materials', status: HTTP_STATUS.ACCEPTED },
+  'POST /objectives/classify': { summary: 'Preview learning objectives extracted from pasted text' },
+  'POST /objectives/classify/confirm': { summary: 'Save confirmed objectives from a classify preview', status: HTTP_STATUS.CREATED },
+  'POST /objectives/from-outcomes': { summary: "Add course outcomes from the quiz's folder as objectives", status: HTTP_STATUS.CREATED },
+  'POST /objectives/quiz/:quizId/bloom': { summary: "Reclassify quiz objectives into Bloom's levels" },
+  'POST /objectives/quiz/:quizId/lint': { summary: 'Recheck the quality of every objective in a quiz' },
+  'POST /objectives': {
+    summary: 'Add single LO or save batch',
+    status: HTTP_STATUS.CREATED,
+    body: { oneOf: [OBJECTIVE_INPUT, { type: 'array', items: OBJECTIVE_INPUT }] }
+  },
+  'PUT /objectives/reorder': {
+    summary: 'Reorder objectives',
+    body: objectSchema({ quizId: MONGO_ID, objectiveIds: { type: 'array', items: MONGO_ID } }, ['quizId', 'objectiveIds'])
+  },
+  'PUT /objectives/:id': {
+    summary: 'Update objective',
+    body: objectSchema({ text: { type: 'string' }, order: { type: 'integer', minimum: 0 } })
+  },
+  'DELETE /objectives/:id': { summary: 'Delete objective' },
+
+  'GET /outcomes/folder/:folderId': { summary: "Get a folder's course outcomes" },
+  'GET /outcomes/folder/:folderId/report': { summary: "Count the objectives and questions across the folder's quizzes that assess each outcome" },
+  'POST /outcomes': { summary: 'Add a course outcome to a folder', status: HTTP_STATUS.CREATED },
+  'PUT /outcomes/:id': { summary: 'Update a course outcome' },
+  'DELETE /outcomes/:id': { summary: 'Delete a course outcome and unlink it from quiz objectives' },
+
+  'POST /plans/generate': { summary: 'Generate AI plan for quiz', status: HTTP_STATUS.CREATED },
+  'GET /plans/quiz/:quizId': { summary: 'Get plans for quiz' },
+  'GET /plans/:id': { summary: 'Get specific plan details' },
+  'PUT /plans/:id': {
+    summary: 'Modify plan breakdown',
+    body: objectSchema({ breakdown: { type: 'array', items: { type: 'object' } } }, ['breakdown'])
+  },
+  'POST /plans/:id/approve': { summary: 'Approve plan (set as active)' },
+  'DELETE /plans/:id': { summary: 'Delete plan' },
+
+  'GET /questions/quiz/:quizId': { summary: 'Get quiz questions' },
+  'POST /questions/generate-from-plan': { summary: 'Queue question generation from approved plan', status: HTTP_STATUS.ACCEPTED },
+  'GET /generation-runs/quiz/:quizId': { summary: "Get quiz's generation runs" },
+  'GET /generation-runs/:id': { summary: 'Get generation run with the state of each planned question' },
+  'POST /generation-runs/:id/cancel': { summary: 'Cancel a queued or running generation' },
+  'POST /generation-runs/:id/resume': {
+    summary: 'Generate only the questions a failed or cancelled run is missing',
+    status: HTTP_STATUS.ACCEPTED
+  },
+  'POST /questions': {
+    summary: 'Create manual question',
+    status: HTTP_STATUS.CREATED,
+    body: objectSchema({ content: { type: 'object' }, correctAnswer: {}, explanation: { type: 'string' } })
+  },
+  'POST /questions/quiz/:quizId/check': { summary: "Rerun quality checks on a quiz's questions" },
+  'PUT /questions/reorder': { summary: 'Reorder questions' },
+  'PUT /questions/:id': {
+    summary: 'Update question',
+    body: { type: 'object', description: 'Question fields to update' }
+  },
+  'DELETE /questions/:id': { summary: 'Delete question' },
+  'POST /questions/:id/regenerate': { summary: 'Regenerate specific question' },
+  'PUT /questions/:id/review': {
+    summary: 'Update question review status',
+    body: objectSchema({ status: { type: 'string', enum: Object.values(REVIEW_STATUS) } }, ['status'])
+  },
+
+  'POST /export/h5p/:quizId': { summary: 'Generate H5P export', status: HTTP_STATUS.CREATED },
+  'POST /export/qti/:quizId': { summary: 'Generate QTI export (2.1 by default, or Canvas-flavoured 1.2)', status: HTTP_STATUS.CREATED },
+  'POST /export/json/:quizId': { summary: 'Generate versioned JSON export', status: HTTP_STATUS.CREATED },
+  'POST /export/moodle-xml/:quizId': { summary: 'Generate Moodle XML question bank export', status: HTTP_STATUS.CREATED },
+  'POST /export/gift/:quizId': { summary: 'Generate Moodle GIFT question bank export', status: HTTP_STATUS.CREATED },
+  'GET /export/:exportId/download': { summary: 'Download exported file', file: true },
+  'GET /export/:quizId/preview': { summary: 'Preview quiz structure' },
+  'GET /export/:quizId/formats': { summary: 'Get available export formats' },
+  'DELETE /export/:exportId': { summary: 'Delete export file' },
+
+  'GET /jobs/:id': { summary: 'Get background job status' }
+};
+
+const compact = (schema) => Object.fromEntries(
+  Object.entries(schema).filter(([, value]) => value !== undefined)
+);
+
+// Schema fragments for the express-validator validators used in middleware/validator.js
+const VALIDATOR_SCHEMAS = {
+  isEmpty: () => ({ type: 'string', minLength: 1 }),
+  isMongoId: () => MONGO_ID,
+  isIn: ([values]) => ({ type: 'string', enum: values }),
+  isInt: ([options = {}]) => compact({ type: 'integer', minimum: options.min, maximum: options.max }),
+  isLength: ([options = {}]) => compact({ type: 'string', minLength: options.min, maxLength: options.max }),
+  isArray: ([options = {}]) => compact({ type: 'array', minItems: options.min, maxItems: options.max }),
+  isObject: () => ({ type: 'object' }),
+  isURL: () => ({ type: 'string', format: 'uri' }),
+  matches: ([pattern]) => ({ type: 'string', pattern: pattern instanceof RegExp ? pattern.source : String(pattern) })
+};
+
+/**
+ * Describe a single validation chain as an OpenAPI field
+ * @param {Function} chain - express-validator chain
+ * @returns {Object} - { location, field, schema, required }
+ */
+export const describeChain = (chain) => {
+  const context = chain.builder.build();
+  const validations = context.stack.filter(item => 'validator' in item);
+  // .if() conditions make the field required only for some requests
+  const isConditional = context.stack.some(item => !('validator' in item) && !('sanitizer' in item));
+
+  const schema = validations.reduce((merged, item) => {
+    const toSchema = VALIDATOR_SCHEMAS[item.validator.name];
+    return toSchema ? { ...merged, ...toSchema(item.options) } : merged;
+  }, {});
+  const messages = validations.map(item => item.message).filter(message => typeof message === 'string');
+
+  return {
+    location: context.locations[0],
+    field: context.fields[0],
+    schema: compact({ ...schema, 'x-validation-message': messages.at(-1) }),
+    required: context.optional === false && !isConditional
+  };
+};
+
+/**
+ * Add a dotted express-validator field ('settings.difficulty', 'materialIds.*')
+ * to an object schema
+ */
+const addProperty = (schema, [name, ...rest], fieldSchema, required) => {
+  if (name === '*') {
+    schema.items = { ...schema.items, ...fieldSchema };
+    return schema;
+  }
+
+  schema.properties ||= {};
+  schema.properties[name] = rest.length > 0
+    ? addProperty({ type: rest[0] === '*' ? 'array' : 'object', ...schema.properties[name] }, rest, fieldSchema, required)
+    : { ...schema.properties[name], ...fieldSchema };
+
+  if (required && !(schema.required ||= []).includes(name)) {
+    schema.required.push(name);
+  }
+  return schema;
+};
+
+const mergeBodySchemas = (derived, documented) => {
+  if (!derived || !documented) {
+    return derived || documented;
+  }
+
+  const required = [...new Set([...(derived.required || []), ...(documented.required || [])])];
+  return {
+    ...derived,
+    ...documented,
+    properties: { ...derived.properties, ...documented.properties },
+    ...(required.length > 0 && { required })
+  };
+};
+
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const SECURITY = {
+  required: [{ bearerAuth: [] }],
+  optional: [{}, { bearerAuth: [] }],
+  none: []
+};
+
+/**
+ * Build the OpenAPI operation for a route from its validator and documentation
+ * @param {Object} route - Entry from describeRoutes()
+ * @param {Object} doc - ROUTE_DOCS entry
+ * @returns {Object} - OpenAPI operation object
+ */
+const buildOperation = (route, doc = {}) => {
+  const chains = route.validator
+    ? validators[route.validator].filter(middleware => typeof middleware.builder?.build === 'function')
+    : [];
+  const fields = chains.map(describeChain);
+
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => name);
+  const parameters = [
+    ...pathParams.map(name => {
+      const field = fields.find(entry => entry.location === 'params' && entry.field === name);
+      return { name, in: 'path', required: true, schema: field?.schema || { type: 'string' } };
+    }),
+    ...fields
+      .filter(field => field.location === 'query')
+      .map(field => ({ name: field.field, in: 'query', required: field.required, schema: field.schema }))
+  ];
+
+  const bodyFields = fields.filter(field => field.location === 'body');
+  const derivedBody = bodyFields.length > 0
+    ? bodyFields.reduce((schema, field) => addProperty(schema, field.field.split('.'), field.schema, field.required), { type: 'object' })
+    : null;
+  const bodySchema = mergeBodySchemas(derivedBody, doc.body);
+
+  let successResponse = responseRef('Success');
+  if (doc.file) {
+    successResponse = {
+      description: 'Exported file',
+      content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+    };
+  } else if (doc.stream) {
+    successResponse = {
+      description: 'Server-sent event stream; each event\'s data is JSON',
+      content: { 'text/event-stream': { schema: { type: 'string' } } }
+    };
+  }
+
+  return compact({
+    tags: [route.controller],
+    summary: doc.summary,
+    parameters: parameters.length > 0 ? parameters : undefined,
+    requestBody: bodySchema
+      ? {
+        required: Boolean(bodySchema.required || bodySchema.oneOf),
+        content: { [doc.contentType || 'application/json']: { schema: bodySchema } }
+      }
+      : undefined,
+    security: SECURITY[route.auth],
+    responses: {
+      [doc.status || HTTP_STATUS.OK]: successResponse,
+      ...((fields.length > 0 || bodySchema) && { [HTTP_STATUS.BAD_REQUEST]: responseRef('ValidationError') }),
+      ...(route.auth === 'required' && { [HTTP_STATUS.UNAUTHORIZED]: responseRef('Unauthorized') }),
+      ...(pathParams.length > 0 && { [HTTP_STATUS.NOT_FOUND]: responseRef('NotFound') }),
+      [HTTP_STATUS.INTERNAL_SERVER_ERROR]: responseRef('ServerError')
+    }
+  });
+};
+
+// Envelopes produced by utils/responseFormatter.js
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    SuccessResponse: objectSchema({
+      success: { type: 'boolean', enum: [true] },
+      message: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      data: { description: 'Response payload; omitted when there is none' }
+    }, ['success', 'message', 'timestamp']),
+    ErrorResponse: objectSchema({
+      error: objectSchema({
+        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+        message: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        details: { description: 'Field errors for validation failures' }
+      }, ['code', 'message', 'timestamp'])
+    }, ['error'])
+  },
+  responses: {
+    Success: {
+      description: 'Successful response',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' } } }
+    },
+    ValidationError: {
+      description: 'Request failed validation',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    },
+    Unauthorized: {
+      description: 'Missing, invalid or expired access token',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    },
+    NotFound: {
+      description: 'Resource not found',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    },
+    ServerError: {
+      description: 'Unexpected server error',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    }
+  }
+};
+
+/**
+ * Convert an Express path to an OpenAPI path, e.g. '/quizzes/:id' -> '/quizzes/{id}'
+ * @param {string} path - Express route path
+ * @returns {string} - OpenAPI path
+ */
+export const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Build the OpenAPI 3 document for every mounted CREATE route
+ * @param {string} basePath - Path the API router is mounted at, e.g. '/api/create'
+ * @returns {Object} - OpenAPI document
+ */
+export const buildOpenApiSpec = (basePath = '') => {
+  const paths = {};
+
+  for (const route of describeRoutes()) {
+    const path = toOpenApiPath(route.path);
+    paths[path] ||= {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route, ROUTE_DOCS[`${route.method} ${route.path}`]);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'TLEF-CREATE API',
+      version: API_VERSION,
+      description: 'Every route is also served without the version prefix.'
+    },
+    servers: [{ url: `${basePath}/${API_VERSION}` }],
+    tags: CONTROLLERS.map(controller => ({ name: controller.name })),
+    paths,
+    components: COMPONENTS
+  };
+};
\ No newline at end of file
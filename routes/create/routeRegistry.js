@@ -0,0 +1,86 @@
+import * as validators from './middleware/validator.js';
+import { authenticateToken, optionalAuth } from './middleware/auth.js';
+import { API_VERSION } from './config/constants.js';
+
+import authController from './controllers/authController.js';
+import folderController from './controllers/folderController.js';
+import materialController from './controllers/materialController.js';
+import quizController from './controllers/quizController.js';
+import objectiveController from './controllers/objectiveController.js';
+import courseOutcomeController from './controllers/courseOutcomeController.js';
+import planController from './controllers/planController.js';
+import questionController from './controllers/questionController.js';
+import generationRunController from './controllers/generationRunController.js';
+import exportController from './controllers/exportController.js';
+import jobController from './controllers/jobController.js';
+
+// Every CREATE controller and the path it is mounted at
+export const CONTROLLERS = [
+  { name: 'auth', path: '/auth', router: authController },
+  { name: 'folders', path: '/folders', router: folderController },
+  { name: 'materials', path: '/materials', router: materialController },
+  { name: 'quizzes', path: '/quizzes', router: quizController },
+  { name: 'objectives', path: '/objectives', router: objectiveController },
+  { name: 'outcomes', path: '/outcomes', router: courseOutcomeController },
+  { name: 'plans', path: '/plans', router: planController },
+  { name: 'questions', path: '/questions', router: questionController },
+  { name: 'generation-runs', path: '/generation-runs', router: generationRunController },
+  { name: 'export', path: '/export', router: exportController },
+  { name: 'jobs', path: '/jobs', router: jobController }
+];
+
+// Controllers are reachable both unversioned and under the current version
+export const API_PREFIXES = ['', `/${API_VERSION}`];
+
+/**
+ * Prefix each path with every API prefix, e.g. '/auth' -> ['/auth', '/v1/auth']
+ * @param {string} path - Path relative to the API root
+ * @returns {Array<string>} - Paths to mount at
+ */
+export const versionedPaths = (path) => API_PREFIXES.map(prefix => `${prefix}${path}`);
+
+/**
+ * Mount every controller on a router under each API prefix
+ * @param {Object} router - Express router for the API root
+ */
+export const mountControllers = (router) => {
+  for (const controller of CONTROLLERS) {
+    router.use(versionedPaths(controller.path), controller.router);
+  }
+};
+
+// Validator arrays are spread into the route stack, so each one is
+// recognised by the identity of its first middleware
+const VALIDATOR_NAMES = new Map(
+  Object.entries(validators)
+    .filter(([, chain]) => Array.isArray(chain) && chain.length > 0)
+    .map(([name, chain]) => [chain[0], name])
+);
+
+const AUTH_MIDDLEWARE = new Map([
+  [authenticateToken, 'required'],
+  [optionalAuth, 'optional']
+]);
+
+/**
+ * List every mounted route with its auth requirement and validator
+ * @param {string} basePath - Path the API router is mounted at, e.g. '/api/create'
+ * @returns {Array<Object>} - [{ method, path, versionedPath, controller, auth, validator }]
+ */
+export const describeRoutes = (basePath = '') => CONTROLLERS.flatMap(controller =>
+  controller.router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => {
+      const handlers = layer.route.stack.map(entry => entry.handle);
+      const routePath = layer.route.path === '/' ? '' : layer.route.path;
+
+      return Object.keys(layer.route.methods).map(method => ({
+        method: method.toUpperCase(),
+        path: `${basePath}${controller.path}${routePath}`,
+        versionedPath: `${basePath}/${API_VERSION}${controller.path}${routePath}`,
+        controller: controller.name,
+        auth: handlers.map(handler => AUTH_MIDDLEWARE.get(handler)).find(Boolean) || 'none',
+        validator: handlers.map(handler => VALIDATOR_NAMES.get(handler)).find(Boolean) || null
+      }));
+    })
+);
\ No newline at end of file
@@ -0,0 +1,166 @@
+import LLMService from './llmService.js';
+import { BLOOM_LEVELS, KNOWLEDGE_DIMENSIONS, BLOOM_SOURCES, BLOOM_QUESTION_TYPES } from '../config/constants.js';
+
+const LEXICON_CONFIDENCE = 0.6;
+const DEFAULT_CONFIDENCE = 0.2;
+
+// Action verbs that signal each cognitive level
+const VERB_LEXICON = {
+  [BLOOM_LEVELS.REMEMBER]: ['define', 'list', 'recall', 'identify', 'name', 'state', 'recognize', 'recognise', 'label', 'memorize', 'repeat', 'match', 'outline'],
+  [BLOOM_LEVELS.UNDERSTAND]: ['explain', 'describe', 'summarize', 'summarise', 'classify', 'compare', 'interpret', 'discuss', 'paraphrase', 'illustrate', 'restate', 'translate', 'exemplify'],
+  [BLOOM_LEVELS.APPLY]: ['apply', 'use', 'calculate', 'solve', 'demonstrate', 'compute', 'implement', 'execute', 'perform', 'operate', 'practice', 'model', 'predict'],
+  [BLOOM_LEVELS.ANALYZE]: ['analyze', 'analyse', 'differentiate', 'distinguish', 'examine', 'contrast', 'organize', 'organise', 'deconstruct', 'investigate', 'categorize', 'categorise', 'attribute', 'infer'],
+  [BLOOM_LEVELS.EVALUATE]: ['evaluate', 'assess', 'justify', 'critique', 'judge', 'argue', 'defend', 'appraise', 'recommend', 'prioritize', 'prioritise', 'verify', 'check'],
+  [BLOOM_LEVELS.CREATE]: ['create', 'design', 'develop', 'formulate', 'compose', 'propose', 'construct', 'plan', 'produce', 'invent', 'generate', 'hypothesize', 'hypothesise', 'devise']
+};
+
+const VERB_LEVELS = new Map(
+  Object.entries(VERB_LEXICON).flatMap(([level, verbs]) => verbs.map(verb => [verb, level]))
+);
+
+// Phrases that point to a knowledge dimension, checked in order
+const DIMENSION_PATTERNS = [
+  [KNOWLEDGE_DIMENSIONS.METACOGNITIVE, /\b(own|reflect\w*|self|strateg(y|ies)|monitor\w*)\b/i],
+  [KNOWLEDGE_DIMENSIONS.PROCEDURAL, /\b(steps?|procedures?|methods?|techniques?|algorithms?|protocols?|how to)\b/i],
+  [KNOWLEDGE_DIMENSIONS.FACTUAL, /\b(terms?|terminology|facts?|names?|dates?|definitions?|vocabulary|symbols?)\b/i]
+];
+
+const LEVEL_DIMENSIONS = {
+  [BLOOM_LEVELS.REMEMBER]: KNOWLEDGE_DIMENSIONS.FACTUAL,
+  [BLOOM_LEVELS.APPLY]: KNOWLEDGE_DIMENSIONS.PROCEDURAL
+};
+
+class BloomClassificationService {
+  /**
+   * Classify learning objectives into a Bloom's level and knowledge
+   * dimension. The model classifies them together; the verb lexicon covers
+   * any it leaves out or gets wrong, and all of them when no model is available.
+   * @param {Array<Object>} objectives - Learning objectives with `text`, in order
+   * @param {Object} options - { useModel } false to classify with the lexicon only
+   * @returns {Promise<Array<Object>>} - { level, knowledgeDimension, source, confidence, reasoning } per objective
+   */
+  static async classifyObjectives(objectives, { useModel = true } = {}) {
+    const lexicon = objectives.map(objective => this.classifyWithLexicon(objective.text));
+    if (objectives.length === 0 || !useModel) {
+      return lexicon;
+    }
+
+    try {
+      const result = await LLMService.generateJSON({
+        system: 'You are an instructional designer who classifies learning objectives using the revised Bloom\'s taxonomy.',
+        prompt: this.buildPrompt(objectives),
+        task: 'bloom-classification',
+        context: { lexiconLevels: lexicon.map(classification => classification.level) }
+      });
+
+      const entries = Array.isArray(result.data.objectives) ? result.data.objectives : [];
+      return lexicon.map((fallback, index) => {
+        const entry = entries.find(item => Number(item?.objective) === index + 1) || entries[index];
+        if (!Object.values(BLOOM_LEVELS).includes(entry?.level)) {
+          return fallback;
+        }
+
+        return {
+          level: entry.level,
+          knowledgeDimension: Object.values(KNOWLEDGE_DIMENSIONS).includes(entry.knowledgeDimension)
+            ? entry.knowledgeDimension
+            : fallback.knowledgeDimension,
+          source: BLOOM_SOURCES.MODEL,
+          confidence: typeof entry.confidence === 'number' ? Math.min(Math.max(entry.confidence, 0), 1) : undefined,
+          reasoning: typeof entry.reasoning === 'string' ? entry.reasoning.trim() : undefined
+        };
+      });
+    } catch (error) {
+      console.warn('Bloom classification model unavailable, using the verb lexicon:', error.message);
+      return lexicon;
+    }
+  }
+
+  /**
+   * Classify objectives and save the result on each, leaving levels an
+   * instructor set alone
+   * @param {Array<Object>} objectives - LearningObjective documents
+   * @param {Object} options - Passed to classifyObjectives
+   * @returns {Promise<Array<Object>>} - The objectives
+   */
+  static async classifyAndSave(objectives, options = {}) {
+    const pending = objectives.filter(objective => objective.bloom?.source !== BLOOM_SOURCES.INSTRUCTOR);
+    const classifications = await this.classifyObjectives(pending, options);
+
+    for (const [index, objective] of pending.entries()) {
+      await objective.setBloom(classifications[index]);
+    }
+    return objectives;
+  }
+
+  /**
+   * Classify an objective from its first recognised action verb
+   * @param {string} text - Learning objective text
+   * @returns {Object} - { level, knowledgeDimension, source, confidence, reasoning }
+   */
+  static classifyWithLexicon(text = '') {
+    const { verb, level } = this.findActionVerb(text) || {};
+    const dimension = DIMENSION_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0];
+
+    return {
+      level: level || BLOOM_LEVELS.UNDERSTAND,
+      knowledgeDimension: dimension || LEVEL_DIMENSIONS[level] || KNOWLEDGE_DIMENSIONS.CONCEPTUAL,
+      source: BLOOM_SOURCES.LEXICON,
+      confidence: verb ? LEXICON_CONFIDENCE : DEFAULT_CONFIDENCE,
+      reasoning: verb ? `Action verb "${verb}" indicates ${level}` : 'No recognised action verb; assumed understand'
+    };
+  }
+
+  /**
+   * Find the first action verb from the lexicon in a piece of text
+   * @param {string} text - Text to search
+   * @param {Object} options - { leading } only look at the first word
+   * @returns {Object|null} - { verb, level }
+   */
+  static findActionVerb(text = '', { leading = false } = {}) {
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+
+    for (const word of leading ? words.slice(0, 1) : words) {
+      const candidates = [word, word.replace(/(s|d)$/, ''), word.replace(/(es|ed|ing)$/, ''), word.replace(/ing$/, 'e')];
+      const verb = candidates.find(candidate => VERB_LEVELS.has(candidate));
+      if (verb) {
+        return { verb, level: VERB_LEVELS.get(verb) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Action verbs that signal a cognitive level
+   * @param {string} level - BLOOM_LEVELS value
+   * @returns {Array<string>}
+   */
+  static getActionVerbs(level) {
+    return VERB_LEXICON[level] || [];
+  }
+
+  /**
+   * Question types able to assess an objective's cognitive level
+   * @param {Object} objective - Learning objective, classified or not
+   * @returns {Array<string>|null} - QUESTION_TYPES values, or null when unclassified
+   */
+  static getSuitableQuestionTypes(objective) {
+    return BLOOM_QUESTION_TYPES[objective?.bloom?.level] || null;
+  }
+
+  /**
+   * Build the classification prompt
+   */
+  static buildPrompt(objectives) {
+    return [
+      `Classify each learning objective below by cognitive level (${Object.values(BLOOM_LEVELS).join(', ')}) and knowledge dimension (${Object.values(KNOWLEDGE_DIMENSIONS).join(', ')}).`,
+      'Judge what students must actually do, not only the leading verb.',
+      'Respond with JSON: {"objectives": [{"objective": 1, "level": "...", "knowledgeDimension": "...", "confidence": 0.8, "reasoning": "one sentence"}]}.',
+      '',
+      'Learning objectives:',
+      ...objectives.map((objective, index) => `${index + 1}. ${objective.text}`)
+    ].join('\n');
+  }
+}
+
+export default BloomClassificationService;
\ No newline at end of file
@@ -0,0 +1,299 @@
+import { escapeXml } from '../utils/xml.js';
+import { QUESTION_TYPES, CLOZE_BLANK_MARKER } from '../config/constants.js';
+
+// Canvas awards up to 100 per item and scales it to points_possible
+const MAX_SCORE = 100;
+
+const formatScore = (value) => value.toFixed(2);
+
+const htmlText = (text) => `<mattext texttype="text/html">${escapeXml(`<p>${escapeXml(text)}</p>`)}</mattext>`;
+const plainText = (text) => `<mattext texttype="text/plain">${escapeXml(text)}</mattext>`;
+
+const metadataField = (label, entry) =>
+  `<qtimetadatafield><fieldlabel>${label}</fieldlabel><fieldentry>${escapeXml(entry)}</fieldentry></qtimetadatafield>`;
+
+const responseLabel = (ident, text) =>
+  `<response_label ident="${ident}"><material>${plainText(text)}</material></response_label>`;
+
+// Partial-credit conditions (Add) keep evaluating so every correct response counts
+const scoreCondition = (respident, labelIdent, action, value) => [
+  `<respcondition continue="${action === 'Add' ? 'Yes' : 'No'}">`,
+  `  <conditionvar><varequal respident="${respident}">${labelIdent}</varequal></conditionvar>`,
+  `  <setvar action="${action}" varname="SCORE">${value}</setvar>`,
+  '</respcondition>'
+].join('\n');
+
+/**
+ * Single-answer choice item (multiple choice and true/false)
+ */
+const buildChoiceItem = (question, questionType, choices) => {
+  const correct = choices.findIndex(choice => choice.isCorrect);
+  if (correct === -1) {
+    throw new Error(`Question ${question._id} has no correct option`);
+  }
+
+  return {
+    questionType,
+    presentation: [
+      `<material>${htmlText(question.questionText)}</material>`,
+      '<response_lid ident="response1" rcardinality="Single">',
+      '  <render_choice>',
+      ...choices.map((choice, index) => `    ${responseLabel(`CHOICE_${index}`, choice.text)}`),
+      '  </render_choice>',
+      '</response_lid>'
+    ],
+    conditions: [scoreCondition('response1', `CHOICE_${correct}`, 'Set', MAX_SCORE)]
+  };
+};
+
+/**
+ * Matching item: one dropdown per left item listing every right item
+ */
+const buildMatchingItem = (question, leftItems, rightItems, pairs) => {
+  if (pairs.length === 0) {
+    throw new Error(`Question ${question._id} has no valid matching pairs`);
+  }
+
+  const pairValue = formatScore(MAX_SCORE / pairs.length);
+
+  return {
+    questionType: 'matching_question',
+    presentation: [
+      `<material>${htmlText(question.questionText)}</material>`,
+      ...leftItems.flatMap((item, leftIndex) => [
+        `<response_lid ident="response_L${leftIndex}">`,
+        `  <material>${plainText(item)}</material>`,
+        '  <render_choice>',
+        ...rightItems.map((right, rightIndex) => `    ${responseLabel(`R${rightIndex}`, right)}`),
+        '  </render_choice>',
+        '</response_lid>'
+      ])
+    ],
+    conditions: pairs.map(([left, right]) => scoreCondition(`response_L${left}`, `R${right}`, 'Add', pairValue))
+  };
+};
+
+const buildMatching = (question) => {
+  const { leftItems = [], rightItems = [], matchingPairs = [] } = question.content || {};
+  const pairs = matchingPairs
+    .map(([left, right]) => [leftItems.indexOf(left), rightItems.indexOf(right)])
+    .filter(([left, right]) => left !== -1 && right !== -1);
+
+  return buildMatchingItem(question, leftItems, rightItems, pairs);
+};
+
+// Canvas classic quizzes have no ordering question, so each position is
+// matched to the item that belongs there
+const buildOrdering = (question) => {
+  const correctOrder = question.content?.correctOrder || [];
+  const positions = correctOrder.map((_, index) => `Position ${index + 1}`);
+
+  return buildMatchingItem(question, positions, correctOrder, correctOrder.map((_, index) => [index, index]));
+};
+
+/**
+ * Cloze item: fill-in-multiple-blanks, or multiple dropdowns when blanks have options
+ */
+const buildCloze = (question) => {
+  const { textWithBlanks = '', correctAnswers = [], blankOptions = [] } = question.content || {};
+  const parts = textWithBlanks.split(CLOZE_BLANK_MARKER);
+
+  if (parts.length - 1 !== correctAnswers.length || correctAnswers.length === 0) {
+    throw new Error(`Question ${question._id} has ${parts.length - 1} blanks but ${correctAnswers.length} correct answers`);
+  }
+
+  const hasChoices = blankOptions.some(options => options?.length);
+  const blankValue = formatScore(MAX_SCORE / correctAnswers.length);
+  const text = parts.reduce((result, part, index) =>
+    result + escapeXml(part) + (index < correctAnswers.length ? `[blank${index + 1}]` : ''), '');
+  const html = `<p>${escapeXml(question.questionText)}</p><p>${text}</p>`;
+
+  const responses = correctAnswers.map((answer, index) => {
+    const options = hasChoices ? [...new Set([answer, ...(blankOptions[index] || [])])] : [answer];
+    return {
+      ident: `response_blank${index + 1}`,
+      lines: [
+        `<response_lid ident="response_blank${index + 1}">`,
+        `  <material>${plainText(`blank${index + 1}`)}</material>`,
+        '  <render_choice>',
+        ...options.map((option, optionIndex) => `    ${responseLabel(`B${index + 1}_${optionIndex}`, option)}`),
+        '  </render_choice>',
+        '</response_lid>'
+      ]
+    };
+  });
+
+  return {
+    questionType: hasChoices ? 'multiple_dropdowns_question' : 'fill_in_multiple_blanks_question',
+    presentation: [
+      `<material><mattext texttype="text/html">${escapeXml(html)}</mattext></material>`,
+      ...responses.flatMap(response => response.lines)
+    ],
+    conditions: responses.map((response, index) =>
+      scoreCondition(response.ident, `B${index + 1}_0`, 'Add', blankValue))
+  };
+};
+
+/**
+ * Essay item graded by the instructor; the model answer is general feedback
+ */
+const buildOpenEnded = (question) => {
+  const promptText = question.type === QUESTION_TYPES.FLASHCARD
+    ? question.content?.front || question.questionText
+    : question.questionText;
+
+  return {
+    questionType: 'essay_question',
+    presentation: [
+      `<material>${htmlText(promptText)}</material>`,
+      '<response_str ident="response1" rcardinality="Single">',
+      '  <render_fib><response_label ident="answer1" rshuffle="No"/></render_fib>',
+      '</response_str>'
+    ],
+    conditions: []
+  };
+};
+
+const CANVAS_BUILDERS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: (question) =>
+    buildChoiceItem(question, 'multiple_choice_question', question.content?.options || []),
+  [QUESTION_TYPES.TRUE_FALSE]: (question) => {
+    const answer = String(question.correctAnswer).toLowerCase() === 'false' ? 'False' : 'True';
+    return buildChoiceItem(question, 'true_false_question', [
+      { text: 'True', isCorrect: answer === 'True' },
+      { text: 'False', isCorrect: answer === 'False' }
+    ]);
+  },
+  [QUESTION_TYPES.MATCHING]: buildMatching,
+  [QUESTION_TYPES.ORDERING]: buildOrdering,
+  [QUESTION_TYPES.CLOZE]: buildCloze,
+  [QUESTION_TYPES.FLASHCARD]: buildOpenEnded,
+  [QUESTION_TYPES.SUMMARY]: buildOpenEnded,
+  [QUESTION_TYPES.DISCUSSION]: buildOpenEnded
+};
+
+/**
+ * Feedback shown after submission: the explanation, plus the model answer
+ * for open-ended questions
+ */
+const feedbackText = (question) => {
+  const parts = [];
+  if (question.type === QUESTION_TYPES.FLASHCARD && question.content?.back) {
+    parts.push(`Answer: ${question.content.back}`);
+  } else if ([QUESTION_TYPES.SUMMARY, QUESTION_TYPES.DISCUSSION].includes(question.type)
+    && typeof question.correctAnswer === 'string' && question.correctAnswer) {
+    parts.push(`Model answer: ${question.correctAnswer}`);
+  }
+  if (question.explanation) {
+    parts.push(question.explanation);
+  }
+  return parts.join('\n\n');
+};
+
+/**
+ * Build a Canvas QTI 1.2 item for a question
+ * @param {Object} question - Question document with populated learningObjective
+ * @param {number} index - Position in the quiz
+ * @returns {string} - item XML
+ */
+export const buildItem = (question, index) => {
+  const builder = CANVAS_BUILDERS[question.type];
+  if (!builder) {
+    throw new Error(`QTI export is not supported for ${question.type} questions`);
+  }
+
+  const item = builder(question);
+  const feedback = feedbackText(question);
+
+  const metadata = [
+    metadataField('question_type', item.questionType),
+    metadataField('points_possible', '1.0')
+  ];
+  if (question.learningObjective?.text) {
+    metadata.push(metadataField('learning_objective', question.learningObjective.text));
+  }
+
+  return [
+    `<item ident="ITEM_${question._id}" title="Question ${index + 1}">`,
+    '  <itemmetadata>',
+    '    <qtimetadata>',
+    ...metadata.map(field => `      ${field}`),
+    '    </qtimetadata>',
+    '  </itemmetadata>',
+    '  <presentation>',
+    ...item.presentation.map(line => `    ${line}`),
+    '  </presentation>',
+    '  <resprocessing>',
+    '    <outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>',
+    ...(feedback ? [
+      '    <respcondition continue="Yes">',
+      '      <conditionvar><other/></conditionvar>',
+      '      <displayfeedback feedbacktype="Response" linkrefid="general_fb"/>',
+      '    </respcondition>'
+    ] : []),
+    ...item.conditions.flatMap(condition => condition.split('\n').map(line => `    ${line}`)),
+    '  </resprocessing>',
+    ...(feedback ? [
+      '  <itemfeedback ident="general_fb">',
+      `    <flow_mat><material>${plainText(feedback)}</material></flow_mat>`,
+      '  </itemfeedback>'
+    ] : []),
+    '</item>'
+  ].join('\n');
+};
+
+/**
+ * Canvas identifier for a quiz's assessment
+ */
+export const assessmentIdentifier = (quiz) => `QUIZ_${quiz._id}`;
+
+/**
+ * Build the questestinterop document containing every question
+ * @param {Object} quiz - Quiz document with populated questions
+ * @returns {string} - Assessment XML
+ */
+export const buildAssessment = (quiz) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+  '  xsi:schemaLocation="http://www.imsglobal.org/xsd/ims_qtiasiv1p2 http://www.imsglobal.org/xsd/ims_qtiasiv1p2p1.xsd">',
+  `  <assessment ident="${assessmentIdentifier(quiz)}" title="${escapeXml(quiz.name)}">`,
+  '    <qtimetadata>',
+  `      ${metadataField('cc_maxattempts', '1')}`,
+  '    </qtimetadata>',
+  '    <section ident="root_section">',
+  ...quiz.questions.flatMap((question, index) => buildItem(question, index).split('\n').map(line => `      ${line}`)),
+  '    </section>',
+  '  </assessment>',
+  '</questestinterop>'
+].join('\n');
+
+/**
+ * Build imsmanifest.xml in the layout Canvas produces for its own QTI exports
+ * @param {Object} quiz - Quiz document
+ * @returns {string} - Manifest XML
+ */
+export const buildManifest = (quiz) => {
+  const identifier = assessmentIdentifier(quiz);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1" xmlns:imsmd="http://www.imsglobal.org/xsd/imsmd_v1p2"',
+    `  identifier="MANIFEST_${quiz._id}">`,
+    '  <metadata>',
+    '    <schema>IMS Content</schema>',
+    '    <schemaversion>1.1.3</schemaversion>',
+    '    <imsmd:lom>',
+    '      <imsmd:general>',
+    `        <imsmd:title><imsmd:string>${escapeXml(quiz.name)}</imsmd:string></imsmd:title>`,
+    '      </imsmd:general>',
+    '    </imsmd:lom>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    `    <resource identifier="${identifier}" type="imsqti_xmlv1p2">`,
+    `      <file href="${identifier}/${identifier}.xml"/>`,
+    '    </resource>',
+    '  </resources>',
+    '</manifest>'
+  ].join('\n');
+};
\ No newline at end of file
@@ -0,0 +1,133 @@
+import CourseOutcome from '../models/CourseOutcome.js';
+import LearningObjective from '../models/LearningObjective.js';
+import Quiz from '../models/Quiz.js';
+import Question from '../models/Question.js';
+import ObjectiveExtractionService from './objectiveExtractionService.js';
+import { checkObjectives } from './jobService.js';
+
+const sameId = (a, b) => String(a?._id || a) === String(b?._id || b);
+
+class CourseOutcomeService {
+  /**
+   * Add course outcomes to a quiz as learning objectives. An outcome the quiz
+   * already has an objective for is linked to that objective instead.
+   * @param {Object} quiz - Quiz document
+   * @param {Array<Object>} outcomes - CourseOutcome documents from the quiz's folder
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - { created, linked } LearningObjective documents
+   */
+  static async importIntoQuiz(quiz, outcomes, userId) {
+    const existing = await LearningObjective.find({ quiz: quiz._id });
+    let order = existing.reduce((max, objective) => Math.max(max, objective.order + 1), 0);
+
+    const created = [];
+    const linked = [];
+    for (const outcome of outcomes) {
+      const match = [...existing, ...created].find(objective => ObjectiveExtractionService.isDuplicate(outcome.text, objective.text));
+
+      if (match) {
+        if (!match.courseOutcomes.some(id => sameId(id, outcome))) {
+          match.courseOutcomes.push(outcome._id);
+          await match.save();
+        }
+        if (!linked.includes(match) && !created.includes(match)) {
+          linked.push(match);
+        }
+        continue;
+      }
+
+      const objective = new LearningObjective({
+        text: outcome.text,
+        quiz: quiz._id,
+        order: order++,
+        courseOutcomes: [outcome._id],
+        createdBy: userId
+      });
+
+      await objective.save();
+      await quiz.addLearningObjective(objective._id);
+      created.push(objective);
+    }
+
+    await checkObjectives(created, userId);
+
+    return { created, linked };
+  }
+
+  /**
+   * Report how many objectives and questions across a folder's quizzes
+   * assess each of its course outcomes
+   * @param {Object} folder - Folder document
+   * @returns {Promise<Object>} - { outcomes, unmappedObjectives, summary }
+   */
+  static async buildMappingReport(folder) {
+    const [outcomes, quizzes] = await Promise.all([
+      CourseOutcome.getOrderedByFolder(folder._id),
+      Quiz.find({ folder: folder._id }).select('name')
+    ]);
+
+    const quizIds = quizzes.map(quiz => quiz._id);
+    const [objectives, questionCounts] = await Promise.all([
+      LearningObjective.find({ quiz: { $in: quizIds } }).select('text quiz courseOutcomes').sort({ order: 1 }),
+      Question.aggregate([
+        { $match: { quiz: { $in: quizIds } } },
+        { $group: { _id: '$learningObjective', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    return this.summarizeMapping({ outcomes, quizzes, objectives, questionCounts });
+  }
+
+  /**
+   * Build the mapping report from loaded records
+   * @param {Object} records - { outcomes, quizzes, objectives, questionCounts: [{ _id: objectiveId, count }] }
+   * @returns {Object} - { outcomes, unmappedObjectives, summary }
+   */
+  static summarizeMapping({ outcomes, quizzes, objectives, questionCounts }) {
+    const questionsFor = objective => questionCounts.find(entry => sameId(entry._id, objective))?.count || 0;
+    const quizName = quizId => quizzes.find(quiz => sameId(quiz, quizId))?.name;
+
+    const report = outcomes.map(outcome => {
+      const mapped = objectives.filter(objective => (objective.courseOutcomes || []).some(id => sameId(id, outcome)));
+      const byQuiz = new Map();
+
+      for (const objective of mapped) {
+        const key = String(objective.quiz);
+        const entry = byQuiz.get(key) || { quizId: key, name: quizName(objective.quiz), objectiveCount: 0, questionCount: 0 };
+        entry.objectiveCount++;
+        entry.questionCount += questionsFor(objective);
+        byQuiz.set(key, entry);
+      }
+
+      return {
+        outcome: { id: String(outcome._id), code: outcome.code, text: outcome.text },
+        objectiveCount: mapped.length,
+        questionCount: mapped.reduce((total, objective) => total + questionsFor(objective), 0),
+        quizzes: [...byQuiz.values()]
+      };
+    });
+
+    const unmappedObjectives = objectives
+      .filter(objective => !(objective.courseOutcomes || []).some(id => outcomes.some(outcome => sameId(outcome, id))))
+      .map(objective => ({
+        id: String(objective._id),
+        text: objective.text,
+        quizId: String(objective.quiz),
+        questionCount: questionsFor(objective)
+      }));
+
+    return {
+      outcomes: report,
+      unmappedObjectives,
+      summary: {
+        outcomeCount: outcomes.length,
+        assessedOutcomes: report.filter(entry => entry.questionCount > 0).length,
+        unassessedOutcomes: report.filter(entry => entry.questionCount === 0).length,
+        totalQuestions: questionCounts.reduce((total, entry) => total + entry.count, 0),
+        unmappedQuestions: unmappedObjectives.reduce((total, objective) => total + objective.questionCount, 0)
+      }
+    };
+  }
+}
+
+export default CourseOutcomeService;
\ No newline at end of file
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { requestJSON } from '../utils/httpClient.js';
+import { AI_CONFIG, QDRANT_CONFIG } from '../config/constants.js';
+
+/**
+ * Check that every embedding matches the collection's vector size
+ */
+const assertDimensions = (embeddings, dimensions, providerName) => {
+  for (const embedding of embeddings) {
+    if (!Array.isArray(embedding) || embedding.length !== dimensions) {
+      throw new Error(
+        `${providerName} returned ${embedding?.length ?? 0}-dimensional embeddings, expected ${dimensions}`
+      );
+    }
+  }
+  return embeddings;
+};
+
+/**
+ * Embeddings from an Ollama server (e.g. the all-minilm model)
+ */
+export class OllamaEmbedder {
+  constructor({ endpoint = AI_CONFIG.OLLAMA_ENDPOINT, model = AI_CONFIG.EMBEDDING_MODEL, dimensions = QDRANT_CONFIG.VECTOR_SIZE } = {}) {
+    this.name = 'ollama';
+    this.endpoint = endpoint.replace(/\/$/, '');
+    this.model = model;
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  async embed(texts) {
+    const data = await requestJSON(`${this.endpoint}/api/embed`, {
+      method: 'POST',
+      body: { model: this.model, input: texts },
+      serviceName: 'Ollama embeddings'
+    });
+
+    return assertDimensions(data.embeddings || [], this.dimensions, 'Ollama');
+  }
+}
+
+/**
+ * Embeddings from OpenAI or any server exposing the OpenAI embeddings API
+ */
+export class OpenAICompatibleEmbedder {
+  constructor({
+    baseUrl = AI_CONFIG.OPENAI_BASE_URL,
+    apiKey = AI_CONFIG.OPENAI_API_KEY,
+    model = AI_CONFIG.EMBEDDING_MODEL,
+    dimensions = QDRANT_CONFIG.VECTOR_SIZE
+  } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.dimensions = dimensions;
+  }
+
+  async embed(texts) {
+    const data = await requestJSON(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      body: { model: this.model, input: texts, dimensions: this.dimensions },
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      serviceName: 'OpenAI-compatible embeddings API'
+    });
+
+    const embeddings = (data.data || [])
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+
+    return assertDimensions(embeddings, this.dimensions, 'OpenAI-compatible API');
+  }
+}
+
+/**
+ * Deterministic bag-of-words embedder for tests and offline development.
+ * Each word is hashed into a fixed bucket, so texts sharing vocabulary
+ * score as similar under cosine distance.
+ */
+export class HashEmbedder {
+  constructor({ dimensions = QDRANT_CONFIG.VECTOR_SIZE } = {}) {
+    this.name = 'hash';
+    this.model = 'hash-embedding';
+    this.dimensions = dimensions;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+    for (const word of words) {
+      const hash = crypto.createHash('md5').update(word).digest();
+      vector[hash.readUInt32BE(0) % this.dimensions] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+}
\ No newline at end of file
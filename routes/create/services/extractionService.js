@@ -0,0 +1,190 @@
+import fs from 'fs/promises';
+import mammoth from 'mammoth';
+import { PDFParse } from 'pdf-parse';
+import { MATERIAL_TYPES } from '../config/constants.js';
+
+// Markers embedded in extracted content so downstream consumers (chunking,
+// citations) can tell which page or section a passage came from
+export const PAGE_MARKER_PATTERN = /^\[Page (\d+)\]$/;
+export const SECTION_MARKER_PATTERN = /^\[Section: (.+)\]$/;
+
+class ExtractionService {
+  /**
+   * Build the marker line that precedes each PDF page
+   * @param {number} pageNumber - 1-based page number
+   * @returns {string} - Page marker
+   */
+  static pageMarker(pageNumber) {
+    return `[Page ${pageNumber}]`;
+  }
+
+  /**
+   * Build the marker line that precedes each document section
+   * @param {string} title - Section heading
+   * @returns {string} - Section marker
+   */
+  static sectionMarker(title) {
+    return `[Section: ${title}]`;
+  }
+
+  /**
+   * Extract normalized text from an uploaded file
+   * @param {string} filePath - Path to file
+   * @param {string} type - Material type (pdf, docx, text)
+   * @returns {Promise<Object>} - Extracted text and structure counts
+   */
+  static async extractFile(filePath, type) {
+    const buffer = await fs.readFile(filePath);
+
+    switch (type) {
+      case MATERIAL_TYPES.PDF:
+        return this.extractPdf(buffer);
+      case MATERIAL_TYPES.DOCX:
+        return this.extractDocx(buffer);
+      case MATERIAL_TYPES.TEXT:
+        return this.extractPlainText(buffer.toString('utf8'));
+      default:
+        throw new Error(`Text extraction is not supported for ${type} files`);
+    }
+  }
+
+  /**
+   * Extract text from a PDF, one page marker per page
+   * @param {Buffer} buffer - PDF file contents
+   * @returns {Promise<Object>} - Extraction result
+   */
+  static async extractPdf(buffer) {
+    const parser = new PDFParse({ data: buffer });
+
+    try {
+      const result = await parser.getText();
+      const pages = result.pages
+        .map(page => ({ num: page.num, text: this.normalizeText(page.text) }))
+        .filter(page => page.text.length > 0);
+
+      const text = pages
+        .map(page => `${this.pageMarker(page.num)}\n${page.text}`)
+        .join('\n\n');
+
+      return this.buildResult(text, { pageCount: result.total, sectionCount: 0 });
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  /**
+   * Extract text from a DOCX, one section marker per heading
+   * @param {Buffer} buffer - DOCX file contents
+   * @returns {Promise<Object>} - Extraction result
+   */
+  static async extractDocx(buffer) {
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    const { text, sectionCount } = this.htmlToText(html);
+
+    return this.buildResult(text, { pageCount: 0, sectionCount });
+  }
+
+  /**
+   * Normalize plain text content
+   * @param {string} content - Raw text
+   * @returns {Object} - Extraction result
+   */
+  static extractPlainText(content) {
+    return this.buildResult(this.normalizeText(content), { pageCount: 0, sectionCount: 0 });
+  }
+
+  /**
+   * Convert mammoth HTML output to plain text with section markers
+   * @param {string} html - HTML produced by mammoth
+   * @returns {Object} - Text and number of sections found
+   */
+  static htmlToText(html) {
+    let sectionCount = 0;
+
+    const withMarkers = html.replace(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi, (match, inner) => {
+      const title = this.decodeEntities(inner.replace(/<[^>]+>/g, '')).trim();
+      if (!title) return '\n';
+      sectionCount++;
+      return `\n\n${this.sectionMarker(title)}\n`;
+    });
+
+    const text = this.decodeEntities(
+      withMarkers
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|tr|table|ul|ol)>/gi, '\n')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, '\t')
+        .replace(/<[^>]+>/g, '')
+    );
+
+    // Keep each section marker directly above its first line of content
+    const normalized = this.normalizeText(text).replace(/^(\[Section: .+\])\n+/gm, '$1\n');
+
+    return { text: normalized, sectionCount };
+  }
+
+  /**
+   * Decode the HTML entities mammoth emits
+   * @param {string} text - Text containing entities
+   * @returns {string} - Decoded text
+   */
+  static decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Normalize whitespace, line endings and hyphenated line breaks
+   * @param {string} text - Raw text
+   * @returns {string} - Normalized text
+   */
+  static normalizeText(text) {
+    if (!text) return '';
+
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/\u00a0/g, ' ')
+      .replace(/[\u200b\ufeff]/g, '') // Strip zero-width characters
+      .replace(/(\w)-\n(\w)/g, '$1$2') // Re-join words hyphenated across lines
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Count words in extracted text, ignoring marker lines
+   * @param {string} text - Extracted text
+   * @returns {number} - Word count
+   */
+  static countWords(text) {
+    return text
+      .split('\n')
+      .filter(line => !PAGE_MARKER_PATTERN.test(line) && !SECTION_MARKER_PATTERN.test(line))
+      .join(' ')
+      .split(/\s+/)
+      .filter(Boolean).length;
+  }
+
+  /**
+   * Assemble a standard extraction result
+   * @param {string} text - Normalized text
+   * @param {Object} counts - Page and section counts
+   * @returns {Object} - Extraction result
+   */
+  static buildResult(text, { pageCount, sectionCount }) {
+    return {
+      text,
+      pageCount,
+      sectionCount,
+      wordCount: this.countWords(text)
+    };
+  }
+}
+
+export default ExtractionService;
\ No newline at end of file
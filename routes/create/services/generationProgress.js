@@ -0,0 +1,144 @@
+import { EventEmitter } from 'events';
+import { GENERATION_EVENTS, GENERATION_PROGRESS_CONFIG, GENERATION_RUN_STATUS } from '../config/constants.js';
+
+/**
+ * Live progress of question generation runs, keyed by quiz. Job handlers run
+ * in the API process, so progress is published straight to stream
+ * subscribers rather than through the job store.
+ *
+ * Subscribers receive (event, data) where data carries the run's counts in
+ * `progress` alongside the event's own fields.
+ */
+export class GenerationProgress extends EventEmitter {
+  /**
+   * @param {Object} options - { finishedTtl } ms to keep a finished run's counts
+   */
+  constructor({ finishedTtl = GENERATION_PROGRESS_CONFIG.FINISHED_TTL } = {}) {
+    super();
+    this.setMaxListeners(0); // one listener per open stream
+    this.finishedTtl = finishedTtl;
+    this.runs = new Map(); // quizId -> run counts
+    this.timers = new Map();
+  }
+
+  /**
+   * Record a queued run so streams opened before it starts have counts to show
+   * @param {string} quizId - Quiz ID
+   * @param {Object} run - { runId, planId, total, generated }; a resumed
+   *   run starts from the questions it already has
+   * @returns {Object} - Run counts
+   */
+  queue(quizId, { runId, planId, total, generated = 0 }) {
+    const key = quizId.toString();
+    this.clearTimer(key);
+
+    this.runs.set(key, {
+      runId: runId?.toString(),
+      planId: planId?.toString(),
+      status: GENERATION_RUN_STATUS.QUEUED,
+      total,
+      completed: generated,
+      generated,
+      failed: 0
+    });
+
+    return this.get(key);
+  }
+
+  /**
+   * Update a run's counts and publish the event to its subscribers
+   * @param {string} quizId - Quiz ID
+   * @param {string} event - GENERATION_EVENTS value
+   * @param {Object} data - Event fields; STARTED may carry `total` and `generated`,
+   *   DONE the run's `status` or an `error`
+   */
+  report(quizId, event, data = {}) {
+    const key = quizId.toString();
+
+    // Runs recovered after a restart were never queued in this process
+    if (!this.runs.has(key)) {
+      this.queue(key, { total: data.total ?? 0 });
+    }
+    const run = this.runs.get(key);
+
+    switch (event) {
+      case GENERATION_EVENTS.STARTED:
+        run.status = GENERATION_RUN_STATUS.RUNNING;
+        run.total = data.total ?? run.total;
+        run.generated = data.generated ?? run.generated;
+        run.failed = 0;
+        break;
+      case GENERATION_EVENTS.GENERATED:
+        run.generated += 1;
+        break;
+      case GENERATION_EVENTS.FAILED:
+        run.failed += 1;
+        break;
+      case GENERATION_EVENTS.DONE:
+        run.status = data.status || (data.error ? GENERATION_RUN_STATUS.FAILED : GENERATION_RUN_STATUS.COMPLETED);
+        this.scheduleRemoval(key);
+        break;
+      default:
+        throw new Error(`Unknown generation event: ${event}`);
+    }
+    run.completed = run.generated + run.failed;
+
+    this.emit(key, event, { ...data, progress: this.get(key) });
+  }
+
+  /**
+   * Current counts for a quiz's latest run
+   * @param {string} quizId - Quiz ID
+   * @returns {Object|null} - { runId, planId, status, total, completed, generated, failed }
+   */
+  get(quizId) {
+    const run = this.runs.get(quizId.toString());
+    return run ? { ...run } : null;
+  }
+
+  isFinished(quizId) {
+    const run = this.get(quizId);
+    return Boolean(run) && ![GENERATION_RUN_STATUS.QUEUED, GENERATION_RUN_STATUS.RUNNING].includes(run.status);
+  }
+
+  /**
+   * Listen for a quiz's progress events
+   * @param {string} quizId - Quiz ID
+   * @param {Function} listener - (event, data) => void
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(quizId, listener) {
+    const key = quizId.toString();
+    this.on(key, listener);
+    return () => this.off(key, listener);
+  }
+
+  scheduleRemoval(key) {
+    this.clearTimer(key);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(key);
+      this.runs.delete(key);
+    }, this.finishedTtl);
+    timer.unref?.();
+    this.timers.set(key, timer);
+  }
+
+  clearTimer(key) {
+    clearTimeout(this.timers.get(key));
+    this.timers.delete(key);
+  }
+
+  /**
+   * Forget every run (used on shutdown and in tests)
+   */
+  clear() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.runs.clear();
+  }
+}
+
+const generationProgress = new GenerationProgress();
+
+export default generationProgress;
\ No newline at end of file
@@ -0,0 +1,131 @@
+import { QUESTION_TYPES, CLOZE_BLANK_MARKER } from '../config/constants.js';
+
+/**
+ * Escape GIFT control characters and keep each question on its own lines
+ * @param {*} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeGift = (text) => String(text ?? '')
+  .replace(/[\\~=#{}:]/g, match => `\\${match}`)
+  .replace(/\r?\n/g, '\\n');
+
+const feedback = (question) => (question.explanation ? ` ####${escapeGift(question.explanation)}` : '');
+
+const buildMultipleChoice = (question) => {
+  const options = question.content?.options || [];
+  if (!options.some(option => option.isCorrect)) {
+    throw new Error(`Question ${question._id} has no correct option`);
+  }
+
+  const answers = options.map(option => `${option.isCorrect ? '=' : '~'}${escapeGift(option.text)}`);
+  return `${escapeGift(question.questionText)} {\n  ${answers.join('\n  ')}${feedback(question)}\n}`;
+};
+
+const buildTrueFalse = (question) => {
+  const isTrue = String(question.correctAnswer).toLowerCase() !== 'false';
+  return `${escapeGift(question.questionText)} {${isTrue ? 'TRUE' : 'FALSE'}${feedback(question)}}`;
+};
+
+const buildMatchingQuestion = (question, pairs) => {
+  if (pairs.length < 3) {
+    // Moodle's GIFT import rejects matching questions with fewer than three pairs
+    throw new Error(`Question ${question._id} needs at least three matching pairs for GIFT`);
+  }
+
+  const answers = pairs.map(([left, right]) => `=${escapeGift(left)} -> ${escapeGift(right)}`);
+  return `${escapeGift(question.questionText)} {\n  ${answers.join('\n  ')}${feedback(question)}\n}`;
+};
+
+const buildMatching = (question) => {
+  const { leftItems = [], rightItems = [], matchingPairs = [] } = question.content || {};
+  return buildMatchingQuestion(question, matchingPairs
+    .filter(([left, right]) => leftItems.includes(left) && rightItems.includes(right)));
+};
+
+// Same position-to-item matching as the Moodle XML export
+const buildOrdering = (question) => buildMatchingQuestion(question,
+  (question.content?.correctOrder || []).map((item, index) => [`Position ${index + 1}`, item]));
+
+/**
+ * GIFT only supports a single blank, written in place as a missing-word question
+ */
+const buildCloze = (question) => {
+  const { textWithBlanks = '', correctAnswers = [], blankOptions = [] } = question.content || {};
+  const parts = textWithBlanks.split(CLOZE_BLANK_MARKER);
+
+  if (parts.length !== 2 || correctAnswers.length !== 1) {
+    throw new Error(`Question ${question._id} has ${parts.length - 1} blanks; GIFT supports one`);
+  }
+
+  const [correct] = correctAnswers;
+  const distractors = (blankOptions[0] || []).filter(option => option !== correct);
+  const answers = [`=${escapeGift(correct)}`, ...distractors.map(option => `~${escapeGift(option)}`)];
+
+  return `${escapeGift(question.questionText)}\\n${escapeGift(parts[0])}{${answers.join(' ')}${feedback(question)}}${escapeGift(parts[1])}`;
+};
+
+/**
+ * Essay question; GIFT has no grader information, so the model answer is
+ * shown as general feedback
+ */
+const buildEssay = (question) => {
+  const isFlashcard = question.type === QUESTION_TYPES.FLASHCARD;
+  const promptText = isFlashcard ? question.content?.front || question.questionText : question.questionText;
+  const modelAnswer = isFlashcard
+    ? question.content?.back
+    : typeof question.correctAnswer === 'string' ? question.correctAnswer : '';
+  const generalFeedback = [modelAnswer && `Model answer: ${modelAnswer}`, question.explanation]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return `${escapeGift(promptText)} {${generalFeedback ? `####${escapeGift(generalFeedback)}` : ''}}`;
+};
+
+const GIFT_BUILDERS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: buildMultipleChoice,
+  [QUESTION_TYPES.TRUE_FALSE]: buildTrueFalse,
+  [QUESTION_TYPES.MATCHING]: buildMatching,
+  [QUESTION_TYPES.ORDERING]: buildOrdering,
+  [QUESTION_TYPES.CLOZE]: buildCloze,
+  [QUESTION_TYPES.FLASHCARD]: buildEssay,
+  [QUESTION_TYPES.SUMMARY]: buildEssay,
+  [QUESTION_TYPES.DISCUSSION]: buildEssay
+};
+
+/**
+ * Build a GIFT question
+ * @param {Object} question - Question document
+ * @param {number} index - Position in the quiz
+ * @returns {string} - GIFT text
+ */
+export const buildQuestion = (question, index) => {
+  const builder = GIFT_BUILDERS[question.type];
+  if (!builder) {
+    throw new Error(`GIFT export is not supported for ${question.type} questions`);
+  }
+
+  return `::${escapeGift(`Question ${index + 1}`)}:: ${builder(question)}`;
+};
+
+/**
+ * Build a GIFT file for a quiz. Questions GIFT cannot express are left out
+ * with a comment, and reported so the caller can tell the user.
+ * @param {Object} quiz - Quiz document with populated questions
+ * @returns {Object} - { content, skipped: [{ questionId, reason }] }
+ */
+export const buildQuizGift = (quiz) => {
+  const skipped = [];
+  const name = quiz.name.replace(/\r?\n/g, ' ');
+  const blocks = [`// ${name}`, `$CATEGORY: $course$/top/${name.replace(/\//g, '//')}`];
+
+  quiz.questions.forEach((question, index) => {
+    try {
+      blocks.push(buildQuestion(question, index));
+    } catch (error) {
+      skipped.push({ questionId: question._id, reason: error.message });
+      blocks.push(`// Question ${index + 1} skipped: ${error.message}`);
+    }
+  });
+
+  return { content: `${blocks.join('\n\n')}\n`, skipped };
+};
\ No newline at end of file
@@ -0,0 +1,318 @@
+import crypto from 'crypto';
+import { QUESTION_TYPES, CLOZE_BLANK_MARKER } from '../config/constants.js';
+
+// H5P libraries referenced by generated packages. The LMS must have these
+// installed (they ship with the standard H5P plugins for Canvas and Moodle).
+export const H5P_LIBRARIES = {
+  QUESTION_SET: { machineName: 'H5P.QuestionSet', majorVersion: 1, minorVersion: 20 },
+  COLUMN: { machineName: 'H5P.Column', majorVersion: 1, minorVersion: 16 },
+  MULTI_CHOICE: { machineName: 'H5P.MultiChoice', majorVersion: 1, minorVersion: 16 },
+  TRUE_FALSE: { machineName: 'H5P.TrueFalse', majorVersion: 1, minorVersion: 8 },
+  BLANKS: { machineName: 'H5P.Blanks', majorVersion: 1, minorVersion: 14 },
+  DRAG_TEXT: { machineName: 'H5P.DragText', majorVersion: 1, minorVersion: 10 },
+  DRAG_QUESTION: { machineName: 'H5P.DragQuestion', majorVersion: 1, minorVersion: 14 },
+  ADVANCED_TEXT: { machineName: 'H5P.AdvancedText', majorVersion: 1, minorVersion: 1 },
+  SORT_PARAGRAPHS: { machineName: 'H5P.SortParagraphs', majorVersion: 0, minorVersion: 11 },
+  DIALOGCARDS: { machineName: 'H5P.Dialogcards', majorVersion: 1, minorVersion: 9 },
+  ESSAY: { machineName: 'H5P.Essay', majorVersion: 1, minorVersion: 5 }
+};
+
+// Libraries H5P.QuestionSet accepts as questions; anything else needs H5P.Column
+export const QUESTION_SET_LIBRARIES = [
+  H5P_LIBRARIES.MULTI_CHOICE,
+  H5P_LIBRARIES.TRUE_FALSE,
+  H5P_LIBRARIES.BLANKS,
+  H5P_LIBRARIES.DRAG_TEXT,
+  H5P_LIBRARIES.DRAG_QUESTION,
+  H5P_LIBRARIES.ESSAY
+].map(library => library.machineName);
+
+/**
+ * Format a library reference the way content.json expects it, e.g. "H5P.MultiChoice 1.16"
+ */
+export const libraryString = ({ machineName, majorVersion, minorVersion }) =>
+  `${machineName} ${majorVersion}.${minorVersion}`;
+
+/**
+ * Escape text for use inside H5P HTML fields
+ */
+export const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * H5P Blanks and DragText mark answers as *answer*, separate alternatives
+ * with / and start tips with :, with no way to escape them. Asterisks are
+ * dropped and colons inside answers replaced with the look-alike ratio sign.
+ */
+const stripAnswerSyntax = (text) => String(text ?? '').replace(/\*/g, '');
+const formatAnswer = (answer) => `*${stripAnswerSyntax(answer).replace(/:/g, '\u2236')}*`;
+
+const paragraph = (text) => `<p>${escapeHtml(text)}</p>`;
+
+/**
+ * Replace each cloze blank marker with the H5P answer syntax (*answer*)
+ */
+const fillBlanks = (question) => {
+  const { textWithBlanks = '', correctAnswers = [] } = question.content || {};
+  const parts = textWithBlanks.split(CLOZE_BLANK_MARKER);
+
+  if (parts.length - 1 !== correctAnswers.length) {
+    throw new Error(
+      `Cloze question has ${parts.length - 1} blanks but ${correctAnswers.length} correct answers`
+    );
+  }
+
+  return parts
+    .map((part, index) => (index < correctAnswers.length
+      ? `${stripAnswerSyntax(part)}${formatAnswer(correctAnswers[index])}`
+      : stripAnswerSyntax(part)))
+    .join('');
+};
+
+const convertMultipleChoice = (question) => ({
+  library: H5P_LIBRARIES.MULTI_CHOICE,
+  contentType: 'Multiple Choice',
+  params: {
+    question: paragraph(question.questionText),
+    answers: (question.content?.options || []).map(option => ({
+      text: `<div>${escapeHtml(option.text)}</div>`,
+      correct: Boolean(option.isCorrect),
+      tipsAndFeedback: {
+        tip: '',
+        chosenFeedback: option.isCorrect ? `<div>${escapeHtml(question.explanation || 'Correct!')}</div>` : '',
+        notChosenFeedback: ''
+      }
+    })),
+    behaviour: {
+      enableRetry: true,
+      enableSolutionsButton: true,
+      type: 'auto',
+      singlePoint: false,
+      randomAnswers: true
+    },
+    overallFeedback: [{ from: 0, to: 100 }]
+  }
+});
+
+const convertTrueFalse = (question) => ({
+  library: H5P_LIBRARIES.TRUE_FALSE,
+  contentType: 'True/False Question',
+  params: {
+    question: paragraph(question.questionText),
+    correct: String(question.correctAnswer).toLowerCase() === 'false' ? 'false' : 'true',
+    behaviour: {
+      enableRetry: true,
+      enableSolutionsButton: true,
+      feedbackOnCorrect: escapeHtml(question.explanation || ''),
+      feedbackOnWrong: escapeHtml(question.explanation || '')
+    }
+  }
+});
+
+// Cloze questions with per-blank choices become drag-the-words so the
+// distractors are kept; free-text blanks become fill-in-the-blanks
+const convertCloze = (question) => {
+  const correctAnswers = question.content?.correctAnswers || [];
+  const distractors = [...new Set((question.content?.blankOptions || []).flat())]
+    .filter(option => !correctAnswers.includes(option));
+
+  if (distractors.length > 0) {
+    return {
+      library: H5P_LIBRARIES.DRAG_TEXT,
+      contentType: 'Drag the Words',
+      params: {
+        taskDescription: paragraph(question.questionText),
+        textField: fillBlanks(question),
+        distractors: distractors.map(formatAnswer).join(' '),
+        behaviour: {
+          enableRetry: true,
+          enableSolutionsButton: true,
+          enableCheckButton: true,
+          instantFeedback: false
+        },
+        overallFeedback: [{ from: 0, to: 100 }]
+      }
+    };
+  }
+
+  return {
+    library: H5P_LIBRARIES.BLANKS,
+    contentType: 'Fill in the Blanks',
+    params: {
+      text: paragraph(question.questionText),
+      questions: [`<p>${fillBlanks(question)}</p>`],
+      behaviour: {
+        enableRetry: true,
+        enableSolutionsButton: true,
+        enableCheckButton: true,
+        caseSensitive: false,
+        showSolutionsRequiresInput: true,
+        autoCheck: false
+      },
+      overallFeedback: [{ from: 0, to: 100 }]
+    }
+  };
+};
+
+// Left items become labelled drop zones down the left side and right items
+// become draggable text down the right side
+const convertMatching = (question) => {
+  const { leftItems = [], rightItems = [], matchingPairs = [] } = question.content || {};
+  const rowHeight = 100 / Math.max(leftItems.length, rightItems.length, 1);
+
+  const elements = rightItems.map((item, index) => ({
+    x: 60,
+    y: index * rowHeight,
+    width: 12,
+    height: 3,
+    dropZones: leftItems.map((_, zoneIndex) => String(zoneIndex)),
+    type: {
+      library: libraryString(H5P_LIBRARIES.ADVANCED_TEXT),
+      params: { text: paragraph(item) },
+      subContentId: crypto.randomUUID()
+    },
+    backgroundOpacity: 100,
+    multiple: false
+  }));
+
+  const dropZones = leftItems.map((item, index) => {
+    const matches = matchingPairs
+      .filter(([left]) => left === item)
+      .map(([, right]) => String(rightItems.indexOf(right)))
+      .filter(elementIndex => elementIndex !== '-1');
+
+    return {
+      x: 0,
+      y: index * rowHeight,
+      width: 14,
+      height: 3,
+      label: `<div>${escapeHtml(item)}</div>`,
+      showLabel: true,
+      correctElements: matches,
+      backgroundOpacity: 50,
+      single: true,
+      autoAlign: true,
+      tipsAndFeedback: { tip: '' }
+    };
+  });
+
+  return {
+    library: H5P_LIBRARIES.DRAG_QUESTION,
+    dependencies: [H5P_LIBRARIES.ADVANCED_TEXT],
+    contentType: 'Drag and Drop',
+    params: {
+      question: {
+        settings: { size: { width: 620, height: Math.max(310, leftItems.length * 70) } },
+        task: { elements, dropZones }
+      },
+      behaviour: {
+        enableRetry: true,
+        enableCheckButton: true,
+        singlePoint: false,
+        applyPenalties: false,
+        showSolutionsRequiresInput: true,
+        dropZoneHighlighting: 'dragging',
+        autoAlignSpacing: 2,
+        enableFullScreen: false,
+        showScorePoints: true,
+        showTitle: true
+      },
+      scoreShow: 'Check',
+      tryAgain: 'Retry'
+    }
+  };
+};
+
+const convertOrdering = (question) => ({
+  library: H5P_LIBRARIES.SORT_PARAGRAPHS,
+  contentType: 'Sort the Paragraphs',
+  params: {
+    taskDescription: paragraph(question.questionText),
+    // SortParagraphs takes the paragraphs in their correct order and shuffles them itself
+    paragraphs: (question.content?.correctOrder || []).map(item => paragraph(item)),
+    behaviour: {
+      scoringMode: 'transitions',
+      applyPenalties: true,
+      duplicatesInterchangeable: true,
+      enableRetry: true,
+      enableSolutionsButton: true
+    },
+    overallFeedback: [{ from: 0, to: 100 }]
+  }
+});
+
+const convertFlashcard = (question) => ({
+  library: H5P_LIBRARIES.DIALOGCARDS,
+  contentType: 'Dialog Cards',
+  params: {
+    title: paragraph(question.questionText),
+    description: '',
+    mode: 'normal',
+    dialogs: [{
+      text: paragraph(question.content?.front || question.questionText),
+      answer: paragraph(question.content?.back || question.correctAnswer),
+      tips: {}
+    }],
+    behaviour: {
+      enableRetry: true,
+      disableBackwardsNavigation: false,
+      scaleTextNotCard: false,
+      randomCards: false
+    }
+  }
+});
+
+// Summary and discussion answers are open-ended, so they are shown as
+// essays with the model answer as the sample solution and no scoring
+const openEndedConverter = (introduction) => (question) => ({
+  library: H5P_LIBRARIES.ESSAY,
+  contentType: 'Essay',
+  params: {
+    taskDescription: paragraph(question.questionText),
+    placeholderText: 'Enter your answer here...',
+    solution: {
+      introduction: paragraph(introduction),
+      sample: escapeHtml(typeof question.correctAnswer === 'string' && question.correctAnswer
+        ? question.correctAnswer
+        : question.explanation || '')
+    },
+    keywords: [],
+    behaviour: {
+      enableRetry: true,
+      ignoreScoring: true
+    }
+  }
+});
+
+export const H5P_CONVERTERS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: convertMultipleChoice,
+  [QUESTION_TYPES.TRUE_FALSE]: convertTrueFalse,
+  [QUESTION_TYPES.CLOZE]: convertCloze,
+  [QUESTION_TYPES.MATCHING]: convertMatching,
+  [QUESTION_TYPES.ORDERING]: convertOrdering,
+  [QUESTION_TYPES.FLASHCARD]: convertFlashcard,
+  [QUESTION_TYPES.SUMMARY]: openEndedConverter('A complete summary would cover:'),
+  [QUESTION_TYPES.DISCUSSION]: openEndedConverter('A strong answer would include:')
+};
+
+/**
+ * Convert a question into H5P sub-content
+ * @param {Object} question - Question document
+ * @returns {Object} - { library, dependencies, contentType, title, params }
+ */
+export const convertQuestion = (question) => {
+  const converter = H5P_CONVERTERS[question.type];
+  if (!converter) {
+    throw new Error(`H5P export is not supported for ${question.type} questions`);
+  }
+
+  const converted = converter(question);
+  return {
+    dependencies: [],
+    ...converted,
+    title: question.questionText.substring(0, 60)
+  };
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import JSZip from 'jszip';
+import { H5P_LIBRARIES, QUESTION_SET_LIBRARIES, libraryString, escapeHtml, convertQuestion } from './h5pConverters.js';
+
+class H5PExportService {
+  /**
+   * Build a complete H5P package for a quiz. Quizzes whose questions all fit
+   * in H5P.QuestionSet use it; otherwise the questions are stacked in H5P.Column.
+   * @param {Object} quiz - Quiz document with populated questions
+   * @returns {JSZip} - Archive containing h5p.json and content/content.json
+   */
+  static buildPackage(quiz) {
+    const questions = quiz.questions.map(question => convertQuestion(question));
+    const mainLibrary = this.selectMainLibrary(questions);
+    const content = mainLibrary === H5P_LIBRARIES.QUESTION_SET
+      ? this.buildContent(quiz, questions)
+      : this.buildColumnContent(questions);
+
+    const zip = new JSZip();
+    zip.file('h5p.json', JSON.stringify(this.buildManifest(quiz, questions, mainLibrary), null, 2));
+    zip.file('content/content.json', JSON.stringify(content, null, 2));
+
+    return zip;
+  }
+
+  /**
+   * Pick the container library able to hold every converted question
+   */
+  static selectMainLibrary(questions) {
+    const fitsQuestionSet = questions.every(question =>
+      QUESTION_SET_LIBRARIES.includes(question.library.machineName)
+    );
+    return fitsQuestionSet ? H5P_LIBRARIES.QUESTION_SET : H5P_LIBRARIES.COLUMN;
+  }
+
+  /**
+   * Wrap a converted question as H5P sub-content
+   */
+  static buildSubContent(question) {
+    return {
+      library: libraryString(question.library),
+      params: question.params,
+      subContentId: crypto.randomUUID(),
+      metadata: {
+        contentType: question.contentType,
+        license: 'U',
+        title: question.title
+      }
+    };
+  }
+
+  /**
+   * Write the package for a quiz to disk
+   * @param {Object} quiz - Quiz document with populated questions
+   * @param {string} filePath - Destination path
+   * @returns {Promise<number>} - Size of the written archive in bytes
+   */
+  static async writePackage(quiz, filePath) {
+    const buffer = await this.buildPackage(quiz).generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE'
+    });
+
+    await fs.writeFile(filePath, buffer);
+    return buffer.length;
+  }
+
+  /**
+   * Build h5p.json, declaring every library the content depends on
+   */
+  static buildManifest(quiz, questions, mainLibrary = H5P_LIBRARIES.QUESTION_SET) {
+    const dependencies = new Map([[mainLibrary.machineName, mainLibrary]]);
+    for (const question of questions) {
+      for (const library of [question.library, ...question.dependencies]) {
+        dependencies.set(library.machineName, library);
+      }
+    }
+
+    return {
+      title: quiz.name,
+      language: 'en',
+      mainLibrary: mainLibrary.machineName,
+      embedTypes: ['iframe'],
+      license: 'U',
+      defaultLanguage: 'en',
+      preloadedDependencies: Array.from(dependencies.values()).map(({ machineName, majorVersion, minorVersion }) => ({
+        machineName,
+        majorVersion: String(majorVersion),
+        minorVersion: String(minorVersion)
+      }))
+    };
+  }
+
+  /**
+   * Build content/content.json for H5P.QuestionSet
+   */
+  static buildContent(quiz, questions) {
+    return {
+      introPage: {
+        showIntroPage: false,
+        title: quiz.name,
+        introduction: `<p>${escapeHtml(quiz.name)}</p>`,
+        startButtonText: 'Start Quiz'
+      },
+      progressType: 'dots',
+      passPercentage: 70,
+      disableBackwardsNavigation: false,
+      randomQuestions: false,
+      questions: questions.map(question => this.buildSubContent(question)),
+      texts: {
+        prevButton: 'Previous question',
+        nextButton: 'Next question',
+        finishButton: 'Finish',
+        textualProgress: 'Question: @current of @total questions',
+        jumpToQuestion: 'Question %d of %total',
+        questionLabel: 'Question',
+        readSpeakerProgress: 'Question @current of @total',
+        unansweredText: 'Unanswered',
+        answeredText: 'Answered',
+        currentQuestionText: 'Current question'
+      },
+      endGame: {
+        showResultPage: true,
+        showSolutionButton: true,
+        showRetryButton: true,
+        noResultMessage: 'Finished',
+        message: 'Your result:',
+        overallFeedback: [{ from: 0, to: 100 }],
+        solutionButtonText: 'Show solution',
+        retryButtonText: 'Retry',
+        finishButtonText: 'Finish',
+        showAnimations: false,
+        skippable: false,
+        skipButtonText: 'Skip video'
+      },
+      override: {
+        checkButton: true
+      }
+    };
+  }
+
+  /**
+   * Build content/content.json for H5P.Column
+   */
+  static buildColumnContent(questions) {
+    return {
+      content: questions.map(question => ({
+        content: this.buildSubContent(question),
+        useSeparator: 'auto'
+      }))
+    };
+  }
+}
+
+export default H5PExportService;
\ No newline at end of file
@@ -0,0 +1,307 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { JOB_STATUS, JOB_CONFIG } from '../config/constants.js';
+
+/**
+ * In-memory job record store (used for tests and single-process development)
+ */
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, { ...job });
+    return job;
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async listActive() {
+    return [...this.jobs.values()]
+      .filter(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)
+      .map(job => ({ ...job }));
+  }
+}
+
+/**
+ * Redis-backed job record store
+ * Records live under job:<id>; ids of unfinished jobs are tracked in the jobs:active set
+ */
+export class RedisJobStore {
+  constructor(client, ttl = JOB_CONFIG.RECORD_TTL) {
+    this.client = client;
+    this.ttl = ttl;
+  }
+
+  async save(job) {
+    const isActive = job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+
+    await this.client
+      .multi()
+      .setex(`job:${job.id}`, this.ttl, JSON.stringify(job))
+      [isActive ? 'sadd' : 'srem']('jobs:active', job.id)
+      .exec();
+
+    return job;
+  }
+
+  async get(jobId) {
+    const record = await this.client.get(`job:${jobId}`);
+    return record ? JSON.parse(record) : null;
+  }
+
+  async listActive() {
+    const ids = await this.client.smembers('jobs:active');
+    const jobs = await Promise.all(ids.map(id => this.get(id)));
+    return jobs.filter(Boolean);
+  }
+}
+
+/**
+ * Background job queue with persistent job records, retries with
+ * exponential backoff and global/per-type concurrency limits.
+ *
+ * Emits 'started', 'completed', 'retrying' and 'failed' with the job record.
+ */
+export class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} store - Job record store (MemoryJobStore or RedisJobStore)
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum jobs running at once
+   * @param {number} options.maxAttempts - Default attempts per job
+   * @param {number} options.retryDelay - Base retry delay in ms
+   */
+  constructor(store, options = {}) {
+    super();
+    this.store = store;
+    this.concurrency = options.concurrency || JOB_CONFIG.CONCURRENCY;
+    this.maxAttempts = options.maxAttempts || JOB_CONFIG.MAX_ATTEMPTS;
+    this.retryDelay = options.retryDelay ?? JOB_CONFIG.RETRY_DELAY;
+
+    this.handlers = new Map();
+    this.pending = [];
+    this.running = new Map(); // type -> number of running jobs
+    this.runningCount = 0;
+    this.active = new Set(); // promises of running jobs
+    this.timers = new Set();
+    this.stopped = false;
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (data, job) => result
+   * @param {Object} options - Per-type options (concurrency, maxAttempts)
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      concurrency: options.concurrency || this.concurrency,
+      maxAttempts: options.maxAttempts || this.maxAttempts
+    });
+    return this;
+  }
+
+  /**
+   * Create a job record and schedule it
+   * @param {string} type - Registered job type
+   * @param {Object} data - Job payload (must be JSON serializable)
+   * @param {Object} options - Job options (userId, maxAttempts)
+   * @returns {Promise<Object>} - Job record
+   */
+  async enqueue(type, data = {}, options = {}) {
+    const registration = this.handlers.get(type);
+    if (!registration) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomBytes(12).toString('hex'),
+      type,
+      status: JOB_STATUS.QUEUED,
+      data,
+      userId: options.userId ? options.userId.toString() : null,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || registration.maxAttempts,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    await this.store.save(job);
+
+    // Return a snapshot; the queued record keeps changing as the job runs
+    const snapshot = { ...job };
+    this.pending.push(job);
+    this.schedule();
+
+    return snapshot;
+  }
+
+  /**
+   * Get a job record by id
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object|null>} - Job record
+   */
+  async getJob(jobId) {
+    return this.store.get(jobId);
+  }
+
+  /**
+   * Re-schedule jobs left unfinished by a previous process
+   * @returns {Promise<number>} - Number of jobs recovered
+   */
+  async recover() {
+    const jobs = await this.store.listActive();
+    let recovered = 0;
+
+    for (const job of jobs) {
+      if (!this.handlers.has(job.type) || this.pending.some(p => p.id === job.id)) continue;
+
+      job.status = JOB_STATUS.QUEUED;
+      job.updatedAt = new Date().toISOString();
+      await this.store.save(job);
+      this.pending.push(job);
+      recovered++;
+    }
+
+    this.schedule();
+    return recovered;
+  }
+
+  /**
+   * Start as many pending jobs as the concurrency limits allow
+   */
+  schedule() {
+    if (this.stopped) return;
+
+    for (let i = 0; i < this.pending.length && this.runningCount < this.concurrency; ) {
+      const job = this.pending[i];
+      const { concurrency } = this.handlers.get(job.type);
+
+      if ((this.running.get(job.type) || 0) >= concurrency) {
+        i++;
+        continue;
+      }
+
+      this.pending.splice(i, 1);
+      const running = this.run(job);
+      this.active.add(running);
+      running.finally(() => this.active.delete(running));
+    }
+  }
+
+  /**
+   * Execute a job, recording its outcome and retrying on failure
+   * @param {Object} job - Job record
+   */
+  async run(job) {
+    const { handler } = this.handlers.get(job.type);
+
+    this.runningCount++;
+    this.running.set(job.type, (this.running.get(job.type) || 0) + 1);
+
+    job.status = JOB_STATUS.RUNNING;
+    job.attempts += 1;
+    job.startedAt = new Date().toISOString();
+    job.updatedAt = job.startedAt;
+
+    try {
+      await this.store.save(job);
+      this.emit('started', job);
+
+      const result = await handler(job.data, job);
+
+      job.status = JOB_STATUS.COMPLETED;
+      job.result = result === undefined ? null : result;
+      job.error = null;
+      job.finishedAt = new Date().toISOString();
+      job.updatedAt = job.finishedAt;
+      await this.store.save(job);
+      this.emit('completed', job);
+    } catch (error) {
+      await this.handleFailure(job, error);
+    } finally {
+      this.runningCount--;
+      this.running.set(job.type, this.running.get(job.type) - 1);
+      this.schedule();
+    }
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry if attempts remain
+   * @param {Object} job - Job record
+   * @param {Error} error - Error thrown by the handler
+   */
+  async handleFailure(job, error) {
+    job.error = {
+      message: error.message || String(error),
+      attempt: job.attempts,
+      timestamp: new Date().toISOString()
+    };
+    job.updatedAt = job.error.timestamp;
+
+    try {
+      if (job.attempts < job.maxAttempts) {
+        const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+        job.status = JOB_STATUS.QUEUED;
+        await this.store.save(job);
+        this.emit('retrying', job);
+
+        // The queued record is picked up by recover() on the next start
+        if (this.stopped) return;
+
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          this.pending.push(job);
+          this.schedule();
+        }, delay);
+        timer.unref?.();
+        this.timers.add(timer);
+      } else {
+        job.status = JOB_STATUS.FAILED;
+        job.finishedAt = job.updatedAt;
+        await this.store.save(job);
+        this.emit('failed', job);
+      }
+    } catch (storeError) {
+      console.error(`Error recording failure for job ${job.id}:`, storeError);
+    }
+  }
+
+  /**
+   * Stop starting jobs and cancel pending retries, then wait for running
+   * jobs to finish (used on shutdown and in tests)
+   * @param {number} timeout - Longest wait in ms
+   * @returns {Promise<boolean>} - Whether every running job finished in time
+   */
+  async stop(timeout = JOB_CONFIG.STOP_TIMEOUT) {
+    this.stopped = true;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.pending = [];
+
+    if (this.active.size === 0) {
+      return true;
+    }
+
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    const drained = await Promise.race([Promise.allSettled([...this.active]).then(() => true), timedOut]);
+    clearTimeout(timer);
+
+    return drained;
+  }
+}
+
+export default JobQueue;
\ No newline at end of file
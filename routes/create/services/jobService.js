@@ -0,0 +1,159 @@
+import { JobQueue, MemoryJobStore, RedisJobStore } from './jobQueue.js';
+import MaterialProcessingService from './materialProcessingService.js';
+import ObjectiveGenerationService from './objectiveGenerationService.js';
+import BloomClassificationService from './bloomClassificationService.js';
+import ObjectiveLintService from './objectiveLintService.js';
+import QuestionGenerationService from './questionGenerationService.js';
+import generationProgress from './generationProgress.js';
+import Material from '../models/Material.js';
+import GenerationRun from '../models/GenerationRun.js';
+import LearningObjective from '../models/LearningObjective.js';
+import redis from '../config/redis.js';
+import { JOB_CONFIG, JOB_TYPES, JOB_STATUS, PROCESSING_STATUS } from '../config/constants.js';
+
+const store = JOB_CONFIG.STORE === 'memory' ? new MemoryJobStore() : new RedisJobStore(redis);
+
+const jobQueue = new JobQueue(store, {
+  concurrency: JOB_CONFIG.CONCURRENCY,
+  maxAttempts: JOB_CONFIG.MAX_ATTEMPTS,
+  retryDelay: JOB_CONFIG.RETRY_DELAY
+});
+
+// Material processing: extraction failures are recorded on the material,
+// so a failed material fails the job and is retried with backoff
+jobQueue.register(JOB_TYPES.MATERIAL_PROCESSING, async ({ materialId }) => {
+  const material = await Material.findById(materialId);
+  if (!material) {
+    throw new Error('Material not found');
+  }
+
+  await MaterialProcessingService.processMaterial(material);
+
+  if (material.processingStatus === PROCESSING_STATUS.FAILED) {
+    throw new Error(material.processingError?.message || 'Material processing failed');
+  }
+
+  return {
+    materialId,
+    processingStatus: material.processingStatus,
+    contentMetadata: material.contentMetadata
+  };
+});
+
+// Objectives are saved to the quiz one at a time, so a retry after a later
+// failure would add a second set; the instructor regenerates instead
+jobQueue.register(JOB_TYPES.OBJECTIVE_GENERATION, data =>
+  ObjectiveGenerationService.generateFromMaterials(data),
+  { maxAttempts: 1 }
+);
+
+// Model classification and rewrites for objectives that were saved with the
+// lexicon and rule results. Both passes reload the objectives and keep an
+// instructor's level, so retrying is safe
+jobQueue.register(JOB_TYPES.OBJECTIVE_REFINEMENT, async ({ objectiveIds }) => {
+  const objectives = await LearningObjective.find({ _id: { $in: objectiveIds } }).sort({ order: 1 });
+
+  await BloomClassificationService.classifyAndSave(objectives);
+  await ObjectiveLintService.lintAndSave(objectives);
+
+  return { objectiveIds: objectives.map(objective => objective._id) };
+});
+
+// Generation runs are resumed explicitly rather than retried, so only the
+// missing questions are generated again, and the controllers allow one
+// active run per quiz. Progress is published for
+// GET /api/quizzes/:id/generation/stream
+jobQueue.register(JOB_TYPES.QUESTION_GENERATION, data =>
+  QuestionGenerationService.generateRun(data, {
+    onProgress: (event, payload) => generationProgress.report(data.quizId, event, payload)
+  }),
+  { maxAttempts: 1 }
+);
+
+/**
+ * Format a job record for API responses
+ * @param {Object} job - Job record
+ * @returns {Object} - Public job representation
+ */
+export const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  statusUrl: `/api/jobs/${job.id}`
+});
+
+/**
+ * Queue a job to generate a run's missing questions
+ * @param {Object} run - GenerationRun document with status queued
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} - Job record
+ */
+export const enqueueGenerationRun = async (run, userId) => {
+  // Both are in place before the job can start reading or reporting on the run
+  await run.save();
+  generationProgress.queue(run.quiz, {
+    runId: run._id,
+    planId: run.plan,
+    total: run.slots.length,
+    generated: run.counts.generated
+  });
+
+  const job = await jobQueue.enqueue(
+    JOB_TYPES.QUESTION_GENERATION,
+    { runId: run._id.toString(), quizId: run.quiz.toString(), userId },
+    { userId }
+  );
+
+  // The job may already be updating the run, so only append the job ID
+  run.jobIds.push(job.id);
+  await GenerationRun.updateOne({ _id: run._id }, { $push: { jobIds: job.id } });
+
+  return job;
+};
+
+/**
+ * Classify and lint objectives with the lexicon and rules, which needs no
+ * model call, then queue the model's pass so requests don't wait on it
+ * @param {Array<Object>} objectives - Saved LearningObjective documents
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object|null>} - Job record, or null when nothing was queued
+ */
+export const checkObjectives = async (objectives, userId) => {
+  if (objectives.length === 0) {
+    return null;
+  }
+
+  await BloomClassificationService.classifyAndSave(objectives, { useModel: false });
+  await ObjectiveLintService.lintAndSave(objectives, { useModel: false });
+
+  try {
+    return await jobQueue.enqueue(
+      JOB_TYPES.OBJECTIVE_REFINEMENT,
+      { objectiveIds: objectives.map(objective => objective._id.toString()) },
+      { userId }
+    );
+  } catch (error) {
+    // The rule-based results are already saved and usable
+    console.error('Objective refinement queue error:', error);
+    return null;
+  }
+};
+
+/**
+ * Whether any of the given jobs is still queued or running
+ * @param {Array<string>} jobIds - Job ids
+ * @returns {Promise<boolean>}
+ */
+export const hasActiveJob = async (jobIds) => {
+  const jobs = await Promise.all(jobIds.map(jobId => jobQueue.getJob(jobId)));
+  return jobs.some(job => job && (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING));
+};
+
+export default jobQueue;
\ No newline at end of file
@@ -0,0 +1,364 @@
+import crypto from 'crypto';
+import { requestJSON, streamLines } from '../utils/httpClient.js';
+import { AI_CONFIG, QUESTION_TYPES, CLOZE_BLANK_MARKER } from '../config/constants.js';
+
+/**
+ * Build chat messages from a prompt, optional system instruction and
+ * optional earlier conversation turns ([{ role, content }])
+ */
+const buildMessages = (prompt, system, history = []) => {
+  const messages = [];
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+  messages.push(...history.map(({ role, content }) => ({ role, content })));
+  messages.push({ role: 'user', content: prompt });
+  return messages;
+};
+
+/**
+ * Adapter for a local or remote Ollama server
+ */
+export class OllamaProvider {
+  constructor({ endpoint = AI_CONFIG.OLLAMA_ENDPOINT, model = AI_CONFIG.LLM_MODEL } = {}) {
+    this.name = 'ollama';
+    this.endpoint = endpoint.replace(/\/$/, '');
+    this.model = model;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { prompt, system, history, temperature, maxTokens, json }
+   * @returns {Promise<Object>} - { text, model, usage }
+   */
+  async generate({ prompt, system, history, temperature, maxTokens, json }) {
+    const body = {
+      model: this.model,
+      messages: buildMessages(prompt, system, history),
+      stream: false,
+      options: {
+        temperature: temperature ?? AI_CONFIG.TEMPERATURE,
+        num_predict: maxTokens ?? AI_CONFIG.MAX_TOKENS
+      }
+    };
+
+    if (json) {
+      body.format = 'json';
+    }
+
+    const data = await requestJSON(`${this.endpoint}/api/chat`, {
+      method: 'POST',
+      body,
+      serviceName: 'Ollama'
+    });
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+
+    return {
+      text: data.message?.content || '',
+      model: data.model || this.model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  /**
+   * Stream a chat completion as text deltas
+   * @param {Object} request - { prompt, system, history, temperature, maxTokens }
+   * @returns {AsyncGenerator<string>} - Text deltas
+   */
+  async *stream({ prompt, system, history, temperature, maxTokens }) {
+    const lines = streamLines(`${this.endpoint}/api/chat`, {
+      body: {
+        model: this.model,
+        messages: buildMessages(prompt, system, history),
+        stream: true,
+        options: {
+          temperature: temperature ?? AI_CONFIG.TEMPERATURE,
+          num_predict: maxTokens ?? AI_CONFIG.MAX_TOKENS
+        }
+      },
+      serviceName: 'Ollama'
+    });
+
+    for await (const line of lines) {
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(`Ollama request failed: ${data.error}`);
+      }
+      if (data.message?.content) {
+        yield data.message.content;
+      }
+    }
+  }
+}
+
+/**
+ * Adapter for OpenAI and any server exposing the OpenAI chat completions API
+ */
+export class OpenAICompatibleProvider {
+  constructor({ baseUrl = AI_CONFIG.OPENAI_BASE_URL, apiKey = AI_CONFIG.OPENAI_API_KEY, model = AI_CONFIG.LLM_MODEL } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { prompt, system, history, temperature, maxTokens, json }
+   * @returns {Promise<Object>} - { text, model, usage }
+   */
+  async generate({ prompt, system, history, temperature, maxTokens, json }) {
+    const body = {
+      model: this.model,
+      messages: buildMessages(prompt, system, history),
+      temperature: temperature ?? AI_CONFIG.TEMPERATURE,
+      max_tokens: maxTokens ?? AI_CONFIG.MAX_TOKENS
+    };
+
+    if (json) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const data = await requestJSON(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      body,
+      headers,
+      serviceName: 'OpenAI-compatible API'
+    });
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model || this.model,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Stream a chat completion as text deltas
+   * @param {Object} request - { prompt, system, history, temperature, maxTokens }
+   * @returns {AsyncGenerator<string>} - Text deltas
+   */
+  async *stream({ prompt, system, history, temperature, maxTokens }) {
+    const lines = streamLines(`${this.baseUrl}/chat/completions`, {
+      body: {
+        model: this.model,
+        messages: buildMessages(prompt, system, history),
+        temperature: temperature ?? AI_CONFIG.TEMPERATURE,
+        max_tokens: maxTokens ?? AI_CONFIG.MAX_TOKENS,
+        stream: true
+      },
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      serviceName: 'OpenAI-compatible API'
+    });
+
+    // Server-sent events: "data: {...}" lines, ending with "data: [DONE]"
+    for await (const line of lines) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+
+      const payload = line.slice('data:'.length).trim();
+      if (payload === '[DONE]') {
+        return;
+      }
+
+      const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+}
+
+/**
+ * Deterministic provider for tests and offline development.
+ * Responses are derived from the request's task and context, so the same
+ * request always produces the same output.
+ */
+export class MockProvider {
+  constructor({ model = 'mock-llm' } = {}) {
+    this.name = 'mock';
+    this.model = model;
+    this.responders = new Map(Object.entries(MockProvider.defaultResponders));
+  }
+
+  /**
+   * Override or add the responder used for a task
+   * @param {string} task - Task name passed by callers
+   * @param {Function} responder - (context, request) => response object or string
+   */
+  setResponder(task, responder) {
+    this.responders.set(task, responder);
+    return this;
+  }
+
+  async generate(request) {
+    const { prompt, system = '', task, context = {} } = request;
+    const responder = this.responders.get(task);
+
+    let output;
+    if (responder) {
+      output = responder(context, request);
+    } else {
+      const digest = crypto.createHash('md5').update(prompt).digest('hex').substring(0, 8);
+      output = { text: `Mock response ${digest}` };
+    }
+
+    const text = typeof output === 'string' ? output : JSON.stringify(output);
+    const promptTokens = MockProvider.estimateTokens(system + prompt);
+    const completionTokens = MockProvider.estimateTokens(text);
+
+    return {
+      text,
+      model: this.model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  /**
+   * Stream the same response generate() would return, one word at a time
+   */
+  async *stream(request) {
+    const { text } = await this.generate(request);
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      yield piece;
+    }
+  }
+
+  static estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+}
+
+MockProvider.defaultResponders = {
+  'learning-objectives': () => ({
+    objectives: [
+      'Explain the key concepts introduced in the course materials',
+      'Analyze the relationships between the main topics covered',
+      'Apply the core principles to solve new problems'
+    ]
+  }),
+
+  // Returns the outline parser's candidates so offline runs extract consistently
+  'objective-extraction': ({ candidates = [] }) => ({
+    objectives: candidates
+  }),
+
+  // Agrees with the verb lexicon's levels so offline runs classify consistently
+  'bloom-classification': ({ lexiconLevels = [] }) => ({
+    objectives: lexiconLevels.map((level, index) => ({
+      objective: index + 1,
+      level,
+      confidence: 0.8,
+      reasoning: `Objective ${index + 1} asks students to ${level}.`
+    }))
+  }),
+
+  // Returns the rule-based rewrites so offline runs suggest consistently
+  'objective-lint': ({ issues = [] }) => ({
+    objectives: issues.map((objectiveIssues, index) => ({
+      objective: index + 1,
+      issues: objectiveIssues.map(({ rule, rewrites }) => ({ rule, rewrites }))
+    }))
+  }),
+
+  // Splits each objective between the approach's two most favoured types
+  'generation-plan': ({ objectiveCount = 1, questionsPerLO = 3, preferredTypes = [QUESTION_TYPES.MULTIPLE_CHOICE] }) => {
+    const [primary, secondary = primary] = preferredTypes;
+
+    return {
+      reasoning: 'Each objective pairs a recognition question type with a recall type.',
+      objectives: Array.from({ length: objectiveCount }, (_, index) => ({
+        objective: index + 1,
+        questionTypes: [
+          { type: primary, count: Math.ceil(questionsPerLO / 2), reasoning: `Checks recognition of objective ${index + 1}.` },
+          { type: secondary, count: Math.floor(questionsPerLO / 2), reasoning: `Practises recall of objective ${index + 1}.` }
+        ]
+      }))
+    };
+  },
+
+  'question': ({ questionType, objectiveText = 'the learning objective', sourceCount = 0 }) => {
+    const responses = {
+      [QUESTION_TYPES.MULTIPLE_CHOICE]: {
+        questionText: `Which statement best reflects: ${objectiveText}?`,
+        options: [
+          { text: 'An accurate statement of the concept', isCorrect: true },
+          { text: 'A common misconception about the concept', isCorrect: false },
+          { text: 'A partially correct description', isCorrect: false },
+          { text: 'An unrelated idea', isCorrect: false }
+        ],
+        explanation: 'Only the first option accurately reflects the concept.'
+      },
+      [QUESTION_TYPES.TRUE_FALSE]: {
+        questionText: `The course materials address: ${objectiveText}.`,
+        correctAnswer: 'True',
+        explanation: 'This topic is covered directly in the materials.'
+      },
+      [QUESTION_TYPES.FLASHCARD]: {
+        questionText: 'Review this concept',
+        front: `What is the focus of: ${objectiveText}?`,
+        back: `The answer restates ${objectiveText} in your own words.`,
+        explanation: 'This flashcard reinforces the learning objective.'
+      },
+      [QUESTION_TYPES.SUMMARY]: {
+        questionText: `Summarize the main ideas related to: ${objectiveText}.`,
+        correctAnswer: 'A complete summary names the key concepts and how they connect.',
+        explanation: 'Summaries encourage synthesis of the material.'
+      },
+      [QUESTION_TYPES.DISCUSSION]: {
+        questionText: `Discuss how you would apply the following in practice: ${objectiveText}.`,
+        correctAnswer: 'Strong answers give a concrete example and justify each step.',
+        explanation: 'Discussion prompts encourage critical thinking.'
+      },
+      [QUESTION_TYPES.MATCHING]: {
+        questionText: 'Match each term with its description.',
+        leftItems: ['Term A', 'Term B', 'Term C'],
+        rightItems: ['Description A', 'Description B', 'Description C'],
+        matchingPairs: [['Term A', 'Description A'], ['Term B', 'Description B'], ['Term C', 'Description C']],
+        explanation: 'Each term pairs with the description sharing its letter.'
+      },
+      [QUESTION_TYPES.ORDERING]: {
+        questionText: 'Place the following steps in the correct order.',
+        items: ['Step 3', 'Step 1', 'Step 2'],
+        correctOrder: ['Step 1', 'Step 2', 'Step 3'],
+        explanation: 'The steps follow their numbered sequence.'
+      },
+      [QUESTION_TYPES.CLOZE]: {
+        questionText: 'Fill in the blanks.',
+        textWithBlanks: `The first key term is ${CLOZE_BLANK_MARKER} and the second is ${CLOZE_BLANK_MARKER}.`,
+        correctAnswers: ['alpha', 'beta'],
+        blankOptions: [['alpha', 'gamma'], ['beta', 'delta']],
+        explanation: 'Both terms are defined in the materials.'
+      }
+    };
+
+    const response = responses[questionType] || responses[QUESTION_TYPES.MULTIPLE_CHOICE];
+
+    // Cite the best-ranked passage when the prompt included any
+    return sourceCount > 0 ? { ...response, sourceIndexes: [1] } : response;
+  },
+
+  'tutor-answer': ({ sourceCount = 0 }) => (sourceCount > 0
+    ? 'The first passage [1] explains this, so review that part of the course materials.'
+    : "I couldn't find this in your course materials, so please check with your instructor."),
+
+  'message-classification': () => ({
+    category: 'on-topic',
+    reason: 'The message asks about the course subject.'
+  })
+};
\ No newline at end of file
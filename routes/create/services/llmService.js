@@ -0,0 +1,140 @@
+import { AI_CONFIG } from '../config/constants.js';
+import { OllamaProvider, OpenAICompatibleProvider, MockProvider } from './llmProviders.js';
+
+const PROVIDERS = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+class LLMService {
+  static provider = null;
+
+  /**
+   * Create a provider instance by name
+   * @param {string} name - Provider name ('ollama', 'openai' or 'mock')
+   * @param {Object} options - Provider constructor options
+   * @returns {Object} - Provider instance
+   */
+  static createProvider(name, options = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return new Provider(options);
+  }
+
+  /**
+   * Get the configured provider, creating it on first use
+   */
+  static getProvider() {
+    if (!this.provider) {
+      this.provider = this.createProvider(AI_CONFIG.LLM_PROVIDER);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Replace the active provider (used by tests)
+   */
+  static setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Send a prompt to the active provider
+   * @param {Object} request - Generation request
+   * @param {string} request.prompt - User prompt
+   * @param {string} request.system - Optional system instruction
+   * @param {Array<Object>} request.history - Optional earlier turns, [{ role, content }]
+   * @param {boolean} request.json - Ask the model for a JSON object
+   * @param {string} request.task - Task name, used by the mock provider
+   * @param {Object} request.context - Task context, used by the mock provider
+   * @returns {Promise<Object>} - { text, model, usage, latencyMs }
+   */
+  static async generate(request) {
+    const startTime = Date.now();
+    const result = await this.getProvider().generate(request);
+
+    return {
+      ...result,
+      latencyMs: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Stream a completion from the active provider as text deltas. Providers
+   * without streaming support yield their whole response at once.
+   * @param {Object} request - Generation request, as for generate();
+   *   request.history holds earlier turns as [{ role, content }]
+   * @returns {AsyncGenerator<string>} - Text deltas
+   */
+  static async *stream(request) {
+    const provider = this.getProvider();
+
+    if (typeof provider.stream !== 'function') {
+      const { text } = await provider.generate(request);
+      yield text;
+      return;
+    }
+
+    yield* provider.stream(request);
+  }
+
+  /**
+   * Send a prompt and parse the response as JSON
+   * @returns {Promise<Object>} - Generation result with a parsed `data` field
+   */
+  static async generateJSON(request) {
+    const result = await this.generate({ ...request, json: true });
+
+    return {
+      ...result,
+      data: this.parseJSON(result.text)
+    };
+  }
+
+  /**
+   * Parse a JSON object from model output, tolerating code fences and
+   * surrounding prose
+   */
+  static parseJSON(text) {
+    const cleaned = (text || '').replace(/```(?:json)?/gi, '').trim();
+
+    try {
+      return JSON.parse(cleaned);
+    } catch {
+      const start = cleaned.indexOf('{');
+      const end = cleaned.lastIndexOf('}');
+      if (start !== -1 && end > start) {
+        try {
+          return JSON.parse(cleaned.substring(start, end + 1));
+        } catch {
+          // Fall through to the error below
+        }
+      }
+      throw new Error('LLM response was not valid JSON');
+    }
+  }
+
+  /**
+   * Build the generationMetadata fields shared by objectives, plans and questions
+   * @param {Object} result - Result from generate() or generateJSON()
+   * @param {string} prompt - Prompt sent to the model
+   * @returns {Object} - Metadata for a generationMetadata block
+   */
+  static buildMetadata(result, prompt) {
+    return {
+      llmModel: result.model,
+      generationPrompt: prompt,
+      tokenUsage: {
+        promptTokens: result.usage?.promptTokens || 0,
+        completionTokens: result.usage?.completionTokens || 0,
+        totalTokens: result.usage?.totalTokens || 0
+      },
+      processingTime: result.latencyMs
+    };
+  }
+}
+
+export default LLMService;
\ No newline at end of file
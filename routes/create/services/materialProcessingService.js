@@ -0,0 +1,72 @@
+import ExtractionService from './extractionService.js';
+import VectorIndexService from './vectorIndexService.js';
+import { MATERIAL_TYPES } from '../config/constants.js';
+
+class MaterialProcessingService {
+  /**
+   * Run the processing pipeline for a material: extract its text, store it
+   * on the material, index it for retrieval and move processingStatus to
+   * completed or failed.
+   * Errors are recorded on the material rather than thrown.
+   * @param {Object} material - Material document
+   * @returns {Promise<Object>} - Updated material document
+   */
+  static async processMaterial(material) {
+    await material.markAsProcessing();
+
+    try {
+      const result = await this.extractContent(material);
+
+      if (!result.text) {
+        throw new Error('No extractable text found in material');
+      }
+
+      material.content = result.text;
+      material.contentMetadata = {
+        pageCount: result.pageCount,
+        sectionCount: result.sectionCount,
+        wordCount: result.wordCount,
+        extractedAt: new Date()
+      };
+
+      const index = await VectorIndexService.indexMaterial(material);
+      material.contentMetadata.chunkCount = index.chunkCount;
+
+      // Saves the extracted content and marks the material completed
+      await material.setQdrantId(index.documentId);
+    } catch (error) {
+      console.error(`Material processing failed for ${material._id}:`, error);
+      await material.markAsFailed(error);
+    }
+
+    return material;
+  }
+
+  /**
+   * Extract text for a material based on its type
+   * @param {Object} material - Material document
+   * @returns {Promise<Object>} - Extraction result
+   */
+  static async extractContent(material) {
+    switch (material.type) {
+      case MATERIAL_TYPES.PDF:
+      case MATERIAL_TYPES.DOCX:
+        if (!material.filePath) {
+          throw new Error('Material has no uploaded file to extract');
+        }
+        return ExtractionService.extractFile(material.filePath, material.type);
+
+      case MATERIAL_TYPES.TEXT:
+        // Text materials are either uploaded .txt files or pasted content
+        if (material.filePath) {
+          return ExtractionService.extractFile(material.filePath, material.type);
+        }
+        return ExtractionService.extractPlainText(material.content || '');
+
+      default:
+        throw new Error(`Content extraction is not supported for ${material.type} materials`);
+    }
+  }
+}
+
+export default MaterialProcessingService;
\ No newline at end of file
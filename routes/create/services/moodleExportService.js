@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import { MOODLE_FORMATS } from '../config/constants.js';
+import { buildQuizXml } from './moodleXmlBuilder.js';
+import { buildQuizGift } from './giftBuilder.js';
+
+class MoodleExportService {
+  /**
+   * Build a Moodle import file for a quiz
+   * @param {Object} quiz - Quiz document with populated questions
+   * @param {string} format - MOODLE_FORMATS value
+   * @returns {Object} - { content, skipped: [{ questionId, reason }] }
+   */
+  static build(quiz, format) {
+    switch (format) {
+      case MOODLE_FORMATS.MOODLE_XML:
+        return { content: buildQuizXml(quiz), skipped: [] };
+      case MOODLE_FORMATS.GIFT:
+        return buildQuizGift(quiz);
+      default:
+        throw new Error(`Unsupported Moodle format: ${format}`);
+    }
+  }
+
+  /**
+   * Write the Moodle import file for a quiz to disk
+   * @param {Object} quiz - Quiz document with populated questions
+   * @param {string} filePath - Destination path
+   * @param {string} format - MOODLE_FORMATS value
+   * @returns {Promise<Object>} - { fileSize, skipped }
+   */
+  static async writeExport(quiz, filePath, format) {
+    const { content, skipped } = this.build(quiz, format);
+
+    await fs.writeFile(filePath, content, 'utf8');
+    return { fileSize: Buffer.byteLength(content), skipped };
+  }
+}
+
+export default MoodleExportService;
\ No newline at end of file
@@ -0,0 +1,195 @@
+import { escapeXml, cdata } from '../utils/xml.js';
+import { QUESTION_TYPES, CLOZE_BLANK_MARKER } from '../config/constants.js';
+
+const html = (text) => cdata(`<p>${escapeXml(text)}</p>`);
+
+const textElement = (name, text) => `<${name} format="html"><text>${html(text)}</text></${name}>`;
+
+/**
+ * Escape characters with a meaning inside embedded (cloze) answers, then
+ * the HTML ones as the answers sit inside the question text
+ */
+const escapeClozeAnswer = (text) => String(text ?? '')
+  .replace(/[\\}#~/"]/g, match => `\\${match}`)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const answer = (text, fraction) =>
+  `<answer fraction="${fraction}" format="html"><text>${html(text)}</text></answer>`;
+
+const buildMultipleChoice = (question) => {
+  const options = question.content?.options || [];
+  if (!options.some(option => option.isCorrect)) {
+    throw new Error(`Question ${question._id} has no correct option`);
+  }
+
+  return {
+    type: 'multichoice',
+    body: [
+      '<single>true</single>',
+      '<shuffleanswers>1</shuffleanswers>',
+      '<answernumbering>abc</answernumbering>',
+      ...options.map(option => answer(option.text, option.isCorrect ? 100 : 0))
+    ]
+  };
+};
+
+const buildTrueFalse = (question) => {
+  const isTrue = String(question.correctAnswer).toLowerCase() !== 'false';
+  return {
+    type: 'truefalse',
+    body: [
+      `<answer fraction="${isTrue ? 100 : 0}" format="moodle_auto_format"><text>true</text></answer>`,
+      `<answer fraction="${isTrue ? 0 : 100}" format="moodle_auto_format"><text>false</text></answer>`
+    ]
+  };
+};
+
+/**
+ * Matching: each left item is a subquestion answered with its right item;
+ * right items no left item matches are added as distractors
+ */
+const buildMatchingQuestion = (question, pairs, distractors) => {
+  if (pairs.length === 0) {
+    throw new Error(`Question ${question._id} has no valid matching pairs`);
+  }
+
+  return {
+    type: 'matching',
+    body: [
+      '<shuffleanswers>true</shuffleanswers>',
+      ...pairs.map(([left, right]) =>
+        `<subquestion format="html"><text>${html(left)}</text><answer><text>${escapeXml(right)}</text></answer></subquestion>`),
+      ...distractors.map(right =>
+        `<subquestion format="html"><text></text><answer><text>${escapeXml(right)}</text></answer></subquestion>`)
+    ]
+  };
+};
+
+const buildMatching = (question) => {
+  const { leftItems = [], rightItems = [], matchingPairs = [] } = question.content || {};
+  const pairs = matchingPairs.filter(([left, right]) => leftItems.includes(left) && rightItems.includes(right));
+  const matched = new Set(pairs.map(([, right]) => right));
+
+  return buildMatchingQuestion(question, pairs, rightItems.filter(right => !matched.has(right)));
+};
+
+// Ordering is not a core Moodle question type, so each position is matched
+// to the item that belongs there
+const buildOrdering = (question) => {
+  const correctOrder = question.content?.correctOrder || [];
+  return buildMatchingQuestion(question, correctOrder.map((item, index) => [`Position ${index + 1}`, item]), []);
+};
+
+/**
+ * Cloze becomes an embedded-answers (multianswer) question: short answer
+ * blanks, or drop-down blanks when options are provided
+ */
+const buildCloze = (question) => {
+  const { textWithBlanks = '', correctAnswers = [], blankOptions = [] } = question.content || {};
+  const parts = textWithBlanks.split(CLOZE_BLANK_MARKER);
+
+  if (parts.length - 1 !== correctAnswers.length || correctAnswers.length === 0) {
+    throw new Error(`Question ${question._id} has ${parts.length - 1} blanks but ${correctAnswers.length} correct answers`);
+  }
+
+  const text = parts.reduce((result, part, index) => {
+    if (index === correctAnswers.length) {
+      return result + escapeXml(part);
+    }
+
+    const correct = correctAnswers[index];
+    const distractors = (blankOptions[index] || []).filter(option => option !== correct);
+    const embedded = distractors.length > 0
+      ? `{1:MULTICHOICE:=${[escapeClozeAnswer(correct), ...distractors.map(escapeClozeAnswer)].join('~')}}`
+      : `{1:SHORTANSWER:=${escapeClozeAnswer(correct)}}`;
+
+    return result + escapeXml(part) + embedded;
+  }, '');
+
+  return {
+    type: 'cloze',
+    questionText: `<p>${escapeXml(question.questionText)}</p><p>${text}</p>`,
+    body: []
+  };
+};
+
+/**
+ * Essay graded by the teacher; the model answer goes in the grader information
+ */
+const buildEssay = (question) => {
+  const isFlashcard = question.type === QUESTION_TYPES.FLASHCARD;
+  const modelAnswer = isFlashcard
+    ? question.content?.back
+    : typeof question.correctAnswer === 'string' ? question.correctAnswer : '';
+
+  return {
+    type: 'essay',
+    questionText: isFlashcard && question.content?.front
+      ? `<p>${escapeXml(question.content.front)}</p>`
+      : null,
+    body: [
+      '<responseformat>editor</responseformat>',
+      '<responserequired>1</responserequired>',
+      `<responsefieldlines>${isFlashcard ? 3 : 15}</responsefieldlines>`,
+      '<attachments>0</attachments>',
+      modelAnswer ? textElement('graderinfo', modelAnswer) : '<graderinfo format="html"><text></text></graderinfo>',
+      '<responsetemplate format="html"><text></text></responsetemplate>'
+    ]
+  };
+};
+
+const MOODLE_BUILDERS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: buildMultipleChoice,
+  [QUESTION_TYPES.TRUE_FALSE]: buildTrueFalse,
+  [QUESTION_TYPES.MATCHING]: buildMatching,
+  [QUESTION_TYPES.ORDERING]: buildOrdering,
+  [QUESTION_TYPES.CLOZE]: buildCloze,
+  [QUESTION_TYPES.FLASHCARD]: buildEssay,
+  [QUESTION_TYPES.SUMMARY]: buildEssay,
+  [QUESTION_TYPES.DISCUSSION]: buildEssay
+};
+
+/**
+ * Build a Moodle XML <question> element
+ * @param {Object} question - Question document
+ * @param {number} index - Position in the quiz
+ * @returns {string} - Question XML
+ */
+export const buildQuestion = (question, index) => {
+  const builder = MOODLE_BUILDERS[question.type];
+  if (!builder) {
+    throw new Error(`Moodle XML export is not supported for ${question.type} questions`);
+  }
+
+  const item = builder(question);
+  const questionText = item.questionText || `<p>${escapeXml(question.questionText)}</p>`;
+
+  return [
+    `<question type="${item.type}">`,
+    `  <name><text>${escapeXml(`Question ${index + 1}`)}</text></name>`,
+    `  <questiontext format="html"><text>${cdata(questionText)}</text></questiontext>`,
+    `  ${question.explanation ? textElement('generalfeedback', question.explanation) : '<generalfeedback format="html"><text></text></generalfeedback>'}`,
+    '  <defaultgrade>1</defaultgrade>',
+    '  <penalty>0.3333333</penalty>',
+    '  <hidden>0</hidden>',
+    ...item.body.map(line => `  ${line}`),
+    '</question>'
+  ].join('\n');
+};
+
+/**
+ * Build a Moodle XML question bank file, with the quiz as its category
+ * @param {Object} quiz - Quiz document with populated questions
+ * @returns {string} - Moodle XML
+ */
+export const buildQuizXml = (quiz) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<quiz>',
+  '<question type="category">',
+  `  <category><text>${escapeXml(`$course$/top/${quiz.name.replace(/\//g, '//')}`)}</text></category>`,
+  '</question>',
+  ...quiz.questions.map((question, index) => buildQuestion(question, index)),
+  '</quiz>'
+].join('\n');
\ No newline at end of file
@@ -0,0 +1,233 @@
+import LLMService from './llmService.js';
+import BloomClassificationService from './bloomClassificationService.js';
+
+const MAX_OBJECTIVES = 20;
+const MAX_SOURCE_CHARS = 20000;
+const MIN_OBJECTIVE_LENGTH = 10;
+const MAX_OBJECTIVE_LENGTH = 500;
+const DUPLICATE_SIMILARITY = 0.8;
+
+// Bullets, "1." / "(a)" / "iv)" numbering and "LO 2:" style labels
+const LIST_MARKER = /^\s*(?:[-*•◦▪‣–—]|\(?(?:\d{1,2}|[a-z]|[ivx]{1,4})[.)]|(?:c?lo|outcome|objective)\s*\d{1,2}\s*[:.)-])\s+/i;
+
+// "By the end of this course…", "Upon completion…", "Students will be able to…"
+const PREAMBLE = /\b(?:by the end of|at the end of|upon (?:successful )?completion of|on completion of|after completing)\b|\b(?:students|learners|participants|you)\s+(?:will|should)\s+(?:be\s+able\s+to|learn\s+(?:how\s+)?to)\b/i;
+const OUTCOME_LEAD = /^.*?\b(?:students|learners|participants|you)\s+(?:will|should)\s+(?:be\s+able\s+to|learn\s+(?:how\s+)?to)\s*:?\s*/i;
+const OUTCOMES_HEADING = /^(?:(?:course|learning|student)\s+)*(?:outcomes|objectives)\s*:?$/i;
+const PREAMBLE_CLAUSE = /^(?:by the end of|at the end of|upon (?:successful )?completion of|on completion of|after completing)\b[^,:]*[,:]?\s*/i;
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'and', 'or', 'to', 'in', 'for', 'on', 'with', 'their', 'its', 'how']);
+
+class ObjectiveExtractionService {
+  /**
+   * Extract learning objectives from pasted text such as a syllabus and
+   * mark the ones a quiz already has. Nothing is saved; the instructor
+   * confirms the preview first.
+   * @param {string} text - Pasted text
+   * @param {Array<Object>} existingObjectives - The quiz's objectives, with `_id` and `text`
+   * @returns {Promise<Object>} - { candidates: [{ text, duplicateOf }], metadata }
+   */
+  static async preview(text, existingObjectives = []) {
+    const { objectives, source } = await this.extractObjectives(text);
+    const candidates = objectives.map(objective => ({
+      text: objective,
+      duplicateOf: this.findDuplicate(objective, existingObjectives)
+    }));
+
+    return {
+      candidates,
+      metadata: {
+        source,
+        candidateCount: candidates.length,
+        duplicateCount: candidates.filter(candidate => candidate.duplicateOf).length,
+        existingCount: existingObjectives.length
+      }
+    };
+  }
+
+  /**
+   * Extract objectives with the model, using the parser's candidates when
+   * the model is unavailable or finds nothing
+   * @param {string} text - Pasted text
+   * @returns {Promise<Object>} - { objectives, source: 'model' | 'parser' }
+   */
+  static async extractObjectives(text) {
+    const parsed = this.parseObjectives(text);
+
+    try {
+      const result = await LLMService.generateJSON({
+        system: 'You are an instructional designer who extracts learning outcomes from course documents.',
+        prompt: this.buildPrompt(text),
+        task: 'objective-extraction',
+        context: { candidates: parsed }
+      });
+
+      const extracted = this.dedupe(
+        (Array.isArray(result.data.objectives) ? result.data.objectives : [])
+          .map(objective => (typeof objective === 'string' ? objective : objective?.text))
+          .filter(objective => typeof objective === 'string')
+          .map(objective => this.cleanObjective(objective))
+          .filter(objective => this.isUsable(objective))
+      );
+
+      if (extracted.length > 0) {
+        return { objectives: extracted.slice(0, MAX_OBJECTIVES), source: 'model' };
+      }
+    } catch (error) {
+      console.warn('Objective extraction model unavailable, using the outline parser:', error.message);
+    }
+
+    return { objectives: parsed, source: 'parser' };
+  }
+
+  /**
+   * Pull outcome statements out of a syllabus-style outline. List items are
+   * kept when they follow an outcomes preamble or start with an action verb;
+   * wrapped lines are joined onto the item they continue.
+   * @param {string} text - Pasted text
+   * @returns {Array<string>} - Cleaned objective texts, without duplicates
+   */
+  static parseObjectives(text = '') {
+    const items = [];
+    let current = null;
+    let inOutcomes = false;
+
+    const flush = () => {
+      if (current) {
+        items.push(current);
+        current = null;
+      }
+    };
+
+    for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+      const line = rawLine.trim();
+
+      if (!line) {
+        flush();
+        continue;
+      }
+
+      if (LIST_MARKER.test(rawLine)) {
+        flush();
+        current = { text: rawLine.replace(LIST_MARKER, '').trim(), inOutcomes };
+        continue;
+      }
+
+      if (OUTCOMES_HEADING.test(line)) {
+        flush();
+        inOutcomes = true;
+        continue;
+      }
+
+      if (PREAMBLE.test(line)) {
+        flush();
+        inOutcomes = true;
+        const inline = this.stripLead(line);
+        if (inline && !line.endsWith(':')) {
+          // "Students will be able to explain X. They will also…" - keep only the outcome sentence
+          items.push({ text: inline.split(/(?<=[.!?])\s+/)[0], inOutcomes });
+        }
+        continue;
+      }
+
+      if (current && !line.endsWith(':') && (/^\s/.test(rawLine) || /^[a-z(]/.test(line) || !/[.;!?]$/.test(current.text))) {
+        current.text = `${current.text} ${line}`;
+        continue;
+      }
+
+      // Any other line is a heading or prose, which ends an outcomes list
+      flush();
+      inOutcomes = false;
+    }
+    flush();
+
+    return this.dedupe(
+      items
+        .filter(item => item.inOutcomes || BloomClassificationService.findActionVerb(this.stripLead(item.text), { leading: true }))
+        .map(item => this.cleanObjective(item.text))
+        .filter(objective => this.isUsable(objective))
+    ).slice(0, MAX_OBJECTIVES);
+  }
+
+  /**
+   * Strip "Students will be able to" style leads and trailing list punctuation
+   * @param {string} text - Raw objective text
+   * @returns {string} - Objective starting with a capital letter
+   */
+  static cleanObjective(text) {
+    const cleaned = this.stripLead(text.replace(LIST_MARKER, ''))
+      .replace(/^(?:be\s+)?able\s+to\s+/i, '')
+      .replace(/^to\s+/i, '')
+      .replace(/[\s;,:.]+(?:and|or)?[\s;,:.]*$/i, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+  }
+
+  /**
+   * Find the existing objective a candidate repeats, ignoring case,
+   * punctuation and filler words
+   * @param {string} text - Candidate objective text
+   * @param {Array<Object>} existingObjectives - Objectives with `_id` and `text`
+   * @returns {Object|null} - { id, text } of the matching objective
+   */
+  static findDuplicate(text, existingObjectives = []) {
+    const match = existingObjectives.find(objective => this.isDuplicate(text, objective.text));
+    return match ? { id: match._id?.toString(), text: match.text } : null;
+  }
+
+  /**
+   * Whether two objectives say the same thing
+   */
+  static isDuplicate(first, second) {
+    return this.similarity(first, second) >= DUPLICATE_SIMILARITY;
+  }
+
+  /**
+   * Share of meaningful words two objectives have in common, from 0 to 1
+   */
+  static similarity(first, second) {
+    const a = this.tokenize(first);
+    const b = this.tokenize(second);
+    if (a.size === 0 || b.size === 0) {
+      return 0;
+    }
+
+    const shared = [...a].filter(word => b.has(word)).length;
+    return shared / (a.size + b.size - shared);
+  }
+
+  static tokenize(text = '') {
+    return new Set((text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(word => !STOP_WORDS.has(word)));
+  }
+
+  static dedupe(objectives) {
+    return objectives.filter((objective, index) => !objectives.slice(0, index).some(earlier => this.isDuplicate(objective, earlier)));
+  }
+
+  static stripLead(text) {
+    return text.replace(OUTCOME_LEAD, '').replace(PREAMBLE_CLAUSE, '').trim();
+  }
+
+  static isUsable(objective) {
+    return objective.length >= MIN_OBJECTIVE_LENGTH && objective.length <= MAX_OBJECTIVE_LENGTH;
+  }
+
+  /**
+   * Build the extraction prompt
+   */
+  static buildPrompt(text) {
+    return [
+      `Extract up to ${MAX_OBJECTIVES} learning objectives from the course document below.`,
+      'Only include outcomes the document states students will achieve; ignore schedules, policies and readings.',
+      'Join outcomes that wrap across lines, drop lead-ins such as "Students will be able to", and keep the original wording otherwise.',
+      'Respond with JSON in the form {"objectives": ["..."]}.',
+      '',
+      'Course document:',
+      text.substring(0, MAX_SOURCE_CHARS)
+    ].join('\n');
+  }
+}
+
+export default ObjectiveExtractionService;
\ No newline at end of file
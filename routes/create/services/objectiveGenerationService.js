@@ -0,0 +1,116 @@
+import LearningObjective from '../models/LearningObjective.js';
+import Quiz from '../models/Quiz.js';
+import Material from '../models/Material.js';
+import LLMService from './llmService.js';
+import BloomClassificationService from './bloomClassificationService.js';
+import ObjectiveLintService from './objectiveLintService.js';
+
+const MAX_OBJECTIVES = 10;
+const MAX_SOURCE_CHARS = 12000;
+
+class ObjectiveGenerationService {
+  /**
+   * Generate learning objectives for a quiz from its processed materials
+   * @param {Object} params - Generation parameters
+   * @param {string} params.quizId - Quiz ID
+   * @param {Array<string>} params.materialIds - Source material IDs
+   * @param {string} params.userId - Requesting user ID
+   * @returns {Promise<Object>} - Generated objective IDs and metadata
+   */
+  static async generateFromMaterials({ quizId, materialIds, userId }) {
+    const quiz = await Quiz.findOne({ _id: quizId, createdBy: userId });
+    if (!quiz) {
+      throw new Error('Quiz not found');
+    }
+
+    const materials = await Material.find({
+      _id: { $in: materialIds },
+      folder: quiz.folder
+    });
+
+    const sourceText = this.buildSourceText(materials);
+    if (!sourceText) {
+      throw new Error('Selected materials have no processed content');
+    }
+
+    const prompt = this.buildPrompt(sourceText);
+    const result = await LLMService.generateJSON({
+      system: 'You are an instructional designer who writes clear, measurable learning objectives.',
+      prompt,
+      task: 'learning-objectives'
+    });
+
+    const generatedObjectives = (Array.isArray(result.data.objectives) ? result.data.objectives : [])
+      .map(objective => (typeof objective === 'string' ? objective : objective?.text))
+      .filter(text => typeof text === 'string' && text.trim())
+      .map(text => text.trim())
+      .slice(0, MAX_OBJECTIVES);
+
+    if (generatedObjectives.length === 0) {
+      throw new Error('LLM returned no learning objectives');
+    }
+
+    const generationMetadata = {
+      isAIGenerated: true,
+      ...LLMService.buildMetadata(result, prompt)
+    };
+
+    const objectives = [];
+    for (let i = 0; i < generatedObjectives.length; i++) {
+      const objective = new LearningObjective({
+        text: generatedObjectives[i],
+        quiz: quizId,
+        order: i,
+        generatedFrom: materialIds,
+        generationMetadata,
+        createdBy: userId
+      });
+
+      await objective.save();
+      objectives.push(objective);
+
+      // Add to quiz
+      await quiz.addLearningObjective(objective._id);
+    }
+
+    await BloomClassificationService.classifyAndSave(objectives);
+    await ObjectiveLintService.lintAndSave(objectives);
+
+    return {
+      objectiveIds: objectives.map(objective => objective._id.toString()),
+      metadata: {
+        generatedCount: objectives.length,
+        materialsUsed: materials.length,
+        generationModel: result.model,
+        tokenUsage: generationMetadata.tokenUsage
+      }
+    };
+  }
+
+  /**
+   * Combine processed material content into a single prompt-sized excerpt
+   */
+  static buildSourceText(materials) {
+    const sections = materials
+      .filter(material => material.content)
+      .map(material => `## ${material.name}\n${material.content}`);
+
+    return sections.join('\n\n').substring(0, MAX_SOURCE_CHARS);
+  }
+
+  /**
+   * Build the learning objective generation prompt
+   */
+  static buildPrompt(sourceText) {
+    return [
+      `Write between 3 and ${MAX_OBJECTIVES} learning objectives covering the course material below.`,
+      'Each objective should start with a measurable action verb and describe one thing students will be able to do.',
+      'Respond with JSON in the form {"objectives": ["..."]}.',
+      '',
+      'Course material:',
+      sourceText
+    ].join('\n');
+  }
+}
+
+export default ObjectiveGenerationService;
\ No newline at end of file
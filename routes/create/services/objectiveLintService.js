@@ -0,0 +1,249 @@
+import LearningObjective from '../models/LearningObjective.js';
+import LLMService from './llmService.js';
+import BloomClassificationService from './bloomClassificationService.js';
+import ObjectiveExtractionService from './objectiveExtractionService.js';
+import { BLOOM_LEVELS, OBJECTIVE_LINT_RULES, LINT_SEVERITIES } from '../config/constants.js';
+
+const NEAR_DUPLICATE_SIMILARITY = 0.6;
+const MAX_REWRITES = 3;
+
+// "Students will (be able to)…" and "By the end of the course, …" lead-ins
+const LEAD = /^(?:(?:by the end of|at the end of|upon (?:successful )?completion of)[^,]*,\s*)?(?:(?:students|learners|participants|you)\s+(?:will|should|must|can)\s+)?(?:be\s+able\s+to\s+)?/i;
+
+// Verbs that describe an internal state rather than something observable,
+// with the level whose action verbs replace them
+const VAGUE_PHRASES = [
+  [/^(?:gain|develop|have|acquire)\s+(?:an?\s+)?(?:\w+\s+)?(?:understanding|knowledge|awareness|appreciation)\s+of\b/i, BLOOM_LEVELS.UNDERSTAND],
+  [/^(?:\w+ly\s+)?(?:understand|comprehend|grasp|realise|realize)\b/i, BLOOM_LEVELS.UNDERSTAND],
+  [/^(?:know|learn)(?:\s+about)?\b/i, BLOOM_LEVELS.REMEMBER],
+  [/^be\s+(?:aware|familiar)\s+(?:of|with)\b/i, BLOOM_LEVELS.REMEMBER],
+  [/^(?:appreciate|value)\b/i, BLOOM_LEVELS.EVALUATE]
+];
+
+const CONDITION = /\b(?:given|using|with(?:out)?|from (?:a|an|the)|when|based on|provided with|in (?:a|an|the) (?:\w+ )?(?:context|setting|scenario|environment))\b/i;
+const CRITERIA = /\d+\s*%|\b(?:\d+\s+(?:of|out of)\s+\d+|within\s+\d+|at least|no more than|accurately|correctly|without (?:error|errors|assistance|reference)|to (?:a|the) standard|according to)\b/i;
+
+// Clause separators an objective's verbs are joined with
+const CLAUSE_SEPARATOR = /(\s*;\s*|\s*,?\s+(?:and|as well as)\s+)/i;
+
+class ObjectiveLintService {
+  /**
+   * Lint objectives and save the result on each, comparing them against
+   * every objective in their quiz
+   * @param {Array<Object>} objectives - LearningObjective documents
+   * @param {Object} options - Passed to lintObjectives
+   * @returns {Promise<Array<Object>>} - The objectives
+   */
+  static async lintAndSave(objectives, options = {}) {
+    if (objectives.length === 0) {
+      return objectives;
+    }
+
+    const quizIds = [...new Set(objectives.map(objective => objective.quiz.toString()))];
+    const quizObjectives = await LearningObjective.find({ quiz: { $in: quizIds } }).select('text quiz');
+    const results = await this.lintObjectives(objectives, quizObjectives, options);
+
+    for (const [index, objective] of objectives.entries()) {
+      await objective.setQuality(results[index]);
+    }
+    return objectives;
+  }
+
+  /**
+   * Lint objectives with the rules, then ask the model for better rewrites
+   * of whatever the rules flagged
+   * @param {Array<Object>} objectives - Objectives with `text`, in order
+   * @param {Array<Object>} quizObjectives - Objectives to check for near-duplicates
+   * @param {Object} options - { useModel } false to keep the rule-based rewrites
+   * @returns {Promise<Array<Object>>} - { issues, source } per objective
+   */
+  static async lintObjectives(objectives, quizObjectives = objectives, { useModel = true } = {}) {
+    const issues = objectives.map(objective => this.lintText(
+      objective.text,
+      quizObjectives.filter(other => !this.isSameObjective(objective, other) && String(other.quiz) === String(objective.quiz))
+    ));
+
+    if (!useModel || issues.every(objectiveIssues => objectiveIssues.length === 0)) {
+      return issues.map(objectiveIssues => ({ issues: objectiveIssues, source: 'rules' }));
+    }
+
+    try {
+      const result = await LLMService.generateJSON({
+        system: 'You are an instructional designer who rewrites learning objectives so they are specific and measurable.',
+        prompt: this.buildPrompt(objectives, issues),
+        task: 'objective-lint',
+        context: { issues }
+      });
+
+      const entries = Array.isArray(result.data.objectives) ? result.data.objectives : [];
+      return issues.map((objectiveIssues, index) => {
+        const entry = entries.find(item => Number(item?.objective) === index + 1) || entries[index];
+        const suggested = Array.isArray(entry?.issues) ? entry.issues : [];
+
+        return {
+          issues: objectiveIssues.map(issue => {
+            const rewrites = (suggested.find(item => item?.rule === issue.rule)?.rewrites || [])
+              .filter(rewrite => typeof rewrite === 'string' && rewrite.trim())
+              .map(rewrite => rewrite.trim())
+              .slice(0, MAX_REWRITES);
+            return rewrites.length > 0 ? { ...issue, rewrites } : issue;
+          }),
+          source: 'model'
+        };
+      });
+    } catch (error) {
+      console.warn('Objective lint model unavailable, using rule-based rewrites:', error.message);
+      return issues.map(objectiveIssues => ({ issues: objectiveIssues, source: 'rules' }));
+    }
+  }
+
+  /**
+   * Check one objective against the lint rules
+   * @param {string} text - Learning objective text
+   * @param {Array<Object>} others - The quiz's other objectives, with `_id` and `text`
+   * @returns {Array<Object>} - { rule, severity, message, suggestion, rewrites, relatedObjective }
+   */
+  static lintText(text = '', others = []) {
+    const body = this.stripLead(text);
+    const issues = [];
+
+    // Condition and criteria rewrites build on the first vague-verb fix
+    let measurable = body;
+
+    const vague = this.findVaguePhrase(body);
+    if (vague) {
+      const rest = body.slice(vague.phrase.length).trim();
+      measurable = `${vague.verbs[0]} ${rest}`.trim();
+      issues.push({
+        rule: OBJECTIVE_LINT_RULES.VAGUE_VERB,
+        severity: LINT_SEVERITIES.WARNING,
+        message: `"${vague.phrase.toLowerCase()}" describes a state of mind that cannot be observed or measured`,
+        suggestion: `Start with an action verb students can demonstrate, such as ${vague.verbs.join(', ')}`,
+        rewrites: vague.verbs.map(verb => this.capitalize(`${verb} ${rest}`.trim()))
+      });
+    }
+
+    const clauses = this.splitClauses(body);
+    if (clauses.length > 1) {
+      issues.push({
+        rule: OBJECTIVE_LINT_RULES.COMPOUND,
+        severity: LINT_SEVERITIES.WARNING,
+        message: `Combines ${clauses.length} outcomes, so a student could achieve one and not the other`,
+        suggestion: 'Split it into one objective per action verb',
+        rewrites: clauses.map(clause => this.capitalize(clause))
+      });
+    }
+
+    if (!CONDITION.test(body)) {
+      issues.push({
+        rule: OBJECTIVE_LINT_RULES.MISSING_CONDITION,
+        severity: LINT_SEVERITIES.INFO,
+        message: 'Does not say under what conditions students perform',
+        suggestion: 'Say what students are given or use, e.g. "Given a data set, …" or "… using a periodic table"',
+        rewrites: [`Given [materials or scenario], ${this.lowerFirst(measurable)}`]
+      });
+    }
+
+    if (!CRITERIA.test(body)) {
+      issues.push({
+        rule: OBJECTIVE_LINT_RULES.MISSING_CRITERIA,
+        severity: LINT_SEVERITIES.INFO,
+        message: 'Does not say how well students must perform',
+        suggestion: 'Add a standard, e.g. "… with 90% accuracy" or "… correctly in 4 of 5 cases"',
+        rewrites: [`${this.capitalize(measurable)} with [accuracy or standard]`]
+      });
+    }
+
+    const overlap = others.find(other => ObjectiveExtractionService.similarity(body, this.stripLead(other.text)) >= NEAR_DUPLICATE_SIMILARITY);
+    if (overlap) {
+      issues.push({
+        rule: OBJECTIVE_LINT_RULES.NEAR_DUPLICATE,
+        severity: LINT_SEVERITIES.WARNING,
+        message: `Overlaps with "${overlap.text}"`,
+        suggestion: 'Merge the two objectives or make each one assess something different',
+        rewrites: [],
+        relatedObjective: overlap._id
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Find a vague lead verb and the action verbs to use instead
+   * @returns {Object|null} - { phrase, verbs }
+   */
+  static findVaguePhrase(body) {
+    for (const [pattern, level] of VAGUE_PHRASES) {
+      const match = body.match(pattern);
+      if (match) {
+        return { phrase: match[0], verbs: BloomClassificationService.getActionVerbs(level).slice(0, MAX_REWRITES) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Split an objective into one clause per leading verb. A verb with no
+   * object of its own ("identify and describe X") shares the next clause's.
+   * @returns {Array<string>} - One clause, or several for a compound objective
+   */
+  static splitClauses(body) {
+    const [first, ...rest] = body.split(CLAUSE_SEPARATOR);
+    const clauses = [first];
+
+    for (let i = 0; i < rest.length; i += 2) {
+      const [separator, part] = [rest[i], rest[i + 1]];
+      if (this.startsWithVerb(part)) {
+        clauses.push(part);
+      } else {
+        clauses[clauses.length - 1] += separator + part;
+      }
+    }
+
+    return clauses.map((clause, index) => {
+      const next = clauses[index + 1];
+      return !/\s/.test(clause.trim()) && next ? `${clause.trim()} ${next.split(/\s+/).slice(1).join(' ')}` : clause.trim();
+    });
+  }
+
+  static stripLead(text = '') {
+    return text.trim().replace(LEAD, '').replace(/[\s.;]+$/, '');
+  }
+
+  static startsWithVerb(text = '') {
+    return Boolean(BloomClassificationService.findActionVerb(text, { leading: true }) || this.findVaguePhrase(text));
+  }
+
+  static isSameObjective(objective, other) {
+    return objective === other || Boolean(objective._id && other._id && objective._id.toString() === other._id.toString());
+  }
+
+  static capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  static lowerFirst(text) {
+    return text.charAt(0).toLowerCase() + text.slice(1);
+  }
+
+  /**
+   * Build the rewrite prompt
+   */
+  static buildPrompt(objectives, issues) {
+    return [
+      'Each learning objective below has quality issues. For every issue, write up to 3 rewritten objectives that fix it while keeping the original topic.',
+      'Rewrites should start with a measurable action verb, and where relevant state the condition and the standard of performance.',
+      'For a compound objective, give the separate objectives it should be split into.',
+      'Respond with JSON: {"objectives": [{"objective": 1, "issues": [{"rule": "...", "rewrites": ["..."]}]}]}.',
+      '',
+      'Learning objectives:',
+      ...objectives.map((objective, index) => [
+        `${index + 1}. ${objective.text}`,
+        ...issues[index].map(issue => `   - ${issue.rule}: ${issue.message}`)
+      ].join('\n'))
+    ].join('\n');
+  }
+}
+
+export default ObjectiveLintService;
\ No newline at end of file
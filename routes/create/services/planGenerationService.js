@@ -0,0 +1,354 @@
+import LLMService from './llmService.js';
+import QuestionGenerationService from './questionGenerationService.js';
+import BloomClassificationService from './bloomClassificationService.js';
+import { spreadDifficulty } from '../utils/difficultyMix.js';
+import { PEDAGOGICAL_APPROACHES, PEDAGOGICAL_APPROACH_GOALS, QUESTION_TYPES, DIFFICULTY_LEVELS } from '../config/constants.js';
+
+const EXCERPT_LENGTH = 200;
+
+const countQuestions = questionTypes => questionTypes.reduce((sum, questionType) => sum + questionType.count, 0);
+
+const hasTargets = targets => Boolean(targets) && Object.values(DIFFICULTY_LEVELS).some(level => targets[level] > 0);
+
+// Share of each question type per approach, used to guide the model and as the fallback plan
+const QUESTION_TYPE_DISTRIBUTIONS = {
+  [PEDAGOGICAL_APPROACHES.SUPPORT]: {
+    [QUESTION_TYPES.MULTIPLE_CHOICE]: 40,
+    [QUESTION_TYPES.TRUE_FALSE]: 20,
+    [QUESTION_TYPES.FLASHCARD]: 30,
+    [QUESTION_TYPES.SUMMARY]: 10
+  },
+  [PEDAGOGICAL_APPROACHES.ASSESS]: {
+    [QUESTION_TYPES.MULTIPLE_CHOICE]: 50,
+    [QUESTION_TYPES.TRUE_FALSE]: 20,
+    [QUESTION_TYPES.DISCUSSION]: 20,
+    [QUESTION_TYPES.SUMMARY]: 10
+  },
+  [PEDAGOGICAL_APPROACHES.GAMIFY]: {
+    [QUESTION_TYPES.MATCHING]: 30,
+    [QUESTION_TYPES.ORDERING]: 25,
+    [QUESTION_TYPES.MULTIPLE_CHOICE]: 25,
+    [QUESTION_TYPES.FLASHCARD]: 20
+  },
+  [PEDAGOGICAL_APPROACHES.CUSTOM]: {
+    [QUESTION_TYPES.MULTIPLE_CHOICE]: 35,
+    [QUESTION_TYPES.TRUE_FALSE]: 15,
+    [QUESTION_TYPES.FLASHCARD]: 15,
+    [QUESTION_TYPES.DISCUSSION]: 15,
+    [QUESTION_TYPES.SUMMARY]: 10,
+    [QUESTION_TYPES.MATCHING]: 10
+  }
+};
+
+const TYPE_REASONINGS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Multiple choice questions provide clear assessment with immediate feedback',
+  [QUESTION_TYPES.TRUE_FALSE]: 'True/false questions test basic understanding and work well for quick comprehension checks',
+  [QUESTION_TYPES.FLASHCARD]: 'Flashcards support active recall and spaced repetition learning',
+  [QUESTION_TYPES.SUMMARY]: 'Summary questions encourage synthesis and deeper understanding',
+  [QUESTION_TYPES.DISCUSSION]: 'Discussion prompts foster critical thinking and analysis',
+  [QUESTION_TYPES.MATCHING]: 'Matching exercises help connect related concepts in an engaging way',
+  [QUESTION_TYPES.ORDERING]: 'Ordering questions test understanding of sequences and relationships',
+  [QUESTION_TYPES.CLOZE]: 'Fill-in-the-blank questions test specific knowledge retention'
+};
+
+class PlanGenerationService {
+  /**
+   * Plan how many questions of each type to generate per learning objective.
+   * The model chooses types from each objective and how well the quiz
+   * materials cover it; the approach's distribution table is used for
+   * objectives the model leaves out, or for every objective when no model
+   * is available. Each objective always gets exactly questionsPerLO questions.
+   * Classified objectives only get question types that can assess their
+   * Bloom's level. Question type quotas in the quiz settings override the
+   * model's choice, and the quiz's difficulty mix is spread over the objectives.
+   * @param {Object} params - Planning parameters
+   * @param {Object} params.quiz - Quiz document
+   * @param {Array<Object>} params.objectives - Learning objectives, in order
+   * @param {string} params.approach - Pedagogical approach
+   * @param {number} params.questionsPerLO - Questions per learning objective
+   * @returns {Promise<Object>} - { breakdown, totalQuestions, generationMetadata }
+   */
+  static async generatePlan({ quiz, objectives, approach, questionsPerLO }) {
+    const startTime = Date.now();
+    const quotas = quiz.getQuestionTypeQuotas();
+
+    let planned = [];
+    let generationMetadata;
+
+    try {
+      const coverage = await Promise.all(objectives.map(objective => this.describeCoverage(quiz, objective)));
+      const prompt = this.buildPrompt(objectives, coverage, approach, questionsPerLO, quotas);
+      const result = await LLMService.generateJSON({
+        system: 'You are an instructional designer planning a quiz. Choose question types that fit what each objective asks students to do.',
+        prompt,
+        task: 'generation-plan',
+        context: {
+          objectiveCount: objectives.length,
+          questionsPerLO,
+          preferredTypes: quotas.length > 0
+            ? quotas.map(quota => quota.type)
+            : Object.keys(QUESTION_TYPE_DISTRIBUTIONS[approach] || {})
+        }
+      });
+
+      planned = this.parsePlan(result.data, objectives.length);
+      generationMetadata = {
+        ...LLMService.buildMetadata(result, prompt),
+        reasoning: typeof result.data.reasoning === 'string' && result.data.reasoning.trim()
+          ? result.data.reasoning.trim()
+          : `Planned with the model for the ${approach} approach`
+      };
+    } catch (error) {
+      console.warn('Plan generation model unavailable, using the distribution table:', error.message);
+      generationMetadata = {
+        reasoning: `Built from the ${approach} distribution table because the model was unavailable`
+      };
+    }
+
+    const breakdown = objectives.map((objective, index) => {
+      if (quotas.length > 0) {
+        return { learningObjective: objective._id, questionTypes: this.applyQuotas(quotas, planned[index] || []) };
+      }
+
+      const suitable = BloomClassificationService.getSuitableQuestionTypes(objective);
+      const questionTypes = (planned[index] || []).filter(entry => !suitable || suitable.includes(entry?.type));
+      return {
+        learningObjective: objective._id,
+        questionTypes: this.reconcileCounts(questionTypes, questionsPerLO)
+          || this.buildTableQuestionTypes(approach, questionsPerLO, objective.bloom?.level)
+      };
+    });
+    this.assignDifficultyTargets(breakdown, quiz);
+
+    return {
+      breakdown,
+      totalQuestions: objectives.length * questionsPerLO,
+      generationMetadata: {
+        ...generationMetadata,
+        processingTime: Date.now() - startTime
+      }
+    };
+  }
+
+  /**
+   * Summarize how well the quiz materials cover an objective, for the prompt
+   */
+  static async describeCoverage(quiz, objective) {
+    try {
+      const sources = await QuestionGenerationService.retrieveSources(quiz, objective.text);
+      if (sources.length === 0) {
+        return 'no matching material passages';
+      }
+
+      const best = sources[0];
+      return `${sources.length} matching passages (best match ${best.score.toFixed(2)}): "${best.text.substring(0, EXCERPT_LENGTH)}"`;
+    } catch (error) {
+      return 'material coverage unknown';
+    }
+  }
+
+  /**
+   * Build the planning prompt
+   */
+  static buildPrompt(objectives, coverage, approach, questionsPerLO, quotas = []) {
+    const distribution = QUESTION_TYPE_DISTRIBUTIONS[approach] || QUESTION_TYPE_DISTRIBUTIONS[PEDAGOGICAL_APPROACHES.SUPPORT];
+    const preferred = Object.entries(distribution).map(([type, percentage]) => `${type} (~${percentage}%)`).join(', ');
+    const typeGuidance = quotas.length > 0
+      ? [`Every objective must use exactly these question types: ${quotas.map(quota => `${quota.count} ${quota.type}`).join(', ')}.`]
+      : [
+        `Available question types: ${Object.values(QUESTION_TYPES).join(', ')}.`,
+        `This approach usually favours: ${preferred}. Deviate where an objective calls for it, and prefer recall-style types for objectives the materials barely cover.`
+      ];
+
+    return [
+      `Plan exactly ${questionsPerLO} questions for each learning objective below. The quiz should ${PEDAGOGICAL_APPROACH_GOALS[approach] || PEDAGOGICAL_APPROACH_GOALS[PEDAGOGICAL_APPROACHES.SUPPORT]}.`,
+      ...typeGuidance,
+      'For each question type you choose, explain in one sentence why it suits that objective.',
+      'Respond with JSON: {"reasoning": "overall rationale", "objectives": [{"objective": 1, "questionTypes": [{"type": "...", "count": 1, "reasoning": "..."}]}]}.',
+      '',
+      'Learning objectives:',
+      ...objectives.map((objective, index) => [
+        `${index + 1}. ${objective.text}`,
+        `   Material coverage: ${coverage[index]}`,
+        ...(objective.bloom?.level && quotas.length === 0
+          ? [`   Bloom's level: ${objective.bloom.level}; only use ${BloomClassificationService.getSuitableQuestionTypes(objective).join(', ')}`]
+          : [])
+      ].join('\n'))
+    ].join('\n');
+  }
+
+  /**
+   * Read the model's per-objective question types, indexed by objective position
+   * @returns {Array<Array<Object>>} - [{ type, count, reasoning }] per objective
+   */
+  static parsePlan(data, objectiveCount) {
+    const planned = new Array(objectiveCount).fill(null);
+    const entries = Array.isArray(data?.objectives) ? data.objectives : [];
+
+    entries.forEach((entry, position) => {
+      const index = Number.isInteger(Number(entry?.objective)) ? Number(entry.objective) - 1 : position;
+      if (index >= 0 && index < objectiveCount && Array.isArray(entry?.questionTypes) && !planned[index]) {
+        planned[index] = entry.questionTypes;
+      }
+    });
+
+    return planned;
+  }
+
+  /**
+   * Scale question type counts so they add up to exactly `target`, handing
+   * out rounding remainders largest-first. Unknown types are dropped and
+   * repeated types merged.
+   * @param {Array<Object>} questionTypes - [{ type, count, reasoning }]
+   * @param {number} target - Required number of questions
+   * @returns {Array<Object>|null} - Reconciled question types, or null if none were usable
+   */
+  static reconcileCounts(questionTypes, target) {
+    const merged = new Map();
+    for (const entry of questionTypes) {
+      const count = Number(entry?.count);
+      if (!Object.values(QUESTION_TYPES).includes(entry?.type) || !Number.isFinite(count) || count <= 0) continue;
+
+      const existing = merged.get(entry.type);
+      if (existing) {
+        existing.count += count;
+      } else {
+        merged.set(entry.type, {
+          type: entry.type,
+          count,
+          reasoning: typeof entry.reasoning === 'string' && entry.reasoning.trim()
+            ? entry.reasoning.trim()
+            : TYPE_REASONINGS[entry.type]
+        });
+      }
+    }
+
+    const entries = [...merged.values()];
+    const total = entries.reduce((sum, entry) => sum + entry.count, 0);
+    if (total === 0) {
+      return null;
+    }
+
+    const shares = entries.map(entry => (entry.count / total) * target);
+    const counts = shares.map(Math.floor);
+    let remaining = target - counts.reduce((sum, count) => sum + count, 0);
+
+    const byRemainder = shares
+      .map((share, index) => ({ index, remainder: share - counts[index] }))
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (const { index } of byRemainder) {
+      if (remaining === 0) break;
+      counts[index] += 1;
+      remaining -= 1;
+    }
+
+    return entries
+      .map((entry, index) => ({ ...entry, count: counts[index] }))
+      .filter(entry => entry.count > 0);
+  }
+
+  /**
+   * Question types for one objective fixed by the quiz's quotas, keeping the
+   * model's reasoning for a type when it gave one
+   */
+  static applyQuotas(quotas, questionTypes) {
+    return quotas.map(quota => {
+      const planned = questionTypes.find(entry => entry?.type === quota.type);
+      return {
+        type: quota.type,
+        count: quota.count,
+        reasoning: typeof planned?.reasoning === 'string' && planned.reasoning.trim()
+          ? planned.reasoning.trim()
+          : `${TYPE_REASONINGS[quota.type]}, as set in the quiz settings`
+      };
+    });
+  }
+
+  /**
+   * Give breakdown items without difficulty targets a share of the quiz's
+   * difficulty mix. Items that already have targets keep them.
+   * @param {Array<Object>} breakdown - Plan breakdown, updated in place
+   * @param {Object} quiz - Quiz document
+   * @returns {Array<Object>} - The breakdown
+   */
+  static assignDifficultyTargets(breakdown, quiz) {
+    const counts = breakdown.map(item => countQuestions(item.questionTypes));
+    const targets = spreadDifficulty(quiz.getDifficultyMix(), counts);
+
+    breakdown.forEach((item, index) => {
+      if (!hasTargets(item.difficultyTargets)) {
+        item.difficultyTargets = targets[index];
+      }
+    });
+    return breakdown;
+  }
+
+  /**
+   * Ways a plan breakdown disagrees with the quiz settings: question type
+   * counts that break the quotas, and difficulty targets that do not cover
+   * each objective's questions
+   * @param {Array<Object>} breakdown - Plan breakdown
+   * @param {Object} quiz - Quiz document
+   * @returns {Array<string>} - Conflict descriptions, empty when the plan agrees
+   */
+  static findSettingsConflicts(breakdown, quiz) {
+    const quotas = new Map(quiz.getQuestionTypeQuotas().map(quota => [quota.type, quota.count]));
+    const conflicts = [];
+
+    breakdown.forEach((item, index) => {
+      const label = `Objective ${index + 1}`;
+      const counts = new Map();
+      for (const questionType of item.questionTypes || []) {
+        counts.set(questionType.type, (counts.get(questionType.type) || 0) + questionType.count);
+      }
+
+      if (quotas.size > 0) {
+        for (const type of new Set([...quotas.keys(), ...counts.keys()])) {
+          const planned = counts.get(type) || 0;
+          const required = quotas.get(type) || 0;
+          if (planned !== required) {
+            conflicts.push(`${label} plans ${planned} ${type} questions but the quiz settings require ${required}`);
+          }
+        }
+      }
+
+      const total = countQuestions(item.questionTypes || []);
+      if (hasTargets(item.difficultyTargets)) {
+        const targeted = Object.values(DIFFICULTY_LEVELS).reduce((sum, level) => sum + (item.difficultyTargets[level] || 0), 0);
+        if (targeted !== total) {
+          conflicts.push(`${label} has difficulty targets for ${targeted} questions but plans ${total}`);
+        }
+      }
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Question types for one objective from the approach's distribution table.
+   * With a Bloom's level, types that cannot assess it are left out; if the
+   * table has none that can, the level's types share the questions equally.
+   */
+  static buildTableQuestionTypes(approach, questionsPerLO, bloomLevel) {
+    const distribution = QUESTION_TYPE_DISTRIBUTIONS[approach] || QUESTION_TYPE_DISTRIBUTIONS[PEDAGOGICAL_APPROACHES.SUPPORT];
+    const suitable = BloomClassificationService.getSuitableQuestionTypes({ bloom: { level: bloomLevel } });
+    const levelNote = suitable ? ` and can assess the ${bloomLevel} level` : '';
+
+    const entries = Object.entries(distribution)
+      .filter(([type]) => !suitable || suitable.includes(type))
+      .map(([type, percentage]) => ({
+        type,
+        count: percentage,
+        reasoning: `${TYPE_REASONINGS[type]}, suiting the ${approach} approach${levelNote}`
+      }));
+
+    return this.reconcileCounts(
+      entries.length > 0
+        ? entries
+        : suitable.map(type => ({ type, count: 1, reasoning: `${TYPE_REASONINGS[type]}${levelNote}` })),
+      questionsPerLO
+    );
+  }
+}
+
+export default PlanGenerationService;
\ No newline at end of file
@@ -0,0 +1,356 @@
+import { escapeXml } from '../utils/xml.js';
+import { QUESTION_TYPES, CLOZE_BLANK_MARKER } from '../config/constants.js';
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+const RP_TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates';
+
+/**
+ * QTI identifier for a question
+ */
+export const itemIdentifier = (question) => `ITEM_${question._id}`;
+
+const prompt = (question) => `<prompt>${escapeXml(question.questionText)}</prompt>`;
+
+const formatScore = (value) => Number(value.toFixed(4)).toString();
+
+/**
+ * Choice interaction scored with match_correct (multiple choice and true/false)
+ */
+const buildChoiceItem = (question, choices) => {
+  const correctIndex = choices.findIndex(choice => choice.isCorrect);
+  if (correctIndex === -1) {
+    throw new Error(`Question ${question._id} has no correct option`);
+  }
+
+  return {
+    interactionType: 'choiceInteraction',
+    responseDeclarations: [
+      '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">',
+      `  <correctResponse><value>CHOICE_${correctIndex}</value></correctResponse>`,
+      '</responseDeclaration>'
+    ].join('\n'),
+    itemBody: [
+      `<choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type === QUESTION_TYPES.MULTIPLE_CHOICE}" maxChoices="1">`,
+      `  ${prompt(question)}`,
+      ...choices.map((choice, index) => `  <simpleChoice identifier="CHOICE_${index}">${escapeXml(choice.text)}</simpleChoice>`),
+      '</choiceInteraction>'
+    ].join('\n'),
+    responseProcessing: `<responseProcessing template="${RP_TEMPLATES}/match_correct"/>`
+  };
+};
+
+const buildMultipleChoice = (question) => buildChoiceItem(question, question.content?.options || []);
+
+const buildTrueFalse = (question) => {
+  const answer = String(question.correctAnswer).toLowerCase() === 'false' ? 'False' : 'True';
+  return buildChoiceItem(question, [
+    { text: 'True', isCorrect: answer === 'True' },
+    { text: 'False', isCorrect: answer === 'False' }
+  ]);
+};
+
+/**
+ * Match interaction with partial credit per correct pair
+ */
+const buildMatching = (question) => {
+  const { leftItems = [], rightItems = [], matchingPairs = [] } = question.content || {};
+  const pairs = matchingPairs
+    .map(([left, right]) => [leftItems.indexOf(left), rightItems.indexOf(right)])
+    .filter(([left, right]) => left !== -1 && right !== -1);
+
+  if (pairs.length === 0) {
+    throw new Error(`Question ${question._id} has no valid matching pairs`);
+  }
+
+  const pairValue = formatScore(1 / pairs.length);
+
+  return {
+    interactionType: 'matchInteraction',
+    responseDeclarations: [
+      '<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">',
+      '  <correctResponse>',
+      ...pairs.map(([left, right]) => `    <value>SOURCE_${left} TARGET_${right}</value>`),
+      '  </correctResponse>',
+      '  <mapping defaultValue="0" lowerBound="0" upperBound="1">',
+      ...pairs.map(([left, right]) => `    <mapEntry mapKey="SOURCE_${left} TARGET_${right}" mappedValue="${pairValue}"/>`),
+      '  </mapping>',
+      '</responseDeclaration>'
+    ].join('\n'),
+    itemBody: [
+      `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${leftItems.length}">`,
+      `  ${prompt(question)}`,
+      '  <simpleMatchSet>',
+      ...leftItems.map((item, index) => `    <simpleAssociableChoice identifier="SOURCE_${index}" matchMax="1">${escapeXml(item)}</simpleAssociableChoice>`),
+      '  </simpleMatchSet>',
+      '  <simpleMatchSet>',
+      ...rightItems.map((item, index) => `    <simpleAssociableChoice identifier="TARGET_${index}" matchMax="1">${escapeXml(item)}</simpleAssociableChoice>`),
+      '  </simpleMatchSet>',
+      '</matchInteraction>'
+    ].join('\n'),
+    responseProcessing: `<responseProcessing template="${RP_TEMPLATES}/map_response"/>`
+  };
+};
+
+/**
+ * Order interaction; choices are listed in the correct order and shuffled by the player
+ */
+const buildOrdering = (question) => {
+  const correctOrder = question.content?.correctOrder || [];
+  if (correctOrder.length === 0) {
+    throw new Error(`Question ${question._id} has no correct order`);
+  }
+
+  return {
+    interactionType: 'orderInteraction',
+    responseDeclarations: [
+      '<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">',
+      '  <correctResponse>',
+      ...correctOrder.map((_, index) => `    <value>STEP_${index}</value>`),
+      '  </correctResponse>',
+      '</responseDeclaration>'
+    ].join('\n'),
+    itemBody: [
+      '<orderInteraction responseIdentifier="RESPONSE" shuffle="true">',
+      `  ${prompt(question)}`,
+      ...correctOrder.map((item, index) => `  <simpleChoice identifier="STEP_${index}">${escapeXml(item)}</simpleChoice>`),
+      '</orderInteraction>'
+    ].join('\n'),
+    responseProcessing: `<responseProcessing template="${RP_TEMPLATES}/match_correct"/>`
+  };
+};
+
+/**
+ * Cloze text with one interaction per blank: an inline choice when the blank
+ * has options, otherwise a text entry. Each correct blank adds an equal share.
+ */
+const buildCloze = (question) => {
+  const { textWithBlanks = '', correctAnswers = [], blankOptions = [] } = question.content || {};
+  const parts = textWithBlanks.split(CLOZE_BLANK_MARKER);
+
+  if (parts.length - 1 !== correctAnswers.length || correctAnswers.length === 0) {
+    throw new Error(`Question ${question._id} has ${parts.length - 1} blanks but ${correctAnswers.length} correct answers`);
+  }
+
+  const blankValue = formatScore(1 / correctAnswers.length);
+  const hasChoices = correctAnswers.some((_, index) => blankOptions[index]?.length);
+  const declarations = [];
+  const conditions = [];
+  let body = escapeXml(parts[0]);
+
+  correctAnswers.forEach((answer, index) => {
+    const identifier = `RESPONSE_${index + 1}`;
+    const options = blankOptions[index]?.length ? [...new Set([answer, ...blankOptions[index]])] : null;
+    let match;
+
+    if (options) {
+      const correctId = `BLANK_${index + 1}_0`;
+      declarations.push(
+        `<responseDeclaration identifier="${identifier}" cardinality="single" baseType="identifier">`,
+        `  <correctResponse><value>${correctId}</value></correctResponse>`,
+        '</responseDeclaration>'
+      );
+      body += `<inlineChoiceInteraction responseIdentifier="${identifier}" shuffle="true">`
+        + options.map((option, optionIndex) =>
+          `<inlineChoice identifier="BLANK_${index + 1}_${optionIndex}">${escapeXml(option)}</inlineChoice>`).join('')
+        + '</inlineChoiceInteraction>';
+      match = `<match><variable identifier="${identifier}"/><correct identifier="${identifier}"/></match>`;
+    } else {
+      declarations.push(
+        `<responseDeclaration identifier="${identifier}" cardinality="single" baseType="string">`,
+        `  <correctResponse><value>${escapeXml(answer)}</value></correctResponse>`,
+        '</responseDeclaration>'
+      );
+      body += `<textEntryInteraction responseIdentifier="${identifier}" expectedLength="${Math.max(answer.length, 10)}"/>`;
+      match = `<stringMatch caseSensitive="false"><variable identifier="${identifier}"/><correct identifier="${identifier}"/></stringMatch>`;
+    }
+
+    body += escapeXml(parts[index + 1]);
+    conditions.push(
+      '  <responseCondition>',
+      '    <responseIf>',
+      `      ${match}`,
+      '      <setOutcomeValue identifier="SCORE">',
+      `        <sum><variable identifier="SCORE"/><baseValue baseType="float">${blankValue}</baseValue></sum>`,
+      '      </setOutcomeValue>',
+      '    </responseIf>',
+      '  </responseCondition>'
+    );
+  });
+
+  return {
+    interactionType: hasChoices ? 'inlineChoiceInteraction' : 'textEntryInteraction',
+    responseDeclarations: declarations.join('\n'),
+    itemBody: [
+      `<p>${escapeXml(question.questionText)}</p>`,
+      `<p>${body}</p>`
+    ].join('\n'),
+    responseProcessing: ['<responseProcessing>', ...conditions, '</responseProcessing>'].join('\n')
+  };
+};
+
+/**
+ * Extended text response graded by the instructor, with the model answer
+ * shown to scorers only
+ */
+const buildOpenEnded = (question) => {
+  const isFlashcard = question.type === QUESTION_TYPES.FLASHCARD;
+  const promptText = isFlashcard ? question.content?.front || question.questionText : question.questionText;
+  const modelAnswer = isFlashcard
+    ? question.content?.back
+    : (typeof question.correctAnswer === 'string' && question.correctAnswer) || question.explanation;
+
+  return {
+    interactionType: 'extendedTextInteraction',
+    responseDeclarations: '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+    itemBody: [
+      modelAnswer ? `<rubricBlock view="scorer"><p>Model answer: ${escapeXml(modelAnswer)}</p></rubricBlock>` : null,
+      `<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="${isFlashcard ? 2 : 8}">`,
+      `  <prompt>${escapeXml(promptText)}</prompt>`,
+      '</extendedTextInteraction>'
+    ].filter(Boolean).join('\n'),
+    responseProcessing: null
+  };
+};
+
+const QTI21_BUILDERS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: buildMultipleChoice,
+  [QUESTION_TYPES.TRUE_FALSE]: buildTrueFalse,
+  [QUESTION_TYPES.MATCHING]: buildMatching,
+  [QUESTION_TYPES.ORDERING]: buildOrdering,
+  [QUESTION_TYPES.CLOZE]: buildCloze,
+  [QUESTION_TYPES.FLASHCARD]: buildOpenEnded,
+  [QUESTION_TYPES.SUMMARY]: buildOpenEnded,
+  [QUESTION_TYPES.DISCUSSION]: buildOpenEnded
+};
+
+/**
+ * Build a QTI 2.1 assessmentItem document for a question
+ * @param {Object} question - Question document
+ * @returns {Object} - { identifier, interactionType, xml }
+ */
+export const buildAssessmentItem = (question) => {
+  const builder = QTI21_BUILDERS[question.type];
+  if (!builder) {
+    throw new Error(`QTI export is not supported for ${question.type} questions`);
+  }
+
+  const item = builder(question);
+  const identifier = itemIdentifier(question);
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `  xsi:schemaLocation="${QTI_SCHEMA}"`,
+    `  identifier="${identifier}" title="${escapeXml(question.questionText.substring(0, 100))}" adaptive="false" timeDependent="false">`,
+    item.responseDeclarations,
+    '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+    '  <defaultValue><value>0</value></defaultValue>',
+    '</outcomeDeclaration>',
+    '<outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">',
+    '  <defaultValue><value>1</value></defaultValue>',
+    '</outcomeDeclaration>',
+    '<itemBody>',
+    item.itemBody,
+    '</itemBody>',
+    item.responseProcessing,
+    '</assessmentItem>'
+  ].filter(Boolean).join('\n');
+
+  return { identifier, interactionType: item.interactionType, xml };
+};
+
+/**
+ * Build the assessmentTest document referencing every item
+ * @param {Object} quiz - Quiz document
+ * @param {Array<Object>} items - Built items
+ * @returns {string} - assessmentTest XML
+ */
+export const buildAssessmentTest = (quiz, items) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+  `  xsi:schemaLocation="${QTI_SCHEMA}"`,
+  `  identifier="TEST_${quiz._id}" title="${escapeXml(quiz.name)}">`,
+  '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+  '  <testPart identifier="PART_1" navigationMode="nonlinear" submissionMode="simultaneous">',
+  `    <assessmentSection identifier="SECTION_1" title="${escapeXml(quiz.name)}" visible="true">`,
+  ...items.map(item => `      <assessmentItemRef identifier="${item.identifier}" href="items/${item.identifier}.xml"/>`),
+  '    </assessmentSection>',
+  '  </testPart>',
+  '  <outcomeProcessing>',
+  '    <setOutcomeValue identifier="SCORE">',
+  '      <sum><testVariables variableIdentifier="SCORE"/></sum>',
+  '    </setOutcomeValue>',
+  '  </outcomeProcessing>',
+  '</assessmentTest>'
+].join('\n');
+
+/**
+ * LOM metadata recording the learning objective an item assesses
+ */
+const buildItemMetadata = (question, item) => {
+  const lines = [
+    '      <metadata>',
+    '        <imsmd:lom>',
+    '          <imsmd:general>',
+    `            <imsmd:title><imsmd:langstring xml:lang="en">${escapeXml(question.questionText.substring(0, 100))}</imsmd:langstring></imsmd:title>`,
+    '          </imsmd:general>'
+  ];
+
+  if (question.learningObjective?.text) {
+    lines.push(
+      '          <imsmd:classification>',
+      '            <imsmd:purpose>',
+      '              <imsmd:source><imsmd:langstring xml:lang="x-none">LOMv1.0</imsmd:langstring></imsmd:source>',
+      '              <imsmd:value><imsmd:langstring xml:lang="x-none">Educational Objective</imsmd:langstring></imsmd:value>',
+      '            </imsmd:purpose>',
+      `            <imsmd:description><imsmd:langstring xml:lang="en">${escapeXml(question.learningObjective.text)}</imsmd:langstring></imsmd:description>`,
+      '          </imsmd:classification>'
+    );
+  }
+
+  lines.push(
+    '        </imsmd:lom>',
+    '        <imsqti:qtiMetadata>',
+    `          <imsqti:interactionType>${item.interactionType}</imsqti:interactionType>`,
+    '        </imsqti:qtiMetadata>',
+    '      </metadata>'
+  );
+
+  return lines;
+};
+
+/**
+ * Build imsmanifest.xml for a QTI 2.1 content package
+ * @param {Object} quiz - Quiz document with populated questions
+ * @param {Array<Object>} items - Built items, in question order
+ * @returns {string} - Manifest XML
+ */
+export const buildManifest = (quiz, items) => {
+  const testIdentifier = `TEST_${quiz._id}`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://www.imsglobal.org/xsd/imsmd_v1p2"`,
+    '  xmlns:imsqti="http://www.imsglobal.org/xsd/imsqti_metadata_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    `  identifier="MANIFEST_${quiz._id}">`,
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    `    <resource identifier="${testIdentifier}" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">`,
+    '      <file href="assessmentTest.xml"/>',
+    ...items.map(item => `      <dependency identifierref="${item.identifier}"/>`),
+    '    </resource>',
+    ...items.flatMap((item, index) => [
+      `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="items/${item.identifier}.xml">`,
+      ...buildItemMetadata(quiz.questions[index], item),
+      `      <file href="items/${item.identifier}.xml"/>`,
+      '    </resource>'
+    ]),
+    '  </resources>',
+    '</manifest>'
+  ].join('\n');
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import JSZip from 'jszip';
+import { QTI_VERSIONS } from '../config/constants.js';
+import * as qti21 from './qti21Builder.js';
+import * as canvasQti from './canvasQtiBuilder.js';
+
+class QTIExportService {
+  /**
+   * Build a QTI content package for a quiz
+   * @param {Object} quiz - Quiz document with populated questions and learning objectives
+   * @param {string} version - QTI_VERSIONS value
+   * @returns {JSZip} - Archive containing imsmanifest.xml and the assessment files
+   */
+  static buildPackage(quiz, version = QTI_VERSIONS.QTI_21) {
+    switch (version) {
+      case QTI_VERSIONS.QTI_21:
+        return this.buildQti21Package(quiz);
+      case QTI_VERSIONS.CANVAS_12:
+        return this.buildCanvasPackage(quiz);
+      default:
+        throw new Error(`Unsupported QTI version: ${version}`);
+    }
+  }
+
+  /**
+   * QTI 2.1: one assessmentItem file per question plus an assessmentTest
+   */
+  static buildQti21Package(quiz) {
+    const items = quiz.questions.map(question => qti21.buildAssessmentItem(question));
+
+    const zip = new JSZip();
+    zip.file('imsmanifest.xml', qti21.buildManifest(quiz, items));
+    zip.file('assessmentTest.xml', qti21.buildAssessmentTest(quiz, items));
+    for (const item of items) {
+      zip.file(`items/${item.identifier}.xml`, item.xml);
+    }
+
+    return zip;
+  }
+
+  /**
+   * Canvas QTI 1.2: a single questestinterop document in its own folder
+   */
+  static buildCanvasPackage(quiz) {
+    const identifier = canvasQti.assessmentIdentifier(quiz);
+
+    const zip = new JSZip();
+    zip.file('imsmanifest.xml', canvasQti.buildManifest(quiz));
+    zip.file(`${identifier}/${identifier}.xml`, canvasQti.buildAssessment(quiz));
+
+    return zip;
+  }
+
+  /**
+   * Write the package for a quiz to disk
+   * @param {Object} quiz - Quiz document with populated questions
+   * @param {string} filePath - Destination path
+   * @param {string} version - QTI_VERSIONS value
+   * @returns {Promise<number>} - Size of the written archive in bytes
+   */
+  static async writePackage(quiz, filePath, version = QTI_VERSIONS.QTI_21) {
+    const buffer = await this.buildPackage(quiz, version).generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE'
+    });
+
+    await fs.writeFile(filePath, buffer);
+    return buffer.length;
+  }
+}
+
+export default QTIExportService;
\ No newline at end of file
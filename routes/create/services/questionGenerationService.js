@@ -0,0 +1,473 @@
+import Question from '../models/Question.js';
+import Quiz from '../models/Quiz.js';
+import LearningObjective from '../models/LearningObjective.js';
+import GenerationPlan from '../models/GenerationPlan.js';
+import GenerationRun from '../models/GenerationRun.js';
+import User from '../models/User.js';
+import LLMService from './llmService.js';
+import QuestionQualityService from './questionQualityService.js';
+import VectorIndexService from './vectorIndexService.js';
+import {
+  QUESTION_TYPES,
+  DIFFICULTY_LEVELS,
+  PEDAGOGICAL_APPROACH_GOALS,
+  CLOZE_BLANK_MARKER,
+  AI_CONFIG,
+  GENERATION_EVENTS,
+  GENERATION_RUN_STATUS,
+  GENERATION_SLOT_STATUS
+} from '../config/constants.js';
+
+const EXCERPT_LENGTH = 300;
+
+const ACTIVE_RUN_STATUSES = [GENERATION_RUN_STATUS.QUEUED, GENERATION_RUN_STATUS.RUNNING];
+
+// JSON shape the model is asked to return for each question type
+const QUESTION_FORMATS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Write one multiple choice question with exactly 4 options, one of them correct. JSON: {"questionText": "...", "options": [{"text": "...", "isCorrect": true}], "explanation": "..."}',
+  [QUESTION_TYPES.TRUE_FALSE]: 'Write one true/false statement. JSON: {"questionText": "...", "correctAnswer": "True" or "False", "explanation": "..."}',
+  [QUESTION_TYPES.FLASHCARD]: 'Write one flashcard. JSON: {"questionText": "...", "front": "...", "back": "...", "explanation": "..."}',
+  [QUESTION_TYPES.SUMMARY]: 'Write one short-answer prompt asking students to summarize a concept. JSON: {"questionText": "...", "correctAnswer": "model answer", "explanation": "..."}',
+  [QUESTION_TYPES.DISCUSSION]: 'Write one open-ended discussion question. JSON: {"questionText": "...", "correctAnswer": "key points of a strong answer", "explanation": "..."}',
+  [QUESTION_TYPES.MATCHING]: 'Write one matching question with 3 to 5 pairs. JSON: {"questionText": "...", "leftItems": ["..."], "rightItems": ["..."], "matchingPairs": [["left", "right"]], "explanation": "..."}',
+  [QUESTION_TYPES.ORDERING]: 'Write one ordering question with 3 to 6 items. JSON: {"questionText": "...", "items": ["..."], "correctOrder": ["..."], "explanation": "..."}',
+  [QUESTION_TYPES.CLOZE]: `Write one fill-in-the-blank passage, marking each blank with ${CLOZE_BLANK_MARKER}. JSON: {"questionText": "...", "textWithBlanks": "...", "correctAnswers": ["one per blank"], "blankOptions": [["choices for each blank"]], "explanation": "..."}`
+};
+
+class QuestionGenerationService {
+  /**
+   * Generate the questions for a run's missing slots. A slot that fails is
+   * reported and left for a later resume; the run fails if any slot is still
+   * missing at the end. Cancelling the run stops it before the next slot.
+   * @param {Object} params - Generation parameters
+   * @param {string} params.runId - GenerationRun ID
+   * @param {string} params.userId - Requesting user ID
+   * @param {Object} options - { onProgress(event, data) } called with GENERATION_EVENTS
+   * @returns {Promise<Object>} - Run status, question IDs generated by this execution and metadata
+   */
+  static async generateRun({ runId, userId }, { onProgress = () => {} } = {}) {
+    const fail = (message) => {
+      onProgress(GENERATION_EVENTS.DONE, { runId, status: GENERATION_RUN_STATUS.FAILED, error: message });
+      return new Error(message);
+    };
+
+    const queued = await GenerationRun.findOne({ _id: runId, createdBy: userId });
+    if (!queued) {
+      throw fail('Generation run not found');
+    }
+
+    const [quiz, plan] = await Promise.all([
+      Quiz.findOne({ _id: queued.quiz, createdBy: userId }),
+      GenerationPlan.findById(queued.plan)
+    ]);
+    if (!quiz || !plan) {
+      await GenerationRun.updateOne(
+        { _id: queued._id, status: { $in: ACTIVE_RUN_STATUSES } },
+        { status: GENERATION_RUN_STATUS.FAILED, finishedAt: new Date() }
+      );
+      throw fail(quiz ? 'Generation plan not found' : 'Quiz not found');
+    }
+
+    // Start only if the run was not cancelled while the job was queued; a run
+    // left running by a restart is picked up again
+    const run = await GenerationRun.findOneAndUpdate(
+      { _id: queued._id, status: { $in: ACTIVE_RUN_STATUSES } },
+      { status: GENERATION_RUN_STATUS.RUNNING, startedAt: new Date(), $unset: { finishedAt: 1 } },
+      { new: true }
+    );
+    if (!run) {
+      const result = { runId, status: GENERATION_RUN_STATUS.CANCELLED, questionIds: [] };
+      onProgress(GENERATION_EVENTS.DONE, result);
+      return result;
+    }
+
+    const startTime = Date.now();
+    let tokensUsed = 0;
+    const questions = [];
+
+    onProgress(GENERATION_EVENTS.STARTED, { runId, total: run.slots.length, generated: run.counts.generated });
+
+    let result;
+    try {
+      const objectiveIds = [...new Set(run.slots.map(slot => slot.learningObjective.toString()))];
+      const objectives = new Map(
+        (await LearningObjective.find({ _id: { $in: objectiveIds } })).map(objective => [objective._id.toString(), objective])
+      );
+      const sourcesByObjective = new Map();
+      let cancelled = false;
+
+      for (const [order, slot] of run.slots.entries()) {
+        if (slot.status === GENERATION_SLOT_STATUS.GENERATED) continue;
+
+        if (await run.isCancelled()) {
+          cancelled = true;
+          break;
+        }
+
+        const objectiveId = slot.learningObjective.toString();
+        slot.attempts += 1;
+
+        try {
+          const objective = objectives.get(objectiveId);
+          if (!objective) {
+            throw new Error('Learning objective no longer exists');
+          }
+
+          // Retrieve once per objective; every question for it shares the same passages
+          if (!sourcesByObjective.has(objectiveId)) {
+            sourcesByObjective.set(objectiveId, await this.retrieveSources(quiz, objective.text));
+          }
+
+          const question = await this.generateQuestion(
+            quiz._id,
+            objective._id,
+            slot.type,
+            plan._id,
+            order,
+            userId,
+            sourcesByObjective.get(objectiveId),
+            { difficulty: slot.difficulty, approach: plan.approach }
+          );
+
+          tokensUsed += question.generationMetadata.tokenUsage?.totalTokens || 0;
+          questions.push(question);
+          await quiz.addQuestion(question._id);
+
+          slot.status = GENERATION_SLOT_STATUS.GENERATED;
+          slot.question = question._id;
+          slot.error = undefined;
+          onProgress(GENERATION_EVENTS.GENERATED, { question });
+        } catch (error) {
+          slot.status = GENERATION_SLOT_STATUS.FAILED;
+          slot.error = error.message;
+          onProgress(GENERATION_EVENTS.FAILED, {
+            learningObjective: objectiveId,
+            type: slot.type,
+            index: slot.index,
+            error: error.message
+          });
+        }
+
+        await run.save();
+      }
+
+      const { total, generated } = run.counts;
+      if (cancelled || await run.isCancelled()) {
+        run.status = GENERATION_RUN_STATUS.CANCELLED;
+      } else {
+        run.status = generated === total ? GENERATION_RUN_STATUS.COMPLETED : GENERATION_RUN_STATUS.FAILED;
+      }
+      run.finishedAt = new Date();
+      await run.save();
+
+      // The plan is used up once every slot has a question
+      if (run.status === GENERATION_RUN_STATUS.COMPLETED) {
+        await plan.markAsUsed();
+      }
+
+      // Update user stats
+      if (questions.length > 0) {
+        const user = await User.findById(userId);
+        if (user) {
+          await user.incrementStats('questionsCreated');
+        }
+      }
+
+      const missing = total - generated;
+      await quiz.addGenerationRecord({
+        run: run._id,
+        approach: plan.approach,
+        questionsGenerated: questions.length,
+        processingTime: Date.now() - startTime,
+        llmModel: LLMService.getProvider().model,
+        tokensUsed,
+        success: run.status === GENERATION_RUN_STATUS.COMPLETED,
+        ...(missing > 0 && {
+          errorMessage: run.status === GENERATION_RUN_STATUS.CANCELLED
+            ? `Cancelled with ${missing} of ${total} questions missing`
+            : `${missing} of ${total} questions could not be generated`
+        })
+      });
+
+      result = {
+        runId: run._id.toString(),
+        status: run.status,
+        questionIds: questions.map(question => question._id.toString()),
+        metadata: {
+          generatedCount: questions.length,
+          missingCount: missing,
+          totalSlots: total,
+          planUsed: plan.approach,
+          tokensUsed
+        }
+      };
+    } catch (error) {
+      run.status = GENERATION_RUN_STATUS.FAILED;
+      run.finishedAt = new Date();
+      await run.save();
+
+      // Add failed generation record
+      await quiz.addGenerationRecord({
+        run: run._id,
+        approach: plan.approach,
+        questionsGenerated: questions.length,
+        processingTime: Date.now() - startTime,
+        llmModel: LLMService.getProvider().model,
+        tokensUsed,
+        success: false,
+        errorMessage: error.message
+      });
+
+      onProgress(GENERATION_EVENTS.DONE, { runId, status: run.status, error: error.message });
+      throw error;
+    }
+
+    onProgress(GENERATION_EVENTS.DONE, result);
+
+    if (result.status === GENERATION_RUN_STATUS.FAILED) {
+      throw new Error(`${result.metadata.missingCount} of ${result.metadata.totalSlots} questions could not be generated; resume the run to retry them`);
+    }
+    return result;
+  }
+
+  /**
+   * Retrieve the material passages most relevant to a learning objective
+   * from the quiz's assigned materials
+   * @param {Object} quiz - Quiz document
+   * @param {string} objectiveText - Learning objective text
+   * @returns {Promise<Array<Object>>} - Retrieved chunks, best first
+   */
+  static async retrieveSources(quiz, objectiveText) {
+    if (!quiz.materials || quiz.materials.length === 0) {
+      return [];
+    }
+
+    return VectorIndexService.search(objectiveText, {
+      limit: AI_CONFIG.TOP_K,
+      folderId: quiz.folder,
+      materialIds: quiz.materials
+    });
+  }
+
+  /**
+   * Generate and save a single question for a learning objective
+   * @param {Object} options - { difficulty, approach } the question is written for
+   */
+  static async generateQuestion(quizId, learningObjectiveId, type, planId, order, userId, sources = [], options = {}) {
+    const { difficulty = DIFFICULTY_LEVELS.MODERATE, approach } = options;
+    const objective = await LearningObjective.findById(learningObjectiveId);
+    const questionData = await this.generateQuestionContent(type, objective.text, difficulty, sources, approach);
+
+    const question = new Question({
+      quiz: quizId,
+      learningObjective: learningObjectiveId,
+      generationPlan: planId,
+      type,
+      difficulty,
+      questionText: questionData.questionText,
+      content: questionData.content,
+      correctAnswer: questionData.correctAnswer,
+      explanation: questionData.explanation,
+      order,
+      generationMetadata: {
+        ...questionData.metadata,
+        generatedFrom: questionData.citations
+      },
+      createdBy: userId
+    });
+
+    QuestionQualityService.applyChecks(question);
+    await question.save();
+    return question;
+  }
+
+  /**
+   * Produce question content for a type and learning objective
+   * @param {string} type - Question type
+   * @param {string} objectiveText - Learning objective the question assesses
+   * @param {string} difficulty - Difficulty level
+   * @param {Array<Object>} sources - Retrieved material passages to ground the question in
+   * @param {string} approach - Pedagogical approach the quiz follows, if known
+   * @returns {Promise<Object>} - { questionText, content, correctAnswer, explanation, metadata, citations }
+   */
+  static async generateQuestionContent(type, objectiveText, difficulty, sources = [], approach) {
+    const prompt = this.buildPrompt(type, objectiveText, difficulty, sources, approach);
+    const result = await LLMService.generateJSON({
+      system: 'You are an experienced educator who writes accurate, unambiguous assessment questions.',
+      prompt,
+      task: 'question',
+      context: { questionType: type, objectiveText, difficulty, sourceCount: sources.length }
+    });
+
+    return {
+      ...this.mapQuestionContent(type, result.data),
+      metadata: LLMService.buildMetadata(result, prompt),
+      citations: this.buildCitations(sources, result.data.sourceIndexes)
+    };
+  }
+
+  /**
+   * Build the prompt for a single question
+   */
+  static buildPrompt(type, objectiveText, difficulty, sources = [], approach) {
+    const format = QUESTION_FORMATS[type] || QUESTION_FORMATS[QUESTION_TYPES.MULTIPLE_CHOICE];
+    const lines = [
+      `Learning objective: ${objectiveText}`,
+      `Difficulty: ${difficulty}`
+    ];
+
+    if (PEDAGOGICAL_APPROACH_GOALS[approach]) {
+      lines.push(`Purpose: the quiz should ${PEDAGOGICAL_APPROACH_GOALS[approach]}`);
+    }
+
+    if (sources.length > 0) {
+      lines.push(
+        '',
+        'Base the question only on these course material passages:',
+        ...sources.map((source, index) => `[${index + 1}] (${this.describeSource(source)}) ${source.text}`),
+        '',
+        'Add "sourceIndexes": [numbers of the passages the question is based on] to the JSON.'
+      );
+    }
+
+    lines.push(format, 'Respond with the JSON object only.');
+    return lines.join('\n');
+  }
+
+  /**
+   * Short human-readable location of a retrieved passage
+   */
+  static describeSource(source) {
+    const parts = [source.materialName];
+    if (source.pageStart) {
+      parts.push(source.pageEnd && source.pageEnd !== source.pageStart
+        ? `pp. ${source.pageStart}-${source.pageEnd}`
+        : `p. ${source.pageStart}`);
+    }
+    if (source.section) {
+      parts.push(source.section);
+    }
+    return parts.filter(Boolean).join(', ');
+  }
+
+  /**
+   * Turn the passages a model cited into generatedFrom entries. Falls back to
+   * every retrieved passage when the model did not cite valid ones, since all
+   * of them were in the prompt.
+   * @param {Array<Object>} sources - Passages included in the prompt
+   * @param {Array<number>} sourceIndexes - 1-based passage numbers cited by the model
+   * @returns {Array<Object>} - generatedFrom entries
+   */
+  static buildCitations(sources, sourceIndexes) {
+    const cited = (Array.isArray(sourceIndexes) ? sourceIndexes : [])
+      .map(index => sources[Number(index) - 1])
+      .filter(Boolean);
+
+    return [...new Set(cited.length > 0 ? cited : sources)].map(source => ({
+      material: source.materialId,
+      chunkIndex: source.chunkIndex,
+      pageStart: source.pageStart ?? undefined,
+      pageEnd: source.pageEnd ?? undefined,
+      section: source.section ?? undefined,
+      excerpt: source.text.substring(0, EXCERPT_LENGTH),
+      score: source.score
+    }));
+  }
+
+  /**
+   * Map the model's JSON response onto the Question schema fields
+   */
+  static mapQuestionContent(type, data) {
+    const questionText = typeof data.questionText === 'string' ? data.questionText.trim() : '';
+    if (!questionText) {
+      throw new Error(`LLM response for ${type} question is missing questionText`);
+    }
+
+    const explanation = data.explanation || '';
+    const toStrings = (value) => (Array.isArray(value) ? value.map(String) : []);
+
+    switch (type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE: {
+        const options = (Array.isArray(data.options) ? data.options : []).map((option, index) => ({
+          text: String(option.text ?? option),
+          isCorrect: Boolean(option.isCorrect),
+          order: index
+        }));
+        const correct = options.find(option => option.isCorrect);
+        if (options.length < 2 || !correct) {
+          throw new Error('LLM response for multiple-choice question has no valid options');
+        }
+        return { questionText, content: { options }, correctAnswer: correct.text, explanation };
+      }
+
+      case QUESTION_TYPES.TRUE_FALSE: {
+        const answer = String(data.correctAnswer).toLowerCase() === 'false' ? 'False' : 'True';
+        return {
+          questionText,
+          content: {
+            options: [
+              { text: 'True', isCorrect: answer === 'True', order: 0 },
+              { text: 'False', isCorrect: answer === 'False', order: 1 }
+            ]
+          },
+          correctAnswer: answer,
+          explanation
+        };
+      }
+
+      case QUESTION_TYPES.FLASHCARD:
+        return {
+          questionText,
+          content: { front: data.front || questionText, back: data.back || '' },
+          correctAnswer: data.back || '',
+          explanation
+        };
+
+      case QUESTION_TYPES.MATCHING: {
+        const matchingPairs = (Array.isArray(data.matchingPairs) ? data.matchingPairs : [])
+          .filter(pair => Array.isArray(pair) && pair.length === 2)
+          .map(pair => pair.map(String));
+        return {
+          questionText,
+          content: {
+            leftItems: toStrings(data.leftItems),
+            rightItems: toStrings(data.rightItems),
+            matchingPairs
+          },
+          correctAnswer: matchingPairs,
+          explanation
+        };
+      }
+
+      case QUESTION_TYPES.ORDERING: {
+        const correctOrder = toStrings(data.correctOrder);
+        return {
+          questionText,
+          content: { items: toStrings(data.items).length ? toStrings(data.items) : correctOrder, correctOrder },
+          correctAnswer: correctOrder,
+          explanation
+        };
+      }
+
+      case QUESTION_TYPES.CLOZE: {
+        const correctAnswers = toStrings(data.correctAnswers);
+        return {
+          questionText,
+          content: {
+            textWithBlanks: data.textWithBlanks || '',
+            blankOptions: (Array.isArray(data.blankOptions) ? data.blankOptions : []).map(toStrings),
+            correctAnswers
+          },
+          correctAnswer: correctAnswers,
+          explanation
+        };
+      }
+
+      default:
+        // Summary and discussion questions are open-ended
+        return { questionText, content: {}, correctAnswer: data.correctAnswer || '', explanation };
+    }
+  }
+}
+
+export default QuestionGenerationService;
\ No newline at end of file
@@ -0,0 +1,227 @@
+import { QUESTION_TYPES, CLOZE_BLANK_MARKER, REVIEW_STATUS, QUESTION_CHECK_RULES, LINT_SEVERITIES } from '../config/constants.js';
+
+// A correct option this much longer than the average distractor stands out
+const LENGTH_CUE_RATIO = 1.5;
+// Answers shorter than this are too common to count as leaking into the stem
+const MIN_LEAK_LENGTH = 4;
+
+const CATCH_ALL_OPTION = /\b(?:all|none|both)\s+of\s+the\s+(?:above|options|answers|choices)\b/i;
+
+const normalize = (text) => String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class QuestionQualityService {
+  /**
+   * Check a question and store the findings on it. Questions with findings
+   * are flagged for review unless a reviewer already rejected them; the
+   * question is not saved.
+   * @param {Object} question - Question document
+   * @returns {Array<Object>} - Findings
+   */
+  static applyChecks(question) {
+    const findings = this.check(question);
+
+    question.qualityChecks = { findings, checkedAt: new Date() };
+    if (findings.length > 0 && question.reviewStatus !== REVIEW_STATUS.REJECTED) {
+      question.reviewStatus = REVIEW_STATUS.NEEDS_REVIEW;
+    }
+    return findings;
+  }
+
+  /**
+   * Run the structural checks for the question's type, then the checks
+   * for answer cues in the stem and options
+   * @param {Object} question - Question with `type`, `questionText` and `content`
+   * @returns {Array<Object>} - { rule, severity, field, message }
+   */
+  static check(question) {
+    return [
+      ...this.checkStructure(question),
+      ...this.checkAnswerLeakage(question),
+      ...this.checkOptions(question)
+    ];
+  }
+
+  /**
+   * Check the content invariants each question type relies on to be
+   * answerable and scored correctly
+   */
+  static checkStructure({ type, content = {} }) {
+    const findings = [];
+    const add = (field, message) => findings.push({
+      rule: QUESTION_CHECK_RULES.STRUCTURE,
+      severity: LINT_SEVERITIES.ERROR,
+      field,
+      message
+    });
+
+    switch (type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+      case QUESTION_TYPES.TRUE_FALSE: {
+        const options = content.options || [];
+        const correctCount = options.filter(option => option.isCorrect).length;
+
+        if (options.length < 2) {
+          add('content.options', `Has ${plural(options.length, 'option')}; at least 2 are needed`);
+        }
+        if (correctCount !== 1) {
+          add('content.options', `Has ${plural(correctCount, 'correct option')}; exactly 1 is needed`);
+        }
+        const texts = options.map(option => normalize(option.text));
+        if (new Set(texts).size !== texts.length) {
+          add('content.options', 'Has duplicate options');
+        }
+        if (type === QUESTION_TYPES.TRUE_FALSE && (options.length !== 2 || !texts.includes('true') || !texts.includes('false'))) {
+          add('content.options', 'True/false options must be exactly "True" and "False"');
+        }
+        break;
+      }
+
+      case QUESTION_TYPES.MATCHING: {
+        const leftItems = content.leftItems || [];
+        const rightItems = content.rightItems || [];
+        const pairs = content.matchingPairs || [];
+
+        if (leftItems.length === 0 || rightItems.length === 0) {
+          add('content.leftItems', 'Needs items on both sides to match');
+          break;
+        }
+        const invalidPairs = pairs.filter(pair => pair.length !== 2 || !leftItems.includes(pair[0]) || !rightItems.includes(pair[1]));
+        if (invalidPairs.length > 0) {
+          add('content.matchingPairs', `${plural(invalidPairs.length, 'pair')} ${invalidPairs.length === 1 ? 'refers' : 'refer'} to items that are not in leftItems/rightItems`);
+        }
+        const unmatchedLeft = leftItems.filter(item => pairs.filter(pair => pair[0] === item).length !== 1);
+        const unmatchedRight = rightItems.filter(item => !pairs.some(pair => pair[1] === item));
+        if (unmatchedLeft.length > 0) {
+          add('content.matchingPairs', `Left items without exactly one match: ${unmatchedLeft.join(', ')}`);
+        }
+        if (unmatchedRight.length > 0) {
+          add('content.matchingPairs', `Right items not used by any pair: ${unmatchedRight.join(', ')}`);
+        }
+        break;
+      }
+
+      case QUESTION_TYPES.ORDERING: {
+        const items = [...(content.items || [])];
+        const correctOrder = [...(content.correctOrder || [])];
+
+        if (items.length < 2) {
+          add('content.items', 'Needs at least 2 items to order');
+        }
+        if (correctOrder.length !== items.length || [...items].sort().join('\u0000') !== [...correctOrder].sort().join('\u0000')) {
+          add('content.correctOrder', 'The correct order must contain each item exactly once');
+        }
+        break;
+      }
+
+      case QUESTION_TYPES.CLOZE: {
+        const blankCount = (content.textWithBlanks || '').split(CLOZE_BLANK_MARKER).length - 1;
+        const correctAnswers = content.correctAnswers || [];
+        const blankOptions = content.blankOptions || [];
+
+        if (blankCount === 0) {
+          add('content.textWithBlanks', `Has no blanks marked with ${CLOZE_BLANK_MARKER}`);
+        }
+        if (correctAnswers.length !== blankCount) {
+          add('content.correctAnswers', `Has ${plural(correctAnswers.length, 'answer')} for ${plural(blankCount, 'blank')}`);
+        }
+        if (blankOptions.length > 0) {
+          if (blankOptions.length !== blankCount) {
+            add('content.blankOptions', `Has choices for ${blankOptions.length} of ${plural(blankCount, 'blank')}`);
+          }
+          const missing = correctAnswers
+            .map((answer, index) => (blankOptions[index] && !blankOptions[index].includes(answer) ? index + 1 : null))
+            .filter(Boolean);
+          if (missing.length > 0) {
+            add('content.blankOptions', `The correct answer is not among the choices for blank ${missing.join(', ')}`);
+          }
+        }
+        break;
+      }
+
+      case QUESTION_TYPES.FLASHCARD:
+        if (!content.front?.trim() || !content.back?.trim()) {
+          add('content.back', 'Flashcards need text on both sides');
+        }
+        break;
+
+      default:
+        // Summary and discussion questions are open-ended
+        break;
+    }
+
+    return findings;
+  }
+
+  /**
+   * Find correct answers that appear word for word in the question stem
+   */
+  static checkAnswerLeakage({ type, questionText = '', content = {} }) {
+    let answers = [];
+    if (type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      answers = (content.options || []).filter(option => option.isCorrect).map(option => option.text);
+    } else if (type === QUESTION_TYPES.CLOZE) {
+      answers = content.correctAnswers || [];
+    } else if (type === QUESTION_TYPES.FLASHCARD) {
+      answers = [content.back];
+    }
+
+    const stem = type === QUESTION_TYPES.FLASHCARD ? content.front || questionText : questionText;
+    const leaked = answers
+      .map(answer => normalize(answer))
+      .filter(answer => answer.length >= MIN_LEAK_LENGTH && new RegExp(`\\b${escapeRegExp(answer)}\\b`).test(normalize(stem)));
+
+    return leaked.map(answer => ({
+      rule: QUESTION_CHECK_RULES.ANSWER_LEAKAGE,
+      severity: LINT_SEVERITIES.WARNING,
+      field: 'questionText',
+      message: `The question text contains the answer "${answer}"`
+    }));
+  }
+
+  /**
+   * Find multiple-choice options that let students guess without knowing the answer
+   */
+  static checkOptions({ type, content = {} }) {
+    if (type !== QUESTION_TYPES.MULTIPLE_CHOICE) {
+      return [];
+    }
+
+    const findings = [];
+    const options = content.options || [];
+
+    const catchAll = options.filter(option => CATCH_ALL_OPTION.test(option.text || ''));
+    if (catchAll.length > 0) {
+      findings.push({
+        rule: QUESTION_CHECK_RULES.ALL_OF_THE_ABOVE,
+        severity: LINT_SEVERITIES.WARNING,
+        field: 'content.options',
+        message: `"${catchAll[0].text}" lets students answer by elimination rather than knowing each option`
+      });
+    }
+
+    const correct = options.filter(option => option.isCorrect);
+    const distractors = options.filter(option => !option.isCorrect);
+    if (correct.length === 1 && distractors.length > 0) {
+      const correctLength = (correct[0].text || '').length;
+      const lengths = distractors.map(option => (option.text || '').length);
+      const averageLength = lengths.reduce((total, length) => total + length, 0) / lengths.length;
+
+      if (correctLength > Math.max(...lengths) && correctLength >= averageLength * LENGTH_CUE_RATIO) {
+        findings.push({
+          rule: QUESTION_CHECK_RULES.LENGTH_CUE,
+          severity: LINT_SEVERITIES.WARNING,
+          field: 'content.options',
+          message: 'The correct option is much longer than the distractors, which gives it away'
+        });
+      }
+    }
+
+    return findings;
+  }
+}
+
+export default QuestionQualityService;
\ No newline at end of file
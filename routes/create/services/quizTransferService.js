@@ -0,0 +1,297 @@
+import mongoose from 'mongoose';
+import Quiz from '../models/Quiz.js';
+import LearningObjective from '../models/LearningObjective.js';
+import CourseOutcome from '../models/CourseOutcome.js';
+import GenerationPlan from '../models/GenerationPlan.js';
+import Question from '../models/Question.js';
+import { QUIZ_TRANSFER } from '../config/constants.js';
+
+const { ValidationError, ValidatorError } = mongoose.Error;
+
+/**
+ * Deep copy a document value as plain JSON, dropping subdocument _ids
+ */
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(
+  JSON.stringify(value, (key, item) => (key === '_id' ? undefined : item))
+));
+
+const refId = (ref) => (ref ? String(ref._id || ref) : null);
+
+/**
+ * Accumulates import problems as a mongoose ValidationError so they are
+ * reported the same way as any other schema validation failure
+ */
+class ImportErrors {
+  constructor() {
+    this.error = new ValidationError();
+  }
+
+  add(path, message) {
+    this.error.addError(path, new ValidatorError({ path, message }));
+  }
+
+  addDocumentErrors(prefix, doc) {
+    const result = doc.validateSync();
+    if (result) {
+      for (const [path, error] of Object.entries(result.errors)) {
+        // An unresolved reference is already reported with a clearer message
+        if (!this.error.errors[`${prefix}.${path}`]) {
+          this.add(`${prefix}.${path}`, error.message);
+        }
+      }
+    }
+  }
+
+  throwIfAny() {
+    if (Object.keys(this.error.errors).length > 0) {
+      throw this.error;
+    }
+  }
+}
+
+class QuizTransferService {
+  /**
+   * Load everything belonging to a quiz and serialize it
+   * @param {Object} quiz - Quiz document
+   * @returns {Promise<Object>} - Versioned export document
+   */
+  static async exportQuiz(quiz) {
+    const [objectives, plans, questions] = await Promise.all([
+      LearningObjective.find({ quiz: quiz._id }).sort({ order: 1 }),
+      GenerationPlan.find({ quiz: quiz._id }).sort({ createdAt: 1 }),
+      Question.find({ quiz: quiz._id }).sort({ order: 1 })
+    ]);
+
+    return this.serialize(quiz, { objectives, plans, questions });
+  }
+
+  /**
+   * Serialize a quiz and its related documents. Each record keeps its
+   * original id so references inside the file can be remapped on import;
+   * materials, users and edit history stay behind as they only mean
+   * something on the source instance. Course outcome links are kept and
+   * restored only when the target folder has those outcomes.
+   * @param {Object} quiz - Quiz document
+   * @param {Object} related - { objectives, plans, questions }
+   * @returns {Object} - Versioned export document
+   */
+  static serialize(quiz, { objectives = [], plans = [], questions = [] }) {
+    return {
+      format: QUIZ_TRANSFER.FORMAT,
+      version: QUIZ_TRANSFER.VERSION,
+      exportedAt: new Date().toISOString(),
+      quiz: {
+        name: quiz.name,
+        settings: toPlain(quiz.settings)
+      },
+      learningObjectives: objectives.map(objective => ({
+        id: refId(objective),
+        text: objective.text,
+        order: objective.order,
+        generationMetadata: toPlain(objective.generationMetadata),
+        bloom: toPlain(objective.bloom),
+        courseOutcomes: (objective.courseOutcomes || []).map(refId)
+      })),
+      generationPlans: plans.map(plan => ({
+        id: refId(plan),
+        approach: plan.approach,
+        questionsPerLO: plan.questionsPerLO,
+        totalQuestions: plan.totalQuestions,
+        breakdown: plan.breakdown.map(entry => ({
+          learningObjective: refId(entry.learningObjective),
+          questionTypes: toPlain(entry.questionTypes),
+          difficultyTargets: toPlain(entry.difficultyTargets)
+        })),
+        distribution: toPlain(plan.distribution),
+        generationMetadata: toPlain(plan.generationMetadata),
+        status: plan.status
+      })),
+      activePlan: refId(quiz.activePlan),
+      questions: questions.map(question => {
+        const generationMetadata = toPlain(question.generationMetadata);
+        if (generationMetadata?.generatedFrom) {
+          generationMetadata.generatedFrom = generationMetadata.generatedFrom
+            .map(({ material, ...citation }) => citation);
+        }
+
+        return {
+          id: refId(question),
+          learningObjective: refId(question.learningObjective),
+          generationPlan: refId(question.generationPlan),
+          type: question.type,
+          difficulty: question.difficulty,
+          questionText: question.questionText,
+          content: toPlain(question.content),
+          correctAnswer: toPlain(question.correctAnswer),
+          explanation: question.explanation,
+          order: question.order,
+          reviewStatus: question.reviewStatus,
+          generationMetadata
+        };
+      })
+    };
+  }
+
+  /**
+   * Build unsaved documents for an export file, giving every record a new
+   * ObjectId and remapping references between them
+   * @param {Object} data - Export document
+   * @param {Object} options - { folderId, userId, name }
+   * @returns {Object} - { quiz, objectives, plans, questions } mongoose documents
+   * @throws {mongoose.Error.ValidationError} - When the file is malformed or fails schema validation
+   */
+  static buildDocuments(data, { folderId, userId, name }) {
+    const errors = new ImportErrors();
+
+    if (data?.format !== QUIZ_TRANSFER.FORMAT) {
+      errors.add('format', `Expected a ${QUIZ_TRANSFER.FORMAT} export`);
+      errors.throwIfAny();
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > QUIZ_TRANSFER.VERSION) {
+      errors.add('version', `Unsupported export version: ${data.version}`);
+    }
+    for (const field of ['learningObjectives', 'generationPlans', 'questions']) {
+      if (data[field] !== undefined && !Array.isArray(data[field])) {
+        errors.add(field, `${field} must be an array`);
+      }
+    }
+    errors.throwIfAny();
+
+    const quizId = new mongoose.Types.ObjectId();
+    const idMaps = { objectives: new Map(), plans: new Map() };
+
+    // Assign new ids up front so records can reference ones defined later in the file
+    const assignIds = (records = [], map, path) => records.map((record, index) => {
+      const newId = new mongoose.Types.ObjectId();
+      if (record?.id !== undefined && record?.id !== null) {
+        if (map.has(String(record.id))) {
+          errors.add(`${path}.${index}.id`, `Duplicate id ${record.id}`);
+        }
+        map.set(String(record.id), newId);
+      }
+      return newId;
+    });
+
+    const resolve = (map, ref, path, required) => {
+      if (ref === undefined || ref === null) {
+        if (required) {
+          errors.add(path, 'Reference is required');
+        }
+        return undefined;
+      }
+      const id = map.get(String(ref));
+      if (!id) {
+        errors.add(path, `Unknown reference ${ref}`);
+      }
+      return id;
+    };
+
+    const objectiveIds = assignIds(data.learningObjectives, idMaps.objectives, 'learningObjectives');
+    const planIds = assignIds(data.generationPlans, idMaps.plans, 'generationPlans');
+
+    const objectives = (data.learningObjectives || []).map((objective, index) => new LearningObjective({
+      _id: objectiveIds[index],
+      text: objective?.text,
+      order: objective?.order ?? index,
+      generationMetadata: objective?.generationMetadata,
+      bloom: objective?.bloom,
+      courseOutcomes: objective?.courseOutcomes,
+      quiz: quizId,
+      createdBy: userId
+    }));
+
+    const plans = (data.generationPlans || []).map((plan, index) => new GenerationPlan({
+      _id: planIds[index],
+      approach: plan?.approach,
+      questionsPerLO: plan?.questionsPerLO,
+      totalQuestions: plan?.totalQuestions,
+      breakdown: (plan?.breakdown || []).map((entry, entryIndex) => ({
+        learningObjective: resolve(idMaps.objectives, entry?.learningObjective,
+          `generationPlans.${index}.breakdown.${entryIndex}.learningObjective`, true),
+        questionTypes: entry?.questionTypes,
+        difficultyTargets: entry?.difficultyTargets
+      })),
+      distribution: plan?.distribution,
+      generationMetadata: plan?.generationMetadata,
+      status: plan?.status,
+      quiz: quizId,
+      createdBy: userId
+    }));
+
+    const questions = (data.questions || []).map((question, index) => new Question({
+      type: question?.type,
+      difficulty: question?.difficulty,
+      questionText: question?.questionText,
+      content: question?.content,
+      correctAnswer: question?.correctAnswer,
+      explanation: question?.explanation,
+      order: question?.order ?? index,
+      reviewStatus: question?.reviewStatus,
+      generationMetadata: question?.generationMetadata,
+      learningObjective: resolve(idMaps.objectives, question?.learningObjective,
+        `questions.${index}.learningObjective`, true),
+      generationPlan: resolve(idMaps.plans, question?.generationPlan, `questions.${index}.generationPlan`, false),
+      quiz: quizId,
+      createdBy: userId
+    }));
+
+    const quiz = new Quiz({
+      _id: quizId,
+      name: name || data.quiz?.name,
+      settings: data.quiz?.settings,
+      folder: folderId,
+      learningObjectives: objectiveIds,
+      generationPlans: planIds,
+      activePlan: resolve(idMaps.plans, data.activePlan, 'activePlan', false) ?? null,
+      questions: questions.map(question => question._id),
+      createdBy: userId
+    });
+
+    errors.addDocumentErrors('quiz', quiz);
+    objectives.forEach((objective, index) => errors.addDocumentErrors(`learningObjectives.${index}`, objective));
+    plans.forEach((plan, index) => errors.addDocumentErrors(`generationPlans.${index}`, plan));
+    questions.forEach((question, index) => errors.addDocumentErrors(`questions.${index}`, question));
+    errors.throwIfAny();
+
+    return { quiz, objectives, plans, questions };
+  }
+
+  /**
+   * Recreate a quiz from an export file. Nothing is written unless the
+   * whole file validates; if saving fails part way, inserted records are removed.
+   * @param {Object} data - Export document
+   * @param {Object} options - { folderId, userId, name }
+   * @returns {Promise<Object>} - Saved quiz document
+   */
+  static async importQuiz(data, options) {
+    const { quiz, objectives, plans, questions } = this.buildDocuments(data, options);
+
+    // Course outcome links only carry over to a folder that has those outcomes
+    const outcomeIds = objectives.flatMap(objective => objective.courseOutcomes);
+    const folderOutcomes = outcomeIds.length > 0
+      ? (await CourseOutcome.find({ _id: { $in: outcomeIds }, folder: options.folderId }).select('_id')).map(refId)
+      : [];
+    for (const objective of objectives) {
+      objective.courseOutcomes = objective.courseOutcomes.filter(id => folderOutcomes.includes(refId(id)));
+    }
+
+    try {
+      await LearningObjective.insertMany(objectives);
+      await GenerationPlan.insertMany(plans);
+      await Question.insertMany(questions);
+      await quiz.updateProgress();
+    } catch (error) {
+      await Promise.all([
+        LearningObjective.deleteMany({ quiz: quiz._id }),
+        GenerationPlan.deleteMany({ quiz: quiz._id }),
+        Question.deleteMany({ quiz: quiz._id }),
+        Quiz.deleteOne({ _id: quiz._id })
+      ]);
+      throw error;
+    }
+
+    return quiz;
+  }
+}
+
+export default QuizTransferService;
\ No newline at end of file
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import { OllamaEmbedder, OpenAICompatibleEmbedder, HashEmbedder } from './embeddingProviders.js';
+import { MemoryVectorStore, QdrantVectorStore } from './vectorStores.js';
+import { PAGE_MARKER_PATTERN, SECTION_MARKER_PATTERN } from './extractionService.js';
+import { AI_CONFIG, QDRANT_CONFIG } from '../config/constants.js';
+
+const EMBEDDERS = {
+  ollama: OllamaEmbedder,
+  openai: OpenAICompatibleEmbedder,
+  hash: HashEmbedder
+};
+
+class VectorIndexService {
+  static store = null;
+  static embedder = null;
+
+  /**
+   * Get the configured vector store, creating it on first use
+   */
+  static getStore() {
+    if (!this.store) {
+      this.store = QDRANT_CONFIG.STORE === 'memory' ? new MemoryVectorStore() : new QdrantVectorStore();
+    }
+    return this.store;
+  }
+
+  /**
+   * Replace the active vector store (used by tests)
+   */
+  static setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Get the configured embedder, creating it on first use
+   */
+  static getEmbedder() {
+    if (!this.embedder) {
+      const Embedder = EMBEDDERS[AI_CONFIG.EMBEDDING_PROVIDER];
+      if (!Embedder) {
+        throw new Error(`Unknown embedding provider: ${AI_CONFIG.EMBEDDING_PROVIDER}`);
+      }
+      this.embedder = new Embedder();
+    }
+    return this.embedder;
+  }
+
+  /**
+   * Replace the active embedder (used by tests)
+   */
+  static setEmbedder(embedder) {
+    this.embedder = embedder;
+  }
+
+  /**
+   * Split extracted text into overlapping word windows. Page and section
+   * markers written by ExtractionService are not part of the chunk text but
+   * are recorded on each chunk so answers can cite their source.
+   * @param {string} text - Extracted material text
+   * @param {Object} options - { chunkSize, overlap } in words
+   * @returns {Array<Object>} - [{ index, text, pageStart, pageEnd, section, wordCount }]
+   */
+  static chunkText(text, { chunkSize = AI_CONFIG.CHUNK_SIZE, overlap = AI_CONFIG.CHUNK_OVERLAP } = {}) {
+    if (overlap >= chunkSize) {
+      throw new Error('Chunk overlap must be smaller than the chunk size');
+    }
+
+    const words = [];
+    let page = null;
+    let section = null;
+
+    for (const line of (text || '').split('\n')) {
+      const trimmed = line.trim();
+      const pageMatch = trimmed.match(PAGE_MARKER_PATTERN);
+      const sectionMatch = trimmed.match(SECTION_MARKER_PATTERN);
+
+      if (pageMatch) {
+        page = parseInt(pageMatch[1], 10);
+      } else if (sectionMatch) {
+        section = sectionMatch[1];
+      } else {
+        for (const word of trimmed.split(/\s+/).filter(Boolean)) {
+          words.push({ word, page, section });
+        }
+      }
+    }
+
+    const chunks = [];
+    const step = chunkSize - overlap;
+
+    for (let start = 0; start < words.length; start += step) {
+      const window = words.slice(start, start + chunkSize);
+      const pages = window.map(entry => entry.page).filter(value => value !== null);
+
+      chunks.push({
+        index: chunks.length,
+        text: window.map(entry => entry.word).join(' '),
+        pageStart: pages.length > 0 ? Math.min(...pages) : null,
+        pageEnd: pages.length > 0 ? Math.max(...pages) : null,
+        section: window[0].section,
+        wordCount: window.length
+      });
+
+      if (start + chunkSize >= words.length) break;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Stable point ID for a material chunk, so re-indexing replaces points
+   */
+  static pointId(materialId, chunkIndex) {
+    const hex = crypto.createHash('md5').update(`${materialId}:${chunkIndex}`).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Chunk, embed and upsert a material's extracted content, replacing any
+   * vectors indexed for it previously
+   * @param {Object} material - Material document with extracted content
+   * @returns {Promise<Object>} - { documentId, chunkCount }
+   */
+  static async indexMaterial(material) {
+    const materialId = material._id.toString();
+    const chunks = this.chunkText(material.content);
+
+    if (chunks.length === 0) {
+      throw new Error('Material has no content to index');
+    }
+
+    const store = this.getStore();
+    const embedder = this.getEmbedder();
+
+    await store.deleteByMaterial(materialId);
+
+    for (let i = 0; i < chunks.length; i += AI_CONFIG.EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + AI_CONFIG.EMBEDDING_BATCH_SIZE);
+      const vectors = await embedder.embed(batch.map(chunk => chunk.text));
+
+      await store.upsert(batch.map((chunk, j) => ({
+        id: this.pointId(materialId, chunk.index),
+        vector: vectors[j],
+        payload: {
+          materialId,
+          folderId: material.folder.toString(),
+          materialName: material.name,
+          chunkIndex: chunk.index,
+          text: chunk.text,
+          pageStart: chunk.pageStart,
+          pageEnd: chunk.pageEnd,
+          section: chunk.section
+        }
+      })));
+    }
+
+    return { documentId: materialId, chunkCount: chunks.length };
+  }
+
+  /**
+   * Remove every vector indexed for a material
+   * @param {string} materialId - Material ID
+   */
+  static async removeMaterial(materialId) {
+    await this.getStore().deleteByMaterial(materialId.toString());
+  }
+
+  /**
+   * Find the chunks most similar to a query
+   * @param {string} query - Query text
+   * @param {Object} options - { limit, folderId, materialIds }
+   * @returns {Promise<Array<Object>>} - [{ score, materialId, chunkIndex, text, ... }]
+   */
+  static async search(query, { limit = AI_CONFIG.TOP_K, folderId, materialIds } = {}) {
+    const [vector] = await this.getEmbedder().embed([query]);
+    const results = await this.getStore().search(vector, { limit, filter: { folderId, materialIds } });
+
+    return results.map(result => ({ score: result.score, ...result.payload }));
+  }
+}
+
+export default VectorIndexService;
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { requestJSON } from '../utils/httpClient.js';
+import { QDRANT_CONFIG } from '../config/constants.js';
+
+/**
+ * Cosine similarity between two vectors of equal length
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Check a point payload against a store-agnostic filter
+ * @param {Object} payload - Point payload
+ * @param {Object} filter - { folderId, materialIds }
+ */
+const matchesFilter = (payload, { folderId, materialIds } = {}) => {
+  if (folderId && payload.folderId !== folderId.toString()) {
+    return false;
+  }
+  if (materialIds && !materialIds.map(String).includes(payload.materialId)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * In-process vector store used in tests and when Qdrant is unavailable
+ */
+export class MemoryVectorStore {
+  constructor() {
+    this.points = new Map();
+  }
+
+  async ensureCollection() {}
+
+  /**
+   * Insert or replace points
+   * @param {Array<Object>} points - [{ id, vector, payload }]
+   */
+  async upsert(points) {
+    for (const point of points) {
+      this.points.set(point.id, point);
+    }
+  }
+
+  /**
+   * Remove every point belonging to a material
+   */
+  async deleteByMaterial(materialId) {
+    for (const [id, point] of this.points) {
+      if (point.payload.materialId === materialId.toString()) {
+        this.points.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Find the points closest to a query vector
+   * @param {Array<number>} vector - Query vector
+   * @param {Object} options - { limit, filter }
+   * @returns {Promise<Array<Object>>} - [{ id, score, payload }] best first
+   */
+  async search(vector, { limit = 5, filter } = {}) {
+    return Array.from(this.points.values())
+      .filter(point => matchesFilter(point.payload, filter))
+      .map(point => ({ id: point.id, score: cosineSimilarity(vector, point.vector), payload: point.payload }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async count(filter) {
+    return Array.from(this.points.values()).filter(point => matchesFilter(point.payload, filter)).length;
+  }
+}
+
+/**
+ * Qdrant collection accessed through its REST API
+ */
+export class QdrantVectorStore {
+  constructor({
+    url = QDRANT_CONFIG.URL,
+    apiKey = QDRANT_CONFIG.API_KEY,
+    collection = QDRANT_CONFIG.COLLECTION_NAME,
+    vectorSize = QDRANT_CONFIG.VECTOR_SIZE,
+    distance = QDRANT_CONFIG.DISTANCE
+  } = {}) {
+    this.url = url.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.collection = collection;
+    this.vectorSize = vectorSize;
+    this.distance = distance;
+    this.collectionReady = null;
+  }
+
+  request(path, options = {}) {
+    return requestJSON(`${this.url}/collections/${this.collection}${path}`, {
+      ...options,
+      headers: this.apiKey ? { 'api-key': this.apiKey } : {},
+      serviceName: 'Qdrant'
+    });
+  }
+
+  /**
+   * Create the collection and its payload indexes if they do not exist yet
+   */
+  ensureCollection() {
+    if (!this.collectionReady) {
+      this.collectionReady = this.createCollection().catch(error => {
+        this.collectionReady = null;
+        throw error;
+      });
+    }
+    return this.collectionReady;
+  }
+
+  async createCollection() {
+    const existing = await this.request('', { allowStatus: [404] });
+    if (existing) return;
+
+    await this.request('', {
+      method: 'PUT',
+      body: { vectors: { size: this.vectorSize, distance: this.distance } }
+    });
+
+    for (const field of ['folderId', 'materialId']) {
+      await this.request('/index?wait=true', {
+        method: 'PUT',
+        body: { field_name: field, field_schema: 'keyword' }
+      });
+    }
+  }
+
+  /**
+   * Translate a store-agnostic filter into a Qdrant filter
+   */
+  buildFilter({ folderId, materialIds } = {}) {
+    const must = [];
+    if (folderId) {
+      must.push({ key: 'folderId', match: { value: folderId.toString() } });
+    }
+    if (materialIds) {
+      must.push({ key: 'materialId', match: { any: materialIds.map(String) } });
+    }
+    return must.length > 0 ? { must } : undefined;
+  }
+
+  async upsert(points) {
+    await this.ensureCollection();
+    await this.request('/points?wait=true', { method: 'PUT', body: { points } });
+  }
+
+  async deleteByMaterial(materialId) {
+    await this.ensureCollection();
+    await this.request('/points/delete?wait=true', {
+      method: 'POST',
+      body: { filter: this.buildFilter({ materialIds: [materialId] }) }
+    });
+  }
+
+  async search(vector, { limit = 5, filter } = {}) {
+    await this.ensureCollection();
+    const data = await this.request('/points/search', {
+      method: 'POST',
+      body: { vector, limit, filter: this.buildFilter(filter), with_payload: true }
+    });
+
+    return (data.result || []).map(point => ({ id: point.id, score: point.score, payload: point.payload }));
+  }
+
+  async count(filter) {
+    await this.ensureCollection();
+    const data = await this.request('/points/count', {
+      method: 'POST',
+      body: { filter: this.buildFilter(filter), exact: true }
+    });
+
+    return data.result?.count || 0;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+import { DIFFICULTY_LEVELS } from '../config/constants.js';
+
+const LEVELS = Object.values(DIFFICULTY_LEVELS);
+
+/**
+ * Spread difficulty levels over a sequence of questions in proportion to
+ * their weights, interleaving them so any run of consecutive questions stays
+ * close to the mix (smooth weighted round-robin). When the length equals the
+ * total weight each level appears exactly its weight's number of times.
+ * @param {Object} weights - { easy, moderate, hard } non-negative weights
+ * @param {number} length - Number of questions
+ * @returns {Array<string>} - DIFFICULTY_LEVELS value per question
+ */
+export const interleaveLevels = (weights, length) => {
+  const total = LEVELS.reduce((sum, level) => sum + (weights[level] || 0), 0);
+  if (total === 0) {
+    return new Array(length).fill(DIFFICULTY_LEVELS.MODERATE);
+  }
+
+  const current = Object.fromEntries(LEVELS.map(level => [level, 0]));
+  const levels = [];
+
+  for (let index = 0; index < length; index++) {
+    let picked = null;
+    for (const level of LEVELS) {
+      current[level] += weights[level] || 0;
+      if (picked === null || current[level] > current[picked]) {
+        picked = level;
+      }
+    }
+    current[picked] -= total;
+    levels.push(picked);
+  }
+
+  return levels;
+};
+
+/**
+ * Per-objective difficulty targets that together follow the quiz's mix
+ * @param {Object} mix - { easy, moderate, hard } percentages
+ * @param {Array<number>} counts - Questions planned for each objective
+ * @returns {Array<Object>} - { easy, moderate, hard } counts per objective
+ */
+export const spreadDifficulty = (mix, counts) => {
+  const levels = interleaveLevels(mix, counts.reduce((sum, count) => sum + count, 0));
+
+  let offset = 0;
+  return counts.map(count => {
+    const targets = Object.fromEntries(LEVELS.map(level => [level, 0]));
+    levels.slice(offset, offset + count).forEach(level => {
+      targets[level] += 1;
+    });
+    offset += count;
+    return targets;
+  });
+};
\ No newline at end of file
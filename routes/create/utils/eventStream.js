@@ -0,0 +1,20 @@
+import { HTTP_STATUS } from '../config/constants.js';
+
+/**
+ * Switch a response to a server-sent event stream
+ * @param {Object} res - Express response object
+ * @returns {Function} - send(event, data), writing one JSON-encoded event
+ */
+export const openEventStream = (res) => {
+  res.status(HTTP_STATUS.OK).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+export default openEventStream;
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { AI_CONFIG } from '../config/constants.js';
+
+/**
+ * Send a JSON request to an external service with a timeout
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.body - JSON request body
+ * @param {Object} options.headers - Extra request headers
+ * @param {string} options.serviceName - Service name for error messages
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @param {Array<number>} options.allowStatus - Non-2xx statuses returned as null instead of thrown
+ * @returns {Promise<Object|null>} - Parsed JSON response
+ */
+export const requestJSON = async (url, {
+  method = 'GET',
+  body,
+  headers = {},
+  serviceName = 'External service',
+  timeout = AI_CONFIG.REQUEST_TIMEOUT,
+  allowStatus = []
+} = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeout)
+    });
+  } catch (error) {
+    throw new Error(`${serviceName} request failed: ${error.message}`);
+  }
+
+  if (allowStatus.includes(response.status)) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw new Error(`${serviceName} request failed (${response.status}): ${details.substring(0, 200)}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Send a JSON request to a streaming API and yield the response body line by
+ * line (NDJSON or server-sent events). Stopping iteration cancels the request.
+ * @param {string} url - Request URL
+ * @param {Object} options - Same options as requestJSON, without allowStatus
+ * @returns {AsyncGenerator<string>} - Non-empty response lines
+ */
+export async function* streamLines(url, {
+  method = 'POST',
+  body,
+  headers = {},
+  serviceName = 'External service',
+  timeout = AI_CONFIG.REQUEST_TIMEOUT
+} = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeout)
+    });
+  } catch (error) {
+    throw new Error(`${serviceName} request failed: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw new Error(`${serviceName} request failed (${response.status}): ${details.substring(0, 200)}`);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          yield line;
+        }
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      yield buffer;
+    }
+  } finally {
+    await response.body.cancel().catch(() => {});
+  }
+}
+
+export default requestJSON;
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * Escape text for use in XML element content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Wrap text in a CDATA section, splitting any "]]>" it contains
+ * @param {*} value - Value to wrap
+ * @returns {string} - CDATA section
+ */
+export const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+export default escapeXml;
\ No newline at end of file
@@ -1,42 +1,54 @@
 import express from 'express';
 import dotenv from 'dotenv';
-import cors from 'cors';
 import cookieParser from 'cookie-parser';
-import createRoutes from './routes/create/createRoutes.js';
-import biocbotRoutes from './routes/biocbot/biocbotRoutes.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadApps, mountApps, startApps, stopApps } from './appLoader.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 7736;
-
-// CORS configuration for frontend integration
-app.use(cors({
-  origin: process.env.NODE_ENV === 'production' 
-    ? process.env.FRONTEND_URL 
-    : ['http://localhost:3000', 'http://localhost:8080'],
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
+const ROUTES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'routes');
 
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
-// Mount the routers for each application
-app.use('/api/create', createRoutes);
-app.use('/api/biocbot', biocbotRoutes);
+// Discover the apps under routes/<app>/ and keep the ones enabled in .env;
+// each app gets its own CORS origins and rate limit
+const apps = await loadApps(ROUTES_DIR);
+mountApps(app, apps);
 
 // Optional: A root route to confirm the server is up, if desired
 app.get('/', (req, res) => {
-  res.send('TLEF Web Server is running. Use /api/create or /api/biocbot for app-specific routes.');
+  const mountPaths = apps.map(({ mountPath }) => mountPath).join(' or ');
+  res.send(`TLEF Web Server is running. Use ${mountPaths || 'an enabled app'} for app-specific routes.`);
 });
 
-app.listen(PORT, () => {
+try {
+  await startApps(apps);
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
+const server = app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
-  console.log(`CREATE app API available at http://localhost:${PORT}/api/create`);
-  console.log(`BIOCBOT app API available at http://localhost:${PORT}/api/biocbot`);
-});
\ No newline at end of file
+  apps.forEach(({ name, mountPath }) => {
+    console.log(`${name.toUpperCase()} app API available at http://localhost:${PORT}${mountPath}`);
+  });
+});
+
+// Graceful shutdown
+const shutdown = async (signal) => {
+  console.log(`🔴 ${signal} received, shutting down`);
+  server.close();
+  await stopApps(apps);
+  process.exit(0);
+};
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
\ No newline at end of file